@@ -0,0 +1,38 @@
+/*
+ * compile-attempts.js
+ *
+ * The one RScompiler call, shared by the compile worker
+ * (public/compile-worker.js, through importScripts) and the runtime frame
+ * (public/runtime-agent.js, loaded just before it), so both compile the
+ * same way.
+ *
+ * Served as-is from public/, not bundled — keep it plain ES2017 with no
+ * imports.
+ */
+"use strict";
+
+/* Compiles `source` with `compile` (glowscript_compile), trying the option
+   sets and the trailing newline that some compiler versions need, in
+   order.  Returns the compiled JS; throws the last attempt's error.      */
+self.compileWithFallbacks = function (compile, source, version) {
+  var attempts = [
+    { src: source, opts: { lang: "vpython", version: version, run: true, nodictionary: false } },
+    { src: source + "\n", opts: { lang: "vpython", version: version, run: true, nodictionary: false } },
+    { src: source, opts: { lang: "vpython", version: version } },
+    { src: source + "\n", opts: { lang: "vpython", version: version } },
+  ];
+
+  var lastError = null;
+  for (var i = 0; i < attempts.length; i++) {
+    try {
+      var compiled = compile(attempts[i].src, attempts[i].opts);
+      if (typeof compiled === "string") return compiled;
+      if (compiled && typeof compiled.program === "string") return compiled.program;
+      if (compiled && typeof compiled.code === "string") return compiled.code;
+      lastError = new Error("RScompiler returned no program (got " + (compiled === null ? "null" : typeof compiled) + ").");
+    } catch (err) {
+      lastError = err;
+    }
+  }
+  throw lastError;
+};
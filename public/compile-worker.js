@@ -0,0 +1,73 @@
+/*
+ * compile-worker.js
+ *
+ * Web worker that compiles VPython with RScompiler off the main thread
+ * (driven by src/utils/compileService.js).  One worker serves one compiler
+ * version: "init" loads RScompiler once, then every "compile" reuses it.
+ *
+ *   → { id, type: "init", urls }              ← { id, ok, error? }
+ *   → { id, type: "compile", source, version } ← { id, ok, code | error }
+ *
+ * Served as-is from public/, not bundled — keep it plain ES2017 with no
+ * imports.
+ */
+/* global importScripts */
+"use strict";
+
+/* RScompiler looks its globals up on window */
+self.window = self;
+
+/* compileWithFallbacks(), shared with the runtime frame */
+importScripts("compile-attempts.js");
+
+var compileFn = null;
+
+function errorFields(err) {
+  return {
+    message: String(err && err.message !== undefined ? err.message : err),
+    line: err && Number.isFinite(err.line) ? err.line : null,
+    col: err && Number.isFinite(err.col) ? err.col : null,
+  };
+}
+
+/* Try the candidate URLs in order until one defines the compiler */
+function loadCompiler(urls) {
+  var failures = [];
+  for (var i = 0; i < urls.length; i++) {
+    try {
+      importScripts(urls[i]);
+    } catch (err) {
+      failures.push(urls[i] + " (" + (err.message || err) + ")");
+      continue;
+    }
+    compileFn = self.glowscript_compile || (self.GlowScript && self.GlowScript.compile);
+    if (typeof compileFn === "function") {
+      if (!self.RapydScript && self.RS && self.RS.RapydScript) {
+        self.RapydScript = self.RS.RapydScript;
+      }
+      if (typeof self.call_acorn_parse !== "function" && self.acorn && typeof self.acorn.parse === "function") {
+        self.call_acorn_parse = self.acorn.parse.bind(self.acorn);
+      }
+      return;
+    }
+    failures.push(urls[i] + " (loaded but did not define glowscript_compile)");
+  }
+  throw new Error("RScompiler did not load in the compile worker. Tried: " + (failures.join("; ") || "no URLs"));
+}
+
+self.onmessage = function (event) {
+  var msg = event.data || {};
+  try {
+    if (msg.type === "init") {
+      loadCompiler(msg.urls || []);
+      self.postMessage({ id: msg.id, ok: true });
+    } else if (msg.type === "compile") {
+      if (!compileFn) throw new Error("Compile worker used before init.");
+      self.postMessage({ id: msg.id, ok: true, code: self.compileWithFallbacks(compileFn, msg.source, msg.version) });
+    } else {
+      throw new Error("Unknown compile worker message: " + msg.type);
+    }
+  } catch (err) {
+    self.postMessage({ id: msg.id, ok: false, error: errorFields(err) });
+  }
+};
@@ -0,0 +1,1276 @@
+/*
+ * runtime-agent.js
+ *
+ * Runs inside the sandboxed GlowScript runtime iframe created by
+ * src/utils/glowRunner.js.  The frame has an opaque origin and cannot reach
+ * the IDE, so everything that touches the runtime happens here: loading
+ * the GlowScript scripts, compiling, evaluating the program, console
+ * capture and the pause / step controller.
+ *
+ * The IDE drives the agent with "command" messages and gets "reply"
+ * messages back; traces, log, error, lifecycle and state messages are
+ * streamed as they happen.  Every message carries the protocol name,
+ * version and run token from window.__PHYSIDE_RUNTIME__ (written into the
+ * frame by glowRunner); see src/utils/runtimeProtocol.js.
+ *
+ * Served as-is from public/, not bundled — keep it plain ES2017 with no
+ * imports.
+ */
+(function () {
+  "use strict";
+
+  var config = window.__PHYSIDE_RUNTIME__ || {};
+
+  function post(kind, fields) {
+    var message = Object.assign(
+      { protocol: config.protocol, version: config.version, run: config.run, kind: kind },
+      fields
+    );
+    try {
+      window.parent.postMessage(message, config.parentOrigin);
+    } catch (_) {}
+  }
+
+  function errorFields(err) {
+    return {
+      name: err && err.name ? String(err.name) : "Error",
+      message: String(err && err.message !== undefined ? err.message : err),
+      stack: err && err.stack ? String(err.stack) : "",
+      line: err && Number.isFinite(err.line) ? err.line : null,
+      col: err && Number.isFinite(err.col) ? err.col : null,
+      sourceLine: err && Number.isFinite(err.sourceLine) ? err.sourceLine : null,
+    };
+  }
+
+  /* ── Script loading ─────────────────────────────────────── */
+
+  /* A 200 response that is not JavaScript (e.g. a dev server's index.html
+     fallback) still fires onload, and this opaque-origin frame mutes the
+     parse error it raises ("Script error.", no filename).  Each runtime
+     script's `check` catches it instead (see loadRuntimeScript).         */
+  function loadScript(src) {
+    return new Promise(function (resolve, reject) {
+      var script = document.createElement("script");
+      script.src = src;
+      script.async = false;
+      script.onload = function () { resolve(); };
+      script.onerror = function () {
+        script.remove();
+        reject(new Error("Failed to load script: " + src));
+      };
+      document.head.appendChild(script);
+    });
+  }
+
+  function resolvePath(path) {
+    return String(path).split(".").reduce(function (obj, key) {
+      return obj === null || obj === undefined ? undefined : obj[key];
+    }, window);
+  }
+
+  /* `check` lists global paths; at least one must be a function */
+  function passesCheck(check) {
+    if (!check || check.length === 0) return true;
+    return check.some(function (path) { return typeof resolvePath(path) === "function"; });
+  }
+
+  function buildDiag() {
+    return {
+      jQuery: !!window.jQuery,
+      jQueryUiResizable: !!(window.jQuery && window.jQuery.fn && window.jQuery.fn.resizable),
+      GlowScript: !!window.GlowScript,
+      glowscript_compile: typeof window.glowscript_compile,
+      call_acorn_parse: typeof window.call_acorn_parse,
+      acorn_parse:
+        window.acorn && typeof window.acorn.parse !== "undefined"
+          ? typeof window.acorn.parse
+          : "missing",
+    };
+  }
+
+  /* One script, walking its candidate URLs in fallback order */
+  async function loadRuntimeScript(script) {
+    var entry = { key: script.key, label: script.label, source: null, url: null, attempts: [] };
+    for (var i = 0; i < script.candidates.length; i++) {
+      var candidate = script.candidates[i];
+      try {
+        await loadScript(candidate.url);
+        if (!passesCheck(script.check)) {
+          throw new Error("Loaded but " + script.label + " did not initialise: " + candidate.url);
+        }
+        entry.source = candidate.source;
+        entry.url = candidate.url;
+        entry.attempts.push({ source: candidate.source, url: candidate.url, error: null });
+        return entry;
+      } catch (err) {
+        entry.attempts.push({ source: candidate.source, url: candidate.url, error: err.message || String(err) });
+      }
+    }
+    var tried = entry.attempts.map(function (a) { return a.source + " (" + a.error + ")"; }).join("; ");
+    var err = new Error(
+      "Failed to load " + script.label + " from any runtime source. Tried: " +
+        (tried || "no enabled sources")
+    );
+    err.runtimeScript = entry;
+    throw err;
+  }
+
+  async function loadRuntime(scripts) {
+    var loaded = [];
+    try {
+      for (var i = 0; i < scripts.length; i++) {
+        loaded.push(await loadRuntimeScript(scripts[i]));
+      }
+    } catch (err) {
+      if (err.runtimeScript) loaded.push(err.runtimeScript);
+      err.scripts = loaded;
+      throw err;
+    }
+
+    if (!window.jQuery || !window.jQuery.fn || typeof window.jQuery.fn.resizable !== "function") {
+      throw Object.assign(
+        new Error(
+          "GlowScript runtime dependency missing: jQuery UI resizable() not loaded. Diagnostics: " +
+            JSON.stringify(buildDiag())
+        ),
+        { scripts: loaded }
+      );
+    }
+    if (typeof window.glowscript_compile !== "function") {
+      throw Object.assign(
+        new Error("GlowScript compiler did not load (RScompiler). Diagnostics: " + JSON.stringify(buildDiag())),
+        { scripts: loaded }
+      );
+    }
+    if (typeof window.call_acorn_parse !== "function") {
+      if (window.acorn && typeof window.acorn.parse === "function") {
+        window.call_acorn_parse = window.acorn.parse.bind(window.acorn);
+      } else {
+        throw Object.assign(
+          new Error(
+            "GlowScript parser did not initialize correctly (call_acorn_parse missing). Diagnostics: " +
+              JSON.stringify(buildDiag())
+          ),
+          { scripts: loaded }
+        );
+      }
+    }
+    return loaded;
+  }
+
+  /* ── Compilation ────────────────────────────────────────── */
+
+  function compileProgram(source, compilerVersion) {
+    var compile = window.glowscript_compile || (window.GlowScript && window.GlowScript.compile);
+    if (typeof compile !== "function") {
+      throw new Error("GlowScript compiler did not load. Check runtime scripts.");
+    }
+    if (!window.RapydScript && window.RS && window.RS.RapydScript) {
+      window.RapydScript = window.RS.RapydScript;
+    }
+
+    /* public/compile-attempts.js, loaded before this script */
+    if (typeof window.compileWithFallbacks !== "function") {
+      throw new Error("compile-attempts.js did not load. Check the IDE's public/ folder.");
+    }
+    return window.compileWithFallbacks(compile, source, compilerVersion);
+  }
+
+  /* ── Console capture ──────────────────────────────────────
+     Forwards print() output, console.* calls and uncaught errors as "log"
+     messages.  print() may itself log to the console; the inPrint flag
+     keeps such output from appearing twice.                              */
+  var CONSOLE_TEXT_MAX = 2000;
+
+  function formatConsoleArg(arg) {
+    if (typeof arg === "string") return arg;
+    if (arg && typeof arg === "object" && "message" in arg && "stack" in arg) {
+      return (arg.name ? arg.name + ": " : "") + arg.message;
+    }
+    try {
+      var text = String(arg);
+      return text === "[object Object]" ? JSON.stringify(arg) : text;
+    } catch (_) {
+      return Object.prototype.toString.call(arg);
+    }
+  }
+
+  function installConsoleCapture() {
+    var log = function (level, args) {
+      var text = Array.from(args).map(formatConsoleArg).join(" ");
+      if (text.length > CONSOLE_TEXT_MAX) text = text.slice(0, CONSOLE_TEXT_MAX) + "…";
+      post("log", { level: level, text: text, t: Date.now() });
+    };
+
+    var inPrint = false;
+    ["log", "info", "warn", "error"].forEach(function (level) {
+      var original = console[level];
+      console[level] = function () {
+        if (!inPrint) log(level, arguments);
+        return original.apply(this, arguments);
+      };
+    });
+
+    var originalPrint = window.print;
+    if (typeof originalPrint === "function") {
+      window.print = function () {
+        log("log", arguments);
+        inPrint = true;
+        try {
+          return originalPrint.apply(this, arguments);
+        } finally {
+          inPrint = false;
+        }
+      };
+    }
+
+    window.addEventListener("error", function (event) {
+      log("error", ["Uncaught " + (event.error ? formatConsoleArg(event.error) : event.message)]);
+    });
+    window.addEventListener("unhandledrejection", function (event) {
+      log("error", ["Unhandled rejection: " + formatConsoleArg(event.reason)]);
+    });
+  }
+
+  /* ── Pause / step controller ──────────────────────────────
+     Injected trace points call hit(), statement hooks (one in front of
+     every block, when the IDE adds them) call stmt(); rate() and the
+     loop-body hooks call frame().  All return true when execution has to
+     stop there, and the caller then awaits wait(), which resolves on
+     resume / step — nothing polls while paused.  With statement hooks the
+     trace points do not stop: stmt() is the place to stop at a block.
+
+     A "frame" is one rate() call; programs that never call rate() count
+     loop iterations instead.  While the debugger is open every frame is
+     also recorded in the frame history (see below).                      */
+  var ctl = {
+    paused: false,
+    steps: 0,          /* hooks to let through while paused (Step) */
+    frames: 0,         /* frames to run before pausing again (Step frames) */
+    until: null,       /* { name, value } — pause once trace `name` ≥ value */
+    breakpoints: new Map(),   /* id → { condition, hitCount, log, hits } */
+    scoped: {},        /* trace IDs that must hand over their scope */
+    scope: null,       /* scope closure of the latest trace point / loop hook */
+    watches: [],       /* watch expressions (JS, null = untranslatable) */
+    capture: false,    /* debugger open: every hook hands over its scope */
+    frameCount: 0,
+    rateSeen: false,
+    waiters: [],
+    reason: null,
+  };
+
+  function release() {
+    var waiters = ctl.waiters;
+    ctl.waiters = [];
+    waiters.forEach(function (resolve) { resolve(); });
+  }
+
+  function notify(paused) {
+    post("state", { paused: paused, frame: ctl.frameCount, simTime: clock.value, reason: paused ? ctl.reason : null });
+  }
+
+  function pauseHere(reason) {
+    ctl.paused = true;
+    ctl.steps = 0;
+    ctl.frames = 0;
+    ctl.reason = reason;
+  }
+
+  /* ── Breakpoints ────────────────────────────────────────────
+     Conditions and logpoint placeholders arrive as JavaScript (translated
+     from Python by the IDE) and are evaluated with `scope`, a closure the
+     trace point passes in that runs eval() inside the program's scope.   */
+  function setBreakpoints(list) {
+    var previous = ctl.breakpoints;
+    var next = new Map();
+    var scoped = {};
+    (list || []).forEach(function (bp) {
+      var key = JSON.stringify([bp.condition, bp.hitCount, bp.log]);
+      var old = previous.get(bp.id);
+      /* An unchanged breakpoint keeps its hit count */
+      next.set(bp.id, Object.assign({}, bp, { key: key, hits: old && old.key === key ? old.hits : 0, warned: false }));
+      if (bp.condition || bp.log) scoped[bp.id] = true;
+    });
+    ctl.breakpoints = next;
+    ctl.scoped = scoped;
+    applyScopeCapture();
+  }
+
+  /* Hooks only build a scope closure when __physide_scoped[id] is truthy —
+     for breakpoints that need one, or for every hook (the "" key is the
+     loop hooks') while the debugger can evaluate expressions or the
+     energy monitor is on.                                                */
+  function applyScopeCapture() {
+    window.__physide_scoped = ctl.capture || energy.bodies.length > 0
+      ? new Proxy(ctl.scoped, { get: function () { return true; } })
+      : ctl.scoped;
+  }
+
+  /* Debugger expressions are plain JavaScript, where `a + b` on two
+     vectors concatenates their text and `2 * v` gives NaN.  While one is
+     evaluated, turning a vector into a primitive throws instead, so
+     arithmetic and ordering comparisons on vectors fail with a message.
+     Vector methods (a.add(b), mag(a)) and attribute access are unaffected. */
+  function vectorArithmeticError() {
+    throw new Error("vector arithmetic is not supported here — use a.add(b), a.sub(b), a.multiply(k), mag(a) or components like a.x");
+  }
+
+  function evaluate(scope, expr) {
+    if (!scope) throw new Error("expressions cannot be evaluated at this point");
+    var proto = typeof window.vec === "function" ? window.vec.prototype : null;
+    if (!proto) return scope(expr);
+    var own = Object.getOwnPropertyDescriptor(proto, "valueOf");
+    Object.defineProperty(proto, "valueOf", { value: vectorArithmeticError, configurable: true, writable: true });
+    try {
+      return scope(expr);
+    } finally {
+      if (own) Object.defineProperty(proto, "valueOf", own);
+      else delete proto.valueOf;
+    }
+  }
+
+  function formatLogValue(value, digits) {
+    if (typeof value === "number" && digits !== null && digits !== undefined) return value.toFixed(digits);
+    return formatConsoleArg(value);
+  }
+
+  /* True when the breakpoint should pause; logpoints log and never pause */
+  function breakpointHit(bp, scope) {
+    try {
+      if (bp.condition && !evaluate(scope, bp.condition)) return false;
+    } catch (err) {
+      if (!bp.warned) {
+        bp.warned = true;
+        post("log", { level: "warn", text: "Breakpoint condition failed: " + (err.message || err), t: Date.now() });
+      }
+      return false;
+    }
+    bp.hits++;
+    if (bp.hitCount && bp.hits < bp.hitCount) return false;
+    if (!bp.log) return true;
+
+    var text = bp.log.map(function (part) {
+      if (!("expr" in part)) return part.text;
+      try {
+        return formatLogValue(evaluate(scope, part.expr), part.digits);
+      } catch (err) {
+        return "<" + (err.message || err) + ">";
+      }
+    }).join("");
+    post("log", { level: "info", text: text, t: Date.now() });
+    return false;
+  }
+
+  /* Run-until is checked on every trace update */
+  function checkUntil(name, value) {
+    if (ctl.until && name === ctl.until.name && parseFloat(value) >= ctl.until.value) {
+      ctl.until = null;
+      pauseHere("until");
+    }
+  }
+
+  function hit(blockId, name, value, scope) {
+    if (scope) ctl.scope = scope;
+    return shouldStop(blockId, scope);
+  }
+
+  function stmt(blockId, scope) {
+    if (scope) ctl.scope = scope;
+    countStatement(blockId);
+    return shouldStop(blockId, scope);
+  }
+
+  function shouldStop(blockId, scope) {
+    var bp = ctl.breakpoints.get(blockId);
+    if (bp && breakpointHit(bp, scope)) pauseHere("breakpoint");
+    if (!ctl.paused || ctl.frames > 0) return false;
+    if (ctl.steps > 0) { ctl.steps--; return false; }
+    return true;
+  }
+
+  function frame(source, scope) {
+    if (scope) ctl.scope = scope;
+    if (source === "rate") ctl.rateSeen = true;
+    else if (ctl.rateSeen) return false;
+    ctl.frameCount++;
+    clockFrame(scope);
+    energyFrame();
+    recordFrame();
+    if (!ctl.paused) return tracesBacklogged();
+    if (ctl.frames > 0) { ctl.frames--; return ctl.frames === 0; }
+    if (ctl.steps > 0) { ctl.steps--; return false; }
+    return true;
+  }
+
+  /* Also where frames held back by the trace backlog wait (not paused) */
+  function wait() {
+    if (!ctl.paused) return drainTraces();
+    flushTraces();
+    flushEnergy();
+    reportStatements();
+    notify(true);
+    postWatches();
+    postHistory(null);
+    postScene(null);
+    return new Promise(function (resolve) { ctl.waiters.push(resolve); });
+  }
+
+  var controls = {
+    pause: function () {
+      if (!ctl.paused) pauseHere("pause");
+    },
+    resume: function () {
+      leaveHistory();
+      ctl.paused = false;
+      ctl.steps = 0;
+      ctl.frames = 0;
+      ctl.until = null;
+      release();
+      notify(false);
+    },
+    /* Let execution reach the next hook (trace point or frame) */
+    step: function () {
+      leaveHistory();
+      ctl.paused = true;
+      ctl.reason = "step";
+      if (ctl.waiters.length > 0) release();
+      else ctl.steps++;
+    },
+    stepFrames: function (msg) {
+      leaveHistory();
+      ctl.paused = true;
+      ctl.reason = "step";
+      ctl.steps = 0;
+      ctl.frames = Math.max(1, Math.floor(msg.count) || 1);
+      release();
+    },
+    runUntil: function (msg) {
+      leaveHistory();
+      ctl.until = { name: msg.name, value: msg.value };
+      ctl.paused = false;
+      ctl.steps = 0;
+      ctl.frames = 0;
+      release();
+      notify(false);
+    },
+    setBreakpoints: function (msg) {
+      setBreakpoints(msg.breakpoints);
+    },
+    setWatches: function (msg) {
+      setWatches(msg.watches);
+      if (isHeld()) postWatches();
+    },
+    showFrame: function (msg) {
+      showFrame(msg.frame);
+    },
+    restoreFrame: function (msg) {
+      restoreFrame(msg.frame);
+    },
+    setInspector: function (msg) {
+      setInspector(msg.inspect);
+    },
+    setEnergy: function (msg) {
+      setEnergy(msg.energy);
+    },
+    highlightObject: function (msg) {
+      highlightObject(msg.id);
+    },
+    ackTraces: function () {
+      ackTraces();
+    },
+  };
+
+  /* ── Statement counts ─────────────────────────────────────
+     stmt() counts how often each block started and remembers the latest
+     one; both are reported as one "statements" message at most every
+     STATEMENT_REPORT_MS, and at once when execution is held.            */
+  var STATEMENT_REPORT_MS = 100;
+  var statements = { counts: {}, current: null, timer: null };
+
+  function countStatement(blockId) {
+    statements.counts[blockId] = (statements.counts[blockId] || 0) + 1;
+    statements.current = blockId;
+    if (!statements.timer) statements.timer = setTimeout(reportStatements, STATEMENT_REPORT_MS);
+  }
+
+  function reportStatements() {
+    if (statements.timer) {
+      clearTimeout(statements.timer);
+      statements.timer = null;
+    }
+    if (statements.current === null) return;
+    post("statements", { current: statements.current, counts: statements.counts, held: ctl.paused });
+  }
+
+  /* ── Watches and paused-state evaluation ──────────────────
+     Watch expressions are evaluated with the latest scope closure each
+     time execution is held; the evaluate command runs one expression or
+     assignment there (only while held, so the program sees the change
+     when it resumes).                                                    */
+  var WATCH_TEXT_MAX = 500;
+
+  function setWatches(watches) {
+    ctl.watches = (watches && watches.expressions) || [];
+    ctl.capture = !!(watches && watches.capture);
+    applyScopeCapture();
+  }
+
+  /* Execution is waiting in wait() */
+  function isHeld() {
+    return ctl.paused && ctl.waiters.length > 0;
+  }
+
+  function formatWatchValue(value) {
+    var text = value === undefined ? "undefined" : formatConsoleArg(value);
+    return text.length > WATCH_TEXT_MAX ? text.slice(0, WATCH_TEXT_MAX) + "…" : text;
+  }
+
+  function postWatches() {
+    if (ctl.watches.length === 0) return;
+    post("watch", {
+      results: ctl.watches.map(function (expr) {
+        if (expr === null) return null;
+        try {
+          return { ok: true, value: formatWatchValue(evaluate(ctl.scope, expr)) };
+        } catch (err) {
+          return { ok: false, error: String(err && err.message !== undefined ? err.message : err) };
+        }
+      }),
+    });
+  }
+
+  /* trace — { name, blockId }: report the result as a trace update too
+     (editing a variable from the trace table) */
+  function evaluateCommand(code, trace) {
+    if (!isHeld()) throw new Error("Pause the simulation to evaluate expressions.");
+    var value = evaluate(ctl.scope, code);
+    if (trace) traced(trace.name, value, trace.blockId || "");
+    postWatches();
+    return { value: formatWatchValue(value) };
+  }
+
+  /* ── Simulation clock ─────────────────────────────────────
+     Simulation time for the frame counter and every trace sample.  It
+     follows the traced time variable (`t`, or the variable of a clock
+     block) once that has been traced; until then it adds up the time
+     step (`dt`, traced or read through the scope) once per frame.  null
+     when the program has neither.                                        */
+  var clock = {
+    time: "t",         /* name of the time variable */
+    step: "dt",        /* name of the time step variable */
+    value: null,
+    dt: null,          /* latest traced time step */
+    followsTime: false,
+  };
+
+  function setClock(config) {
+    if (!config) return;
+    if (config.time) clock.time = String(config.time);
+    if (config.step) clock.step = String(config.step);
+  }
+
+  function clockTraced(name, text) {
+    var n = parseFloat(text);
+    if (!isFinite(n)) return;
+    if (name === clock.time) {
+      clock.value = n;
+      clock.followsTime = true;
+    } else if (name === clock.step) {
+      clock.dt = n;
+    }
+  }
+
+  function clockFrame(scope) {
+    if (clock.followsTime) return;
+    var dt = clock.dt;
+    if (scope) {
+      try {
+        var read = scope(clock.step);
+        if (typeof read === "number" && isFinite(read)) dt = read;
+      } catch (_) {}
+    }
+    if (dt !== null) clock.value = (clock.value || 0) + dt;
+  }
+
+  /* ── Energy monitor ───────────────────────────────────────
+     Kinetic and potential energy of the bodies the IDE names (mass,
+     position and velocity expressions, translated from Python), evaluated
+     with the latest scope closure once per frame:
+       KE = Σ ½ m |v|²
+       PE = Σ −m g·pos for a vector g (m g pos.y for a number), plus the
+            optional potential-energy expression
+     Samples [frame, sim time, KE, PE] are sent in "energy" batches every
+     ENERGY_FLUSH_MS and whenever execution is held.  A frame whose
+     expressions fail is skipped and the message goes out with the batch. */
+  var ENERGY_FLUSH_MS = 100;
+
+  var energy = {
+    bodies: [],        /* [{ name, mass, pos, velocity }] — empty = off */
+    gravity: null,     /* g: a vector, or a number pointing down −y */
+    potential: null,   /* extra potential energy */
+    samples: [],
+    error: null,       /* latest failure since the last batch */
+    timer: null,
+  };
+
+  function setEnergy(config) {
+    energy.bodies = (config && config.bodies) || [];
+    energy.gravity = (config && config.gravity) || null;
+    energy.potential = (config && config.potential) || null;
+    energy.error = null;
+    applyScopeCapture();
+  }
+
+  function energyNumber(expr, label) {
+    var value = evaluate(ctl.scope, expr);
+    if (typeof value !== "number" || !isFinite(value)) throw new Error(label + " is not a number");
+    return value;
+  }
+
+  function energyVector(expr, label) {
+    var value = evaluate(ctl.scope, expr);
+    if (!isVector(value)) throw new Error(label + " is not a vector");
+    return value;
+  }
+
+  function energyFrame() {
+    if (energy.bodies.length === 0 || !ctl.scope) return;
+    var kinetic = 0;
+    var potential = 0;
+    try {
+      var g = energy.gravity ? evaluate(ctl.scope, energy.gravity) : null;
+      if (g !== null && !isVector(g) && (typeof g !== "number" || !isFinite(g))) {
+        throw new Error("g is not a number or a vector");
+      }
+      energy.bodies.forEach(function (body) {
+        var m = energyNumber(body.mass, "mass of " + body.name);
+        var v = energyVector(body.velocity, "velocity of " + body.name);
+        kinetic += 0.5 * m * (v.x * v.x + v.y * v.y + v.z * v.z);
+        if (g === null) return;
+        var p = energyVector(body.pos, "position of " + body.name);
+        potential += isVector(g) ? -m * (g.x * p.x + g.y * p.y + g.z * p.z) : m * g * p.y;
+      });
+      if (energy.potential) potential += energyNumber(energy.potential, "potential energy");
+      energy.samples.push([ctl.frameCount, clock.value, kinetic, potential]);
+    } catch (err) {
+      energy.error = String(err && err.message !== undefined ? err.message : err);
+    }
+    if (!energy.timer) energy.timer = setTimeout(flushEnergy, ENERGY_FLUSH_MS);
+  }
+
+  function flushEnergy() {
+    if (energy.timer) clearTimeout(energy.timer);
+    energy.timer = null;
+    if (energy.samples.length === 0 && energy.error === null) return;
+    post("energy", { samples: energy.samples.splice(0), error: energy.error });
+    energy.error = null;
+  }
+
+  /* ── Trace stream ─────────────────────────────────────────
+     Every trace update is kept as a sample
+       [name, value text, blockId, frame, sim time, Date.now()]
+     and sent in "traces" batches every TRACE_FLUSH_MS (or as soon as
+     TRACE_BATCH_MAX samples are waiting), so no intermediate value is
+     lost.
+
+     The IDE acknowledges each batch once it has processed it ("ackTraces").
+     With TRACE_IN_FLIGHT batches unacknowledged, samples queue up here;
+     once TRACE_BACKLOG are queued the next frame hook holds the program
+     (without pausing it) until the IDE has caught up.                    */
+  var TRACE_FLUSH_MS = 50;
+  var TRACE_BATCH_MAX = 2000;
+  var TRACE_IN_FLIGHT = 3;
+  var TRACE_BACKLOG = 10000;
+
+  var stream = {
+    samples: [],       /* samples not yet sent */
+    timer: null,
+    inFlight: 0,       /* batches sent and not yet acknowledged */
+    drainers: [],      /* resolve functions of frames held back by the backlog */
+  };
+
+  function streamSample(name, text, blockId) {
+    stream.samples.push([name, text, blockId, ctl.frameCount, clock.value, Date.now()]);
+    if (stream.samples.length >= TRACE_BATCH_MAX) flushTraces();
+    else if (!stream.timer) stream.timer = setTimeout(flushTraces, TRACE_FLUSH_MS);
+  }
+
+  function flushTraces() {
+    if (stream.timer) clearTimeout(stream.timer);
+    stream.timer = null;
+    while (stream.samples.length > 0 && stream.inFlight < TRACE_IN_FLIGHT) {
+      stream.inFlight++;
+      post("traces", { samples: stream.samples.splice(0, TRACE_BATCH_MAX) });
+    }
+    if (stream.samples.length > 0 && stream.inFlight < TRACE_IN_FLIGHT) {
+      stream.timer = setTimeout(flushTraces, TRACE_FLUSH_MS);
+    }
+  }
+
+  function ackTraces() {
+    stream.inFlight = Math.max(0, stream.inFlight - 1);
+    flushTraces();
+    if (tracesBacklogged()) return;
+    var drainers = stream.drainers;
+    stream.drainers = [];
+    drainers.forEach(function (resolve) { resolve(); });
+  }
+
+  function tracesBacklogged() {
+    return stream.samples.length >= TRACE_BACKLOG;
+  }
+
+  function drainTraces() {
+    return new Promise(function (resolve) { stream.drainers.push(resolve); });
+  }
+
+  /* ── Frame history (time travel) ──────────────────────────
+     While the debugger is open each frame stores a snapshot — the latest
+     traced values (as text, and as copies of the live values read through
+     the scope closure) plus pos / axis / up / size / color / visible of
+     the scene's objects — in a ring buffer of HISTORY_FRAMES entries.
+
+     While held, showFrame() puts the scene back the way it was at an
+     earlier frame without touching the program; leaving the history view
+     (any resume or step) puts the live state back first.  restoreFrame()
+     instead makes the snapshot the live state: traced variables are
+     assigned through the scope closure, later frames are dropped and the
+     frame counter is wound back, so execution continues from there.
+     Variables that are not traced keep their current values.  Objects
+     created after the restored frame are hidden only while execution is
+     held: the program will not create them again, so they get their
+     visibility back as soon as it continues.                              */
+  var HISTORY_FRAMES = 600;
+  var HISTORY_OBJECTS = 300;   /* objects captured per frame (and listed by the inspector) */
+  var OBJECT_ATTRS = ["pos", "axis", "up", "size", "color"];
+
+  var history = {
+    frames: [],          /* [{ frame, vars, objects }], oldest first */
+    traced: new Map(),   /* name → { value, blockId } — latest trace values */
+    viewing: null,       /* frame number shown by showFrame(), null = live */
+    live: null,          /* objects snapshot to put back when leaving the view */
+    touched: new Set(),  /* objects changed while viewing */
+    later: new Map(),    /* object → visible, for objects hidden by restoreFrame() */
+  };
+
+  function traced(name, value, blockId) {
+    var text = String(value);
+    history.traced.set(name, { value: text, blockId: blockId });
+    clockTraced(name, text);
+    streamSample(name, text, blockId);
+    checkUntil(name, text);
+  }
+
+  function sceneObjects() {
+    var C = window.canvas;
+    var scene = window.scene ||
+      (C && (C.selected || (typeof C.get_selected === "function" && C.get_selected())));
+    var list = scene && scene.objects;
+    if (!list || typeof list.length !== "number") return [];
+    return Array.prototype.slice.call(list, 0, HISTORY_OBJECTS);
+  }
+
+  function isVector(value) {
+    return !!value && typeof value === "object" &&
+      typeof value.x === "number" && typeof value.y === "number" && typeof value.z === "number";
+  }
+
+  function makeVector(v) {
+    var make = window.vec || window.vector;
+    return typeof make === "function" ? make(v.x, v.y, v.z) : { x: v.x, y: v.y, z: v.z };
+  }
+
+  /* Numbers, strings and booleans are kept as they are; vectors are
+     copied, since attribute vectors change in place.  Anything else is
+     kept by reference and restores to the same object. */
+  function copyValue(value) {
+    return isVector(value) ? makeVector(value) : value;
+  }
+
+  function snapshotObject(obj) {
+    var attrs = {};
+    OBJECT_ATTRS.forEach(function (name) {
+      try {
+        var value = obj[name];
+        if (isVector(value)) attrs[name] = { x: value.x, y: value.y, z: value.z };
+      } catch (_) {}
+    });
+    try { attrs.visible = obj.visible !== false; } catch (_) {}
+    return { obj: obj, attrs: attrs };
+  }
+
+  function applyObject(entry) {
+    OBJECT_ATTRS.forEach(function (name) {
+      if (!entry.attrs[name]) return;
+      try { entry.obj[name] = makeVector(entry.attrs[name]); } catch (_) {}
+    });
+    if ("visible" in entry.attrs) {
+      try { entry.obj.visible = entry.attrs.visible; } catch (_) {}
+    }
+  }
+
+  /* Put a list of object snapshots on screen; objects that are not in it
+     (created later) are hidden */
+  function applyObjects(objects) {
+    var present = new Set();
+    objects.forEach(function (entry) {
+      present.add(entry.obj);
+      history.touched.add(entry.obj);
+      applyObject(entry);
+    });
+    sceneObjects().forEach(function (obj) {
+      if (present.has(obj)) return;
+      history.touched.add(obj);
+      try { obj.visible = false; } catch (_) {}
+    });
+  }
+
+  function recordFrame() {
+    if (!ctl.capture) return;
+    var vars = {};
+    history.traced.forEach(function (entry, name) {
+      var saved = { value: entry.value, blockId: entry.blockId };
+      if (ctl.scope) {
+        try { saved.raw = copyValue(ctl.scope(name)); } catch (_) {}
+      }
+      vars[name] = saved;
+    });
+    history.frames.push({
+      frame: ctl.frameCount,
+      simTime: clock.value,
+      vars: vars,
+      objects: sceneObjects().map(snapshotObject),
+    });
+    if (history.frames.length > HISTORY_FRAMES) history.frames.shift();
+  }
+
+  /* The snapshot of frame `frameNo`, or the closest one before it (frames
+     run while the debugger was closed are missing) */
+  function findFrame(frameNo) {
+    for (var i = history.frames.length - 1; i >= 0; i--) {
+      if (history.frames[i].frame <= frameNo) return history.frames[i];
+    }
+    return history.frames[0] || null;
+  }
+
+  function traceValues(vars) {
+    var values = {};
+    Object.keys(vars).forEach(function (name) {
+      values[name] = { value: vars[name].value, blockId: vars[name].blockId };
+    });
+    return values;
+  }
+
+  /* history { first, last, viewing, trace? } — trace carries the traced
+     values to show when the view changed */
+  function postHistory(trace) {
+    if (!ctl.capture || history.frames.length === 0) return;
+    var fields = {
+      first: history.frames[0].frame,
+      last: history.frames[history.frames.length - 1].frame,
+      viewing: history.viewing,
+    };
+    if (trace) fields.trace = trace;
+    post("history", fields);
+  }
+
+  function showFrame(frameNo) {
+    if (!isHeld()) return;
+    if (frameNo === null || frameNo === undefined) {
+      leaveHistory();
+      return;
+    }
+    var snapshot = findFrame(frameNo);
+    if (!snapshot) return;
+    if (history.viewing === null) {
+      history.live = sceneObjects().map(snapshotObject);
+      history.touched = new Set();
+    }
+    history.viewing = snapshot.frame;
+    applyObjects(snapshot.objects);
+    postHistory(traceValues(snapshot.vars));
+  }
+
+  /* Objects created after a restored frame, shown again on continuing */
+  function revealLaterObjects() {
+    history.later.forEach(function (visible, obj) {
+      try { obj.visible = visible; } catch (_) {}
+    });
+    history.later = new Map();
+  }
+
+  function leaveHistory() {
+    if (history.viewing === null) {
+      revealLaterObjects();
+      return;
+    }
+    var live = new Set();
+    history.live.forEach(function (entry) {
+      live.add(entry.obj);
+      applyObject(entry);
+    });
+    history.touched.forEach(function (obj) {
+      if (live.has(obj)) return;
+      try { obj.visible = false; } catch (_) {}
+    });
+    history.viewing = null;
+    history.live = null;
+    history.touched = new Set();
+    var current = {};
+    history.traced.forEach(function (entry, name) { current[name] = entry; });
+    postHistory(traceValues(current));
+    revealLaterObjects();
+  }
+
+  function restoreFrame(frameNo) {
+    if (!isHeld()) return;
+    var snapshot = findFrame(frameNo);
+    if (!snapshot) return;
+    var present = new Set(snapshot.objects.map(function (entry) { return entry.obj; }));
+    sceneObjects().forEach(function (obj) {
+      if (present.has(obj) || history.later.has(obj)) return;
+      try { history.later.set(obj, obj.visible !== false); } catch (_) {}
+    });
+    applyObjects(snapshot.objects);
+
+    var failed = [];
+    Object.keys(snapshot.vars).forEach(function (name) {
+      var saved = snapshot.vars[name];
+      if (!("raw" in saved)) {
+        failed.push(name);
+        return;
+      }
+      try {
+        window.__physide_value = copyValue(saved.raw);
+        evaluate(ctl.scope, name + " = window.__physide_value");
+        history.traced.set(name, { value: saved.value, blockId: saved.blockId });
+      } catch (_) {
+        failed.push(name);
+      }
+    });
+    delete window.__physide_value;
+    if (failed.length > 0) {
+      post("log", { level: "warn", text: "Could not restore " + failed.join(", ") + " — they keep their current values", t: Date.now() });
+    }
+
+    history.frames = history.frames.slice(0, history.frames.indexOf(snapshot) + 1);
+    history.viewing = null;
+    history.live = null;
+    history.touched = new Set();
+    ctl.frameCount = snapshot.frame;
+    clock.value = snapshot.simTime;
+    notify(true);
+    postHistory(traceValues(snapshot.vars));
+    postWatches();
+  }
+
+  /* ── Scene inspector ───────────────────────────────────────
+     While the inspector is on, the scene's objects are listed with their
+     type and attributes every SCENE_REPORT_MS (and whenever execution is
+     held).  Objects get a stable ID for the run.  Their variable names come
+     from candidate names the IDE finds in the source (`ball = sphere(…)`),
+     evaluated with the latest scope closure.  A click in the 3-D view
+     reports the object under the mouse as `picked`.                      */
+  var SCENE_REPORT_MS = 250;
+  var OBJECT_TYPES = [
+    "simple_sphere", "ellipsoid", "sphere", "box", "cylinder", "cone", "pyramid", "arrow",
+    "helix", "ring", "curve", "points", "label", "text", "extrusion", "compound",
+    "local_light", "distant_light",
+  ];
+  var INSPECT_ATTRS = [
+    "pos", "axis", "up", "size", "radius", "length", "color", "opacity", "visible",
+    "velocity", "momentum", "mass", "make_trail", "trail_type", "trail_radius", "retain", "interval", "text",
+  ];
+
+  var inspector = { enabled: false, names: [], ids: new WeakMap(), byId: new Map(), nextId: 1, timer: null };
+
+  function setInspector(inspect) {
+    inspector.enabled = !!(inspect && inspect.enabled);
+    inspector.names = (inspect && inspect.names) || [];
+    clearInterval(inspector.timer);
+    inspector.timer = inspector.enabled ? setInterval(function () { postScene(null); }, SCENE_REPORT_MS) : null;
+  }
+
+  function objectId(obj) {
+    var id = inspector.ids.get(obj);
+    if (!id) {
+      id = inspector.nextId++;
+      inspector.ids.set(obj, id);
+      inspector.byId.set(id, obj);
+    }
+    return id;
+  }
+
+  function objectType(obj) {
+    for (var i = 0; i < OBJECT_TYPES.length; i++) {
+      var cls = window[OBJECT_TYPES[i]];
+      try {
+        if (typeof cls === "function" && obj instanceof cls) return OBJECT_TYPES[i];
+      } catch (_) {}
+    }
+    return "object";
+  }
+
+  function formatAttr(value) {
+    if (isVector(value)) {
+      return "<" + [value.x, value.y, value.z].map(function (n) { return +n.toPrecision(4); }).join(", ") + ">";
+    }
+    if (typeof value === "number") return String(+value.toPrecision(6));
+    return formatWatchValue(value);
+  }
+
+  function objectAttrs(obj) {
+    var attrs = {};
+    INSPECT_ATTRS.forEach(function (name) {
+      try {
+        var value = obj[name];
+        if (value !== undefined && value !== null && typeof value !== "function") attrs[name] = formatAttr(value);
+      } catch (_) {}
+    });
+    return attrs;
+  }
+
+  /* Object → variable name, for the candidate names in scope now */
+  function objectNames() {
+    var names = new Map();
+    if (!ctl.scope) return names;
+    inspector.names.forEach(function (name) {
+      try {
+        var value = ctl.scope(name);
+        if (value && typeof value === "object" && !names.has(value)) names.set(value, name);
+      } catch (_) {}
+    });
+    return names;
+  }
+
+  function postScene(picked) {
+    if (!inspector.enabled) return;
+    var names = objectNames();
+    post("scene", {
+      objects: sceneObjects().map(function (obj) {
+        return { id: objectId(obj), name: names.get(obj) || null, type: objectType(obj), attrs: objectAttrs(obj) };
+      }),
+      picked: picked,
+    });
+  }
+
+  /* scene.mouse.pick is a property in some GlowScript versions and a
+     method in others */
+  function pickedObject() {
+    var C = window.canvas;
+    var scene = window.scene ||
+      (C && (C.selected || (typeof C.get_selected === "function" && C.get_selected())));
+    var mouse = scene && scene.mouse;
+    if (!mouse) return null;
+    var pick = mouse.pick;
+    if (typeof pick === "function") pick = pick.call(mouse);
+    return pick && typeof pick === "object" ? pick : null;
+  }
+
+  function installPicking() {
+    document.addEventListener("click", function (event) {
+      if (!inspector.enabled || !event.target || event.target.tagName !== "CANVAS") return;
+      var obj = null;
+      try { obj = pickedObject(); } catch (_) {}
+      if (obj) postScene(objectId(obj));
+    }, true);
+  }
+
+  /* Flash an object by swapping its colour for its complement a few times */
+  var FLASH_TOGGLES = 6;
+  var FLASH_MS = 150;
+
+  function highlightObject(id) {
+    var obj = inspector.byId.get(id);
+    if (!obj || obj.__physide_flashing) return;
+    var original;
+    try { original = obj.color; } catch (_) {}
+    if (!isVector(original)) return;
+    var saved = { x: original.x, y: original.y, z: original.z };
+    var flash = { x: 1 - saved.x, y: 1 - saved.y, z: 1 - saved.z };
+    var count = 0;
+    obj.__physide_flashing = true;
+    var timer = setInterval(function () {
+      count++;
+      try { obj.color = makeVector(count % 2 ? flash : saved); } catch (_) {}
+      if (count >= FLASH_TOGGLES) {
+        clearInterval(timer);
+        delete obj.__physide_flashing;
+      }
+    }, FLASH_MS);
+  }
+
+  /* ── Loop watchdog ────────────────────────────────────────
+     glowRunner puts __physide_tick(line) at the top of every loop body in
+     the compiled program.  A heartbeat timer records when the page last
+     got a turn; a loop that keeps the thread for longer than the timeout
+     without awaiting rate() (or anything else) is stopped by throwing from
+     tick().  Once tripped every tick throws, so a try/except in the
+     program cannot keep the loop alive.                                  */
+  var LOOP_CHECK_EVERY = 100;   /* iterations between clock reads */
+  var HEARTBEAT_MS = 100;
+
+  var watchdog = { timeoutMs: 3000, lastYield: Date.now(), count: 0, tripped: null, timer: null };
+
+  function markYield() {
+    watchdog.lastYield = Date.now();
+  }
+
+  function tick(line) {
+    if (watchdog.tripped) throw watchdog.tripped;
+    if (++watchdog.count % LOOP_CHECK_EVERY !== 0) return;
+    if (Date.now() - watchdog.lastYield < watchdog.timeoutMs) return;
+    var err = new Error(
+      "Loop never calls rate(): it ran for " + watchdog.timeoutMs / 1000 +
+        " s without letting the page update and was stopped. Add rate(...) inside the loop."
+    );
+    err.name = "LoopTimeout";
+    if (line) err.sourceLine = line;
+    watchdog.tripped = err;
+    clearInterval(watchdog.timer);
+    throw err;
+  }
+
+  function startWatchdog(timeoutMs) {
+    if (timeoutMs > 0) watchdog.timeoutMs = timeoutMs;
+    markYield();
+    watchdog.timer = setInterval(markYield, HEARTBEAT_MS);
+  }
+
+  /* Route rate() through the controller so every animated program can be
+     paused at frame granularity.  GlowScript awaits rate(), so returning a
+     promise that settles after the pause holds the program there.        */
+  function hookRate() {
+    var originalRate = window.rate;
+    if (typeof originalRate !== "function") return;
+    window.rate = function () {
+      markYield();
+      var result = originalRate.apply(this, arguments);
+      if (!frame("rate")) return result;
+      return Promise.resolve(result).then(wait);
+    };
+  }
+
+  /* ── Program start ──────────────────────────────────────── */
+
+  function reportAsyncError(err) {
+    post("error", Object.assign({ phase: "runtime" }, errorFields(err)));
+  }
+
+  function watchPromise(result) {
+    if (result && typeof result.then === "function") {
+      result.then(
+        function () { post("lifecycle", { phase: "finished" }); },
+        reportAsyncError
+      );
+    }
+  }
+
+  async function runProgram(code, breakpoints, watches, inspect, energyConfig, clockConfig, loopTimeoutMs) {
+    setClock(clockConfig);
+    setEnergy(energyConfig);
+    setWatches(watches);
+    setBreakpoints(breakpoints);
+    setInspector(inspect);
+    window.__physide_tick  = tick;
+    window.__physide_hit   = hit;
+    window.__physide_stmt  = stmt;
+    window.__physide_frame = frame;
+    window.__physide_wait  = wait;
+    window.__physide_trace = traced;
+
+    var mount = document.createElement("div");
+    mount.id = "glowscript";
+    mount.style.width = "100%";
+    mount.style.height = "100%";
+
+    var root = document.getElementById("glowscript-root");
+    if (!root) throw new Error("GlowScript runtime mount root not found.");
+    root.innerHTML = "";
+    root.appendChild(mount);
+
+    var jqContainer = typeof window.jQuery === "function" ? window.jQuery(mount) : mount;
+
+    installConsoleCapture();
+    installPicking();
+    hookRate();
+
+    window.__context = { glowscript_container: jqContainer };
+    window.glowscript_container = jqContainer;
+    if (window.GlowScript) {
+      window.GlowScript.context = { glowscript_container: mount };
+    }
+
+    startWatchdog(loopTimeoutMs);
+
+    /* Indirect eval: the program's declarations become frame globals */
+    (0, eval)(code);
+
+    if (typeof window.__main__ === "function") {
+      watchPromise(window.__main__());
+    }
+
+    var fallbackEntrypoints = [
+      window.__context && window.__context.__main__,
+      window.__context && window.__context.glowscript_main,
+      window.glowscript_main,
+      window.main,
+    ].filter(function (fn) { return typeof fn === "function"; });
+
+    if (!document.querySelector("canvas")) {
+      fallbackEntrypoints.forEach(function (entrypoint) { watchPromise(entrypoint()); });
+    }
+
+    await new Promise(function (resolve) { setTimeout(resolve, 120); });
+    post("lifecycle", { phase: "started" });
+    return { canvas: !!document.querySelector("canvas"), main: typeof window.__main__ };
+  }
+
+  /* ── Command dispatch ───────────────────────────────────── */
+
+  async function handleCommand(msg) {
+    switch (msg.name) {
+      case "load": {
+        var scripts = await loadRuntime(msg.scripts || []);
+        post("lifecycle", { phase: "loaded" });
+        return { scripts: scripts, diag: buildDiag() };
+      }
+      case "compile":
+        return { code: compileProgram(msg.source, msg.compilerVersion) };
+      case "run":
+        return runProgram(msg.code, msg.breakpoints, msg.watches, msg.inspect, msg.energy, msg.clock, msg.loopTimeoutMs);
+      case "control":
+        if (controls[msg.action]) controls[msg.action](msg);
+        return null;
+      case "evaluate":
+        return evaluateCommand(msg.code, msg.trace);
+      default:
+        throw new Error("Unknown runtime command: " + msg.name);
+    }
+  }
+
+  window.addEventListener("message", function (event) {
+    if (event.source !== window.parent || event.origin !== config.parentOrigin) return;
+    var msg = event.data;
+    if (
+      !msg || msg.protocol !== config.protocol || msg.version !== config.version ||
+      msg.run !== config.run || msg.kind !== "command"
+    ) {
+      return;
+    }
+    handleCommand(msg).then(
+      function (result) {
+        if (msg.id) post("reply", { id: msg.id, ok: true, result: result });
+      },
+      function (err) {
+        if (!msg.id) return;
+        var error = errorFields(err);
+        if (err && err.scripts) error.scripts = err.scripts;
+        error.diag = buildDiag();
+        post("reply", { id: msg.id, ok: false, error: error });
+      }
+    );
+  });
+
+  post("lifecycle", { phase: "ready" });
+})();
@@ -0,0 +1,110 @@
+/*
+ * fetch-runtime.js
+ *
+ * Downloads the GlowScript runtime scripts into public/glowscript/ so the
+ * "Bundled (offline)" source (src/utils/runtimeSources.js) has something to
+ * serve: every build then carries its own copy, and lab machines behind a
+ * firewall only need to reach the IDE's own server.  Runs before `npm start`
+ * and `npm run build`; files already present are kept.
+ *
+ * The file names and upstream URLs are read from RUNTIME_SCRIPTS, and the
+ * versions from RUNTIME_VERSIONS (src/utils/runtimeVersions.js), so the
+ * list cannot drift from what the runtime frame asks for.  A download that
+ * fails only warns: the IDE still falls back to the mirror and the CDN.
+ *
+ *   node scripts/fetch-runtime.js [--force]
+ */
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const https = require("https");
+
+const ROOT = path.join(__dirname, "..");
+const TARGET = path.join(ROOT, "public", "glowscript");
+const TIMEOUT_MS = 30000;
+
+function readSource(file) {
+  return fs.readFileSync(path.join(ROOT, "src", "utils", file), "utf8");
+}
+
+/* [{ file, cdn }] from the RUNTIME_SCRIPTS entries */
+function runtimeScripts() {
+  const source = readSource("runtimeSources.js");
+  const list = source.slice(source.indexOf("export const RUNTIME_SCRIPTS"));
+  const scripts = [];
+  const re = /file:\s*"([^"]+)",\s*cdn:\s*"([^"]+)"/g;
+  let m;
+  while ((m = re.exec(list)) !== null) scripts.push({ file: m[1], cdn: m[2] });
+  return scripts;
+}
+
+/* Distinct compiler versions of RUNTIME_VERSIONS */
+function compilerVersions() {
+  const matches = readSource("runtimeVersions.js").match(/compilerVersion:\s*"([^"]+)"/g) || [];
+  return Array.from(new Set(matches.map((s) => s.match(/"([^"]+)"/)[1])));
+}
+
+function download(url, redirects = 5) {
+  return new Promise((resolve, reject) => {
+    const request = https.get(url, (res) => {
+      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location && redirects > 0) {
+        res.resume();
+        resolve(download(new URL(res.headers.location, url).href, redirects - 1));
+        return;
+      }
+      if (res.statusCode !== 200) {
+        res.resume();
+        reject(new Error(`HTTP ${res.statusCode}`));
+        return;
+      }
+      const chunks = [];
+      res.on("data", (chunk) => chunks.push(chunk));
+      res.on("end", () => resolve(Buffer.concat(chunks)));
+      res.on("error", reject);
+    });
+    request.setTimeout(TIMEOUT_MS, () => request.destroy(new Error("timed out")));
+    request.on("error", reject);
+  });
+}
+
+async function main() {
+  const force = process.argv.includes("--force");
+  const versions = compilerVersions();
+  const wanted = new Map();   // file name → URL
+  runtimeScripts().forEach(({ file, cdn }) => {
+    const perVersion = file.includes("{version}") ? versions : [null];
+    perVersion.forEach((v) => {
+      wanted.set(v ? file.replace(/\{version\}/g, v) : file, v ? cdn.replace(/\{version\}/g, v) : cdn);
+    });
+  });
+
+  fs.mkdirSync(TARGET, { recursive: true });
+  let fetched = 0;
+  const failed = [];
+  for (const [file, url] of wanted) {
+    const dest = path.join(TARGET, file);
+    if (!force && fs.existsSync(dest)) continue;
+    try {
+      const body = await download(url);
+      /* A server's HTML error page is not a script */
+      if (/^\s*</.test(body.slice(0, 256).toString("utf8"))) throw new Error("got HTML instead of JavaScript");
+      fs.writeFileSync(dest, body);
+      fetched++;
+    } catch (err) {
+      failed.push(`${file} (${err.message})`);
+    }
+  }
+
+  if (fetched > 0) console.log(`GlowScript runtime: downloaded ${fetched} file(s) into public/glowscript/`);
+  if (failed.length > 0) {
+    console.warn(
+      `GlowScript runtime: could not download ${failed.join(", ")}.\n` +
+      "  The bundled copy is incomplete; the IDE will load those scripts from the mirror or CDN instead."
+    );
+  }
+}
+
+main().catch((err) => {
+  console.warn("GlowScript runtime: " + err.message);
+});
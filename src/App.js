@@ -1,4 +1,4 @@
-import React, { useCallback, useEffect, useRef, useState } from "react";
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import BlocklyWorkspace from "./components/BlocklyWorkspace";
 import { ReadOnlyBlockly } from "./components/BlocklyWorkspace";
 import CodeEditor from "./components/CodeEditor";
@@ -8,87 +8,215 @@ import ModeToggle from "./components/ModeToggle";
 import StartMenu from "./components/StartMenu";
 import HelpPage from "./components/HelpPage";
 import VariableDialog from "./components/VariableDialog";
+import RuntimeDiagnostics from "./components/RuntimeDiagnostics";
+import ConsolePanel from "./components/ConsolePanel";
 import { BlocksIcon, CodeIcon, GlobeIcon } from "./components/Icons";
 import { useTheme } from "./ThemeContext";
-import { generatePythonFromWorkspace } from "./utils/blocklyGenerator";
+import { generatePythonFromWorkspace, blockIdForLine, linesForBlock, integratedObjects } from "./utils/blocklyGenerator";
 import { exportBlocks, exportPython } from "./utils/exportUtils";
 import * as dialogService from "./utils/dialogService";
 import { exportBlocksPdf, exportCodePdf } from "./utils/pdfExport";
-import { runPython, stopPython, pausePython, resumePython, stepPython, setBreakpoints as syncBreakpointsToIframe } from "./utils/glowRunner";
+import { runPython, stopPython, pausePython, resumePython, stepPython, stepFrames, runUntil, showFrame, restoreFrame, setBreakpoints as syncBreakpointsToIframe, setWatches as syncWatchesToIframe, setInspector as syncInspectorToIframe, setEnergyMonitor as syncEnergyToIframe, highlightObject, evaluatePython, setTracedVariable, acknowledgeTraces, readRuntimeMessage } from "./utils/glowRunner";
+import { findObjectNames } from "./utils/pythonInstrumenter";
+import { createRingBuffer, DEFAULT_TRACE_CAPACITY, normalizeTraceCapacity } from "./utils/traceBuffer";
+import { parseVector, nextStats, VECTOR_COMPONENTS } from "./utils/traceValues";
+import { appendEnergy, defaultBody, DEFAULT_ENERGY_SETTINGS } from "./utils/energy";
+import { createRecording, MAX_RECORDINGS } from "./utils/recordings";
+import { hashSource } from "./utils/compileService";
+import { createBreakpoint, serializeBreakpoints, restoreBreakpoints, extractBreakpointComment, extractBreakpointXml } from "./utils/breakpoints";
 import DebugMode from "./components/DebugMode";
-import { loadState, saveState } from "./utils/storage";
+import { loadState, saveState, loadRecordings, saveRecordings } from "./utils/storage";
+import {
+  DEFAULT_RUNTIME_VERSION,
+  RUNTIME_VERSIONS,
+  getRuntimeVersion,
+  parseVersionHeader,
+  resolveRuntimeVersion,
+} from "./utils/runtimeVersions";
 import { EXAMPLES } from "./utils/precodedExamples";
 import { BLOCK_TEMPLATES } from "./utils/blockTemplates";
 import html2canvas from "html2canvas";
 
 const DEFAULT_CODE = "# Build your model in blocks, or write VPython here.\n";
+const CONSOLE_MAX_ENTRIES = 2000; // oldest console entries are dropped beyond this
+
+/* "load 410 ms · compile 85 ms" — where a Run spent its time */
+function formatRunTiming(timing) {
+  if (!timing) return "";
+  const ms = (t) => (t >= 1000 ? `${(t / 1000).toFixed(1)} s` : `${Math.round(t)} ms`);
+  const compile = timing.compiledBy === "cache"
+    ? "compile cached"
+    : `compile ${ms(timing.compile)}${timing.compiledBy === "runtime" ? " (main thread)" : ""}`;
+  return `load ${ms(timing.load)} · ${compile}`;
+}
 
 function App() {
   const { isDark, toggle: toggleTheme } = useTheme();
   const workspaceRef = useRef(null);
   const [showStart, setShowStart] = useState(true);
   const [showHelp, setShowHelp] = useState(false);
+  const [showRuntimeDiag, setShowRuntimeDiag] = useState(false);
   const [mode, setMode] = useState("blocks");
   const [projectType, setProjectType] = useState("custom");
   const [pythonCode, setPythonCode] = useState(DEFAULT_CODE);
   const [workspaceXml, setWorkspaceXml] = useState("");
+  const [runtimeVersion, setRuntimeVersion] = useState(DEFAULT_RUNTIME_VERSION);
   const [running, setRunning] = useState(false);
   const [status, setStatus] = useState({ text: "Ready", type: "" });
   const [blocklyZoom, setBlocklyZoom] = useState(90); // percentage (startScale 0.9 = 90%)
   const [splitPct, setSplitPct] = useState(50);           // editor panel width %
   const [viewportHidden, setViewportHidden] = useState(false); // hide 3D viewport panel
   const [beginnerMode, setBeginnerMode] = useState(false);  // simplified toolbox
-  const [traceData, setTraceData] = useState(() => new Map()); // Map<name,{value,blockId,count,flashKey}>
+  const [traceData, setTraceData] = useState(() => new Map()); // Map<name,{value,blockId,count,flashKey,delta,min,max,components,samples}>
+  const [traceCapacity, setTraceCapacity] = useState(DEFAULT_TRACE_CAPACITY); // samples kept per variable
   const [debugMode, setDebugMode] = useState(false);
   const [paused, setPaused] = useState(false);
+  const [pauseInfo, setPauseInfo] = useState({ frame: 0, simTime: null, reason: null });
   const [recording, setRecording] = useState(false);
-  const [breakpoints, setBreakpoints] = useState(() => new Set());
+  const [projectKey, setProjectKey] = useState("session"); // names the project its recordings are saved under
+  const [recordings, setRecordings] = useState({ project: null, list: [] }); // saved recordings of projectKey (utils/recordings.js)
+  const [breakpoints, setBreakpoints] = useState(() => new Map()); // Map<id, breakpoint> — see utils/breakpoints.js
+  const [watchExpressions, setWatchExpressions] = useState([]); // Python watch expressions (Debug Mode)
+  const [watchResults, setWatchResults] = useState([]);         // [{ ok, value | error } | null] by index
+  const [frameHistory, setFrameHistory] = useState(null);       // { first, last, viewing } recorded frames (Debug Mode)
+  const [blockCounts, setBlockCounts] = useState(null);         // { blockId: times run } from statement hooks
+  const [sceneObjects, setSceneObjects] = useState([]);         // [{ id, name, type, attrs }] (scene inspector)
+  const [pickedObject, setPickedObject] = useState(null);       // { id, seq } clicked in the 3-D view
+  const [energySettings, setEnergySettings] = useState(DEFAULT_ENERGY_SETTINGS); // energy monitor bodies, g, extra PE (Python)
+  const [energy, setEnergy] = useState({ samples: [], error: null }); // per-frame energies from the runtime
   const [executingBlockId, setExecutingBlockId] = useState(null);
+  const [runError, setRunError] = useState(null); // { line, column, message, blockId } of the last failed run
+  const [selectedBlockId, setSelectedBlockId] = useState(null); // shared by block editor and code view (source map)
+  const [consoleEntries, setConsoleEntries] = useState([]); // [{ id, run, kind, level, text, t }]
+  const consoleQueueRef = useRef([]);
+  const consoleTimerRef = useRef(null);
+  const consoleRunRef   = useRef(0);
+  const consoleIdRef    = useRef(0);
   const recordBufferRef = useRef([]);
+  const traceSamplesRef = useRef(new Map()); // Map<name, ring buffer of { seq, value, vector, frame, simTime, t }>
+  const traceSeqRef = useRef(0);              // arrival order of samples across variables
+  const traceCapacityRef = useRef(DEFAULT_TRACE_CAPACITY);
   const recordingRef   = useRef(false);
-  const breakpointsRef = useRef(new Set());
   const highlightTimerRef = useRef(null);
+  const statementHighlightRef = useRef(false); // the run reports statements: they drive the highlight
 
-  // Keep refs in sync with state for use inside stable closures
+  // The runner keeps the breakpoints for the current and every later run
   useEffect(() => {
-    breakpointsRef.current = breakpoints;
     syncBreakpointsToIframe(breakpoints);
   }, [breakpoints]);
 
+  // Watches are evaluated only while the debugger is open
+  useEffect(() => {
+    syncWatchesToIframe(watchExpressions, debugMode);
+  }, [watchExpressions, debugMode]);
+
+  // The scene inspector runs with the debugger; object names come from the code
+  useEffect(() => {
+    syncInspectorToIframe(debugMode, debugMode ? findObjectNames(pythonCode) : []);
+  }, [debugMode, pythonCode]);
+
+  // Energy monitor: the declared bodies, or the objects the blocks integrate
+  const energyDetected = useMemo(
+    () => (debugMode && projectType !== "code_blank" && projectType !== "code_template" ? integratedObjects(workspaceXml) : []),
+    [debugMode, projectType, workspaceXml]
+  );
+  useEffect(() => {
+    syncEnergyToIframe(debugMode
+      ? { ...energySettings, bodies: energySettings.bodies || energyDetected.map(defaultBody) }
+      : null);
+  }, [debugMode, energySettings, energyDetected]);
+
   const handleHelp = useCallback(() => setShowHelp(true), []);
 
+  /* ── Console: entries from the runtime iframe and the IDE, flushed in batches ── */
+  const queueConsoleEntry = useCallback((kind, level, text, t = Date.now()) => {
+    consoleQueueRef.current.push({ id: ++consoleIdRef.current, run: consoleRunRef.current, kind, level, text, t });
+    if (consoleTimerRef.current) return;
+    consoleTimerRef.current = setTimeout(() => {
+      const batch = consoleQueueRef.current;
+      consoleQueueRef.current = [];
+      consoleTimerRef.current = null;
+      setConsoleEntries((prev) => {
+        const next = prev.concat(batch);
+        return next.length > CONSOLE_MAX_ENTRIES ? next.slice(next.length - CONSOLE_MAX_ENTRIES) : next;
+      });
+    }, 50);
+  }, []);
+
+  const logToConsole = useCallback(
+    (level, text) => queueConsoleEntry("line", level, text),
+    [queueConsoleEntry]
+  );
+
+  const handleClearConsole = useCallback(() => {
+    consoleQueueRef.current = [];
+    setConsoleEntries([]);
+  }, []);
+
+  useEffect(() => {
+    const handleConsoleMessage = (event) => {
+      const msg = readRuntimeMessage(event);
+      if (msg && msg.kind === 'log') {
+        queueConsoleEntry("line", msg.level || "log", String(msg.text ?? ""), msg.t || Date.now());
+      }
+    };
+    window.addEventListener('message', handleConsoleMessage);
+    return () => {
+      window.removeEventListener('message', handleConsoleMessage);
+      if (consoleTimerRef.current) clearTimeout(consoleTimerRef.current);
+    };
+  }, [queueConsoleEntry]);
+
   /* ── Trace callback — registered on window so glowRunner iframe can call it ── */
   useEffect(() => {
-    window.__physide_trace_cb = (batch) => {
-      // When recording, buffer the timestamped rows
-      if (recordingRef.current) {
-        const t = Date.now();
-        for (const [name, { v }] of Object.entries(batch)) {
-          recordBufferRef.current.push({ t, name, value: v, delta: null, min: null, max: null });
-        }
+    /* Yellow glow on the running block; `hold` keeps it while paused */
+    const highlightExecuting = (blockId, hold) => {
+      setExecutingBlockId(blockId);
+      if (workspaceRef.current) {
+        try { workspaceRef.current.highlightBlock(blockId); } catch (_) {}
       }
+      if (highlightTimerRef.current) clearTimeout(highlightTimerRef.current);
+      highlightTimerRef.current = hold ? null : setTimeout(() => {
+        setExecutingBlockId(null);
+        try { workspaceRef.current?.highlightBlock(null); } catch (_) {}
+      }, 250);
+    };
 
-      // Check breakpoints — auto-pause when a traced block ID matches
-      if (breakpointsRef.current.size > 0) {
-        for (const { b } of Object.values(batch)) {
-          if (b && breakpointsRef.current.has(b)) {
-            pausePython();
-            setPaused(true);
-            break;
-          }
+    /* The sample buffer of a variable; shared by every version of its
+       trace table entry and mutated in place */
+    const samplesFor = (name) => {
+      let buffer = traceSamplesRef.current.get(name);
+      if (!buffer) {
+        buffer = createRingBuffer(traceCapacityRef.current);
+        traceSamplesRef.current.set(name, buffer);
+      }
+      return buffer;
+    };
+
+    /* samples — [[name, value, blockId, frame, simTime, t]], oldest first */
+    window.__physide_trace_cb = (samples) => {
+      // Vector values ("<1, 2, 0>") are parsed once, for the table and sparklines
+      const parsed = samples.map(([name, value, blockId, frame, simTime, t]) => (
+        { name, value, blockId, frame, simTime, t, vector: parseVector(value) }
+      ));
+      for (const { name, value, vector, frame, simTime, t } of parsed) {
+        samplesFor(name).push({ seq: ++traceSeqRef.current, value, vector, frame, simTime, t });
+        // When recording, buffer every sample with its runtime stamps
+        if (recordingRef.current) {
+          recordBufferRef.current.push({ t, simTime, frame, name, value });
         }
       }
 
       setTraceData((prev) => {
         const next = new Map(prev);
-        for (const [name, { v, b }] of Object.entries(batch)) {
-          const existing = prev.get(name);
+        for (const { name, value: v, blockId: b, vector } of parsed) {
+          const existing = next.get(name);
           const prevVal  = existing?.value;
           const numV     = parseFloat(v);
           const numPrev  = parseFloat(prevVal);
           const isNum    = !isNaN(numV);
 
-          // Delta: difference from previous numeric value
+          // Delta: difference from the previous sample
           const delta = (isNum && existing && !isNaN(numPrev))
             ? parseFloat((numV - numPrev).toFixed(6))
             : null;
@@ -99,11 +227,14 @@ function App() {
           const newMin  = isNum ? (prevMin === null || prevMin === undefined ? numV : Math.min(prevMin, numV)) : null;
           const newMax  = isNum ? (prevMax === null || prevMax === undefined ? numV : Math.max(prevMax, numV)) : null;
 
-          // Rolling history (last 60 values, numeric only)
-          const prevHistory = existing?.history || [];
-          const history = isNum
-            ? [...prevHistory.slice(-59), v]
-            : prevHistory;
+          // Vectors: delta / min / max per component and magnitude
+          let components = null;
+          if (vector) {
+            components = {};
+            for (const { key } of VECTOR_COMPONENTS) {
+              components[key] = nextStats(existing?.components?.[key], vector[key]);
+            }
+          }
 
           next.set(name, {
             value:    v,
@@ -113,50 +244,118 @@ function App() {
             delta,
             min:      newMin,
             max:      newMax,
-            history,
+            components,
+            samples:  samplesFor(name),
           });
         }
         return next;
       });
       // Highlight the last traced block in the Blockly workspace
-      const entries = Object.entries(batch);
-      if (entries.length > 0) {
-        const lastBlockId = entries[entries.length - 1][1].b;
-        setExecutingBlockId(lastBlockId);
-        if (workspaceRef.current) {
-          try { workspaceRef.current.highlightBlock(lastBlockId); } catch (_) {}
-        }
-        if (highlightTimerRef.current) clearTimeout(highlightTimerRef.current);
-        highlightTimerRef.current = setTimeout(() => {
-          setExecutingBlockId(null);
-          try { workspaceRef.current?.highlightBlock(null); } catch (_) {}
-        }, 250);
+      if (parsed.length > 0 && !statementHighlightRef.current) {
+        highlightExecuting(parsed[parsed.length - 1].blockId, false);
       }
     };
 
-    /* ── Listen for postMessage trace data from the GlowScript iframe ── */
-    let traceBatch = {};
-    let traceTimer = null;
-    const handleTraceMessage = (event) => {
-      if (event.data && event.data.type === '__phtr') {
-        traceBatch[event.data.n] = { v: event.data.v, b: event.data.b || '' };
-        if (!traceTimer) {
-          traceTimer = setTimeout(() => {
-            if (typeof window.__physide_trace_cb === 'function') {
-              window.__physide_trace_cb(traceBatch);
-            }
-            traceBatch = {};
-            traceTimer = null;
-          }, 50);
-        }
+    /* ── Trace batches from the current run's runtime iframe: every sample
+          is applied once per animation frame, then the batches are
+          acknowledged so the runtime sends more (its back-pressure) ── */
+    let pendingSamples = [];
+    let pendingBatches = 0;
+    let traceFrame = null;
+    const flushTraces = () => {
+      const samples = pendingSamples;
+      const batches = pendingBatches;
+      pendingSamples = [];
+      pendingBatches = 0;
+      traceFrame = null;
+      if (typeof window.__physide_trace_cb === 'function') {
+        window.__physide_trace_cb(samples);
       }
+      for (let i = 0; i < batches; i++) acknowledgeTraces();
+    };
+    const handleTraceMessage = (event) => {
+      const msg = readRuntimeMessage(event);
+      if (!msg || msg.kind !== 'traces' || !Array.isArray(msg.samples)) return;
+      pendingSamples = pendingSamples.concat(msg.samples);
+      pendingBatches += 1;
+      if (!traceFrame) traceFrame = requestAnimationFrame(flushTraces);
     };
     window.addEventListener('message', handleTraceMessage);
 
+    /* ── Pause state reported by the runtime (breakpoint, step, run-until) ── */
+    const handleStateMessage = (event) => {
+      const msg = readRuntimeMessage(event);
+      if (msg && msg.kind === 'state') {
+        setPaused(!!msg.paused);
+        setPauseInfo({ frame: msg.frame || 0, simTime: msg.simTime ?? null, reason: msg.reason || null });
+      }
+    };
+    window.addEventListener('message', handleStateMessage);
+
+    /* ── Watch values, evaluated by the runtime on every pause ── */
+    const handleWatchMessage = (event) => {
+      const msg = readRuntimeMessage(event);
+      if (msg && msg.kind === 'watch') setWatchResults(msg.results || []);
+    };
+    window.addEventListener('message', handleWatchMessage);
+
+    /* ── Frame history range; when the frame shown changes the trace table
+          shows that frame's values (without counting them as updates) ── */
+    const handleHistoryMessage = (event) => {
+      const msg = readRuntimeMessage(event);
+      if (!msg || msg.kind !== 'history') return;
+      setFrameHistory({ first: msg.first, last: msg.last, viewing: msg.viewing ?? null });
+      if (!msg.trace) return;
+      setTraceData((prev) => {
+        const next = new Map(prev);
+        for (const [name, { value, blockId }] of Object.entries(msg.trace)) {
+          const existing = prev.get(name);
+          next.set(name, existing
+            ? { ...existing, value, flashKey: existing.flashKey + 1 }
+            : { value, blockId, count: 0, flashKey: 1, delta: null, min: null, max: null, components: null, samples: samplesFor(name) });
+        }
+        return next;
+      });
+    };
+    window.addEventListener('message', handleHistoryMessage);
+
+    /* ── Statement hooks: the block now running and how often each ran ── */
+    const handleStatementsMessage = (event) => {
+      const msg = readRuntimeMessage(event);
+      if (!msg || msg.kind !== 'statements') return;
+      statementHighlightRef.current = true;
+      setBlockCounts(msg.counts || null);
+      highlightExecuting(msg.current, !!msg.held);
+    };
+    window.addEventListener('message', handleStatementsMessage);
+
+    /* ── Scene inspector: object list, and the object clicked in the view ── */
+    const handleSceneMessage = (event) => {
+      const msg = readRuntimeMessage(event);
+      if (!msg || msg.kind !== 'scene') return;
+      setSceneObjects(msg.objects || []);
+      if (msg.picked) setPickedObject((prev) => ({ id: msg.picked, seq: (prev ? prev.seq : 0) + 1 }));
+    };
+    window.addEventListener('message', handleSceneMessage);
+
+    /* ── Energy monitor: kinetic and potential energy per frame ── */
+    const handleEnergyMessage = (event) => {
+      const msg = readRuntimeMessage(event);
+      if (!msg || msg.kind !== 'energy') return;
+      setEnergy((prev) => ({ samples: appendEnergy(prev.samples, msg.samples || []), error: msg.error || null }));
+    };
+    window.addEventListener('message', handleEnergyMessage);
+
     return () => {
       window.__physide_trace_cb = null;
       window.removeEventListener('message', handleTraceMessage);
-      if (traceTimer) clearTimeout(traceTimer);
+      window.removeEventListener('message', handleStateMessage);
+      window.removeEventListener('message', handleWatchMessage);
+      window.removeEventListener('message', handleHistoryMessage);
+      window.removeEventListener('message', handleStatementsMessage);
+      window.removeEventListener('message', handleSceneMessage);
+      window.removeEventListener('message', handleEnergyMessage);
+      if (traceFrame) cancelAnimationFrame(traceFrame);
     };
   // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []); // setTraceData and workspaceRef are both stable
@@ -194,14 +393,24 @@ function App() {
     if (typeof saved.workspaceXml === "string") {
       setWorkspaceXml(saved.workspaceXml);
     }
+    if (typeof saved.runtimeVersion === "string") {
+      setRuntimeVersion(getRuntimeVersion(saved.runtimeVersion).id);
+    }
+    traceCapacityRef.current = normalizeTraceCapacity(saved.traceCapacity);
+    setTraceCapacity(traceCapacityRef.current);
+    setBreakpoints(restoreBreakpoints(saved.breakpoints));
+    if (typeof saved.projectKey === "string") setProjectKey(saved.projectKey);
   }, []);
 
   /* ── Auto-save every 2 s ───────────────────────────────── */
-  const stateRef = useRef({ mode, pythonCode, workspaceXml });
-  stateRef.current = { mode, pythonCode, workspaceXml };
+  const stateRef = useRef({ mode, pythonCode, workspaceXml, runtimeVersion, breakpoints, traceCapacity, projectKey });
+  stateRef.current = { mode, pythonCode, workspaceXml, runtimeVersion, breakpoints, traceCapacity, projectKey };
 
   useEffect(() => {
-    const id = window.setInterval(() => saveState(stateRef.current), 2000);
+    const id = window.setInterval(() => {
+      const { breakpoints: bps, ...state } = stateRef.current;
+      saveState({ ...state, breakpoints: serializeBreakpoints(bps) });
+    }, 2000);
     return () => window.clearInterval(id);
   }, []);
 
@@ -217,31 +426,87 @@ function App() {
     return code;
   }, [pythonCode]);
 
+  /* ── Run errors: status bar + editor marker + block warning ── */
+  const showRunError = useCallback((err, code) => {
+    const message = err.message || "Runtime error";
+    const loc = err.location;
+    if (loc) {
+      setRunError({ line: loc.line, column: loc.column, message, blockId: blockIdForLine(code, loc.line) });
+      setStatus({ text: `Line ${loc.line}: ${message}`, type: "error" });
+      logToConsole("error", `Line ${loc.line}: ${message}`);
+    } else {
+      setRunError(null);
+      setStatus({ text: message, type: "error" });
+      logToConsole("error", message);
+    }
+  }, [logToConsole]);
+
+  const errorMarkers = useMemo(
+    () => (runError ? [{ line: runError.line, column: runError.column, message: runError.message }] : null),
+    [runError]
+  );
+  const errorBlock = useMemo(
+    () => (runError && runError.blockId ? { blockId: runError.blockId, message: runError.message } : null),
+    [runError]
+  );
+
+  /* ── Source map: selected block ↔ generated code lines ──── */
+  const selectedLines = useMemo(
+    () => linesForBlock(pythonCode, selectedBlockId),
+    [pythonCode, selectedBlockId]
+  );
+  const handleCodeCursorLine = useCallback((line) => {
+    const blockId = blockIdForLine(pythonCode, line);
+    if (blockId) setSelectedBlockId(blockId);
+  }, [pythonCode]);
+
   /* ── Toolbar handlers ──────────────────────────────────── */
   const handleRun = useCallback(async () => {
     const code = mode === "text" ? pythonCode : syncFromBlocks();
     setStatus({ text: "Running...", type: "" });
     setRunning(true);
     setPaused(false);
+    setPauseInfo({ frame: 0, simTime: null, reason: null });
+    setWatchResults([]);
+    setFrameHistory(null);
+    setBlockCounts(null);
+    setSceneObjects([]);
+    setEnergy({ samples: [], error: null });
+    statementHighlightRef.current = false;
+    setRunError(null);
     setTraceData(new Map()); // Clear trace from previous run
+    traceSamplesRef.current = new Map();
+    consoleRunRef.current += 1;
+    queueConsoleEntry("run", "log", "");
     try {
       stopPython("glowscript-host");
-      await runPython(code, "glowscript-host");
-      /* Sync any pre-set breakpoints to the newly created iframe (the iframe
-         resets __physide_breakpoints to an empty Set on each run).          */
-      syncBreakpointsToIframe(breakpointsRef.current);
-      setStatus({ text: debugMode ? "Debug simulation started" : "Simulation started", type: "success" });
+      const result = await runPython(code, "glowscript-host", {
+        version: runtimeVersion,
+        onRuntimeError: (err) => {
+          setRunning(false);
+          showRunError(err, code);
+        },
+      });
+      if (!result) return; // superseded by Stop or another Run
+      const started = `${debugMode ? "Debug simulation started" : "Simulation started"} · ${formatRunTiming(result.timing)}`;
+      if (result.warnings.length > 0) {
+        result.warnings.forEach((w) => logToConsole("warn", w));
+        setStatus({ text: `${started} — ${result.warnings.join("; ")}`, type: "warning" });
+      } else {
+        setStatus({ text: started, type: "success" });
+      }
     } catch (err) {
       console.error(err);
       setRunning(false);
-      setStatus({ text: err.message || "Runtime error", type: "error" });
+      showRunError(err, code);
     }
   // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [mode, pythonCode, syncFromBlocks, debugMode]);
+  }, [mode, pythonCode, syncFromBlocks, debugMode, runtimeVersion, showRunError, queueConsoleEntry, logToConsole]);
 
   const handleStop = useCallback(() => {
     stopPython("glowscript-host");
     setRunning(false);
+    setFrameHistory(null);
     setExecutingBlockId(null);
     setStatus({ text: "Simulation stopped", type: "" });
   }, []);
@@ -275,16 +540,16 @@ function App() {
   const handleExportPy = useCallback(async () => {
     const name = await getExportName();
     if (!name) return;
-    exportPython(mode, pythonCode, workspaceRef.current, name);
+    exportPython(mode, pythonCode, workspaceRef.current, name, getRuntimeVersion(runtimeVersion).header, breakpoints);
     setStatus({ text: `Exported ${name}.py`, type: "success" });
-  }, [mode, pythonCode, getExportName]);
+  }, [mode, pythonCode, getExportName, runtimeVersion, breakpoints]);
 
   const handleExportBlocks = useCallback(async () => {
     const name = await getExportName();
     if (!name) return;
-    exportBlocks(workspaceRef.current, name);
+    exportBlocks(workspaceRef.current, name, breakpoints);
     setStatus({ text: `Exported ${name}.xml`, type: "success" });
-  }, [getExportName]);
+  }, [getExportName, breakpoints]);
 
   const handleExportBlocksPdf = useCallback(async () => {
     const name = await getExportName();
@@ -349,11 +614,15 @@ function App() {
     if (!file) return;
     const reader = new FileReader();
     reader.onload = (e) => {
-      const content = e.target.result;
+      let content = e.target.result;
+      /* The same file imported again finds its saved recordings */
+      const importKey = `import:${file.name}:${hashSource(content)}`;
       if (file.name.endsWith(".xml")) {
         stopPython("glowscript-host");
         setRunning(false);
         setProjectType("custom");
+        setProjectKey(importKey);
+        setBreakpoints(extractBreakpointXml(content) || new Map());
         // If the Blockly workspace is already live, load directly into it
         if (workspaceRef.current && window.Blockly) {
           try {
@@ -373,9 +642,15 @@ function App() {
       } else if (file.name.endsWith(".py")) {
         stopPython("glowscript-host");
         setRunning(false);
+        const saved = extractBreakpointComment(content);
+        content = saved.code;
+        setBreakpoints(saved.breakpoints || new Map());
         setPythonCode(content);
         setMode("text");
         setProjectType("code_blank");
+        setProjectKey(importKey);
+        const header = parseVersionHeader(content.trimStart().split(/\r?\n/, 1)[0]);
+        setRuntimeVersion(header && RUNTIME_VERSIONS.some((v) => v.id === header.id) ? header.id : DEFAULT_RUNTIME_VERSION);
         setStatus({ text: `Imported Python from ${file.name}`, type: "success" });
       } else {
         setStatus({ text: "Unsupported file type. Use .py or .xml", type: "error" });
@@ -465,7 +740,19 @@ function App() {
     setBeginnerMode((b) => !b);
   }, []);
 
-  const handleClearTrace = useCallback(() => setTraceData(new Map()), []);
+  const handleClearTrace = useCallback(() => {
+    traceSamplesRef.current = new Map();
+    setTraceData(new Map());
+  }, []);
+
+  /* Samples kept per traced variable; existing buffers keep their newest samples */
+  const handleTraceCapacity = useCallback((capacity) => {
+    const next = normalizeTraceCapacity(capacity);
+    traceCapacityRef.current = next;
+    setTraceCapacity(next);
+    traceSamplesRef.current.forEach((buffer) => buffer.resize(next));
+    setTraceData((prev) => new Map(prev));
+  }, []);
 
   /* ── Debug Mode handlers ──────────────────────────────────── */
   const handleEnterDebug = useCallback(() => {
@@ -501,6 +788,16 @@ function App() {
     stepPython();
   }, []);
 
+  const handleStepFrames = useCallback((count) => {
+    setPaused(true);
+    stepFrames(count);
+  }, []);
+
+  const handleRunUntil = useCallback((name, value) => {
+    runUntil(name, value);
+    setPaused(false);
+  }, []);
+
   /* ── Recording handlers ─────────────────────────────────────── */
   const handleStartRecord = useCallback(() => {
     recordBufferRef.current = [];
@@ -512,19 +809,87 @@ function App() {
   const handleStopRecord = useCallback(() => {
     recordingRef.current = false;
     setRecording(false);
-    setStatus({ text: `Recording stopped — ${recordBufferRef.current.length} rows`, type: 'success' });
+    const rows = recordBufferRef.current;
+    if (rows.length === 0) {
+      setStatus({ text: 'Recording stopped — nothing was recorded', type: '' });
+      return;
+    }
+    setRecordings((prev) => ({ ...prev, list: [...prev.list, createRecording(rows, prev.list)].slice(-MAX_RECORDINGS) }));
+    setStatus({ text: `Recording stopped — ${rows.length} rows saved; open Compare to see the runs`, type: 'success' });
+  }, []);
+
+  /* ── Saved recordings: kept per project across reloads ── */
+  useEffect(() => {
+    setRecordings({ project: projectKey, list: loadRecordings(projectKey) });
+  }, [projectKey]);
+
+  useEffect(() => {
+    if (recordings.project === null) return;
+    if (!saveRecordings(recordings.project, recordings.list)) {
+      setStatus({ text: 'Recordings are too large to keep after a reload — delete some, or record fewer variables', type: 'warning' });
+    }
+  }, [recordings]);
+
+  const handleRenameRecording = useCallback((id, name) => {
+    setRecordings((prev) => ({ ...prev, list: prev.list.map((r) => (r.id === id ? { ...r, name } : r)) }));
+  }, []);
+
+  const handleDeleteRecording = useCallback((id) => {
+    setRecordings((prev) => ({ ...prev, list: prev.list.filter((r) => r.id !== id) }));
   }, []);
 
   /* ── Breakpoint handlers ────────────────────────────────────── */
   const handleToggleBreakpoint = useCallback((blockId) => {
     if (!blockId) return;
     setBreakpoints((prev) => {
-      const next = new Set(prev);
+      const next = new Map(prev);
       if (next.has(blockId)) next.delete(blockId);
-      else next.add(blockId);
+      else next.set(blockId, createBreakpoint());
+      return next;
+    });
+  }, []);
+
+  /* Add, replace (bp) or remove (null) the breakpoint on one block / line */
+  const handleSetBreakpoint = useCallback((blockId, bp) => {
+    if (!blockId) return;
+    setBreakpoints((prev) => {
+      const next = new Map(prev);
+      if (bp) next.set(blockId, createBreakpoint(bp));
+      else next.delete(blockId);
       return next;
     });
   }, []);
+
+  /* Results are index-aligned; the runtime re-sends them if it is paused */
+  const handleChangeWatches = useCallback((expressions) => {
+    setWatchExpressions(expressions);
+    setWatchResults([]);
+  }, []);
+
+  /* ── Edit a traced variable while paused; the run resumes from the new value ── */
+  const traceDataRef = useRef(traceData);
+  traceDataRef.current = traceData;
+  const handleEditTraceValue = useCallback(async (name, text) => {
+    const entry = traceDataRef.current.get(name);
+    const value = await setTracedVariable(name, text, entry?.blockId || "");
+    logToConsole("info", `[debug] ${name} = ${value} (was ${entry ? entry.value : "unset"})`);
+  }, [logToConsole]);
+
+  /* ── Time travel: rewinding to a frame makes it the live state ── */
+  const handleRestoreFrame = useCallback((frame) => {
+    restoreFrame(frame);
+    logToConsole("info", `[debug] Rewound to frame ${frame}`);
+  }, [logToConsole]);
+
+  /* Breakpoint manager: enable / disable every breakpoint, or remove them all */
+  const handleEnableAllBreakpoints = useCallback((enabled) => {
+    setBreakpoints((prev) => new Map(
+      Array.from(prev, ([id, bp]) => [id, createBreakpoint({ ...bp, enabled })])
+    ));
+  }, []);
+
+  const handleClearBreakpoints = useCallback(() => setBreakpoints(new Map()), []);
+
   /* ── Mode toggle ───────────────────────────────────────── */
   const handleModeChange = useCallback(
     (nextMode) => {
@@ -566,6 +931,12 @@ function App() {
   /* ── Start menu selection ──────────────────────────────── */
   const handleStartSelect = useCallback(
     (selection) => {
+      setRuntimeVersion(DEFAULT_RUNTIME_VERSION);
+      setRunError(null);
+      setSelectedBlockId(null);
+      setBreakpoints(new Map());
+      setEnergySettings(DEFAULT_ENERGY_SETTINGS);
+      setProjectKey(selection && selection.id ? `${selection.type}:${selection.id}` : `blank:${Date.now()}`);
       if (!selection || selection.type === "blank" || selection.type === "blocks_blank") {
         setProjectType("custom");
         setMode("blocks");
@@ -607,10 +978,15 @@ function App() {
   const statusClass =
     status.type === "error"
       ? "console-bar console-bar--error"
+      : status.type === "warning"
+      ? "console-bar console-bar--warning"
       : status.type === "success"
       ? "console-bar console-bar--success"
       : "console-bar";
 
+  /* A header line in the code overrides the project's selected version */
+  const effectiveVersion = resolveRuntimeVersion(pythonCode, runtimeVersion);
+
   /* ── IF start menu is visible ──────────────────────────── */
   if (showStart) {
     return (
@@ -638,19 +1014,51 @@ function App() {
           onPause={handlePause}
           onResume={handleResume}
           onStep={handleStep}
+          onStepFrames={handleStepFrames}
+          onRunUntil={handleRunUntil}
+          pauseInfo={pauseInfo}
           traceData={traceData}
           onHighlightBlock={(id) => {
             try { workspaceRef.current?.highlightBlock(id); } catch (_) {}
           }}
           onClearTrace={handleClearTrace}
+          traceCapacity={traceCapacity}
+          onTraceCapacity={handleTraceCapacity}
           recording={recording}
           onStartRecord={handleStartRecord}
           onStopRecord={handleStopRecord}
           recordBuffer={recordBufferRef.current}
+          recordings={recordings.list}
+          onRenameRecording={handleRenameRecording}
+          onDeleteRecording={handleDeleteRecording}
           projectType={projectType}
           breakpoints={breakpoints}
           onToggleBreakpoint={handleToggleBreakpoint}
+          onSetBreakpoint={handleSetBreakpoint}
+          onEnableAllBreakpoints={handleEnableAllBreakpoints}
+          onClearBreakpoints={handleClearBreakpoints}
+          watchExpressions={watchExpressions}
+          watchResults={watchResults}
+          onChangeWatches={handleChangeWatches}
+          onEvaluate={evaluatePython}
+          onEditTraceValue={handleEditTraceValue}
+          frameHistory={frameHistory}
+          blockCounts={blockCounts}
+          sceneObjects={sceneObjects}
+          pickedObject={pickedObject}
+          onHighlightObject={highlightObject}
+          energySamples={energy.samples}
+          energyError={energy.error}
+          energySettings={energySettings}
+          energyDetected={energyDetected}
+          onEnergySettings={setEnergySettings}
+          onShowFrame={showFrame}
+          onRestoreFrame={handleRestoreFrame}
           executingBlockId={executingBlockId}
+          errorMarkers={errorMarkers}
+          errorBlock={errorBlock}
+          consoleEntries={consoleEntries}
+          onClearConsole={handleClearConsole}
           onExitDebug={handleExitDebug}
         />
       </>
@@ -671,6 +1079,7 @@ function App() {
     <div className="app-shell">
       <VariableDialog />
       {showHelp && <HelpPage onClose={() => setShowHelp(false)} />}
+      {showRuntimeDiag && <RuntimeDiagnostics onClose={() => setShowRuntimeDiag(false)} />}
       {/* VS Code title bar */}
       <div className="titlebar">
         <span className="titlebar-text"><strong>Physics IDE</strong> — {mode === "blocks" ? "Block Editor" : "Code Editor"}</span>
@@ -725,7 +1134,7 @@ function App() {
                 <BlocksIcon size={14} /> {isReadOnlyView ? "Block Reference (Read Only)" : "Block Editor"}
               </div>
               {isReadOnlyView ? (
-                <ReadOnlyBlockly xml={workspaceXml} isDark={isDark} />
+                <ReadOnlyBlockly xml={workspaceXml} isDark={isDark} errorBlock={errorBlock} />
               ) : (
                 <BlocklyWorkspace
                   initialXml={workspaceXml}
@@ -733,6 +1142,9 @@ function App() {
                   onWorkspaceChange={handleWorkspaceChange}
                   isDark={isDark}
                   beginnerMode={beginnerMode}
+                  errorBlock={errorBlock}
+                  selectedBlockId={selectedBlockId}
+                  onBlockSelect={setSelectedBlockId}
                 />
               )}
             </>
@@ -745,11 +1157,16 @@ function App() {
                 value={pythonCode}
                 isDark={isDark}
                 readOnly={isCustom || isReadOnlyView}
+                errorMarkers={errorMarkers}
+                highlightLines={selectedLines}
+                onCursorLine={handleCodeCursorLine}
                 onChange={
                   (isCustom || isReadOnlyView)
                     ? () => {}
                     : (v) => {
                         setPythonCode(v);
+                        /* The marker points at code that no longer exists */
+                        setRunError(null);
                       }
                 }
               />
@@ -769,6 +1186,7 @@ function App() {
           <GlowCanvas
             running={running}
           />
+          <ConsolePanel entries={consoleEntries} onClear={handleClearConsole} />
         </section>
       </div>
 
@@ -778,7 +1196,33 @@ function App() {
           {status.text}
         </span>
         <span>
-          Mode: {mode === "blocks" ? "Blocks" : isCustom ? "Code View Only" : "Code"} | VPython 3.2
+          Mode: {mode === "blocks" ? "Blocks" : isCustom ? "Code View Only" : "Code"} |
+          <select
+            className="status-bar-select"
+            value={effectiveVersion.fromHeader ? effectiveVersion.version.id : runtimeVersion}
+            onChange={(e) => setRuntimeVersion(e.target.value)}
+            disabled={effectiveVersion.fromHeader}
+            title={
+              effectiveVersion.fromHeader
+                ? `Set by the header line "${effectiveVersion.version.header}"`
+                : "VPython version for this project"
+            }
+          >
+            {!RUNTIME_VERSIONS.some((v) => v.id === effectiveVersion.version.id) && (
+              <option value={effectiveVersion.version.id}>{effectiveVersion.version.label}</option>
+            )}
+            {RUNTIME_VERSIONS.map((v) => (
+              <option key={v.id} value={v.id}>{v.label}</option>
+            ))}
+          </select>
+          <button
+            type="button"
+            className="status-bar-btn"
+            onClick={() => setShowRuntimeDiag(true)}
+            title="Runtime sources and load diagnostics"
+          >
+            Runtime
+          </button>
         </span>
       </div>
     </div>
@@ -0,0 +1,138 @@
+import React, { useRef, useState } from "react";
+import { extent, padRange, niceTicks, formatTick } from "../utils/plotData";
+import { exportChartPng, exportChartSvg } from "../utils/exportUtils";
+
+/*
+ * Static charts and result tables of the recording dialogs
+ * (RecordingAnalysis, RecordingCompare).
+ */
+
+const CHART_WIDTH = 640;
+const CHART_HEIGHT = 240;
+const CHART_MARGIN = { left: 56, right: 12, top: 10, bottom: 28 };
+const MAX_DOTS = 1500;      // longer recordings are drawn with every Nth point
+const MAX_LINE = 4000;      // and lines with every Nth vertex
+
+let clipIds = 0;
+
+/* Indexes 0, N, 2N … so at most `max` of `count` are drawn */
+function strided(count, max) {
+  const stride = Math.max(1, Math.ceil(count / max));
+  const out = [];
+  for (let i = 0; i < count; i += stride) out.push(i);
+  return out;
+}
+
+/**
+ * AnalysisChart — static chart with its own PNG / SVG export.
+ *   dots   — { xs, ys } recorded points, drawn as dots
+ *   lines  — [{ xs, ys, color, width? }]
+ *   marks  — [{ x, y, color }] small circles (crossings, peaks)
+ * The y range covers the dots, or the lines when there are none; lines
+ * drawn over dots (a fitted curve) may widen it by at most the dots' span.
+ */
+export default function AnalysisChart({ title, dots = null, lines = [], marks = [], xLabel, yLabel, fileName }) {
+  const svgRef = useRef(null);
+  const clipId = useState(() => `analysis-clip-${++clipIds}`)[0];
+  const left = CHART_MARGIN.left;
+  const right = CHART_WIDTH - CHART_MARGIN.right;
+  const top = CHART_MARGIN.top;
+  const bottom = CHART_HEIGHT - CHART_MARGIN.bottom;
+
+  const allX = [dots && extent(dots.xs), ...lines.map((l) => extent(l.xs))].filter(Boolean);
+  const xRange = allX.length > 0 ? [Math.min(...allX.map((r) => r[0])), Math.max(...allX.map((r) => r[1]))] : null;
+  const xDomain = padRange(xRange || [0, 1], 0.02);
+  const dataY = dots ? extent(dots.ys) : null;
+  const lineY = lines.map((l) => extent(l.ys)).filter(Boolean);
+  const linesY = lineY.length > 0 ? [Math.min(...lineY.map((r) => r[0])), Math.max(...lineY.map((r) => r[1]))] : null;
+  let yRange = dataY || linesY;
+  if (dataY && linesY) {
+    const span = dataY[1] - dataY[0] || 1;
+    yRange = [
+      Math.max(Math.min(linesY[0], dataY[0]), dataY[0] - span),
+      Math.min(Math.max(linesY[1], dataY[1]), dataY[1] + span),
+    ];
+  }
+  const yDomain = padRange(yRange || [0, 1]);
+
+  const sx = (x) => left + ((x - xDomain[0]) / (xDomain[1] - xDomain[0])) * (right - left);
+  const sy = (y) => bottom - ((y - yDomain[0]) / (yDomain[1] - yDomain[0])) * (bottom - top);
+  const empty = !xRange;
+
+  return (
+    <div className="analysis-chart-box">
+      <div className="analysis-chart-header">
+        <span className="analysis-chart-title">{title}</span>
+        <button type="button" className="trace-icon-btn" onClick={() => exportChartPng(svgRef.current, fileName)} disabled={empty}>
+          ↓ PNG
+        </button>
+        <button type="button" className="trace-icon-btn" onClick={() => exportChartSvg(svgRef.current, fileName)} disabled={empty}>
+          ↓ SVG
+        </button>
+      </div>
+      <svg
+        ref={svgRef}
+        className="analysis-chart"
+        width={CHART_WIDTH}
+        height={CHART_HEIGHT}
+        viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+        fontFamily="monospace"
+        fontSize="9"
+      >
+        <defs>
+          <clipPath id={clipId}>
+            <rect x={left} y={top} width={right - left} height={bottom - top} />
+          </clipPath>
+        </defs>
+        {niceTicks(xDomain[0], xDomain[1], 7).map((v) => (
+          <g key={`x${v}`}>
+            <line x1={sx(v)} x2={sx(v)} y1={top} y2={bottom} stroke="var(--border)" strokeWidth="0.5" />
+            <text x={sx(v)} y={bottom + 11} textAnchor="middle" fill="var(--text-muted)">{formatTick(v)}</text>
+          </g>
+        ))}
+        {niceTicks(yDomain[0], yDomain[1], 5).map((v) => (
+          <g key={`y${v}`}>
+            <line x1={left} x2={right} y1={sy(v)} y2={sy(v)} stroke="var(--border)" strokeWidth="0.5" />
+            <text x={left - 4} y={sy(v) + 3} textAnchor="end" fill="var(--text-muted)">{formatTick(v)}</text>
+          </g>
+        ))}
+        <rect x={left} y={top} width={right - left} height={bottom - top} fill="none" stroke="var(--text-muted)" strokeWidth="0.75" />
+        <text x={right} y={CHART_HEIGHT - 3} textAnchor="end" fill="var(--text-muted)">{xLabel}</text>
+        <text x={left + 4} y={top + 10} fill="var(--text-muted)">{yLabel}</text>
+        <g clipPath={`url(#${clipId})`}>
+          {dots && strided(dots.xs.length, MAX_DOTS).map((i) => (
+            <circle key={i} cx={sx(dots.xs[i])} cy={sy(dots.ys[i])} r="1.6" fill="#3b82f6" fillOpacity="0.7" />
+          ))}
+          {lines.map((l, n) => (
+            <path
+              key={n}
+              d={strided(l.xs.length, MAX_LINE)
+                .map((i, k) => `${k === 0 ? "M" : "L"}${sx(l.xs[i]).toFixed(1)},${sy(l.ys[i]).toFixed(1)}`)
+                .join("")}
+              fill="none"
+              stroke={l.color}
+              strokeWidth={l.width || 1.5}
+            />
+          ))}
+          {marks.map((m, n) => <circle key={n} cx={sx(m.x)} cy={sy(m.y)} r="3" fill={m.color} />)}
+        </g>
+      </svg>
+    </div>
+  );
+}
+
+/* Result table; rows — [label, text, startsGroup?] */
+export function ResultTable({ rows }) {
+  return (
+    <table className="analysis-table">
+      <tbody>
+        {rows.map(([label, text, sep]) => (
+          <tr key={label} className={sep ? "analysis-table-sep" : undefined}>
+            <td className="analysis-param">{label}</td>
+            <td>{text}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
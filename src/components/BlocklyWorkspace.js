@@ -7,6 +7,7 @@ import {
 } from "../utils/blocklyGenerator";
 import { SearchIcon, XIcon } from "./Icons";
 import * as dialogService from "../utils/dialogService";
+import { breakpointKind } from "../utils/breakpoints";
 
 /* ── Toolbox XML ─────────────────────────────────────────────
    Custom VPython blocks are defined in blocklyGenerator.js.
@@ -241,6 +242,9 @@ const TOOLBOX_XML = `
   <!-- ── CONTROL ────────────────────────────────────────── -->
   <category name="Control" colour="#9b59b6">
     <block type="time_step_block"></block>
+    <block type="sim_clock_block">
+      <value name="STEP"><shadow type="expr_block"><field name="EXPR">dt</field></shadow></value>
+    </block>
     <block type="rate_block"></block>
     <block type="forever_loop_block"></block>
     <block type="for_range_block"></block>
@@ -524,6 +528,9 @@ const TOOLBOX_BEGINNER_XML = `
 
   <category name="Control" colour="#9b59b6">
     <block type="time_step_block"></block>
+    <block type="sim_clock_block">
+      <value name="STEP"><shadow type="expr_block"><field name="EXPR">dt</field></shadow></value>
+    </block>
     <block type="rate_block"></block>
     <block type="forever_loop_block"></block>
     <block type="if_block">
@@ -831,16 +838,42 @@ function resizeBlocklyWorkspace(Blockly, workspace) {
   }
 }
 
-function BlocklyWorkspace({ initialXml, onWorkspaceReady, onWorkspaceChange, isDark, beginnerMode = false }) {
+/* Show a run error as the warning icon of the block that generated the
+   failing line; clears the icon left by the previous error. */
+function applyBlockError(ws, errorBlock, shownIdRef) {
+  const prev = shownIdRef.current && ws.getBlockById(shownIdRef.current);
+  if (prev) prev.setWarningText(null, "physide-run");
+  shownIdRef.current = null;
+  if (!errorBlock || !errorBlock.blockId) return;
+  const block = ws.getBlockById(errorBlock.blockId);
+  if (!block) return;
+  block.setWarningText(errorBlock.message, "physide-run");
+  shownIdRef.current = block.id;
+  if (typeof ws.centerOnBlock === "function") ws.centerOnBlock(block.id);
+}
+
+function BlocklyWorkspace({
+  initialXml,
+  onWorkspaceReady,
+  onWorkspaceChange,
+  isDark,
+  beginnerMode = false,
+  errorBlock = null,
+  selectedBlockId = null,   /* select this block (e.g. from a code-editor line) */
+  onBlockSelect,            /* (blockId | null) => void — user selection changed */
+}) {
   const hostRef = useRef(null);
   const workspaceRef = useRef(null);
+  const errorBlockIdRef = useRef(null);
   const [loadError, setLoadError] = useState("");
 
   const onReadyRef = useRef(onWorkspaceReady);
   const onChangeRef = useRef(onWorkspaceChange);
+  const onSelectRef = useRef(onBlockSelect);
   const initialXmlRef = useRef(initialXml);
   onReadyRef.current = onWorkspaceReady;
   onChangeRef.current = onWorkspaceChange;
+  onSelectRef.current = onBlockSelect;
 
   /* ── One-time workspace setup ──────────────────────────── */
   useEffect(() => {
@@ -910,6 +943,10 @@ function BlocklyWorkspace({ initialXml, onWorkspaceReady, onWorkspaceChange, isD
     // Emit changes
     let normalizing = false;
     const listener = (event) => {
+      if (event.type === Blockly.Events.SELECTED) {
+        onSelectRef.current?.(event.newElementId || null);
+        return;
+      }
       if (
         event.type === Blockly.Events.UI ||
         event.type === Blockly.Events.VIEWPORT_CHANGE
@@ -1023,6 +1060,24 @@ function BlocklyWorkspace({ initialXml, onWorkspaceReady, onWorkspaceChange, isD
     if (svgGrid) svgGrid.setAttribute("stroke", gridColour);
   }, [isDark]);
 
+  /* ── Select a block chosen elsewhere (source map) ──────── */
+  useEffect(() => {
+    const ws = workspaceRef.current;
+    const Blockly = window.Blockly;
+    if (!ws || !Blockly || !selectedBlockId) return;
+    const block = ws.getBlockById(selectedBlockId);
+    if (!block || Blockly.common.getSelected() === block) return;
+    Blockly.common.setSelected(block);
+    if (typeof ws.centerOnBlock === "function") ws.centerOnBlock(block.id);
+  }, [selectedBlockId]);
+
+  /* ── Run error → warning icon on the generating block ──── */
+  useEffect(() => {
+    const ws = workspaceRef.current;
+    if (!ws) return;
+    applyBlockError(ws, errorBlock, errorBlockIdRef);
+  }, [errorBlock]);
+
   if (loadError) {
     return <div className="fallback-panel">{loadError}</div>;
   }
@@ -1036,17 +1091,22 @@ function BlocklyWorkspace({ initialXml, onWorkspaceReady, onWorkspaceChange, isD
 }
 
 /* ── Read-only Blockly (for showing block reference alongside code) ── */
-function ReadOnlyBlockly({ xml, isDark, breakpoints, onBlockClick, executingBlockId }) {
+function ReadOnlyBlockly({ xml, isDark, breakpoints, onBlockClick, onBlockContextMenu, revealBlock = null, executingBlockId, blockCounts = null, errorBlock = null }) {
   const hostRef = useRef(null);
   const wsRef = useRef(null);
+  const errorBlockIdRef = useRef(null);
   const onBlockClickRef = useRef(onBlockClick);
+  const onBlockContextMenuRef = useRef(onBlockContextMenu);
   const bpDotsRef = useRef(new Map());  // blockId → SVG group element
+  const countLabelsRef = useRef(new Map()); // blockId → SVG text element
   useEffect(() => { onBlockClickRef.current = onBlockClick; }, [onBlockClick]);
+  useEffect(() => { onBlockContextMenuRef.current = onBlockContextMenu; }, [onBlockContextMenu]);
 
   useEffect(() => {
     const Blockly = window.Blockly;
     if (!Blockly || !hostRef.current) return undefined;
     const dots = bpDotsRef.current;
+    const countLabels = countLabelsRef.current;
 
     defineCustomBlocksAndGenerator(Blockly);
     const theme = buildBlocklyTheme(Blockly, isDark);
@@ -1075,18 +1135,33 @@ function ReadOnlyBlockly({ xml, isDark, breakpoints, onBlockClick, executingBloc
        so we use a native DOM click handler on the SVG and walk up the
        element tree to find the block's data-id attribute. */
     const svg = ws.getParentSvg();
-    const domClickHandler = (e) => {
-      let el = e.target;
+    const blockIdAt = (target) => {
+      let el = target;
       while (el && el !== svg) {
         const blockId = el.getAttribute && el.getAttribute('data-id');
-        if (blockId) {
-          onBlockClickRef.current?.(blockId);
-          return;
-        }
+        if (blockId) return blockId;
         el = el.parentElement;
       }
+      return null;
+    };
+    const domClickHandler = (e) => {
+      const blockId = blockIdAt(e.target);
+      if (blockId) onBlockClickRef.current?.(blockId);
+    };
+    /* Right-click on a block opens the caller's menu instead of the
+       browser's (captured so Blockly never sees it) */
+    const domContextMenuHandler = (e) => {
+      if (!onBlockContextMenuRef.current) return;
+      const blockId = blockIdAt(e.target);
+      if (!blockId) return;
+      e.preventDefault();
+      e.stopPropagation();
+      onBlockContextMenuRef.current(blockId, { x: e.clientX, y: e.clientY });
     };
-    if (svg) svg.addEventListener('click', domClickHandler);
+    if (svg) {
+      svg.addEventListener('click', domClickHandler);
+      svg.addEventListener('contextmenu', domContextMenuHandler, true);
+    }
 
     /* ── Keep Blockly SVG sized to its container at all times ── */
     const resizeObserver = new ResizeObserver(() => {
@@ -1101,9 +1176,13 @@ function ReadOnlyBlockly({ xml, isDark, breakpoints, onBlockClick, executingBloc
     });
 
     return () => {
-      if (svg) svg.removeEventListener('click', domClickHandler);
+      if (svg) {
+        svg.removeEventListener('click', domClickHandler);
+        svg.removeEventListener('contextmenu', domContextMenuHandler, true);
+      }
       resizeObserver.disconnect();
       dots.clear();
+      countLabels.clear();
       ws.dispose();
       wsRef.current = null;
     };
@@ -1118,36 +1197,56 @@ function ReadOnlyBlockly({ xml, isDark, breakpoints, onBlockClick, executingBloc
     ws.setTheme(theme);
   }, [isDark]);
 
-  // ── Breakpoint red dots ──
+  // ── Breakpoint red dots (Map<blockId, breakpoint>) ──
   useEffect(() => {
     const ws = wsRef.current;
     if (!ws) return;
     const svg = ws.getParentSvg();
     if (!svg) return;
-    const bpSet = breakpoints || new Set();
+    const bpMap = breakpoints || new Map();
     const dots = bpDotsRef.current;
 
     // Remove highlight from blocks no longer breakpointed
     for (const [bid, svgGroup] of dots) {
-      if (!bpSet.has(bid)) {
-        svgGroup.classList.remove('dm-bp-block');
+      if (!bpMap.has(bid)) {
+        svgGroup.classList.remove('dm-bp-block', 'dm-bp-block--cond', 'dm-bp-block--log', 'dm-bp-block--off');
         dots.delete(bid);
       }
     }
 
-    // Add highlight to new breakpoints
-    for (const bid of bpSet) {
-      if (dots.has(bid)) continue;
-      const block = ws.getBlockById(bid);
-      if (!block) continue;
-      const svgGroup = block.getSvgRoot();
-      if (!svgGroup) continue;
-
-      svgGroup.classList.add('dm-bp-block');
-      dots.set(bid, svgGroup);
+    // Add highlight to new breakpoints; the kind can change on edit
+    for (const [bid, bp] of bpMap) {
+      let svgGroup = dots.get(bid);
+      if (!svgGroup) {
+        const block = ws.getBlockById(bid);
+        svgGroup = block && block.getSvgRoot();
+        if (!svgGroup) continue;
+        svgGroup.classList.add('dm-bp-block');
+        dots.set(bid, svgGroup);
+      }
+      const kind = breakpointKind(bp);
+      svgGroup.classList.toggle('dm-bp-block--cond', kind === 'conditional');
+      svgGroup.classList.toggle('dm-bp-block--log', kind === 'log');
+      svgGroup.classList.toggle('dm-bp-block--off', bp.enabled === false);
     }
   }, [breakpoints]);
 
+  // ── Jump to a block ({ id, seq }) — scroll it into view and flash it ──
+  useEffect(() => {
+    const ws = wsRef.current;
+    if (!ws || !revealBlock) return undefined;
+    const block = ws.getBlockById(revealBlock.id);
+    const svgGroup = block && block.getSvgRoot();
+    if (!svgGroup) return undefined;
+    ws.centerOnBlock(revealBlock.id);
+    svgGroup.classList.add('dm-block-reveal');
+    const timer = window.setTimeout(() => svgGroup.classList.remove('dm-block-reveal'), 1200);
+    return () => {
+      window.clearTimeout(timer);
+      svgGroup.classList.remove('dm-block-reveal');
+    };
+  }, [revealBlock]);
+
   // ── Execution highlight (yellow glow on running block) ──
   useEffect(() => {
     const ws = wsRef.current;
@@ -1164,6 +1263,42 @@ function ReadOnlyBlockly({ xml, isDark, breakpoints, onBlockClick, executingBloc
     }
   }, [executingBlockId]);
 
+  // ── Statement counts ("×N" beside every block that has run) ──
+  useEffect(() => {
+    const ws = wsRef.current;
+    if (!ws) return;
+    const counts = blockCounts || {};
+    const labels = countLabelsRef.current;
+    for (const [bid, text] of labels) {
+      if (!counts[bid]) {
+        text.remove();
+        labels.delete(bid);
+      }
+    }
+    for (const [bid, n] of Object.entries(counts)) {
+      let text = labels.get(bid);
+      if (!text) {
+        const block = ws.getBlockById(bid);
+        const svgGroup = block && block.getSvgRoot();
+        if (!svgGroup) continue;
+        text = document.createElementNS("http://www.w3.org/2000/svg", "text");
+        text.setAttribute("class", "dm-block-count");
+        text.setAttribute("x", String((block.width || block.getHeightWidth().width) + 6));
+        text.setAttribute("y", "14");
+        svgGroup.appendChild(text);
+        labels.set(bid, text);
+      }
+      text.textContent = `×${n}`;
+    }
+  }, [blockCounts]);
+
+  // ── Run error warning icon ──
+  useEffect(() => {
+    const ws = wsRef.current;
+    if (!ws) return;
+    applyBlockError(ws, errorBlock, errorBlockIdRef);
+  }, [errorBlock, xml]);
+
   return <div ref={hostRef} className="blockly-host blockly-readonly" style={{ cursor: onBlockClick ? 'pointer' : undefined }} />;
 }
 
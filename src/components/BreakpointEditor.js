@@ -0,0 +1,241 @@
+import React, { useEffect, useRef, useState } from "react";
+import { createBreakpoint, validateBreakpoint } from "../utils/breakpoints";
+
+/**
+ * BreakpointEditor
+ *
+ * Modal for one breakpoint (styled like VariableDialog).  A breakpoint can
+ * carry a Python condition and a hit-count threshold, or be switched to a
+ * logpoint that writes a message to the Console instead of pausing.
+ *
+ *   target      — { id, label } of the block / line being edited
+ *   breakpoint  — the current breakpoint, or null when adding one
+ *   initialMode — "break" | "log"
+ *   onSave(bp), onRemove(), onCancel()
+ */
+export default function BreakpointEditor({ target, breakpoint, initialMode = "break", onSave, onRemove, onCancel }) {
+  const [mode, setMode] = useState(
+    breakpoint && breakpoint.logMessage ? "log" : initialMode
+  );
+  const [condition, setCondition] = useState(breakpoint?.condition || "");
+  const [hitCount, setHitCount] = useState(breakpoint?.hitCount ? String(breakpoint.hitCount) : "");
+  const [logMessage, setLogMessage] = useState(breakpoint?.logMessage || "");
+  const [errors, setErrors] = useState({});
+  const firstInputRef = useRef(null);
+
+  useEffect(() => {
+    firstInputRef.current?.focus();
+  }, [mode]);
+
+  const handleSave = () => {
+    const bp = createBreakpoint({
+      condition,
+      hitCount,
+      logMessage: mode === "log" ? logMessage : "",
+    });
+    const found = validateBreakpoint(bp);
+    if (mode === "log" && !bp.logMessage.trim()) found.logMessage = "Enter the message to log";
+    if (hitCount.trim() && !(parseInt(hitCount, 10) >= 1)) found.hitCount = "Hit count must be a whole number ≥ 1";
+    if (found.condition || found.logMessage || found.hitCount) {
+      setErrors(found);
+      return;
+    }
+    onSave?.(bp);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "Enter") handleSave();
+    if (e.key === "Escape") onCancel?.();
+    e.stopPropagation();
+  };
+
+  const title = `${breakpoint ? "Edit" : "Add"} ${mode === "log" ? "logpoint" : "breakpoint"} — ${target.label}`;
+
+  return (
+    <div
+      className="vdialog-overlay"
+      onMouseDown={onCancel}
+      role="dialog"
+      aria-modal="true"
+      aria-label={title}
+    >
+      <div
+        className="vdialog bpedit"
+        onMouseDown={(e) => e.stopPropagation()}
+        onKeyDown={handleKeyDown}
+      >
+        {/* Header */}
+        <div className="vdialog-header">
+          <span className="vdialog-title">{title}</span>
+        </div>
+
+        {/* Body */}
+        <div className="vdialog-body">
+          <div className="bpedit-modes" role="radiogroup">
+            {[["break", "Breakpoint"], ["log", "Logpoint"]].map(([value, label]) => (
+              <button
+                key={value}
+                type="button"
+                role="radio"
+                aria-checked={mode === value}
+                className={`bpedit-mode${mode === value ? " bpedit-mode--active" : ""}`}
+                onClick={() => setMode(value)}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+
+          {mode === "log" && (
+            <label className="bpedit-field">
+              <span className="bpedit-label">Message</span>
+              <input
+                ref={firstInputRef}
+                className={`vdialog-input${errors.logMessage ? " vdialog-input--error" : ""}`}
+                type="text"
+                value={logMessage}
+                placeholder="y = {ball.pos.y:.3f} at t = {t}"
+                spellCheck={false}
+                autoComplete="off"
+                onChange={(e) => { setLogMessage(e.target.value); setErrors({}); }}
+              />
+              {errors.logMessage && <p className="vdialog-error">{errors.logMessage}</p>}
+            </label>
+          )}
+
+          <label className="bpedit-field">
+            <span className="bpedit-label">Condition <em>(Python, optional)</em></span>
+            <input
+              ref={mode === "break" ? firstInputRef : undefined}
+              className={`vdialog-input${errors.condition ? " vdialog-input--error" : ""}`}
+              type="text"
+              value={condition}
+              placeholder="ball.pos.y < 0"
+              spellCheck={false}
+              autoComplete="off"
+              onChange={(e) => { setCondition(e.target.value); setErrors({}); }}
+            />
+            {errors.condition && <p className="vdialog-error">{errors.condition}</p>}
+          </label>
+
+          <label className="bpedit-field">
+            <span className="bpedit-label">Hit count <em>(from the Nth hit on, optional)</em></span>
+            <input
+              className={`vdialog-input bpedit-hits${errors.hitCount ? " vdialog-input--error" : ""}`}
+              type="number"
+              min={1}
+              step={1}
+              value={hitCount}
+              onChange={(e) => { setHitCount(e.target.value); setErrors({}); }}
+            />
+            {errors.hitCount && <p className="vdialog-error">{errors.hitCount}</p>}
+          </label>
+
+          {mode === "log" && (
+            <p className="bpedit-hint">
+              Logpoints never pause. <code>{"{expr}"}</code> inserts a value,{" "}
+              <code>{"{expr:.3f}"}</code> rounds it.
+            </p>
+          )}
+        </div>
+
+        {/* Footer */}
+        <div className="vdialog-footer">
+          {breakpoint && (
+            <button
+              type="button"
+              className="vdialog-btn vdialog-btn--cancel bpedit-remove"
+              onClick={onRemove}
+            >
+              Remove
+            </button>
+          )}
+          <button
+            type="button"
+            className="vdialog-btn vdialog-btn--cancel"
+            onClick={onCancel}
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            className="vdialog-btn vdialog-btn--ok"
+            onClick={handleSave}
+          >
+            Save
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * BreakpointMenu — small right-click menu for a block / gutter line.
+ *
+ *   at          — { x, y } client position
+ *   breakpoint  — the current breakpoint on that target, or null
+ *   onToggle(), onEdit(mode: "break" | "log"), onClose()
+ */
+export function BreakpointMenu({ at, breakpoint, onToggle, onEdit, onClose }) {
+  const menuRef = useRef(null);
+
+  /* Close on any click outside, Escape, scroll or resize */
+  useEffect(() => {
+    const onDown = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) onClose?.();
+    };
+    const onKey = (e) => {
+      if (e.key === "Escape") {
+        e.stopPropagation();
+        onClose?.();
+      }
+    };
+    window.addEventListener("mousedown", onDown, true);
+    window.addEventListener("keydown", onKey, true);
+    window.addEventListener("resize", onClose);
+    window.addEventListener("wheel", onClose, true);
+    return () => {
+      window.removeEventListener("mousedown", onDown, true);
+      window.removeEventListener("keydown", onKey, true);
+      window.removeEventListener("resize", onClose);
+      window.removeEventListener("wheel", onClose, true);
+    };
+  }, [onClose]);
+
+  const choose = (fn) => () => {
+    onClose?.();
+    fn();
+  };
+
+  const isLog = !!breakpoint?.logMessage;
+  const items = breakpoint
+    ? [
+        [isLog ? "Remove logpoint" : "Remove breakpoint", onToggle],
+        [isLog ? "Edit logpoint…" : "Edit breakpoint…", () => onEdit(isLog ? "log" : "break")],
+      ]
+    : [
+        ["Add breakpoint", onToggle],
+        ["Add conditional breakpoint…", () => onEdit("break")],
+        ["Add logpoint…", () => onEdit("log")],
+      ];
+
+  return (
+    <div
+      ref={menuRef}
+      className="bpmenu"
+      role="menu"
+      style={{
+        left: Math.min(at.x, window.innerWidth - 220),
+        top: Math.min(at.y, window.innerHeight - 110),
+      }}
+      onContextMenu={(e) => e.preventDefault()}
+    >
+      {items.map(([label, fn]) => (
+        <button key={label} type="button" role="menuitem" className="bpmenu-item" onClick={choose(fn)}>
+          {label}
+        </button>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,114 @@
+import React, { useState } from "react";
+import { breakpointKind, describeBreakpoint } from "../utils/breakpoints";
+
+/**
+ * BreakpointManager
+ *
+ * Collapsible list of every breakpoint in the project, docked under the
+ * Blocks / Code panel of Debug Mode.  Each row has an enable checkbox, the
+ * block or line it sits on and its condition / logpoint summary; clicking a
+ * row jumps to that block or line.
+ *
+ *   breakpoints — Map<id, breakpoint>
+ *   labels      — Map<id, string> — text for each block / line
+ *   onReveal(id), onEdit(id), onSet(id, bp | null), onEnableAll(enabled),
+ *   onClearAll()
+ */
+function BreakpointManager({ breakpoints, labels, onReveal, onEdit, onSet, onEnableAll, onClearAll }) {
+  const [collapsed, setCollapsed] = useState(false);
+  const entries = Array.from(breakpoints || []);
+  const enabledCount = entries.filter(([, bp]) => bp.enabled !== false).length;
+  const allEnabled = enabledCount === entries.length;
+
+  return (
+    <div className={`bpman${collapsed ? " bpman--collapsed" : ""}`}>
+      {/* ── Header ── */}
+      <div className="trace-panel-header bpman-header">
+        <button
+          type="button"
+          className="console-panel-toggle"
+          onClick={() => setCollapsed((c) => !c)}
+          title={collapsed ? "Show breakpoints" : "Hide breakpoints"}
+          aria-expanded={!collapsed}
+        >
+          <span className="console-panel-chevron">{collapsed ? "▸" : "▾"}</span>
+          <span className="trace-panel-title">Breakpoints</span>
+        </button>
+        <div className="trace-panel-meta">
+          {entries.length > 0 && (
+            <span className="bpman-count">
+              {enabledCount === entries.length ? entries.length : `${enabledCount}/${entries.length}`}
+            </span>
+          )}
+        </div>
+        {!collapsed && entries.length > 0 && (
+          <>
+            <button
+              type="button"
+              className="trace-icon-btn"
+              onClick={() => onEnableAll?.(!allEnabled)}
+              title={allEnabled ? "Keep every breakpoint but stop none" : "Enable every breakpoint"}
+            >
+              {allEnabled ? "Disable all" : "Enable all"}
+            </button>
+            <button type="button" className="trace-clear-btn" onClick={onClearAll} title="Remove every breakpoint">
+              Remove all
+            </button>
+          </>
+        )}
+      </div>
+
+      {/* ── List ── */}
+      {!collapsed && (
+        <div className="bpman-scroll">
+          {entries.length === 0 ? (
+            <div className="console-empty">No breakpoints — click a block or line number to add one.</div>
+          ) : (
+            entries.map(([id, bp]) => {
+              const enabled = bp.enabled !== false;
+              return (
+                <div
+                  key={id}
+                  className={`bpman-row${enabled ? "" : " bpman-row--off"}`}
+                  onClick={() => onReveal?.(id)}
+                  title="Show in the Blocks / Code panel"
+                >
+                  <input
+                    type="checkbox"
+                    className="bpman-check"
+                    checked={enabled}
+                    onClick={(e) => e.stopPropagation()}
+                    onChange={(e) => onSet?.(id, { ...bp, enabled: e.target.checked })}
+                    aria-label={enabled ? "Disable breakpoint" : "Enable breakpoint"}
+                  />
+                  <span className={`bpman-dot bpman-dot--${breakpointKind(bp)}`} />
+                  <span className="bpman-label">{labels?.get(id) || id}</span>
+                  <span className="bpman-desc">{describeBreakpoint(bp)}</span>
+                  <button
+                    type="button"
+                    className="bpman-btn"
+                    onClick={(e) => { e.stopPropagation(); onEdit?.(id); }}
+                    title="Edit condition, hit count or log message"
+                  >
+                    Edit
+                  </button>
+                  <button
+                    type="button"
+                    className="bpman-btn"
+                    onClick={(e) => { e.stopPropagation(); onSet?.(id, null); }}
+                    title="Remove breakpoint"
+                    aria-label="Remove breakpoint"
+                  >
+                    ✕
+                  </button>
+                </div>
+              );
+            })
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default BreakpointManager;
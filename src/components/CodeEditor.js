@@ -1,4 +1,42 @@
 import React, { useEffect, useRef, useState } from "react";
+import { breakpointKind, describeBreakpoint } from "../utils/breakpoints";
+
+/* Gutter marker per breakpoint kind (breakpointKind) */
+const BP_GLYPH_CLASSES = {
+  plain: "dbg-glyph-bp",
+  conditional: "dbg-glyph-bp dbg-glyph-bp--cond",
+  log: "dbg-glyph-bp dbg-glyph-bp--log",
+};
+
+/* Replace the run-error markers on the editor's model */
+function applyErrorMarkers(editor, markers) {
+  const monaco = window.monaco;
+  const model = editor.getModel();
+  if (!monaco || !model) return;
+  const lineCount = model.getLineCount();
+  monaco.editor.setModelMarkers(
+    model,
+    "physide-run",
+    (markers || [])
+      .filter((m) => m.line >= 1 && m.line <= lineCount)
+      .map((m) => ({
+        severity: monaco.MarkerSeverity.Error,
+        message: m.message,
+        startLineNumber: m.line,
+        startColumn: m.column || model.getLineFirstNonWhitespaceColumn(m.line) || 1,
+        endLineNumber: m.line,
+        endColumn: model.getLineMaxColumn(m.line),
+      }))
+  );
+}
+
+/* Whole-line decorations for the lines of the selected block */
+function sourceMapDecos(monaco, lines) {
+  return (lines || []).map((line) => ({
+    range: new monaco.Range(line, 1, line, 1),
+    options: { isWholeLine: true, className: "src-map-line" },
+  }));
+}
 
 function CodeEditor({
   value,
@@ -6,9 +44,15 @@ function CodeEditor({
   isDark,
   readOnly = false,
   /* Debug-mode props (optional) */
-  breakpointLines,         /* Set<number> — lines that have a breakpoint */
+  breakpointLines,         /* Map<number, breakpoint> — lines that have a breakpoint */
   onToggleLineBreakpoint,  /* (lineNumber: number) => void */
+  onLineContextMenu,       /* (lineNumber: number, { x, y }) => void — gutter right-click */
+  revealLine,              /* { line, seq } — scroll to and select a line (seq re-triggers) */
   executingLine,           /* number | null — current execution line highlight */
+  errorMarkers,            /* [{ line, column?, message }] — compile/runtime errors */
+  /* Source-map props (optional) */
+  highlightLines,          /* number[] — lines generated by the selected block */
+  onCursorLine,            /* (lineNumber: number) => void — user moved the cursor */
 }) {
   const hostRef    = useRef(null);
   const editorRef  = useRef(null);
@@ -16,18 +60,27 @@ function CodeEditor({
   const valueRef    = useRef(value);
   const readOnlyRef = useRef(readOnly);
   const onToggleBpRef = useRef(onToggleLineBreakpoint);
+  const onLineMenuRef = useRef(onLineContextMenu);
+  const errorMarkersRef = useRef(errorMarkers);
+  const onCursorLineRef = useRef(onCursorLine);
+  const highlightLinesRef = useRef(highlightLines);
   const [fallback, setFallback] = useState(false);
   const suppressRef = useRef(false);
 
   /* Decoration ID arrays (for deltaDecorations cleanup) */
   const bpDecoIds  = useRef([]);
   const exDecoIds  = useRef([]);
+  const hlDecoIds  = useRef([]);
 
   // Keep latest callback/value in refs
   onChangeRef.current     = onChange;
   valueRef.current        = value;
   readOnlyRef.current     = readOnly;
   onToggleBpRef.current   = onToggleLineBreakpoint;
+  onLineMenuRef.current   = onLineContextMenu;
+  errorMarkersRef.current = errorMarkers;
+  onCursorLineRef.current = onCursorLine;
+  highlightLinesRef.current = highlightLines;
 
   /* ── One-time Monaco bootstrap ───────────────────────────── */
   useEffect(() => {
@@ -65,15 +118,25 @@ function CodeEditor({
         domReadOnly: readOnlyRef.current,
         /* Enable glyph margin when breakpoint support is active */
         glyphMargin: !!onToggleBpRef.current,
+        /* The gutter menu replaces Monaco's own context menu */
+        contextmenu: !onLineMenuRef.current,
       });
 
       editorRef.current = editor;
+      applyErrorMarkers(editor, errorMarkersRef.current);
+      hlDecoIds.current = editor.deltaDecorations([], sourceMapDecos(monaco, highlightLinesRef.current));
 
       editor.onDidChangeModelContent(() => {
         if (suppressRef.current) return;
         onChangeRef.current(editor.getValue());
       });
 
+      /* Only user-driven moves: setValue() also moves the cursor */
+      editor.onDidChangeCursorPosition((e) => {
+        if (e.source !== "mouse" && e.source !== "keyboard") return;
+        onCursorLineRef.current?.(e.position.lineNumber);
+      });
+
       /* ── Glyph-margin / line-number click → toggle breakpoint ── */
       if (onToggleBpRef.current) {
         editor.onMouseDown((e) => {
@@ -84,6 +147,21 @@ function CodeEditor({
           }
         });
       }
+
+      /* ── Gutter right-click → breakpoint menu ── */
+      if (onLineMenuRef.current) {
+        editor.onContextMenu((e) => {
+          const tgt = e.target;
+          /* GUTTER_GLYPH_MARGIN = 2, GUTTER_LINE_NUMBERS = 3, GUTTER_LINE_DECORATIONS = 4 */
+          if (tgt.type >= 2 && tgt.type <= 4 && tgt.position) {
+            e.event.preventDefault();
+            onLineMenuRef.current?.(tgt.position.lineNumber, {
+              x: e.event.browserEvent.clientX,
+              y: e.event.browserEvent.clientY,
+            });
+          }
+        });
+      }
     });
 
     return () => {
@@ -125,17 +203,53 @@ function CodeEditor({
     const editor = editorRef.current;
     if (!editor || !window.monaco) return;
     const decos = breakpointLines
-      ? Array.from(breakpointLines).map((line) => ({
-          range: new window.monaco.Range(line, 1, line, 1),
-          options: {
-            glyphMarginClassName: "dbg-glyph-bp",
-            glyphMarginHoverMessage: { value: "Breakpoint — click to remove" },
-          },
-        }))
+      ? Array.from(breakpointLines).map(([line, bp]) => {
+          const kind = breakpointKind(bp);
+          const off = bp.enabled === false;
+          const label = (kind === "log" ? "Logpoint" : "Breakpoint") + (off ? ", disabled" : "");
+          return {
+            range: new window.monaco.Range(line, 1, line, 1),
+            options: {
+              glyphMarginClassName: BP_GLYPH_CLASSES[kind] + (off ? " dbg-glyph-bp--off" : ""),
+              glyphMarginHoverMessage: {
+                value: `${label} (${describeBreakpoint(bp)}) — click to remove, right-click to edit`,
+              },
+            },
+          };
+        })
       : [];
     bpDecoIds.current = editor.deltaDecorations(bpDecoIds.current, decos);
   }, [breakpointLines]);
 
+  /* ── Jump to a line (breakpoint manager) ─────────────────── */
+  useEffect(() => {
+    const editor = editorRef.current;
+    const model = editor && editor.getModel();
+    if (!model || !revealLine || !window.monaco) return;
+    const line = Math.min(Math.max(1, revealLine.line), model.getLineCount());
+    editor.revealLineInCenter(line);
+    editor.setSelection(new window.monaco.Range(line, 1, line, model.getLineMaxColumn(line)));
+  }, [revealLine]);
+
+  /* ── Error markers (squiggle + hover, revealed on set) ────── */
+  useEffect(() => {
+    const editor = editorRef.current;
+    if (!editor) return;
+    applyErrorMarkers(editor, errorMarkers);
+    if (errorMarkers && errorMarkers.length > 0) {
+      editor.revealLineInCenterIfOutsideViewport(errorMarkers[0].line);
+    }
+  }, [errorMarkers]);
+
+  /* ── Selected-block line highlight (source map) ───────────── */
+  useEffect(() => {
+    const editor = editorRef.current;
+    if (!editor || !window.monaco) return;
+    const lines = highlightLines || [];
+    hlDecoIds.current = editor.deltaDecorations(hlDecoIds.current, sourceMapDecos(window.monaco, lines));
+    if (lines.length > 0) editor.revealLinesInCenterIfOutsideViewport(lines[0], lines[lines.length - 1]);
+  }, [highlightLines]);
+
   /* ── Executing-line highlight decoration ──────────────────── */
   useEffect(() => {
     const editor = editorRef.current;
@@ -0,0 +1,179 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+
+/* ── HH:MM:SS.mmm timestamp ───────────────────────────────── */
+function formatTime(t) {
+  const d = new Date(t);
+  const pad = (n, w = 2) => String(n).padStart(w, "0");
+  return `${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}.${pad(d.getMilliseconds(), 3)}`;
+}
+
+/* info is shown and filtered together with log */
+const levelGroup = (level) => (level === "warn" || level === "error" ? level : "log");
+
+const LEVELS = [
+  { key: "log",   label: "Log" },
+  { key: "warn",  label: "Warn" },
+  { key: "error", label: "Error" },
+];
+
+/**
+ * ConsolePanel
+ *
+ * Output of the simulation: print() / console output and uncaught errors
+ * forwarded from the runtime iframe, plus the IDE's own compile/runtime
+ * error and warning messages.  Entries are { id, run, kind, level, text, t };
+ * kind "run" marks the start of a run and is drawn as a separator.
+ */
+function ConsolePanel({ entries, onClear, defaultCollapsed = false }) {
+  const [collapsed,   setCollapsed]   = useState(defaultCollapsed);
+  const [levels,      setLevels]      = useState({ log: true, warn: true, error: true });
+  const [filter,      setFilter]      = useState("");
+  const [lastRunOnly, setLastRunOnly] = useState(false);
+  const [copied,      setCopied]      = useState(false);
+  const scrollRef = useRef(null);
+  const stickRef  = useRef(true);   // follow new output while scrolled to the bottom
+
+  const lastRun = entries.length > 0 ? entries[entries.length - 1].run : 0;
+
+  const counts = useMemo(() => {
+    const c = { log: 0, warn: 0, error: 0 };
+    for (const e of entries) {
+      if (e.kind !== "run" && (!lastRunOnly || e.run === lastRun)) c[levelGroup(e.level)]++;
+    }
+    return c;
+  }, [entries, lastRunOnly, lastRun]);
+
+  const visible = useMemo(() => {
+    const q = filter.trim().toLowerCase();
+    return entries.filter((e) => {
+      if (lastRunOnly && e.run !== lastRun) return false;
+      if (e.kind === "run") return true;
+      if (!levels[levelGroup(e.level)]) return false;
+      return !q || e.text.toLowerCase().includes(q);
+    });
+  }, [entries, levels, filter, lastRunOnly, lastRun]);
+
+  useEffect(() => {
+    const el = scrollRef.current;
+    if (el && stickRef.current) el.scrollTop = el.scrollHeight;
+  }, [visible, collapsed]);
+
+  const handleScroll = () => {
+    const el = scrollRef.current;
+    if (el) stickRef.current = el.scrollHeight - el.scrollTop - el.clientHeight < 24;
+  };
+
+  const handleCopy = () => {
+    const text = visible
+      .map((e) => e.kind === "run"
+        ? `── Run ${e.run} · ${formatTime(e.t)} ──`
+        : `[${formatTime(e.t)}] ${e.level.toUpperCase()} ${e.text}`)
+      .join("\n");
+    navigator.clipboard.writeText(text).then(() => {
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1200);
+    }).catch(() => {});
+  };
+
+  const toggleLevel = (key) => setLevels((prev) => ({ ...prev, [key]: !prev[key] }));
+
+  return (
+    <div className={`console-panel${collapsed ? " console-panel--collapsed" : ""}`}>
+      {/* ── Header ── */}
+      <div className="trace-panel-header console-panel-header">
+        <button
+          type="button"
+          className="console-panel-toggle"
+          onClick={() => setCollapsed((c) => !c)}
+          title={collapsed ? "Show console" : "Hide console"}
+          aria-expanded={!collapsed}
+        >
+          <span className="console-panel-chevron">{collapsed ? "▸" : "▾"}</span>
+          <span className="trace-panel-title">Console</span>
+        </button>
+        <div className="trace-panel-meta">
+          {counts.error > 0 && <span className="console-count console-count--error">{counts.error} error{counts.error !== 1 ? "s" : ""}</span>}
+          {counts.warn > 0 && <span className="console-count console-count--warn">{counts.warn} warning{counts.warn !== 1 ? "s" : ""}</span>}
+        </div>
+        {!collapsed && (
+          <>
+            {LEVELS.map(({ key, label }) => (
+              <button
+                key={key}
+                type="button"
+                className={`trace-icon-btn${levels[key] ? " trace-icon-btn--active" : ""}`}
+                onClick={() => toggleLevel(key)}
+                title={`${levels[key] ? "Hide" : "Show"} ${label.toLowerCase()} messages`}
+              >
+                {label} {counts[key]}
+              </button>
+            ))}
+            <button
+              type="button"
+              className={`trace-icon-btn${lastRunOnly ? " trace-icon-btn--active" : ""}`}
+              onClick={() => setLastRunOnly((v) => !v)}
+              title="Only show output of the latest run"
+            >
+              Last run
+            </button>
+            <button
+              type="button"
+              className="trace-icon-btn"
+              onClick={handleCopy}
+              title="Copy visible output"
+              disabled={visible.length === 0}
+            >
+              {copied ? "Copied" : "Copy"}
+            </button>
+          </>
+        )}
+        <button type="button" className="trace-clear-btn" onClick={onClear} title="Clear console">
+          Clear
+        </button>
+      </div>
+
+      {!collapsed && (
+        <>
+          {/* ── Filter ── */}
+          <div className="trace-search-bar">
+            <svg className="trace-search-icon" viewBox="0 0 16 16" fill="none" stroke="currentColor" strokeWidth="1.5" aria-hidden="true">
+              <circle cx="6.5" cy="6.5" r="4.5" />
+              <line x1="10.5" y1="10.5" x2="14" y2="14" />
+            </svg>
+            <input
+              className="trace-search-input"
+              type="text"
+              placeholder="Filter output…"
+              value={filter}
+              onChange={(e) => setFilter(e.target.value)}
+              spellCheck={false}
+            />
+            {filter && (
+              <button className="trace-search-clear" onClick={() => setFilter("")} aria-label="Clear filter">✕</button>
+            )}
+          </div>
+
+          {/* ── Output ── */}
+          <div className="console-scroll" ref={scrollRef} onScroll={handleScroll}>
+            {visible.length === 0 ? (
+              <div className="console-empty">No output yet — print() output and errors appear here.</div>
+            ) : (
+              visible.map((e) => e.kind === "run" ? (
+                <div key={e.id} className="console-run-sep">
+                  <span>Run {e.run} · {formatTime(e.t)}</span>
+                </div>
+              ) : (
+                <div key={e.id} className={`console-line console-line--${levelGroup(e.level)}`}>
+                  <span className="console-time">{formatTime(e.t)}</span>
+                  <span className="console-text">{e.text}</span>
+                </div>
+              ))
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default ConsolePanel;
@@ -3,19 +3,43 @@
  *
  * Full-screen debug overlay with:
  *  ┌─────────────────────────── Debug Toolbar ────────────────────────────┐
- *  │ [← Exit]  [▶ Run] [■ Stop]  [⏸ Pause] [→ Step] [▶ Resume]  [● Rec] │
+ *  │ [← Exit]  [▶ Run] [■ Stop]  [⏸ Pause] [▶ Resume] [→ Step]            │
+ *  │           [Frame] [+N frames]  [Until t ≥ …]  [● Rec]                │
  *  └─────────────────────────────────────────────────────────────────────-┘
  *  ┌──────────────┬─────────────────────────┬──────────────────────────────┐
- *  │  Read-only   │   3-D Viewport          │   Trace Table                │
- *  │  Blockly     │   (GlowScript iframe)   │   (Tier 1+2+3 + recording)   │
- *  │  (breakpts)  │                         │                              │
+ *  │  Read-only   │   3-D Viewport          │   Watch + Evaluate           │
+ *  │  Blockly     │   (GlowScript iframe)   ├──────────────────────────────┤
+ *  │  (breakpts)  │                         │   Scene inspector            │
+ *  │              │                         ├──────────────────────────────┤
+ *  │              │                         │   Energy monitor             │
+ *  │              │                         ├──────────────────────────────┤
+ *  │              ├─────────────────────────┤   Trace Table                │
+ *  │              │   Frame history scrubber│   (Tier 1+2+3 + recording)   │
+ *  │              ├─────────────────────────┤                              │
+ *  │              │   Plot (or docked right)│                              │
+ *  ├──────────────┼─────────────────────────┤                              │
+ *  │              │   Console               │                              │
+ *  │  Breakpoints │                         │                              │
  *  └──────────────┴─────────────────────────┴──────────────────────────────┘
  */
 
-import React, { useState, useRef, useCallback, useEffect } from "react";
+import React, { useState, useRef, useCallback, useEffect, useMemo } from "react";
 import { ReadOnlyBlockly } from "./BlocklyWorkspace";
 import CodeEditor from "./CodeEditor";
+import ConsolePanel from "./ConsolePanel";
 import TraceTable from "./TraceTable";
+import BreakpointEditor, { BreakpointMenu } from "./BreakpointEditor";
+import BreakpointManager from "./BreakpointManager";
+import WatchPanel from "./WatchPanel";
+import FrameScrubber from "./FrameScrubber";
+import SceneInspector from "./SceneInspector";
+import EnergyMonitor from "./EnergyMonitor";
+import PlotPanel from "./PlotPanel";
+import RecordingAnalysis from "./RecordingAnalysis";
+import RecordingCompare from "./RecordingCompare";
+import { blockLabels } from "../utils/blocklyGenerator";
+import { exportRecordingCsv, RECORDING_INDEXES } from "../utils/exportUtils";
+import { seriesKey } from "../utils/plotData";
 import {
   ArrowLeftIcon,
   PlayIcon,
@@ -36,6 +60,18 @@ function BpBadge({ count }) {
   );
 }
 
+/* Labels for the pause reason reported by the runtime */
+const PAUSE_REASONS = {
+  step: "step",
+  breakpoint: "breakpoint",
+  until: "condition reached",
+};
+
+/* Simulation time for the viewport header: 4 significant digits */
+function formatSimTime(t) {
+  return Math.abs(t) >= 1e4 || (t !== 0 && Math.abs(t) < 1e-3) ? t.toExponential(3) : String(parseFloat(t.toPrecision(4)));
+}
+
 /* ─── Debug Mode main component ─────────────────────────── */
 export default function DebugMode({
   /* workspace */
@@ -51,28 +87,84 @@ export default function DebugMode({
   onPause,
   onResume,
   onStep,
+  onStepFrames,       // (count) => void — run N frames then pause
+  onRunUntil,         // (name, value) => void — run until trace name ≥ value
+  pauseInfo,          // { frame, simTime, reason } reported by the runtime
   /* trace */
   traceData,
   onHighlightBlock,
   onClearTrace,
+  traceCapacity,      // samples kept per traced variable (utils/traceBuffer.js)
+  onTraceCapacity,    // (capacity) => void
   /* recording */
   recording,
   onStartRecord,
   onStopRecord,
   recordBuffer,
+  recordings,         // [{ id, name, createdAt, rows }] — saved recordings of the project
+  onRenameRecording,  // (id, name) => void
+  onDeleteRecording,  // (id) => void
   /* breakpoints */
-  breakpoints,        // Set<blockId>
+  breakpoints,        // Map<blockId, breakpoint> (utils/breakpoints.js)
   onToggleBreakpoint, // (blockId) => void
+  onSetBreakpoint,    // (blockId, breakpoint | null) => void
+  onEnableAllBreakpoints, // (enabled) => void
+  onClearBreakpoints, // () => void
+  /* watches */
+  watchExpressions,   // string[] — Python expressions
+  watchResults,       // [{ ok, value | error } | null]
+  onChangeWatches,    // (expressions) => void
+  onEvaluate,         // (text) => Promise<value text> — paused-state evaluate
+  onEditTraceValue,   // (name, text) => Promise — assign a traced variable while paused
+  /* time travel */
+  frameHistory,       // { first, last, viewing } | null — recorded frames
+  onShowFrame,        // (frame | null) => void — show an earlier frame / back to live
+  onRestoreFrame,     // (frame) => void — rewind the simulation to a frame
+  /* scene inspector */
+  sceneObjects,       // [{ id, name, type, attrs }] — objects in the running scene
+  pickedObject,       // { id, seq } | null — object clicked in the 3-D view
+  onHighlightObject,  // (id) => void — flash an object in the view
+  /* energy monitor */
+  energySamples,      // [{ frame, simTime, kinetic, potential, total }] this run
+  energyError,        // string | null — latest failing energy expression
+  energySettings,     // { bodies | null, gravity, potential } (utils/energy.js)
+  energyDetected,     // string[] — objects moved by position / force blocks
+  onEnergySettings,   // (settings) => void
   /* execution highlight */
   executingBlockId,   // string | null
+  blockCounts,        // { blockId: times run } | null — from statement hooks
+  /* last run error */
+  errorMarkers,       // [{ line, column, message }] | null
+  errorBlock,         // { blockId, message } | null
+  /* console */
+  consoleEntries,
+  onClearConsole,
   /* exit */
   onExitDebug,
 }) {
   /* Resizable left panel */
   const [leftW,  setLeftW]  = useState(280);
   const [rightW, setRightW] = useState(320);
+  const [recordIndex, setRecordIndex] = useState("sim"); // index column of recording exports
+  const [analyzing, setAnalyzing] = useState(false);     // recording analysis dialog open
+  const [comparing, setComparing] = useState(false);     // recording comparison dialog open
   const containerRef = useRef(null);
 
+  /* Plot panel: plotted series, the x-axis variable (null = time) and where it is docked */
+  const [plotSeries, setPlotSeries] = useState([]);   // [{ name, component }]
+  const [plotX,      setPlotX]      = useState(null); // { name, component } | null
+  const [plotDock,   setPlotDock]   = useState("bottom");
+
+  /* From the trace table's row menu: add a series, or plot against it */
+  const handlePlot = useCallback((name, component, asX) => {
+    const item = { name, component: component || null };
+    if (asX) {
+      setPlotX(item);
+      return;
+    }
+    setPlotSeries((prev) => (prev.some((s) => seriesKey(s) === seriesKey(item)) ? prev : [...prev, item]));
+  }, []);
+
   /* ── Left resize handle drag ── */
   const startLeftResize = useCallback((e) => {
     e.preventDefault();
@@ -122,16 +214,16 @@ export default function DebugMode({
 
   const isCodeOnly = projectType === "code_blank" || projectType === "code_template";
 
-  /* For code projects, derive Set<number> of breakpointed line numbers from
-     the shared breakpoints Set which stores "line_N" style IDs.            */
+  /* For code projects, derive Map<number, breakpoint> of breakpointed lines
+     from the shared breakpoints Map which stores "line_N" style IDs.       */
   const codeBreakpointLines = isCodeOnly
-    ? new Set(
-        [...(breakpoints || [])].flatMap((id) => {
+    ? new Map(
+        [...(breakpoints || new Map())].flatMap(([id, bp]) => {
           const m = String(id).match(/^line_(\d+)$/);
-          return m ? [parseInt(m[1], 10)] : [];
+          return m ? [[parseInt(m[1], 10), bp]] : [];
         })
       )
-    : new Set();
+    : new Map();
 
   /* Derive current executing line number for code projects */
   const executingLine = (() => {
@@ -145,6 +237,66 @@ export default function DebugMode({
     onToggleBreakpoint?.(`line_${lineNum}`);
   }, [onToggleBreakpoint]);
 
+  /* Labels for the breakpoint manager and editor: the block's text, or
+     "line N: <source>" in code projects                                 */
+  const bpIds = Array.from(breakpoints ? breakpoints.keys() : []);
+  const bpIdsKey = bpIds.join("\n");
+  const bpLabels = useMemo(() => {
+    if (!isCodeOnly) return blockLabels(workspaceXml, bpIds);
+    const lines = (pythonCode || "").split("\n");
+    return new Map(bpIds.map((id) => {
+      const n = parseInt(String(id).slice(5), 10);
+      const text = (lines[n - 1] || "").trim();
+      return [id, text ? `line ${n}: ${text}` : `line ${n}`];
+    }));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isCodeOnly, workspaceXml, pythonCode, bpIdsKey]);
+
+  /* ── Right-click menu and editor for conditions / logpoints ── */
+  const [bpMenu, setBpMenu] = useState(null);      // { id, label, at }
+  const [bpEditing, setBpEditing] = useState(null); // { id, label, mode }
+
+  const handleBlockContextMenu = useCallback((blockId, at) => {
+    setBpMenu({ id: blockId, label: "block", at });
+  }, []);
+
+  const handleLineContextMenu = useCallback((lineNum, at) => {
+    setBpMenu({ id: `line_${lineNum}`, label: `line ${lineNum}`, at });
+  }, []);
+
+  /* ── Breakpoint manager: jump to a breakpoint's block / line ── */
+  const [reveal, setReveal] = useState(null); // { id, seq } — seq re-triggers the same target
+  const handleRevealBreakpoint = useCallback((id) => {
+    setReveal((prev) => ({ id, seq: (prev ? prev.seq : 0) + 1 }));
+  }, []);
+
+  const revealLine = useMemo(() => (
+    reveal && /^line_\d+$/.test(reveal.id)
+      ? { line: parseInt(reveal.id.slice(5), 10), seq: reveal.seq }
+      : null
+  ), [reveal]);
+
+  const handleEditBreakpoint = useCallback((id) => {
+    const m = String(id).match(/^line_(\d+)$/);
+    setBpEditing({ id, label: m ? `line ${m[1]}` : "block", mode: "break" });
+  }, []);
+
+  const closeBpMenu = useCallback(() => setBpMenu(null), []);
+
+  /* Step-N-frames and run-until inputs */
+  const [frameCount, setFrameCount] = useState(10);
+  const [untilName,  setUntilName]  = useState("t");
+  const [untilValue, setUntilValue] = useState("");
+
+  /* Numeric traced variables are the run-until candidates; t first */
+  const untilNames = Array.from(traceData ? traceData.keys() : []);
+  if (!untilNames.includes(untilName)) untilNames.unshift(untilName);
+
+  const handleRunUntil = () => {
+    const value = parseFloat(untilValue);
+    if (!isNaN(value)) onRunUntil?.(untilName, value);
+  };
+
   /* Count all breakpoints (block IDs and line_N alike) */
   const bpCount = breakpoints ? breakpoints.size : 0;
 
@@ -152,6 +304,7 @@ export default function DebugMode({
   useEffect(() => {
     const handler = (e) => {
       if (e.target.tagName === "INPUT" || e.target.tagName === "TEXTAREA") return;
+      if (bpEditing || bpMenu || analyzing || comparing) return;
       if (e.code === "Space" && running) {
         e.preventDefault();
         paused ? onResume?.() : onPause?.();
@@ -166,7 +319,21 @@ export default function DebugMode({
     };
     window.addEventListener("keydown", handler);
     return () => window.removeEventListener("keydown", handler);
-  }, [running, paused, onPause, onResume, onStep, onExitDebug]);
+  }, [running, paused, onPause, onResume, onStep, onExitDebug, bpEditing, bpMenu, analyzing, comparing]);
+
+  /* Rendered under the viewport or at the top of the right panel */
+  const plotPanel = (
+    <PlotPanel
+      traceData={traceData}
+      series={plotSeries}
+      xSource={plotX}
+      paused={paused && running}
+      dock={plotDock}
+      onSeriesChange={setPlotSeries}
+      onXSourceChange={setPlotX}
+      onDockChange={setPlotDock}
+    />
+  );
 
   return (
     <div className="dm-overlay">
@@ -225,6 +392,63 @@ export default function DebugMode({
 
         <div className="dm-topbar-sep" />
 
+        <div className="dm-topbar-group" title="Frame controls — a frame is one rate() call or loop iteration">
+          <button
+            className="dm-ctrl-btn"
+            onClick={() => onStepFrames?.(1)}
+            disabled={!running}
+            title="Run one frame, then pause"
+          >
+            <StepForwardIcon size={12} />
+            <span>Frame</span>
+          </button>
+          <input
+            className="dm-ctrl-input dm-ctrl-input--count"
+            type="number"
+            min={1}
+            value={frameCount}
+            onChange={(e) => setFrameCount(e.target.value)}
+            title="Number of frames to run"
+          />
+          <button
+            className="dm-ctrl-btn"
+            onClick={() => onStepFrames?.(parseInt(frameCount, 10) || 1)}
+            disabled={!running}
+            title="Run this many frames, then pause"
+          >
+            <span>+N frames</span>
+          </button>
+          <span className="dm-ctrl-label">Until</span>
+          <select
+            className="dm-ctrl-input"
+            value={untilName}
+            onChange={(e) => setUntilName(e.target.value)}
+            title="Traced variable to watch"
+          >
+            {untilNames.map((name) => <option key={name} value={name}>{name}</option>)}
+          </select>
+          <span className="dm-ctrl-label">≥</span>
+          <input
+            className="dm-ctrl-input dm-ctrl-input--value"
+            type="number"
+            value={untilValue}
+            placeholder="value"
+            onChange={(e) => setUntilValue(e.target.value)}
+            onKeyDown={(e) => { if (e.key === "Enter") handleRunUntil(); }}
+          />
+          <button
+            className="dm-ctrl-btn"
+            onClick={handleRunUntil}
+            disabled={!running || untilValue === ""}
+            title="Run until the variable reaches the value, then pause"
+          >
+            <PlayIcon size={12} />
+            <span>Run until</span>
+          </button>
+        </div>
+
+        <div className="dm-topbar-sep" />
+
         <div className="dm-topbar-group">
           {recording ? (
             <button
@@ -245,27 +469,40 @@ export default function DebugMode({
               <span>Record</span>
             </button>
           )}
+          <select
+            className="dm-ctrl-input"
+            value={recordIndex}
+            onChange={(e) => setRecordIndex(e.target.value)}
+            title="Index column of the exported recording"
+          >
+            {Object.entries(RECORDING_INDEXES).map(([id, { label }]) => (
+              <option key={id} value={id}>{label}</option>
+            ))}
+          </select>
           <button
             className="dm-ctrl-btn"
-            onClick={() => {
-              if (!recordBuffer || recordBuffer.length === 0) return;
-              const header = "timestamp_ms,variable,value,delta,min,max\n";
-              const rows = recordBuffer.map(
-                (r) => `${r.t},"${r.name}","${r.value}",${r.delta ?? ""},${r.min ?? ""},${r.max ?? ""}`
-              );
-              const blob = new Blob([header + rows.join("\n")], { type: "text/csv" });
-              const url  = URL.createObjectURL(blob);
-              const a    = document.createElement("a");
-              a.href = url;
-              a.download = "recording_" + Date.now() + ".csv";
-              a.click();
-              setTimeout(() => URL.revokeObjectURL(url), 1000);
-            }}
+            onClick={() => exportRecordingCsv(recordBuffer, recordIndex)}
             title={`Export recording CSV (${recordBuffer ? recordBuffer.length : 0} rows)`}
             disabled={!recordBuffer || recordBuffer.length === 0}
           >
             ↓ CSV
           </button>
+          <button
+            className="dm-ctrl-btn"
+            onClick={() => setAnalyzing(true)}
+            title="Fit models to the recording, or measure its period and damping"
+            disabled={!recordBuffer || recordBuffer.length === 0}
+          >
+            Analyze
+          </button>
+          <button
+            className="dm-ctrl-btn"
+            onClick={() => setComparing(true)}
+            title={`Compare saved recordings across runs (${recordings ? recordings.length : 0} saved)`}
+            disabled={!recordings || recordings.length === 0}
+          >
+            Compare
+          </button>
           {recording && recordBuffer && (
             <span className="dm-rec-count">{recordBuffer.length} rows</span>
           )}
@@ -287,8 +524,8 @@ export default function DebugMode({
             <span className="dm-panel-title">{isCodeOnly ? "Code" : "Blocks"}</span>
             {bpCount > 0 && <BpBadge count={bpCount} />}
             {isCodeOnly
-              ? <span className="dm-panel-hint">Click line number to toggle breakpoint</span>
-              : <span className="dm-panel-hint">Click block to toggle breakpoint</span>}
+              ? <span className="dm-panel-hint">Click line number to toggle breakpoint · right-click for conditions</span>
+              : <span className="dm-panel-hint">Click block to toggle breakpoint · right-click for conditions</span>}
           </div>
           {isCodeOnly ? (
             <div className="dm-code-wrap">
@@ -299,7 +536,10 @@ export default function DebugMode({
                 readOnly={true}
                 breakpointLines={codeBreakpointLines}
                 onToggleLineBreakpoint={handleCodeLineBreakpoint}
+                onLineContextMenu={handleLineContextMenu}
+                revealLine={revealLine}
                 executingLine={executingLine}
+                errorMarkers={errorMarkers}
               />
             </div>
           ) : (
@@ -309,10 +549,23 @@ export default function DebugMode({
                 isDark={isDark}
                 breakpoints={breakpoints}
                 onBlockClick={handleBlockClick}
+                onBlockContextMenu={handleBlockContextMenu}
+                revealBlock={reveal}
                 executingBlockId={executingBlockId}
+                blockCounts={blockCounts}
+                errorBlock={errorBlock}
               />
             </div>
           )}
+          <BreakpointManager
+            breakpoints={breakpoints}
+            labels={bpLabels}
+            onReveal={handleRevealBreakpoint}
+            onEdit={handleEditBreakpoint}
+            onSet={onSetBreakpoint}
+            onEnableAll={onEnableAllBreakpoints}
+            onClearAll={onClearBreakpoints}
+          />
         </div>
 
         {/* Left resize handle */}
@@ -326,12 +579,35 @@ export default function DebugMode({
         <div className="dm-panel dm-panel--viewport">
           <div className="dm-panel-header">
             <span className="dm-panel-title">3-D Simulation</span>
-            {paused && running && <span className="dm-paused-badge">PAUSED</span>}
+            {running && pauseInfo?.frame > 0 && (
+              <span className="dm-frame-count">
+                frame {pauseInfo.frame}
+                {pauseInfo.simTime !== null && pauseInfo.simTime !== undefined && ` · t = ${formatSimTime(pauseInfo.simTime)}`}
+              </span>
+            )}
+            {paused && running && (
+              <span className="dm-paused-badge">
+                PAUSED{PAUSE_REASONS[pauseInfo?.reason] ? ` · ${PAUSE_REASONS[pauseInfo.reason]}` : ""}
+              </span>
+            )}
+            {paused && running && frameHistory && frameHistory.viewing !== null && (
+              <span className="dm-history-badge">viewing frame {frameHistory.viewing}</span>
+            )}
           </div>
           <div
             id="glowscript-host"
             className="dm-glowhost"
           />
+          {running && (
+            <FrameScrubber
+              history={frameHistory}
+              paused={paused}
+              onShowFrame={onShowFrame}
+              onRestoreFrame={onRestoreFrame}
+            />
+          )}
+          {plotDock === "bottom" && plotPanel}
+          <ConsolePanel entries={consoleEntries || []} onClear={onClearConsole} />
         </div>
 
         {/* Right resize handle */}
@@ -341,19 +617,78 @@ export default function DebugMode({
           title="Drag to resize Trace panel"
         />
 
-        {/* Right: trace table */}
+        {/* Right: watches + trace table */}
         <div className="dm-panel dm-panel--trace" style={{ width: rightW, minWidth: rightW, maxWidth: rightW }}>
+          {plotDock === "right" && plotPanel}
+          <WatchPanel
+            expressions={watchExpressions || []}
+            results={watchResults || []}
+            paused={paused && running}
+            onChange={onChangeWatches}
+            onEvaluate={onEvaluate}
+          />
+          <SceneInspector
+            objects={sceneObjects || []}
+            picked={pickedObject}
+            onHighlight={onHighlightObject}
+          />
+          <EnergyMonitor
+            samples={energySamples || []}
+            error={energyError}
+            settings={energySettings}
+            detected={energyDetected || []}
+            onChange={onEnergySettings}
+          />
           <TraceTable
             data={traceData}
             onHighlight={handleHighlight}
             onClear={onClearTrace}
+            capacity={traceCapacity}
+            onCapacityChange={onTraceCapacity}
             recording={recording}
             onStartRecord={onStartRecord}
             onStopRecord={onStopRecord}
             recordBuffer={recordBuffer}
+            recordIndex={recordIndex}
+            onEditValue={paused && running ? onEditTraceValue : null}
+            onPlot={handlePlot}
           />
         </div>
       </div>
+
+      {bpMenu && (
+        <BreakpointMenu
+          at={bpMenu.at}
+          breakpoint={breakpoints?.get(bpMenu.id) || null}
+          onToggle={() => onToggleBreakpoint?.(bpMenu.id)}
+          onEdit={(mode) => setBpEditing({ id: bpMenu.id, label: bpMenu.label, mode })}
+          onClose={closeBpMenu}
+        />
+      )}
+
+      {analyzing && recordBuffer && (
+        <RecordingAnalysis recordBuffer={recordBuffer} onClose={() => setAnalyzing(false)} />
+      )}
+
+      {comparing && (
+        <RecordingCompare
+          recordings={recordings || []}
+          onRename={onRenameRecording}
+          onDelete={onDeleteRecording}
+          onClose={() => setComparing(false)}
+        />
+      )}
+
+      {bpEditing && (
+        <BreakpointEditor
+          target={bpEditing}
+          breakpoint={breakpoints?.get(bpEditing.id) || null}
+          initialMode={bpEditing.mode}
+          onSave={(bp) => { onSetBreakpoint?.(bpEditing.id, bp); setBpEditing(null); }}
+          onRemove={() => { onSetBreakpoint?.(bpEditing.id, null); setBpEditing(null); }}
+          onCancel={() => setBpEditing(null)}
+        />
+      )}
     </div>
   );
 }
@@ -0,0 +1,345 @@
+import React, { useMemo, useRef, useState } from "react";
+import { translatePythonExpr } from "../utils/pythonExpr";
+import {
+  DRIFT_THRESHOLDS,
+  DEFAULT_DRIFT_THRESHOLD,
+  defaultBody,
+  energyDrift,
+  formatDrift,
+} from "../utils/energy";
+import { SERIES_COLORS, decimate, extent, padRange, niceTicks, formatTick } from "../utils/plotData";
+import { exportChartPng, exportEnergyCsv } from "../utils/exportUtils";
+
+const CHART_WIDTH = 300;
+const CHART_HEIGHT = 130;
+const CHART_MARGIN = { left: 44, right: 6, top: 6, bottom: 18 };
+
+const LINES = [
+  { key: "kinetic",   label: "KE",    color: SERIES_COLORS[0] },
+  { key: "potential", label: "PE",    color: SERIES_COLORS[2] },
+  { key: "total",     label: "Total", color: SERIES_COLORS[1] },
+];
+
+const BODY_FIELDS = [
+  ["mass",     "m",   "Mass (Python), e.g. 1 or ball.mass"],
+  ["pos",      "pos", "Position vector (Python), e.g. ball.pos"],
+  ["velocity", "v",   "Velocity vector (Python), e.g. ball.velocity"],
+];
+
+let clipIds = 0;
+
+/* Python translation problem of an expression, or null */
+function translateError(expr, optional = false) {
+  if (optional && !String(expr || "").trim()) return null;
+  try {
+    translatePythonExpr(expr);
+    return null;
+  } catch (err) {
+    return err.message;
+  }
+}
+
+/* Text input that reports its value on Enter or when it loses focus;
+   keyed by the value, so a new value starts a new draft */
+function ExprInput({ value, onCommit, optional = false, ...rest }) {
+  const [draft, setDraft] = useState(value);
+  const problem = translateError(draft, optional);
+  return (
+    <input
+      {...rest}
+      className={`trace-search-input energy-input${problem ? " energy-input--error" : ""}`}
+      type="text"
+      value={draft}
+      title={problem || rest.title}
+      spellCheck={false}
+      autoComplete="off"
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={() => { if (draft !== value) onCommit(draft); }}
+      onKeyDown={(e) => { if (e.key === "Enter") e.currentTarget.blur(); }}
+    />
+  );
+}
+
+/**
+ * EnergyMonitor
+ *
+ * Debug Mode panel with the kinetic, potential and total energy of the
+ * simulation per frame (evaluated by the runtime, see setEnergyMonitor in
+ * utils/glowRunner.js), plotted against simulation time.  When the total
+ * drifts from its starting value by more than the chosen threshold the
+ * panel warns that the integrator is creating or losing energy.
+ *
+ * Bodies are the objects moved by update_position_block / apply_force_block
+ * until the user declares their own (any edit to the detected list makes
+ * it a declared one).
+ *
+ *   samples  — [{ frame, simTime, kinetic, potential, total }] (utils/energy.js)
+ *   error    — message of the latest failing expression, or null
+ *   settings — { bodies: [{ name, mass, pos, velocity }] | null, gravity, potential }
+ *              (Python); bodies null = the detected ones
+ *   detected — names of the objects found in the blocks
+ *   onChange(settings)
+ */
+function EnergyMonitor({ samples, error, settings, detected, onChange }) {
+  const [collapsed, setCollapsed] = useState(false);
+  const [setupOpen, setSetupOpen] = useState(false);
+  const [threshold, setThreshold] = useState(DEFAULT_DRIFT_THRESHOLD);
+  const [draft, setDraft] = useState("");
+  const svgRef = useRef(null);
+  const clipId = useState(() => `energy-clip-${++clipIds}`)[0];
+
+  const declared = settings.bodies !== null;
+  const bodies = declared ? settings.bodies : detected.map(defaultBody);
+  const drift = useMemo(() => energyDrift(samples, threshold), [samples, threshold]);
+  const warn = drift && drift.exceeded >= 0;
+
+  const setBodies = (next) => onChange({ ...settings, bodies: next });
+  const editBody = (index, field, text) => {
+    setBodies(bodies.map((b, i) => (i === index ? { ...b, [field]: text.trim() } : b)));
+  };
+  const addBody = () => {
+    const name = draft.trim();
+    if (!name || bodies.some((b) => b.name === name)) return;
+    setBodies([...bodies, defaultBody(name)]);
+    setDraft("");
+  };
+
+  /* ── Chart: energies against sim time (frame before the clock starts) ── */
+  const byTime = samples.length > 0 && samples.every((s) => s.simTime !== null && s.simTime !== undefined);
+  const xs = useMemo(() => samples.map((s) => (byTime ? s.simTime : s.frame)), [samples, byTime]);
+  const left = CHART_MARGIN.left;
+  const right = CHART_WIDTH - CHART_MARGIN.right;
+  const top = CHART_MARGIN.top;
+  const bottom = CHART_HEIGHT - CHART_MARGIN.bottom;
+  const paths = useMemo(() => {
+    if (samples.length === 0) return null;
+    const xDomain = padRange(extent(xs), 0);
+    const ranges = LINES.map(({ key }) => extent(samples.map((s) => s[key])));
+    const yDomain = padRange([Math.min(...ranges.map((r) => r[0])), Math.max(...ranges.map((r) => r[1]))]);
+    const sx = (x) => left + ((x - xDomain[0]) / (xDomain[1] - xDomain[0])) * (right - left);
+    const sy = (y) => bottom - ((y - yDomain[0]) / (yDomain[1] - yDomain[0])) * (bottom - top);
+    const lines = LINES.map(({ key, color }) => {
+      const ys = samples.map((s) => s[key]);
+      const d = decimate(ys, 0, ys.length, right - left)
+        .map((i, k) => `${k === 0 ? "M" : "L"}${sx(xs[i]).toFixed(1)},${sy(ys[i]).toFixed(1)}`)
+        .join("");
+      return { key, color, d };
+    });
+    return { xDomain, yDomain, sx, sy, lines };
+  }, [samples, xs, left, right, top, bottom]);
+
+  const latest = samples.length > 0 ? samples[samples.length - 1] : null;
+  const exceededAt = warn ? samples[drift.exceeded] : null;
+
+  return (
+    <div className={`energy-panel${collapsed ? " energy-panel--collapsed" : ""}`}>
+      {/* ── Header ── */}
+      <div className="trace-panel-header">
+        <button
+          type="button"
+          className="console-panel-toggle"
+          onClick={() => setCollapsed((c) => !c)}
+          title={collapsed ? "Show energy monitor" : "Hide energy monitor"}
+          aria-expanded={!collapsed}
+        >
+          <span className="console-panel-chevron">{collapsed ? "▸" : "▾"}</span>
+          <span className="trace-panel-title">Energy</span>
+        </button>
+        <div className="trace-panel-meta">
+          {drift && (
+            <span
+              className={`energy-drift${warn ? " energy-drift--warn" : ""}`}
+              title="Change of the total energy since the first frame"
+            >
+              {formatDrift(drift.current)}
+            </span>
+          )}
+        </div>
+        {!collapsed && (
+          <>
+            <button
+              type="button"
+              className={`trace-icon-btn${setupOpen ? " trace-icon-btn--active" : ""}`}
+              onClick={() => setSetupOpen((o) => !o)}
+              title="Choose the bodies, gravity and potential energy to monitor"
+            >
+              Bodies
+            </button>
+            <button
+              type="button"
+              className="trace-icon-btn"
+              onClick={() => exportEnergyCsv(samples, drift.drifts)}
+              disabled={!drift}
+              title="Download the energies as CSV"
+            >
+              ↓ CSV
+            </button>
+            <button
+              type="button"
+              className="trace-icon-btn"
+              onClick={() => exportChartPng(svgRef.current, "energy")}
+              disabled={!drift}
+              title="Download the chart as PNG"
+            >
+              ↓ PNG
+            </button>
+          </>
+        )}
+      </div>
+
+      {!collapsed && (
+        <div className="energy-body">
+          {/* ── Setup: bodies, gravity, extra potential, threshold ── */}
+          {(setupOpen || bodies.length === 0) && (
+            <div className="energy-setup">
+              {bodies.length > 0 && (
+                <div className="energy-bodies">
+                  <span className="energy-col">body</span>
+                  {BODY_FIELDS.map(([field, label]) => <span key={field} className="energy-col">{label}</span>)}
+                  <span />
+                  {bodies.map((body, i) => (
+                    <React.Fragment key={body.name}>
+                      <span className="energy-name" title={body.name}>{body.name}</span>
+                      {BODY_FIELDS.map(([field, , hint]) => (
+                        <ExprInput
+                          key={`${field}:${body[field]}`}
+                          value={body[field]}
+                          title={hint}
+                          onCommit={(text) => editBody(i, field, text)}
+                        />
+                      ))}
+                      <button
+                        type="button"
+                        className="watch-remove"
+                        onClick={() => setBodies(bodies.filter((_, j) => j !== i))}
+                        title="Stop monitoring this body"
+                        aria-label={`Remove ${body.name}`}
+                      >
+                        ✕
+                      </button>
+                    </React.Fragment>
+                  ))}
+                </div>
+              )}
+              {!declared && bodies.length > 0 && (
+                <div className="energy-note">
+                  Detected from the update-position and apply-force blocks, with mass 1 — edit to declare your own.
+                </div>
+              )}
+              <input
+                className="trace-search-input energy-input energy-add"
+                type="text"
+                value={draft}
+                placeholder="Add body: object name, e.g. ball"
+                spellCheck={false}
+                autoComplete="off"
+                onChange={(e) => setDraft(e.target.value)}
+                onKeyDown={(e) => { if (e.key === "Enter") addBody(); }}
+              />
+              <label className="energy-field">
+                <span>g</span>
+                <ExprInput
+                  key={settings.gravity}
+                  value={settings.gravity}
+                  optional
+                  placeholder="none"
+                  title="Gravitational field: a vector, or a number pointing down −y (PE = −m g·pos); empty for none"
+                  onCommit={(text) => onChange({ ...settings, gravity: text.trim() })}
+                />
+              </label>
+              <label className="energy-field">
+                <span>PE +</span>
+                <ExprInput
+                  key={settings.potential}
+                  value={settings.potential}
+                  optional
+                  placeholder="e.g. 0.5*k*(L - L0)**2"
+                  title="Other potential energy (Python), added every frame"
+                  onCommit={(text) => onChange({ ...settings, potential: text.trim() })}
+                />
+              </label>
+              <label className="energy-field">
+                <span>Warn at</span>
+                <select
+                  className="plot-select"
+                  value={threshold}
+                  onChange={(e) => setThreshold(Number(e.target.value))}
+                  title="Relative drift of the total energy that raises the warning"
+                >
+                  {DRIFT_THRESHOLDS.map((t) => <option key={t} value={t}>{formatDrift(t).slice(1)} drift</option>)}
+                </select>
+              </label>
+            </div>
+          )}
+
+          {error && <div className="energy-error" title={error}>{error}</div>}
+
+          {/* ── Drift warning ── */}
+          {warn && (
+            <div className="energy-warning" role="alert">
+              Total energy has drifted by {formatDrift(drift.worst)} — past {formatDrift(threshold).slice(1)} at
+              {" "}{byTime ? `t = ${formatTick(exceededAt.simTime)}` : `frame ${exceededAt.frame}`}.
+              The integrator is {drift.worst > 0 ? "creating" : "losing"} energy: try a smaller <code>dt</code>,
+              or a different integrator — update the velocity before the position (Euler–Cromer) or use a
+              Verlet step. Friction, drag or driving forces change the energy too.
+            </div>
+          )}
+
+          {/* ── Chart ── */}
+          {bodies.length > 0 && (
+            paths ? (
+              <>
+                <svg
+                  ref={svgRef}
+                  className="energy-chart"
+                  viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+                  fontFamily="monospace"
+                  fontSize="8"
+                >
+                  <defs>
+                    <clipPath id={clipId}>
+                      <rect x={left} y={top} width={right - left} height={bottom - top} />
+                    </clipPath>
+                  </defs>
+                  {niceTicks(paths.xDomain[0], paths.xDomain[1], 4).map((v) => (
+                    <text key={`x${v}`} x={paths.sx(v)} y={bottom + 11} textAnchor="middle" fill="var(--text-muted)">
+                      {formatTick(v)}
+                    </text>
+                  ))}
+                  {niceTicks(paths.yDomain[0], paths.yDomain[1], 4).map((v) => (
+                    <g key={`y${v}`}>
+                      <line x1={left} x2={right} y1={paths.sy(v)} y2={paths.sy(v)} stroke="var(--border)" strokeWidth="0.5" />
+                      <text x={left - 3} y={paths.sy(v) + 3} textAnchor="end" fill="var(--text-muted)">{formatTick(v)}</text>
+                    </g>
+                  ))}
+                  <rect x={left} y={top} width={right - left} height={bottom - top} fill="none" stroke="var(--text-muted)" strokeWidth="0.75" />
+                  <text x={right} y={CHART_HEIGHT - 1} textAnchor="end" fill="var(--text-muted)">{byTime ? "t" : "frame"}</text>
+                  <g clipPath={`url(#${clipId})`}>
+                    {paths.lines.map((l) => (
+                      <path key={l.key} d={l.d} fill="none" stroke={l.color} strokeWidth={l.key === "total" ? 1.6 : 1.1} />
+                    ))}
+                  </g>
+                </svg>
+                <div className="energy-legend">
+                  {LINES.map(({ key, label, color }) => (
+                    <span key={key} className="energy-legend-item">
+                      <span className="plot-chip-swatch" style={{ background: color }} />
+                      {label} {formatTick(latest[key])}
+                    </span>
+                  ))}
+                </div>
+              </>
+            ) : (
+              <div className="console-empty">Run the simulation to plot its kinetic, potential and total energy.</div>
+            )
+          )}
+          {bodies.length === 0 && (
+            <div className="console-empty">Add a body to monitor — its mass, position and velocity give the kinetic energy.</div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default EnergyMonitor;
@@ -0,0 +1,120 @@
+import React, { useEffect, useRef, useState } from "react";
+
+const REPLAY_INTERVAL_MS = 33; // ~30 frames per second
+
+/**
+ * FrameScrubber
+ *
+ * Timeline under the Debug Mode viewport for the runtime's frame history.
+ * While paused, dragging the slider shows the 3-D scene and the trace table
+ * as they were at an earlier frame; Replay plays the history forward from
+ * there.  "Continue from here" rewinds the simulation to the frame shown, so
+ * Resume / Step run on from it.
+ *
+ *   history — { first, last, viewing } from the runtime, or null
+ *   paused  — scrubbing only works while paused
+ *   onShowFrame(frame | null)  — null = back to the live state
+ *   onRestoreFrame(frame)
+ */
+function FrameScrubber({ history, paused, onShowFrame, onRestoreFrame }) {
+  const [playing, setPlaying] = useState(false);
+  const positionRef = useRef(null);
+
+  const live = !history || history.viewing === null;
+  const position = history ? (live ? history.last : history.viewing) : 0;
+  const last = history ? history.last : 0;
+  if (!playing) positionRef.current = position;
+
+  /* Slider at the end = live */
+  const show = (frame) => {
+    onShowFrame?.(frame >= history.last ? null : frame);
+  };
+
+  /* Replay: step the view one frame at a time until it is live again */
+  useEffect(() => {
+    if (!playing) return undefined;
+    const timer = setInterval(() => {
+      const next = positionRef.current + 1;
+      positionRef.current = next;
+      onShowFrame?.(next >= last ? null : next);
+      if (next >= last) setPlaying(false);
+    }, REPLAY_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [playing, last, onShowFrame]);
+
+  useEffect(() => {
+    if (!paused) setPlaying(false);
+  }, [paused]);
+
+  if (!history) return null;
+  const disabled = !paused;
+
+  return (
+    <div className={`frame-scrubber${live ? "" : " frame-scrubber--past"}`}>
+      <span className="frame-scrubber-title" title="Frames recorded while Debug Mode is open">History</span>
+      <button
+        type="button"
+        className="trace-icon-btn"
+        onClick={() => show(position - 1)}
+        disabled={disabled || position <= history.first}
+        title="Previous frame"
+        aria-label="Previous frame"
+      >
+        ◀
+      </button>
+      <input
+        className="frame-scrubber-range"
+        type="range"
+        min={history.first}
+        max={history.last}
+        step={1}
+        value={position}
+        disabled={disabled}
+        onChange={(e) => { setPlaying(false); show(parseInt(e.target.value, 10)); }}
+        title={disabled ? "Pause to scrub through earlier frames" : "Drag to rewind the scene and trace table"}
+      />
+      <button
+        type="button"
+        className="trace-icon-btn"
+        onClick={() => show(position + 1)}
+        disabled={disabled || live}
+        title="Next frame"
+        aria-label="Next frame"
+      >
+        ▶
+      </button>
+      <span className="frame-scrubber-pos">
+        {live ? `frame ${history.last}` : `frame ${position} / ${history.last}`}
+      </span>
+      <button
+        type="button"
+        className="trace-icon-btn"
+        onClick={() => setPlaying((p) => !p)}
+        disabled={disabled || live}
+        title="Play the recorded frames up to the live state"
+      >
+        {playing ? "Stop replay" : "Replay"}
+      </button>
+      <button
+        type="button"
+        className="trace-icon-btn"
+        onClick={() => { setPlaying(false); onShowFrame?.(null); }}
+        disabled={disabled || live}
+        title="Back to the live state"
+      >
+        Live
+      </button>
+      <button
+        type="button"
+        className="trace-icon-btn frame-scrubber-restore"
+        onClick={() => { setPlaying(false); onRestoreFrame?.(position); }}
+        disabled={disabled || live}
+        title="Rewind the simulation to this frame — Resume or Step then runs on from it"
+      >
+        Continue from here
+      </button>
+    </div>
+  );
+}
+
+export default FrameScrubber;
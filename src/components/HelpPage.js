@@ -89,7 +89,7 @@ const SEARCH_INDEX = [
   {
     id: "debug-mode",
     title: "Debug Mode",
-    content: "debug mode breakpoints pause resume step execution highlight yellow glow red dot trace recording CSV synchronous stop block click toggle debugger inspect simulation code-only step forward F10 space pause BugIcon overlay three panel",
+    content: "debug mode breakpoints conditional breakpoint hit count logpoint breakpoint manager disable all watch expression evaluate edit value change variable time travel rewind frame history scrubber replay continue from here pause resume step execution highlight statement hooks every block count if loop rate procedure scene inspector objects attributes pick select flash yellow glow red dot trace recording CSV samples sparkline buffer capacity vector components x y z magnitude simulation time clock t dt frame index wall clock lossless plot chart graph time series phase space XY plot drag right-click add to plot y-axis zoom pan cursor readout freeze dock PNG SVG export analyze curve fit fitting linear polynomial parabola exponential decay damped sinusoid power law uncertainty R² residual oscillation period frequency zero crossing peaks amplitude decay damping ratio logarithmic decrement FFT power spectrum resample uniform grid spring pendulum compare runs saved recordings rename reference difference RMS error aligned overlay energy monitor kinetic potential total energy conservation drift Euler Euler-Cromer Verlet integrator dt bodies mass lossless synchronous stop block click toggle debugger inspect simulation code-only step forward F10 space pause BugIcon overlay three panel",
   },
   {
     id: "block-editor",
@@ -461,7 +461,8 @@ export default function HelpPage({ onClose }) {
                 <li>
                   <strong>Left — Blocks / Code panel</strong> — a read-only view of the simulation's
                   block workspace (or a read-only code editor for Blank Projects and Code Examples).
-                  Click any block to <strong>toggle a breakpoint</strong> on it.
+                  Click any block to <strong>toggle a breakpoint</strong> on it; right-click for
+                  conditions and logpoints.
                 </li>
                 <li>
                   <strong>Centre — 3D Viewport</strong> — the live GlowScript viewport, exactly as it
@@ -522,8 +523,36 @@ export default function HelpPage({ onClose }) {
                     <strong> synchronously</strong> — the simulation freezes at that exact point.</li>
                 <li>Use <Kbd>F10</Kbd> to step forward, or <Kbd>Space</Kbd> to resume running.</li>
               </ol>
+              <h3 className="help-h3">Conditions, hit counts &amp; logpoints</h3>
+              <p>
+                Right-click a block (or a line number in code projects) to add or edit a breakpoint
+                with extra options:
+              </p>
+              <ul className="help-list">
+                <li><strong>Condition</strong> — a Python expression such as <code>ball.pos.y &lt; 0</code>;
+                    the breakpoint only stops when it is true. Conditional breakpoints have a
+                    <strong> dashed outline</strong> (a dot with a bar in the code gutter).</li>
+                <li><strong>Hit count</strong> — stop from the Nth time the condition holds, e.g. the
+                    10th bounce.</li>
+                <li><strong>Logpoint</strong> — instead of pausing, write a message to the Console.
+                    <code>{"{expr}"}</code> inserts a value and <code>{"{expr:.3f}"}</code> rounds it,
+                    e.g. <code>{"y = {ball.pos.y:.3f}"}</code>. Logpoints are drawn in <strong>blue</strong>.</li>
+              </ul>
+              <p>
+                Conditions use <code>and</code>, <code>or</code>, <code>not</code>, comparisons,
+                arithmetic and attribute access. A condition that fails while the simulation runs is
+                reported once in the Console and treated as false.
+              </p>
+              <h3 className="help-h3">Breakpoint manager</h3>
+              <p>
+                The <strong>Breakpoints</strong> list under the Blocks / Code panel shows every
+                breakpoint in the project. Untick a breakpoint to disable it without losing its
+                condition, use <strong>Disable all</strong> to run straight through, and click a row
+                to jump to its block or line.
+              </p>
               <Note type="tip">
-                Breakpoints are retained until you exit Debug Mode or stop the simulation.
+                Breakpoints are saved with your project — they survive a page reload and are
+                included when you export blocks (<code>.xml</code>) or code (<code>.py</code>).
                 Set multiple breakpoints to jump between key moments in your simulation loop.
               </Note>
 
@@ -534,6 +563,115 @@ export default function HelpPage({ onClose }) {
                 see — in real time — where execution is at any given moment, which is especially
                 useful when stepping through a simulation manually with <Kbd>F10</Kbd>.
               </p>
+              <p>
+                In block projects <strong>every</strong> statement block takes part — <em>if</em>,
+                loops, <em>rate</em>, procedure calls and the standard Blockly blocks included. Each
+                block shows how many times it has run (<code>×120</code>), any of them can hold a
+                breakpoint, and <Kbd>F10</Kbd> steps from block to block; execution stops{" "}
+                <em>before</em> the block runs. For very heavy simulations this can be switched off
+                under <strong>Runtime → Debugger</strong>; only blocks that set a traced value are
+                then highlighted and can stop.
+              </p>
+
+              <h3 className="help-h3">Watch expressions &amp; evaluate</h3>
+              <p>
+                The <strong>Watch</strong> panel above the Trace Table shows the value of any
+                expression you add — e.g. <code>mag(ball.velocity)</code> or{" "}
+                <code>0.5*m*mag2(v)</code> — and re-evaluates it every time the simulation pauses,
+                so stepping with <Kbd>F10</Kbd> updates it each step.
+              </p>
+              <p>
+                While paused, the <strong>Evaluate</strong> box below the watches runs one expression
+                or assignment in the running program. Use it to inspect a value once, or to change
+                one before resuming: <code>ball.velocity.y = 0</code>, <code>k *= 2</code>,{" "}
+                <code>ball.pos += vector(0, 1, 0)</code>.
+              </p>
+              <Note type="info">
+                Watches are evaluated where execution stopped, so local variables of a function are
+                visible only while paused inside it. Vector arithmetic such as <code>a + b</code> is
+                not supported in watches, conditions or logpoints and shows an error instead of a
+                value — use <code>a.add(b)</code>, <code>mag()</code>, <code>dot()</code> and
+                components like <code>v.x</code> instead.
+              </Note>
+
+              <h3 className="help-h3">Scene inspector</h3>
+              <p>
+                The <strong>Scene</strong> panel lists every object in the running simulation —
+                its variable name, its type and, when you open a row, its current attributes such
+                as <code>pos</code>, <code>axis</code>, <code>size</code>, <code>color</code>,{" "}
+                <code>velocity</code> and the trail settings. No trace blocks are needed. Clicking a
+                row makes that object blink in the 3-D view; clicking an object in the 3-D view
+                selects its row.
+              </p>
+              <Note type="info">
+                Names are found from lines like <code>ball = sphere(...)</code>. Objects kept only
+                in a list show as <em>sphere #3</em>.
+              </Note>
+
+              <h3 className="help-h3">Changing values while paused</h3>
+              <p>
+                While paused, <strong>double-click a value</strong> in the Trace Table to change it —
+                for example to give <code>ball.velocity</code> a new value after a breakpoint. Type a
+                number or a Python expression such as <code>vector(0, 5, 0)</code> (the displayed form{" "}
+                <code>&lt;0, 5, 0&gt;</code> works too) and press <Kbd>Enter</Kbd>. The change is
+                written into the running program and noted in the Console; press <Kbd>Space</Kbd> or
+                Step to continue from the new state.
+              </p>
+
+              <h3 className="help-h3">Rewinding with the frame history</h3>
+              <p>
+                While Debug Mode is open the simulation remembers its last 600 frames. When paused,
+                drag the <strong>History</strong> slider under the 3-D view to see the scene and the
+                Trace Table as they were at an earlier frame; <Tag color="blue">◀</Tag> and{" "}
+                <Tag color="blue">▶</Tag> move one frame, <Tag color="blue">Replay</Tag> plays the
+                frames forward and <Tag color="blue">Live</Tag> returns to where the program is
+                paused. Resuming or stepping always continues from the live state.
+              </p>
+              <p>
+                To really go back in time, pick a frame and press{" "}
+                <Tag color="blue">Continue from here</Tag>: object positions, axes and colours and
+                every traced variable are put back to that frame, and Resume or Step runs on from
+                there — handy for trying a different value at the moment before a collision.
+              </p>
+              <Note type="info">
+                Only <em>traced</em> variables are rewound; other variables, trails and objects
+                deleted since keep their current state. Objects created after that frame are hidden
+                while paused but reappear, where they are now, as soon as the program continues —
+                it does not create them again.
+              </Note>
+
+              <h3 className="help-h3">Vector values</h3>
+              <p>
+                A traced vector such as <code>ball.pos</code> shows its value as text, with the
+                sparkline and min – max of its magnitude. Click <Tag color="blue">▸</Tag> in front of
+                its name to open rows for <strong>x</strong>, <strong>y</strong>, <strong>z</strong> and
+                the magnitude <strong>|v|</strong>, each with its own delta, sparkline and range.
+                Both CSV exports split vectors into x, y, z and magnitude columns, ready for a
+                spreadsheet.
+              </p>
+
+              <h3 className="help-h3">Plot panel</h3>
+              <p>
+                Drag a variable from the Trace Table onto the <strong>Plot</strong> panel, or
+                right-click it and choose <em>Add to plot</em>, to draw it over time. The rows of a
+                vector's x, y, z and |v| can be plotted the same way. The selector in the panel
+                header switches the horizontal axis between simulation time, frame number and
+                wall clock.
+              </p>
+              <ul className="help-list">
+                <li>Each series has its own coloured y-axis; tick <em>Shared y</em> to draw them
+                    all on one scale.</li>
+                <li>Drop a variable on the x-axis (or choose <em>Plot against … (x-axis)</em>)
+                    for a phase-space plot, e.g. <code>v</code> against <code>x</code>. Remove the{" "}
+                    <Tag color="blue">x:</Tag> chip to go back to time.</li>
+                <li>Scroll to zoom, drag to pan, double-click to fit all data; hover to read the
+                    values under the cursor.</li>
+                <li>The chart freezes while the simulation is paused. <Tag color="blue">Freeze</Tag>{" "}
+                    holds it while running; <Tag color="blue">↓ PNG</Tag> and{" "}
+                    <Tag color="blue">↓ SVG</Tag> save it as an image.</li>
+                <li>The dock button moves the panel between the space under the 3-D view and the
+                    top of the right-hand column.</li>
+              </ul>
 
               <h3 className="help-h3">Trace recording &amp; CSV export</h3>
               <p>
@@ -542,22 +680,113 @@ export default function HelpPage({ onClose }) {
               </p>
               <ol className="help-list">
                 <li>Click <Tag color="red">⏺ Record</Tag> to start recording.</li>
-                <li>Run or step through the simulation — every trace update is captured.</li>
-                <li>Click <Tag color="red">⏹ Stop Rec</Tag> to end the recording.</li>
-                <li>Click <Tag color="blue">↓ CSV</Tag> to download the recorded data as a CSV
-                    file containing variable, value, delta, min, max, and timestamp columns.</li>
+                <li>Run or step through the simulation — every trace update is captured, even
+                    when a variable changes many times between screen refreshes.</li>
+                <li>Click <Tag color="red">⏹ Stop Rec</Tag> to end the recording. It is saved
+                    with the project as <em>Run 1</em>, <em>Run 2</em> … (see Comparing runs).</li>
+                <li>Pick the index column next to <Tag color="blue">↓ CSV</Tag> — simulation
+                    time, frame number or wall clock — and click it to download the recorded data
+                    as a CSV file with that column first and one column per variable.</li>
               </ol>
+              <p>
+                Simulation time is what your program calls <code>t</code>: once <code>t</code> is
+                traced the clock follows it, and before that it adds <code>dt</code> once per frame.
+                In block projects an <Code>advance clock  t += dt</Code> block makes its variable
+                the clock. Unlike the wall clock it does not move while the simulation is paused
+                and does not depend on how fast the computer runs, so it is the right axis for
+                physics analysis. The viewport header shows it next to the frame number.
+              </p>
               <Note type="info">
                 The CSV export is a snapshot of the <em>recorded</em> data. If you record
-                while stepping, each step produces one row per active variable.
+                while stepping, each step produces one row per updated variable.
               </Note>
+              <p>
+                Each variable's sparkline shows its most recent samples. The selector in the
+                Trace Table header sets how many are kept per variable (60 to 60,000). When a
+                very fast loop produces values quicker than the page can take them, the
+                simulation is briefly held until the Trace Table has caught up — no values are
+                skipped.
+              </p>
+
+              <h3 className="help-h3">Curve fitting</h3>
+              <p>
+                <Tag color="blue">Analyze</Tag> in the Debug toolbar fits a model to the recording —
+                no spreadsheet needed. Choose the variable, what to plot it against and a model:
+                linear, polynomial, exponential decay, damped sinusoid or power law. Limit the
+                fit to part of the run with the <em>x from / to</em> boxes, e.g. only after a
+                spring is released. The fitted curve is drawn over the points, and every
+                parameter is listed with its uncertainty (± one standard error) together with
+                R². Exponential decay and damped sinusoid count x from the first fitted point{" "}
+                <code>x₀</code> (shown with the results), so <code>A</code> is the amplitude at the
+                start of the range. A damped sinusoid also reports its period, frequency and damping ratio; a
+                degree-2 polynomial of height against time gives the acceleration as{" "}
+                <code>2·c2</code>. <Tag color="blue">↓ CSV</Tag> saves the points, fitted values,
+                residuals and parameters; PNG and SVG save the chart.
+              </p>
+
+              <h3 className="help-h3">Period, frequency &amp; damping</h3>
+              <p>
+                No more timing swings by eye: record a spring or pendulum run, click{" "}
+                <Tag color="blue">Analyze</Tag> and open the <strong>Oscillation</strong> tab. Pick
+                the swinging variable (e.g. <code>ball.pos</code> → x) and, if needed, the part of
+                the run to use. The samples are put on an even simulation-time grid, then:
+              </p>
+              <ul className="help-list">
+                <li>green dots mark where the signal crosses its mean going up, red dots its
+                    peaks;</li>
+                <li>the <strong>period</strong> is the average time between up-crossings, with
+                    its uncertainty, alongside the frequency <em>f</em> and <em>ω</em>;</li>
+                <li>the <strong>damping</strong> comes from how fast the peaks shrink: decay
+                    rate γ, logarithmic decrement δ = γT and damping ratio ζ;</li>
+                <li>the <strong>power spectrum</strong> shows which frequencies the motion
+                    contains — a single sharp peak for simple harmonic motion.</li>
+              </ul>
+
+              <h3 className="help-h3">Comparing runs</h3>
+              <p>
+                Every recording is kept with the project, even after a reload, and named after
+                its run — <em>Run 2 · dt = 0.001</em> when your program traces <code>dt</code>.
+                Record once with <code>dt = 0.01</code>, change it, record again, then click{" "}
+                <Tag color="blue">Compare</Tag>:
+              </p>
+              <ul className="help-list">
+                <li>tick the runs to compare, rename them, or export or delete any of them;</li>
+                <li>pick a variable — each run is drawn in its own colour against simulation
+                    time (or frame);</li>
+                <li>the other runs are lined up with the <strong>reference</strong> run (by
+                    default the one with the smallest <code>dt</code>) and their difference from
+                    it is drawn, with the mean, RMS and largest difference in a table;</li>
+                <li><Tag color="blue">↓ CSV</Tag> saves the aligned values, the differences and
+                    the table.</li>
+              </ul>
+
+              <h3 className="help-h3">Energy monitor</h3>
+              <p>
+                The <strong>Energy</strong> panel (below Scene) plots kinetic energy{" "}
+                <em>KE = ½mv²</em>, potential energy and their total for every frame of the run.
+                In block projects it watches the objects moved by the{" "}
+                <Tag color="yellow">update position</Tag> and <Tag color="yellow">apply force</Tag>{" "}
+                blocks, with mass 1. Click <strong>Bodies</strong> to declare your own: an object
+                name, then its mass, position and velocity as Python (e.g. <code>m</code>,{" "}
+                <code>ball.pos</code>, <code>ball.velocity</code>). Potential energy uses your
+                program&apos;s <code>g</code> — a vector such as <code>vector(0, -9.8, 0)</code> or
+                a number pointing down — and <strong>PE +</strong> adds any other term, such as a
+                spring&apos;s <code>0.5*k*x**2</code>.
+              </p>
+              <p>
+                With no friction or drag the total should stay flat. The badge in the header shows
+                how far it has drifted since the start; past the <strong>Warn at</strong> threshold
+                a yellow warning appears. Plain Euler steps with a large <code>dt</code> creep
+                upwards — make <code>dt</code> smaller, or update the velocity <em>before</em> the
+                position (Euler–Cromer) and watch the drift shrink.
+              </p>
 
               <h3 className="help-h3">Code-only projects</h3>
               <p>
                 When debugging a <Tag color="green">Blank Project</Tag> or{" "}
                 <Tag color="blue">Code Example</Tag>, the Blocks panel is replaced by a
-                read-only code editor showing the VPython source. Breakpoints are not available
-                in this mode — use Pause / Step to inspect execution. All other Debug Mode features
+                read-only code editor showing the VPython source. Click a line number to set a
+                breakpoint, or right-click it for conditions and logpoints. All other Debug Mode features
                 (execution highlight, trace recording, CSV export) work normally.
               </p>
             </section>
@@ -1030,6 +1259,15 @@ CHARGE = 1.6e-19`}</Pre>
                     Smaller dt = more accurate but slower. Typical: 0.001–0.01 s for most simulations.
                   </div>
                 </div>
+                <div className="help-block-row">
+                  <div className="help-block-name">sim_clock_block</div>
+                  <div className="help-block-desc">
+                    Advances the simulation time by one step inside the loop. Set <Code>t = 0</Code>
+                    before the loop. Debug Mode uses this variable as the clock for trace samples
+                    and recordings.
+                    <Pre>t = t + dt</Pre>
+                  </div>
+                </div>
               </div>
 
               <h3 className="help-h3">Utility <Tag color="pink">colour 330</Tag></h3>
@@ -1598,7 +1836,7 @@ angle = clamp(input_angle, -30, 30)`}</Pre>
                   <tr>
                     <td><Tag color="blue">↓ CSV</Tag></td>
                     <td>CSV file</td>
-                    <td>Recorded trace data (variable, value, delta, min, max, timestamp)</td>
+                    <td>Recorded trace data — one column per variable, indexed by simulation time, frame or wall clock</td>
                     <td>Post-run analysis, data export — available in Debug Mode after recording</td>
                   </tr>
                 </tbody>
@@ -0,0 +1,527 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import {
+  SERIES_COLORS,
+  TIME_AXES,
+  TRACE_DRAG_TYPE,
+  seriesKey,
+  seriesLabel,
+  timeSeries,
+  xySeries,
+  extent,
+  padRange,
+  lowerBound,
+  nearestIndex,
+  decimate,
+  niceTicks,
+  formatTick,
+} from "../utils/plotData";
+import { exportChartPng, exportChartSvg } from "../utils/exportUtils";
+
+const PLOT_HEIGHT = 200;
+const AXIS_WIDTH = 44;        // room for one y-axis and its tick labels
+const MARGIN = { top: 10, bottom: 24, side: 8 };
+const ZOOM_STEP = 1.2;
+const XY_MAX_POINTS = 4000;   // XY plots draw every Nth point beyond this
+
+let clipIds = 0;
+
+/* [min, max] covering every range in `ranges` (nulls skipped), or null */
+function unionRange(ranges) {
+  const found = ranges.filter(Boolean);
+  if (found.length === 0) return null;
+  return [Math.min(...found.map((r) => r[0])), Math.max(...found.map((r) => r[1]))];
+}
+
+/**
+ * PlotPanel
+ *
+ * Debug Mode chart of traced variables.  Variables (or vector components)
+ * are dragged onto it from the Trace Table or added from a row's
+ * right-click menu; each series gets its own y-axis unless "Shared y" is
+ * on.  Dropping a variable on the x-axis plots the others against it
+ * (XY / phase space, e.g. velocity against position).  Wheel zooms, drag
+ * pans, double-click fits everything again; the cursor reads off values.
+ * The chart freezes while the simulation is paused (or with Freeze) and
+ * exports as PNG or SVG.
+ *
+ *   traceData — Map<name, entry>; entry.samples is the variable's ring buffer
+ *   series    — [{ name, component }] plotted quantities (component: x / y / z / mag)
+ *   xSource   — { name, component } to plot against, or null to plot against time
+ *   paused    — simulation paused: the chart is frozen
+ *   dock      — "bottom" | "right": the panel it sits in
+ *   onSeriesChange(series), onXSourceChange(xSource | null), onDockChange(dock)
+ */
+function PlotPanel({ traceData, series, xSource, paused, dock, onSeriesChange, onXSourceChange, onDockChange }) {
+  const [collapsed,  setCollapsed]  = useState(false);
+  const [timeAxis,   setTimeAxis]   = useState("sim");
+  const [sharedAxis, setSharedAxis] = useState(false);
+  const [held,       setHeld]       = useState(false);   // Freeze button
+  const [view,       setView]       = useState(null);    // null = fit all; { x0, x1, y0?, y1? }
+  const [cursor,     setCursor]     = useState(null);    // { px, py } in SVG coordinates
+  const [dropping,   setDropping]   = useState(false);
+  const [width,      setWidth]      = useState(400);
+  const boxRef  = useRef(null);
+  const svgRef  = useRef(null);
+  const geomRef = useRef(null);
+  const clipId  = useState(() => `plot-clip-${++clipIds}`)[0];
+
+  const frozen = held || !!paused;
+  const xy = !!xSource;
+
+  useEffect(() => {
+    const el = boxRef.current;
+    if (!el || typeof ResizeObserver === "undefined") return undefined;
+    const observer = new ResizeObserver(([entry]) => {
+      setWidth(Math.max(200, Math.floor(entry.contentRect.width)));
+    });
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, [collapsed]);
+
+  /* While frozen the chart keeps the trace data it last showed.  The ring
+     buffers keep filling, so samples newer than the freeze are cut off. */
+  const shownRef = useRef({ data: traceData, cutoff: Infinity });
+  if (!frozen) {
+    shownRef.current = { data: traceData, cutoff: Infinity };
+  } else if (shownRef.current.cutoff === Infinity) {
+    let newest = 0;
+    shownRef.current.data.forEach((entry) => {
+      newest = Math.max(newest, entry.samples?.last()?.seq ?? 0);
+    });
+    shownRef.current = { ...shownRef.current, cutoff: newest };
+  }
+  const shown = shownRef.current;
+
+  /* ── Points of every series ── */
+  const lines = useMemo(() => {
+    const samplesOf = (name) => {
+      const buffer = shown.data.get(name)?.samples;
+      if (!buffer) return [];
+      const all = buffer.toArray();
+      return shown.cutoff === Infinity ? all : all.filter((s) => s.seq <= shown.cutoff);
+    };
+    const perSeries = series.map((s) => samplesOf(s.name));
+    const t0 = Math.min(...perSeries.map((list) => (list.length > 0 ? list[0].t : Infinity)));
+    const xSamples = xSource ? samplesOf(xSource.name) : null;
+    return series.map((s, i) => ({
+      ...s,
+      key: seriesKey(s),
+      label: seriesLabel(s),
+      color: SERIES_COLORS[i % SERIES_COLORS.length],
+      ...(xSource
+        ? xySeries(xSamples, xSource.component, perSeries[i], s.component)
+        : timeSeries(perSeries[i], s.component, timeAxis, t0)),
+    }));
+  }, [shown, series, xSource, timeAxis]);
+
+  /* ── Geometry ── */
+  const independent = !xy && !sharedAxis && lines.length > 1;
+  const leftAxes  = independent ? Math.ceil(lines.length / 2) : 1;
+  const rightAxes = independent ? Math.floor(lines.length / 2) : 0;
+  const plotLeft   = MARGIN.side + leftAxes * AXIS_WIDTH;
+  const plotRight  = Math.max(plotLeft + 40, width - MARGIN.side - rightAxes * AXIS_WIDTH);
+  const plotTop    = MARGIN.top;
+  const plotBottom = PLOT_HEIGHT - MARGIN.bottom;
+
+  const dataX = unionRange(lines.map((l) => extent(l.xs)));
+  const xDomain = view ? [view.x0, view.x1] : dataX ? padRange(dataX, xy ? 0.05 : 0) : [0, 1];
+
+  /* Visible index range: time axes are ascending, XY points are not */
+  const visible = lines.map((l) => {
+    if (xy) return { lo: 0, hi: l.xs.length };
+    return {
+      lo: Math.max(0, lowerBound(l.xs, xDomain[0]) - 1),
+      hi: Math.min(l.xs.length, lowerBound(l.xs, xDomain[1]) + 1),
+    };
+  });
+  const ownY = lines.map((l, i) => extent(l.ys, visible[i].lo, visible[i].hi));
+  const sharedY = view && view.y0 !== undefined
+    ? [view.y0, view.y1]
+    : padRange(unionRange(ownY) || [0, 1]);
+  const yDomains = lines.map((l, i) => (independent ? padRange(ownY[i] || [0, 1]) : sharedY));
+
+  const sx = (x) => plotLeft + ((x - xDomain[0]) / (xDomain[1] - xDomain[0])) * (plotRight - plotLeft);
+  const invX = (px) => xDomain[0] + ((px - plotLeft) / (plotRight - plotLeft)) * (xDomain[1] - xDomain[0]);
+  const syFor = (d) => (y) => plotBottom - ((y - d[0]) / (d[1] - d[0])) * (plotBottom - plotTop);
+  const invY = (py) => sharedY[0] + ((plotBottom - py) / (plotBottom - plotTop)) * (sharedY[1] - sharedY[0]);
+
+  geomRef.current = { xDomain, sharedY, plotLeft, plotRight, plotTop, plotBottom, invX, invY, xy };
+
+  /* ── Wheel zoom (native listener: it has to preventDefault) ── */
+  useEffect(() => {
+    const svg = svgRef.current;
+    if (!svg) return undefined;
+    const onWheel = (e) => {
+      const g = geomRef.current;
+      const { px, py } = svgPoint(svg, e);
+      if (px < g.plotLeft || px > g.plotRight || py < g.plotTop || py > g.plotBottom) return;
+      e.preventDefault();
+      const f = e.deltaY > 0 ? ZOOM_STEP : 1 / ZOOM_STEP;
+      const cx = g.invX(px);
+      const next = { x0: cx - (cx - g.xDomain[0]) * f, x1: cx + (g.xDomain[1] - cx) * f };
+      if (g.xy) {
+        const cy = g.invY(py);
+        next.y0 = cy - (cy - g.sharedY[0]) * f;
+        next.y1 = cy + (g.sharedY[1] - cy) * f;
+      }
+      setView(next);
+    };
+    svg.addEventListener("wheel", onWheel, { passive: false });
+    return () => svg.removeEventListener("wheel", onWheel);
+  }, [collapsed]);
+
+  /* ── Drag to pan ── */
+  const startPan = (e) => {
+    if (e.button !== 0) return;
+    const g = geomRef.current;
+    const start = svgPoint(svgRef.current, e);
+    const from = { x: g.xDomain, y: g.sharedY };
+    const perPxX = (from.x[1] - from.x[0]) / (g.plotRight - g.plotLeft);
+    const perPxY = (from.y[1] - from.y[0]) / (g.plotBottom - g.plotTop);
+    const onMove = (me) => {
+      const p = svgPoint(svgRef.current, me);
+      const dx = (p.px - start.px) * perPxX;
+      const next = { x0: from.x[0] - dx, x1: from.x[1] - dx };
+      if (g.xy) {
+        const dy = (p.py - start.py) * perPxY;
+        next.y0 = from.y[0] + dy;
+        next.y1 = from.y[1] + dy;
+      }
+      setView(next);
+    };
+    const onUp = () => {
+      window.removeEventListener("mousemove", onMove);
+      window.removeEventListener("mouseup", onUp);
+    };
+    window.addEventListener("mousemove", onMove);
+    window.addEventListener("mouseup", onUp);
+  };
+
+  /* ── Drop a variable from the Trace Table ── */
+  const readDrop = (e) => {
+    try {
+      const item = JSON.parse(e.dataTransfer.getData(TRACE_DRAG_TYPE));
+      return item && item.name ? { name: item.name, component: item.component || null } : null;
+    } catch (_) {
+      return null;
+    }
+  };
+  const addSeries = (item) => {
+    if (series.some((s) => seriesKey(s) === seriesKey(item))) return;
+    onSeriesChange?.([...series, item]);
+  };
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDropping(false);
+    const item = readDrop(e);
+    if (!item) return;
+    /* Below the plot area = the x-axis */
+    const onAxis = svgRef.current && svgPoint(svgRef.current, e).py > plotBottom;
+    if (onAxis) {
+      onXSourceChange?.(item);
+      setView(null);
+    } else {
+      addSeries(item);
+    }
+  };
+  const acceptsDrag = (e) => Array.from(e.dataTransfer.types || []).includes(TRACE_DRAG_TYPE);
+
+  /* ── Drawing ── */
+  const paths = lines.map((l, i) => {
+    const { lo, hi } = visible[i];
+    let indexes;
+    if (xy) {
+      const stride = Math.max(1, Math.ceil((hi - lo) / XY_MAX_POINTS));
+      indexes = [];
+      for (let k = lo; k < hi; k += stride) indexes.push(k);
+    } else {
+      indexes = decimate(l.ys, lo, hi, Math.max(50, Math.floor(plotRight - plotLeft)));
+    }
+    const sy = syFor(yDomains[i]);
+    return indexes
+      .map((k, n) => `${n === 0 ? "M" : "L"}${sx(l.xs[k]).toFixed(1)},${sy(l.ys[k]).toFixed(1)}`)
+      .join("");
+  });
+
+  const xTicks = niceTicks(xDomain[0], xDomain[1], Math.max(2, Math.floor((plotRight - plotLeft) / 80)));
+  const axes = (independent ? lines.map((l, i) => i) : [0]).map((i) => {
+    const left = i % 2 === 0;
+    const slot = Math.floor(i / 2);
+    return {
+      i,
+      x: left ? plotLeft - slot * AXIS_WIDTH : plotRight + slot * AXIS_WIDTH,
+      left,
+      domain: yDomains[i] || sharedY,
+      color: independent ? lines[i].color : "var(--text-muted)",
+    };
+  });
+
+  /* ── Cursor readout ── */
+  let readout = null;
+  if (cursor && lines.length > 0) {
+    if (xy) {
+      let best = null;
+      lines.forEach((l, i) => {
+        const sy = syFor(yDomains[i]);
+        const { lo, hi } = visible[i];
+        const stride = Math.max(1, Math.ceil((hi - lo) / XY_MAX_POINTS));
+        for (let k = lo; k < hi; k += stride) {
+          const d = Math.hypot(sx(l.xs[k]) - cursor.px, sy(l.ys[k]) - cursor.py);
+          if (!best || d < best.d) best = { d, l, k, px: sx(l.xs[k]), py: sy(l.ys[k]) };
+        }
+      });
+      if (best) {
+        readout = {
+          px: best.px,
+          title: `${seriesLabel(xSource)} = ${formatTick(best.l.xs[best.k])}`,
+          rows: [{ key: best.l.key, label: best.l.label, color: best.l.color, value: best.l.ys[best.k], py: best.py }],
+        };
+      }
+    } else {
+      const at = invX(cursor.px);
+      readout = {
+        px: cursor.px,
+        title: `${TIME_AXES[timeAxis].unit} = ${formatTick(at)}`,
+        rows: lines.map((l, i) => {
+          const k = nearestIndex(l.xs, at);
+          if (k < 0) return null;
+          return { key: l.key, label: l.label, color: l.color, value: l.ys[k], py: syFor(yDomains[i])(l.ys[k]) };
+        }).filter(Boolean),
+      };
+    }
+  }
+
+  const exportName = `plot_${Date.now()}`;
+
+  return (
+    <div className={`plot-panel plot-panel--${dock}${collapsed ? " plot-panel--collapsed" : ""}`}>
+      {/* ── Header ── */}
+      <div className="trace-panel-header plot-header">
+        <button
+          type="button"
+          className="console-panel-toggle"
+          onClick={() => setCollapsed((c) => !c)}
+          title={collapsed ? "Show plot" : "Hide plot"}
+          aria-expanded={!collapsed}
+        >
+          <span className="console-panel-chevron">{collapsed ? "▸" : "▾"}</span>
+          <span className="trace-panel-title">Plot</span>
+        </button>
+        <div className="trace-panel-meta">
+          {frozen && series.length > 0 && (
+            <span className="plot-frozen" title={paused ? "Frozen while the simulation is paused" : "Frozen — press Live to follow the data again"}>
+              frozen
+            </span>
+          )}
+        </div>
+        {!collapsed && (
+          <>
+            {!xy && (
+              <select
+                className="trace-alert-select plot-select"
+                value={timeAxis}
+                onChange={(e) => { setTimeAxis(e.target.value); setView(null); }}
+                title="Horizontal axis"
+              >
+                {Object.entries(TIME_AXES).map(([id, { label }]) => <option key={id} value={id}>{label}</option>)}
+              </select>
+            )}
+            {!xy && lines.length > 1 && (
+              <label className="plot-check" title="One y-axis for every series instead of one each">
+                <input type="checkbox" checked={sharedAxis} onChange={(e) => setSharedAxis(e.target.checked)} />
+                Shared y
+              </label>
+            )}
+            <button
+              type="button"
+              className={`trace-icon-btn${held ? " trace-icon-btn--active" : ""}`}
+              onClick={() => setHeld((h) => !h)}
+              title={held ? "Follow the live data again" : "Stop updating the chart"}
+            >
+              {held ? "Live" : "Freeze"}
+            </button>
+            {view && (
+              <button type="button" className="trace-icon-btn" onClick={() => setView(null)} title="Fit all data (or double-click the chart)">
+                Fit
+              </button>
+            )}
+            <button
+              type="button"
+              className="trace-icon-btn"
+              onClick={() => exportChartPng(svgRef.current, exportName)}
+              disabled={lines.length === 0}
+              title="Save the chart as a PNG image"
+            >
+              ↓ PNG
+            </button>
+            <button
+              type="button"
+              className="trace-icon-btn"
+              onClick={() => exportChartSvg(svgRef.current, exportName)}
+              disabled={lines.length === 0}
+              title="Save the chart as an SVG drawing"
+            >
+              ↓ SVG
+            </button>
+            <button
+              type="button"
+              className="trace-icon-btn"
+              onClick={() => onDockChange?.(dock === "right" ? "bottom" : "right")}
+              title={dock === "right" ? "Dock under the 3-D view" : "Dock in the right-hand panel"}
+            >
+              {dock === "right" ? "⇤ Dock below" : "⇥ Dock right"}
+            </button>
+          </>
+        )}
+      </div>
+
+      {!collapsed && (
+        <>
+          {/* ── Series chips ── */}
+          {(lines.length > 0 || xy) && (
+            <div className="plot-series">
+              {xy && (
+                <span className="plot-chip plot-chip--x" title="Horizontal axis">
+                  x: {seriesLabel(xSource)}
+                  <button type="button" className="plot-chip-remove" onClick={() => { onXSourceChange?.(null); setView(null); }} aria-label="Plot against time again">
+                    ✕
+                  </button>
+                </span>
+              )}
+              {lines.map((l) => (
+                <span key={l.key} className="plot-chip">
+                  <span className="plot-chip-swatch" style={{ background: l.color }} />
+                  {l.label}
+                  <button
+                    type="button"
+                    className="plot-chip-remove"
+                    onClick={() => onSeriesChange?.(series.filter((s) => seriesKey(s) !== l.key))}
+                    aria-label={`Remove ${l.label}`}
+                  >
+                    ✕
+                  </button>
+                </span>
+              ))}
+            </div>
+          )}
+
+          {/* ── Chart ── */}
+          <div
+            ref={boxRef}
+            className={`plot-box${dropping ? " plot-box--drop" : ""}`}
+            onDragOver={(e) => { if (acceptsDrag(e)) { e.preventDefault(); setDropping(true); } }}
+            onDragLeave={() => setDropping(false)}
+            onDrop={handleDrop}
+          >
+            <svg
+              ref={svgRef}
+              className="plot-svg"
+              width={width}
+              height={PLOT_HEIGHT}
+              viewBox={`0 0 ${width} ${PLOT_HEIGHT}`}
+              fontFamily="monospace"
+              fontSize="9"
+            >
+              <defs>
+                <clipPath id={clipId}>
+                  <rect x={plotLeft} y={plotTop} width={plotRight - plotLeft} height={plotBottom - plotTop} />
+                </clipPath>
+              </defs>
+
+              {/* x grid + ticks */}
+              {xTicks.map((v) => (
+                <g key={`x${v}`}>
+                  <line x1={sx(v)} x2={sx(v)} y1={plotTop} y2={plotBottom} stroke="var(--border)" strokeWidth="0.5" />
+                  <text x={sx(v)} y={plotBottom + 11} textAnchor="middle" fill="var(--text-muted)">{formatTick(v)}</text>
+                </g>
+              ))}
+              <line x1={plotLeft} x2={plotRight} y1={plotBottom} y2={plotBottom} stroke="var(--text-muted)" strokeWidth="0.75" />
+              <text x={plotRight} y={PLOT_HEIGHT - 2} textAnchor="end" fill="var(--text-muted)">
+                {xy ? seriesLabel(xSource) : TIME_AXES[timeAxis].unit}
+              </text>
+
+              {/* y axes */}
+              {lines.length > 0 && axes.map((a) => {
+                const sy = syFor(a.domain);
+                return (
+                  <g key={`y${a.i}`}>
+                    <line x1={a.x} x2={a.x} y1={plotTop} y2={plotBottom} stroke={a.color} strokeWidth="0.75" />
+                    {niceTicks(a.domain[0], a.domain[1], 4).map((v) => (
+                      <text
+                        key={v}
+                        x={a.left ? a.x - 3 : a.x + 3}
+                        y={sy(v) + 3}
+                        textAnchor={a.left ? "end" : "start"}
+                        fill={a.color}
+                      >
+                        {formatTick(v)}
+                      </text>
+                    ))}
+                  </g>
+                );
+              })}
+
+              {/* series */}
+              <g clipPath={`url(#${clipId})`}>
+                {lines.map((l, i) => (
+                  <path key={l.key} d={paths[i]} fill="none" stroke={l.color} strokeWidth="1.5" strokeLinejoin="round" />
+                ))}
+              </g>
+
+              {/* cursor */}
+              {readout && (
+                <g pointerEvents="none">
+                  <line x1={readout.px} x2={readout.px} y1={plotTop} y2={plotBottom} stroke="var(--text-muted)" strokeDasharray="3 3" />
+                  {readout.rows.map((r) => <circle key={r.key} cx={readout.px} cy={r.py} r="3" fill={r.color} />)}
+                </g>
+              )}
+
+              {lines.length === 0 && (
+                <text x={(plotLeft + plotRight) / 2} y={(plotTop + plotBottom) / 2} textAnchor="middle" fill="var(--text-muted)" fontSize="11">
+                  Drag a variable here from the Trace Table, or right-click it → Add to plot
+                </text>
+              )}
+
+              {/* interaction surface */}
+              <rect
+                x={plotLeft}
+                y={plotTop}
+                width={plotRight - plotLeft}
+                height={plotBottom - plotTop}
+                fill="transparent"
+                style={{ cursor: "crosshair" }}
+                onMouseDown={startPan}
+                onMouseMove={(e) => setCursor(svgPoint(svgRef.current, e))}
+                onMouseLeave={() => setCursor(null)}
+                onDoubleClick={() => setView(null)}
+              />
+            </svg>
+
+            {readout && readout.rows.length > 0 && (
+              <div
+                className="plot-readout"
+                style={readout.px > (plotLeft + plotRight) / 2 ? { left: plotLeft + 6 } : { right: width - plotRight + 6 }}
+              >
+                <div className="plot-readout-title">{readout.title}</div>
+                {readout.rows.map((r) => (
+                  <div key={r.key} className="plot-readout-row">
+                    <span className="plot-chip-swatch" style={{ background: r.color }} />
+                    {r.label} = {formatTick(r.value)}
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+/* Mouse position in the SVG's own coordinates */
+function svgPoint(svg, e) {
+  const rect = svg.getBoundingClientRect();
+  return { px: e.clientX - rect.left, py: e.clientY - rect.top };
+}
+
+export default PlotPanel;
@@ -0,0 +1,306 @@
+import React, { useMemo, useState } from "react";
+import AnalysisChart, { ResultTable } from "./AnalysisChart";
+import { FIT_MODELS, POLY_DEGREES, fitCurve, formatMeasurement } from "../utils/curveFit";
+import { analyzeOscillation } from "../utils/oscillation";
+import {
+  TIME_AXES,
+  recordingVariables,
+  recordingPoints,
+  seriesLabel,
+  extent,
+  formatTick,
+} from "../utils/plotData";
+import { VECTOR_COMPONENTS } from "../utils/traceValues";
+import { exportFitCsv, exportOscillationCsv } from "../utils/exportUtils";
+
+const CURVE_POINTS = 240;
+const SPECTRUM_SPAN = 5;    // the spectrum is shown up to this many times its peak
+
+const TABS = [["fit", "Curve fit"], ["oscillation", "Oscillation"]];
+
+/* Select values for a data source: { axis } or { name, component } */
+const sourceValue = (source) => JSON.stringify(source);
+const sourceLabel = (source) => (source.axis ? TIME_AXES[source.axis].label : seriesLabel(source));
+
+const measured = (m) => (m ? formatMeasurement(m.value, m.error) : "— (needs two peaks)");
+
+/**
+ * RecordingAnalysis
+ *
+ * Modal over a trace recording (styled like VariableDialog) with two views:
+ *   Curve fit   — pick a variable, what to plot it against and a model; the
+ *                 fit is drawn over the points with parameters, uncertainties
+ *                 and R² (utils/curveFit.js)
+ *   Oscillation — the variable against simulation time, resampled onto a
+ *                 uniform grid: zero crossings, peaks, period, frequency,
+ *                 amplitude decay, damping ratio and the FFT power spectrum
+ *                 (utils/oscillation.js)
+ * The view works on a copy of the recording taken when it opens; Reload
+ * picks up rows recorded since.
+ *
+ *   recordBuffer — recording rows { t, simTime, frame, name, value }
+ *   onClose()
+ */
+export default function RecordingAnalysis({ recordBuffer, onClose }) {
+  const [rows, setRows] = useState(() => recordBuffer.slice());
+  const variables = useMemo(() => recordingVariables(rows), [rows]);
+  const ySources = useMemo(() => variables.flatMap(({ name, vector }) => (vector
+    ? VECTOR_COMPONENTS.map(({ key }) => ({ name, component: key }))
+    : [{ name, component: null }])), [variables]);
+  const xSources = useMemo(() => [
+    ...Object.keys(TIME_AXES).map((axis) => ({ axis })),
+    ...ySources,
+  ], [ySources]);
+
+  const [tab, setTab] = useState("fit");
+  const [yChoice, setYChoice] = useState(null);   // select value; null = first variable
+  const [xChoice, setXChoice] = useState(sourceValue({ axis: "sim" }));
+  const [model, setModel] = useState("linear");
+  const [degree, setDegree] = useState(2);
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
+
+  const yValue = yChoice || (ySources.length > 0 ? sourceValue(ySources[0]) : null);
+  const ySource = yValue ? JSON.parse(yValue) : null;
+  /* Oscillations are always analysed against simulation time */
+  const xValue = tab === "oscillation" ? sourceValue({ axis: "sim" }) : xChoice;
+  const xSource = JSON.parse(xValue);
+
+  /* Recorded points inside the from / to range */
+  const points = useMemo(() => {
+    if (!yValue) return { xs: [], ys: [] };
+    const all = recordingPoints(rows, JSON.parse(xValue), JSON.parse(yValue));
+    const lo = from.trim() === "" ? -Infinity : parseFloat(from);
+    const hi = to.trim() === "" ? Infinity : parseFloat(to);
+    const xs = [];
+    const ys = [];
+    all.xs.forEach((x, i) => {
+      if (x >= lo && x <= hi) {
+        xs.push(x);
+        ys.push(all.ys[i]);
+      }
+    });
+    return { xs, ys };
+  }, [rows, xValue, yValue, from, to]);
+
+  const result = useMemo(() => {
+    if (points.xs.length === 0) return { error: "No recorded points for this choice." };
+    try {
+      return tab === "fit"
+        ? { fit: fitCurve(model, points.xs, points.ys, { degree }) }
+        : { osc: analyzeOscillation(points.xs, points.ys) };
+    } catch (err) {
+      return { error: err.message };
+    }
+  }, [tab, points, model, degree]);
+
+  const xLabel = sourceLabel(xSource);
+  const yLabel = ySource ? sourceLabel(ySource) : "";
+  const newRows = recordBuffer.length - rows.length;
+  const stamp = Date.now();
+  const { fit, osc } = result;
+
+  const handleKeyDown = (e) => {
+    if (e.key === "Escape") onClose?.();
+    e.stopPropagation();
+  };
+
+  /* ── Curve fit view ── */
+  const renderFit = () => {
+    const curve = { xs: [], ys: [], color: "#ef4444", width: 2 };
+    const xRange = extent(points.xs);
+    if (fit && xRange) {
+      for (let k = 0; k <= CURVE_POINTS; k++) {
+        const x = xRange[0] + ((xRange[1] - xRange[0]) * k) / CURVE_POINTS;
+        const y = fit.predict(x);
+        if (isFinite(y)) {
+          curve.xs.push(x);
+          curve.ys.push(y);
+        }
+      }
+    }
+    return (
+      <>
+        <AnalysisChart
+          title={fit ? `${fit.label} fit` : "Recorded points"}
+          dots={points}
+          lines={curve.xs.length > 1 ? [curve] : []}
+          xLabel={xLabel}
+          yLabel={yLabel}
+          fileName={`fit_${model}_${stamp}`}
+        />
+        {fit && (
+          <div className="analysis-results">
+            <div className="analysis-formula">{fit.formula}</div>
+            <ResultTable
+              rows={[
+                ...[...fit.params, ...fit.derived].map((p) => [p.name, formatMeasurement(p.value, p.error)]),
+                ...(fit.origin !== null ? [["x₀ (first point)", formatTick(fit.origin)]] : []),
+                ["R²", fit.r2.toFixed(5), true],
+                ["RMSE", formatTick(fit.rmse)],
+                ["points", fit.n.toLocaleString()],
+              ]}
+            />
+          </div>
+        )}
+      </>
+    );
+  };
+
+  /* ── Oscillation view ── */
+  const renderOscillation = () => {
+    if (!osc) return <AnalysisChart title="Recorded points" dots={points} xLabel={xLabel} yLabel={yLabel} fileName={`oscillation_${stamp}`} />;
+    const { grid, spectrum } = osc;
+    const fMax = Math.min(spectrum.freqs[spectrum.freqs.length - 1], SPECTRUM_SPAN * (spectrum.peak || osc.frequency.value));
+    const shown = spectrum.freqs.findIndex((f) => f > fMax);
+    const cut = shown < 0 ? spectrum.freqs.length : shown + 1;
+    const first = osc.amplitudes[0];
+    const last = osc.amplitudes[osc.amplitudes.length - 1];
+    return (
+      <>
+        <AnalysisChart
+          title="Signal on a uniform sim-time grid · crossings · peaks"
+          lines={[
+            { xs: grid.ts, ys: grid.ys, color: "#3b82f6" },
+            { xs: [grid.ts[0], grid.ts[grid.ts.length - 1]], ys: [osc.level, osc.level], color: "var(--text-muted)", width: 0.75 },
+          ]}
+          marks={[
+            ...osc.crossings.map((t) => ({ x: t, y: osc.level, color: "#10b981" })),
+            ...osc.peaks.map((p) => ({ x: p.t, y: p.y, color: "#ef4444" })),
+          ]}
+          xLabel={xLabel}
+          yLabel={yLabel}
+          fileName={`oscillation_${stamp}`}
+        />
+        <AnalysisChart
+          title="Power spectrum (FFT, Hann window)"
+          lines={[{ xs: spectrum.freqs.slice(0, cut), ys: spectrum.power.slice(0, cut), color: "#8b5cf6" }]}
+          marks={isNaN(spectrum.peak) ? [] : [{ x: spectrum.peak, y: 1, color: "#ef4444" }]}
+          xLabel="frequency"
+          yLabel="relative power"
+          fileName={`spectrum_${stamp}`}
+        />
+        <div className="analysis-results">
+          <ResultTable
+            rows={[
+              ["period T", measured(osc.period)],
+              ["frequency f", measured(osc.frequency)],
+              ["angular frequency ω", measured(osc.omega)],
+              ["spectrum peak", formatTick(spectrum.peak)],
+              ["cycles", `${osc.crossings.length - 1} (${osc.peaks.length} peaks)`],
+              ["amplitude", first && last ? `${formatTick(first.a)} → ${formatTick(last.a)}` : "—", true],
+              ["decay rate γ", measured(osc.decayRate)],
+              ["log decrement δ", measured(osc.logDecrement)],
+              ["damping ratio ζ", measured(osc.dampingRatio)],
+              ["samples", `${osc.samples.toLocaleString()} → ${grid.ts.length.toLocaleString()} on Δt = ${formatTick(grid.dt)}`, true],
+            ]}
+          />
+        </div>
+      </>
+    );
+  };
+
+  return (
+    <div className="vdialog-overlay" onMouseDown={onClose} role="dialog" aria-modal="true" aria-label="Analyze recording">
+      <div className="vdialog analysis" onMouseDown={(e) => e.stopPropagation()} onKeyDown={handleKeyDown}>
+        {/* Header */}
+        <div className="vdialog-header">
+          <span className="vdialog-title">Analyze recording — {rows.length.toLocaleString()} samples</span>
+          {newRows !== 0 && (
+            <button type="button" className="trace-icon-btn analysis-reload" onClick={() => setRows(recordBuffer.slice())}>
+              Reload{newRows > 0 ? ` (+${newRows.toLocaleString()})` : ""}
+            </button>
+          )}
+        </div>
+
+        {/* Body */}
+        <div className="vdialog-body">
+          {ySources.length === 0 ? (
+            <p className="vdialog-msg">The recording is empty — press Record and run the simulation first.</p>
+          ) : (
+            <>
+              <div className="bpedit-modes" role="radiogroup">
+                {TABS.map(([value, label]) => (
+                  <button
+                    key={value}
+                    type="button"
+                    role="radio"
+                    aria-checked={tab === value}
+                    className={`bpedit-mode${tab === value ? " bpedit-mode--active" : ""}`}
+                    onClick={() => setTab(value)}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+
+              <div className="analysis-controls">
+                <label className="bpedit-field">
+                  <span className="bpedit-label">Variable (y)</span>
+                  <select className="dm-ctrl-input" value={yValue} onChange={(e) => setYChoice(e.target.value)}>
+                    {ySources.map((s) => <option key={sourceValue(s)} value={sourceValue(s)}>{sourceLabel(s)}</option>)}
+                  </select>
+                </label>
+                {tab === "fit" && (
+                  <>
+                    <label className="bpedit-field">
+                      <span className="bpedit-label">Against (x)</span>
+                      <select className="dm-ctrl-input" value={xChoice} onChange={(e) => setXChoice(e.target.value)}>
+                        {xSources.map((s) => <option key={sourceValue(s)} value={sourceValue(s)}>{sourceLabel(s)}</option>)}
+                      </select>
+                    </label>
+                    <label className="bpedit-field">
+                      <span className="bpedit-label">Model</span>
+                      <select className="dm-ctrl-input" value={model} onChange={(e) => setModel(e.target.value)}>
+                        {Object.entries(FIT_MODELS).map(([id, { label }]) => <option key={id} value={id}>{label}</option>)}
+                      </select>
+                    </label>
+                    {model === "poly" && (
+                      <label className="bpedit-field">
+                        <span className="bpedit-label">Degree</span>
+                        <select className="dm-ctrl-input" value={degree} onChange={(e) => setDegree(parseInt(e.target.value, 10))}>
+                          {POLY_DEGREES.map((d) => <option key={d} value={d}>{d}</option>)}
+                        </select>
+                      </label>
+                    )}
+                  </>
+                )}
+                <label className="bpedit-field">
+                  <span className="bpedit-label">{tab === "fit" ? "x" : "t"} from <em>(optional)</em></span>
+                  <input className="dm-ctrl-input analysis-range" type="number" value={from} onChange={(e) => setFrom(e.target.value)} />
+                </label>
+                <label className="bpedit-field">
+                  <span className="bpedit-label">to</span>
+                  <input className="dm-ctrl-input analysis-range" type="number" value={to} onChange={(e) => setTo(e.target.value)} />
+                </label>
+              </div>
+
+              {tab === "fit" ? renderFit() : renderOscillation()}
+              {result.error && <p className="vdialog-error">{result.error}</p>}
+            </>
+          )}
+        </div>
+
+        {/* Footer */}
+        <div className="vdialog-footer">
+          <button
+            type="button"
+            className="vdialog-btn vdialog-btn--cancel analysis-export"
+            onClick={() => (fit
+              ? exportFitCsv(points.xs, points.ys, fit, xLabel, yLabel)
+              : exportOscillationCsv(osc, yLabel))}
+            disabled={!fit && !osc}
+            title={tab === "fit"
+              ? "Points, fitted values, residuals and the fit parameters"
+              : "Resampled signal, power spectrum and the results"}
+          >
+            ↓ CSV
+          </button>
+          <button type="button" className="vdialog-btn vdialog-btn--ok" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
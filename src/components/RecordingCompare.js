@@ -0,0 +1,309 @@
+import React, { useMemo, useState } from "react";
+import AnalysisChart from "./AnalysisChart";
+import { compareRecordings, recordedStep } from "../utils/recordings";
+import { SERIES_COLORS, TIME_AXES, recordingVariables, seriesLabel, formatTick } from "../utils/plotData";
+import { VECTOR_COMPONENTS } from "../utils/traceValues";
+import { exportComparisonCsv, exportRecordingCsv } from "../utils/exportUtils";
+
+const AXES = ["sim", "frame"];
+
+/* Select values for a variable: { name, component } */
+const sourceValue = (source) => JSON.stringify(source);
+
+const colorOf = (k) => SERIES_COLORS[k % SERIES_COLORS.length];
+
+const formatStat = (v) => (isFinite(v) ? formatTick(v) : "—");
+
+/* "1,234 rows · t 0 – 10.5 · 14:03" */
+function describeRecording(r) {
+  const times = r.rows.map((row) => row.simTime).filter((t) => t !== null && t !== undefined);
+  const span = times.length > 0 ? ` · t ${formatTick(times[0])} – ${formatTick(times[times.length - 1])}` : "";
+  const at = new Date(r.createdAt).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+  return `${r.rows.length.toLocaleString()} rows${span} · ${at}`;
+}
+
+/* Name field that renames on Enter or when it loses focus */
+function NameInput({ value, onRename }) {
+  const [draft, setDraft] = useState(value);
+  const commit = () => {
+    const name = draft.trim();
+    if (name && name !== value) onRename(name);
+    else setDraft(value);
+  };
+  return (
+    <input
+      className="dm-ctrl-input compare-name"
+      type="text"
+      value={draft}
+      spellCheck={false}
+      autoComplete="off"
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => { if (e.key === "Enter") e.currentTarget.blur(); }}
+      title="Rename this recording"
+    />
+  );
+}
+
+/**
+ * RecordingCompare
+ *
+ * Modal over the project's saved recordings (one per Record … Stop Rec,
+ * see utils/recordings.js).  Recordings can be renamed, exported or
+ * deleted; ticked ones are compared: one variable of each is drawn against
+ * simulation time (or frame), the others are aligned on the reference
+ * recording's samples, and their difference from it is drawn and summed up
+ * as mean, RMS and largest difference.  The comparison table exports as CSV.
+ *
+ *   recordings — [{ id, name, createdAt, rows }], oldest first
+ *   onRename(id, name), onDelete(id), onClose()
+ */
+export default function RecordingCompare({ recordings, onRename, onDelete, onClose }) {
+  const [picked, setPicked] = useState(() => recordings.slice(-2).map((r) => r.id));
+  const [referenceId, setReferenceId] = useState(null);
+  const [yChoice, setYChoice] = useState(null);   // select value; null = firstSource
+  const [axis, setAxis] = useState("sim");
+  const [armed, setArmed] = useState(null);       // ID whose delete button asks for a second click
+
+  const runs = useMemo(() => recordings.filter((r) => picked.includes(r.id)), [recordings, picked]);
+
+  /* The reference defaults to the run with the smallest recorded dt */
+  const defaultReference = useMemo(() => {
+    let best = null;
+    runs.forEach((r) => {
+      const dt = recordedStep(r.rows);
+      if (dt !== null && (!best || dt < best.dt)) best = { id: r.id, dt };
+    });
+    return best ? best.id : runs.length > 0 ? runs[0].id : null;
+  }, [runs]);
+  const refId = runs.some((r) => r.id === referenceId) ? referenceId : defaultReference;
+  const reference = runs.findIndex((r) => r.id === refId);
+
+  const ySources = useMemo(() => {
+    const seen = new Map();
+    runs.forEach((r) => recordingVariables(r.rows).forEach(({ name, vector }) => {
+      if (!seen.has(name)) seen.set(name, vector);
+    }));
+    return Array.from(seen).flatMap(([name, vector]) => (vector
+      ? VECTOR_COMPONENTS.map(({ key }) => ({ name, component: key }))
+      : [{ name, component: null }]));
+  }, [runs]);
+  /* The first variable other than the clock is shown until one is chosen */
+  const firstSource = ySources.find((s) => s.name !== "t" && s.name !== "dt") || ySources[0];
+  const yValue = yChoice && ySources.some((s) => sourceValue(s) === yChoice)
+    ? yChoice
+    : (firstSource ? sourceValue(firstSource) : null);
+  const ySource = yValue ? JSON.parse(yValue) : null;
+
+  const comparison = useMemo(
+    () => (yValue && reference >= 0 ? compareRecordings(runs, JSON.parse(yValue), axis, reference) : null),
+    [runs, yValue, axis, reference]
+  );
+
+  const xLabel = TIME_AXES[axis].label;
+  const yLabel = ySource ? seriesLabel(ySource) : "";
+  const stamp = Date.now();
+  const noReferencePoints = comparison && comparison.xs.length === 0;
+
+  const toggle = (id) => {
+    setPicked((prev) => (prev.includes(id) ? prev.filter((p) => p !== id) : [...prev, id]));
+  };
+
+  const remove = (id) => {
+    if (armed !== id) {
+      setArmed(id);
+      return;
+    }
+    setArmed(null);
+    setPicked((prev) => prev.filter((p) => p !== id));
+    onDelete?.(id);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "Escape") onClose?.();
+    e.stopPropagation();
+  };
+
+  /* Difference of each run from the reference, where it overlaps */
+  const diffLines = comparison
+    ? comparison.diffs.flatMap((ds, k) => {
+      if (k === reference) return [];
+      const xs = [];
+      const ys = [];
+      ds.forEach((d, i) => {
+        if (!isFinite(d)) return;
+        xs.push(comparison.xs[i]);
+        ys.push(d);
+      });
+      return xs.length > 1 ? [{ xs, ys, color: colorOf(k) }] : [];
+    })
+    : [];
+
+  return (
+    <div className="vdialog-overlay" onMouseDown={onClose} role="dialog" aria-modal="true" aria-label="Compare recordings">
+      <div className="vdialog analysis" onMouseDown={(e) => e.stopPropagation()} onKeyDown={handleKeyDown}>
+        {/* Header */}
+        <div className="vdialog-header">
+          <span className="vdialog-title">Compare recordings — {recordings.length} saved</span>
+        </div>
+
+        {/* Body */}
+        <div className="vdialog-body">
+          {recordings.length === 0 ? (
+            <p className="vdialog-msg">
+              No saved recordings yet — every Record … Stop Rec is kept here, for example one run with{" "}
+              <code>dt = 0.01</code> and one with <code>dt = 0.001</code>.
+            </p>
+          ) : (
+            <>
+              {/* ── Saved recordings ── */}
+              <div className="compare-runs">
+                {recordings.map((r) => {
+                  const k = runs.indexOf(r);
+                  return (
+                    <div key={r.id} className={`compare-run${k >= 0 ? " compare-run--picked" : ""}`}>
+                      <input
+                        type="checkbox"
+                        checked={k >= 0}
+                        onChange={() => toggle(r.id)}
+                        title="Include in the comparison"
+                      />
+                      <span className="plot-chip-swatch" style={{ background: k >= 0 ? colorOf(k) : "transparent" }} />
+                      <NameInput key={r.name} value={r.name} onRename={(name) => onRename?.(r.id, name)} />
+                      <span className="compare-meta">{describeRecording(r)}</span>
+                      <label className="compare-ref" title="Compare the other runs with this one">
+                        <input
+                          type="radio"
+                          name="compare-reference"
+                          checked={r.id === refId}
+                          disabled={k < 0}
+                          onChange={() => setReferenceId(r.id)}
+                        />
+                        reference
+                      </label>
+                      <button
+                        type="button"
+                        className="trace-icon-btn"
+                        onClick={() => exportRecordingCsv(r.rows, axis)}
+                        title="Export this recording as CSV"
+                      >
+                        ↓ CSV
+                      </button>
+                      <button
+                        type="button"
+                        className={`trace-icon-btn${armed === r.id ? " compare-delete--armed" : ""}`}
+                        onClick={() => remove(r.id)}
+                        onBlur={() => setArmed(null)}
+                        title="Delete this recording"
+                      >
+                        {armed === r.id ? "Delete?" : "✕"}
+                      </button>
+                    </div>
+                  );
+                })}
+              </div>
+
+              {runs.length === 0 ? (
+                <p className="vdialog-msg">Tick the recordings to compare.</p>
+              ) : (
+                <>
+                  <div className="analysis-controls">
+                    <label className="bpedit-field">
+                      <span className="bpedit-label">Variable</span>
+                      <select className="dm-ctrl-input" value={yValue || ""} onChange={(e) => setYChoice(e.target.value)}>
+                        {ySources.map((s) => <option key={sourceValue(s)} value={sourceValue(s)}>{seriesLabel(s)}</option>)}
+                      </select>
+                    </label>
+                    <label className="bpedit-field">
+                      <span className="bpedit-label">Against</span>
+                      <select className="dm-ctrl-input" value={axis} onChange={(e) => setAxis(e.target.value)}>
+                        {AXES.map((a) => <option key={a} value={a}>{TIME_AXES[a].label}</option>)}
+                      </select>
+                    </label>
+                  </div>
+
+                  {comparison && (
+                    <AnalysisChart
+                      title={`${yLabel} in each run`}
+                      lines={comparison.series.map((s, k) => ({ xs: s.xs, ys: s.ys, color: colorOf(k), width: k === reference ? 2 : 1.25 }))}
+                      xLabel={xLabel}
+                      yLabel={yLabel}
+                      fileName={`compare_${stamp}`}
+                    />
+                  )}
+                  {diffLines.length > 0 && (
+                    <AnalysisChart
+                      title={`Difference from ${runs[reference].name}`}
+                      lines={diffLines}
+                      xLabel={xLabel}
+                      yLabel={`Δ ${yLabel}`}
+                      fileName={`compare_diff_${stamp}`}
+                    />
+                  )}
+                  {noReferencePoints && (
+                    <p className="vdialog-error">{runs[reference].name} has no samples of {yLabel}.</p>
+                  )}
+
+                  {/* ── Differences from the reference ── */}
+                  {comparison && runs.length > 1 && !noReferencePoints && (
+                    <table className="analysis-table compare-table">
+                      <thead>
+                        <tr>
+                          <th>run</th>
+                          <th>points</th>
+                          <th>mean Δ</th>
+                          <th>RMS Δ</th>
+                          <th>max |Δ|</th>
+                          <th>RMS / range</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {runs.map((r, k) => {
+                          const st = comparison.stats[k];
+                          return (
+                            <tr key={r.id}>
+                              <td className="analysis-param">
+                                <span className="plot-chip-swatch" style={{ background: colorOf(k) }} /> {r.name}
+                              </td>
+                              {st ? (
+                                <>
+                                  <td>{st.n.toLocaleString()}</td>
+                                  <td>{formatStat(st.mean)}</td>
+                                  <td>{formatStat(st.rms)}</td>
+                                  <td>{formatStat(st.maxAbs)}</td>
+                                  <td>{isFinite(st.relative) ? `${formatTick(st.relative * 100)} %` : "—"}</td>
+                                </>
+                              ) : (
+                                <td colSpan={5} className="compare-reference-cell">reference · {comparison.xs.length.toLocaleString()} samples</td>
+                              )}
+                            </tr>
+                          );
+                        })}
+                      </tbody>
+                    </table>
+                  )}
+                </>
+              )}
+            </>
+          )}
+        </div>
+
+        {/* Footer */}
+        <div className="vdialog-footer">
+          <button
+            type="button"
+            className="vdialog-btn vdialog-btn--cancel analysis-export"
+            onClick={() => exportComparisonCsv(comparison, runs.map((r) => r.name), reference, xLabel, yLabel)}
+            disabled={!comparison || runs.length < 2 || noReferencePoints}
+            title="Aligned values, differences from the reference and the summary"
+          >
+            ↓ CSV
+          </button>
+          <button type="button" className="vdialog-btn vdialog-btn--ok" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
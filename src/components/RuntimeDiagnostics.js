@@ -0,0 +1,200 @@
+import React, { useState } from "react";
+import { getRuntimeDiagnostics } from "../utils/glowRunner";
+import {
+  RUNTIME_SCRIPTS,
+  RUNTIME_SOURCES,
+  loadSourceSettings,
+  saveSourceSettings,
+} from "../utils/runtimeSources";
+import { LOOP_TIMEOUT_RANGE, loadDebuggerSettings, saveDebuggerSettings } from "../utils/storage";
+
+/**
+ * RuntimeDiagnostics
+ *
+ * Modal listing where each GlowScript runtime script was loaded from on the
+ * last Run (with the failed attempts before it), the runtime frame's
+ * diagnostic flags, and the source order / mirror settings together with
+ * the loop watchdog and debugger settings used for the next Run.
+ */
+function RuntimeDiagnostics({ onClose }) {
+  const [report]   = useState(() => getRuntimeDiagnostics());
+  const [settings, setSettings] = useState(() => loadSourceSettings());
+  const [debug,    setDebug]    = useState(() => loadDebuggerSettings());
+  const [saved,    setSaved]    = useState(false);
+
+  const update = (patch) => {
+    setSettings((prev) => ({ ...prev, ...patch }));
+    setSaved(false);
+  };
+
+  const updateDebug = (patch) => {
+    setDebug((prev) => ({ ...prev, ...patch }));
+    setSaved(false);
+  };
+
+  const move = (id, dir) => {
+    const order = [...settings.order];
+    const i = order.indexOf(id);
+    const j = i + dir;
+    if (i < 0 || j < 0 || j >= order.length) return;
+    [order[i], order[j]] = [order[j], order[i]];
+    update({ order });
+  };
+
+  const toggle = (id) => {
+    const disabled = settings.disabled.includes(id)
+      ? settings.disabled.filter((d) => d !== id)
+      : [...settings.disabled, id];
+    update({ disabled });
+  };
+
+  const handleSave = () => {
+    setSettings(saveSourceSettings(settings));
+    setDebug(saveDebuggerSettings(debug));
+    setSaved(true);
+  };
+
+  const scriptRows = RUNTIME_SCRIPTS.map((script) => {
+    const entry = report?.scripts.find((s) => s.key === script.key);
+    return { script, entry };
+  });
+
+  return (
+    <div className="vdialog-overlay" onMouseDown={onClose} role="dialog" aria-modal="true" aria-label="Runtime diagnostics">
+      <div
+        className="vdialog rtdiag"
+        onMouseDown={(e) => e.stopPropagation()}
+        onKeyDown={(e) => { if (e.key === "Escape") onClose(); }}
+      >
+        <div className="vdialog-header">
+          <span className="vdialog-title">GlowScript Runtime</span>
+        </div>
+
+        <div className="vdialog-body rtdiag-body">
+          {/* ── Last load ── */}
+          <div className="rtdiag-section-title">Last load{report?.version ? ` — ${report.version}` : ""}</div>
+          {!report ? (
+            <p className="vdialog-msg">Run a simulation to see where each runtime script was loaded from.</p>
+          ) : (
+            <>
+              <table className="rtdiag-table">
+                <thead>
+                  <tr>
+                    <th>Script</th>
+                    <th>Source</th>
+                    <th>URL</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {scriptRows.map(({ script, entry }) => {
+                    const failed = entry && !entry.source;
+                    const title = entry
+                      ? entry.attempts.map((a) => `${a.source}: ${a.error || "ok"}`).join("\n")
+                      : "Not reached";
+                    return (
+                      <tr key={script.key} className={failed ? "rtdiag-row--failed" : ""} title={title}>
+                        <td>{script.label}</td>
+                        <td>
+                          {entry?.source
+                            ? RUNTIME_SOURCES[entry.source]?.label || entry.source
+                            : entry ? "✕ failed" : "—"}
+                          {entry && entry.attempts.length > 1 && entry.source && (
+                            <span className="rtdiag-fallback"> (fallback)</span>
+                          )}
+                        </td>
+                        <td className="rtdiag-url">{entry?.url || entry?.attempts[entry.attempts.length - 1]?.url || ""}</td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+              {report.error && <p className="vdialog-error">{report.error}</p>}
+              {report.diag && (
+                <div className="rtdiag-flags">
+                  {Object.entries(report.diag).map(([k, v]) => (
+                    <span
+                      key={k}
+                      className={`rtdiag-flag${v === false || v === "undefined" || v === "missing" ? " rtdiag-flag--bad" : ""}`}
+                    >
+                      {k}: {String(v)}
+                    </span>
+                  ))}
+                </div>
+              )}
+            </>
+          )}
+
+          {/* ── Source order ── */}
+          <div className="rtdiag-section-title">Source order (tried top to bottom)</div>
+          <ul className="rtdiag-sources">
+            {settings.order.map((id, i) => {
+              const src = RUNTIME_SOURCES[id];
+              const enabled = !settings.disabled.includes(id);
+              return (
+                <li key={id} className={enabled ? "" : "rtdiag-source--off"}>
+                  <label>
+                    <input type="checkbox" checked={enabled} onChange={() => toggle(id)} />
+                    <span className="rtdiag-source-label">{src.label}</span>
+                    <span className="rtdiag-source-desc">{src.description}</span>
+                  </label>
+                  <button type="button" className="trace-icon-btn" onClick={() => move(id, -1)} disabled={i === 0} title="Try earlier">↑</button>
+                  <button type="button" className="trace-icon-btn" onClick={() => move(id, 1)} disabled={i === settings.order.length - 1} title="Try later">↓</button>
+                </li>
+              );
+            })}
+          </ul>
+          <input
+            className="vdialog-input"
+            type="text"
+            value={settings.mirrorUrl}
+            onChange={(e) => update({ mirrorUrl: e.target.value })}
+            placeholder="Mirror base URL, e.g. http://labserver/glowscript"
+            spellCheck={false}
+          />
+
+          {/* ── Loop watchdog ── */}
+          <div className="rtdiag-section-title">Loop watchdog</div>
+          <label className="rtdiag-watchdog">
+            <span>Stop a loop that runs for</span>
+            <input
+              className="vdialog-input rtdiag-watchdog-input"
+              type="number"
+              min={LOOP_TIMEOUT_RANGE.min}
+              max={LOOP_TIMEOUT_RANGE.max}
+              value={debug.loopTimeout}
+              onChange={(e) => updateDebug({ loopTimeout: e.target.value })}
+            />
+            <span>s without calling rate()</span>
+          </label>
+
+          {/* ── Statement hooks ── */}
+          <div className="rtdiag-section-title">Debugger</div>
+          <label className="rtdiag-watchdog">
+            <input
+              type="checkbox"
+              checked={debug.statementHooks}
+              onChange={(e) => updateDebug({ statementHooks: e.target.checked })}
+            />
+            <span>Hook every block — highlight, count and break on any statement block</span>
+          </label>
+          <p className="rtdiag-note rtdiag-note--muted">
+            Turn off for heavy simulations: only blocks that set a traced value can then be
+            highlighted or stop at a breakpoint.
+          </p>
+          {saved && <p className="rtdiag-note">Saved — applies to the next Run.</p>}
+        </div>
+
+        <div className="vdialog-footer">
+          <button type="button" className="vdialog-btn vdialog-btn--cancel" onClick={onClose}>
+            Close
+          </button>
+          <button type="button" className="vdialog-btn vdialog-btn--ok" onClick={handleSave}>
+            Save
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default RuntimeDiagnostics;
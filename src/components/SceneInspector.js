@@ -0,0 +1,101 @@
+import React, { useEffect, useRef, useState } from "react";
+
+/**
+ * SceneInspector
+ *
+ * Debug Mode list of the VPython objects in the running scene — variable
+ * name, type and live attributes (pos, axis, size, color, velocity, trail
+ * settings …), refreshed by the runtime a few times a second.  Clicking a
+ * row selects the object and flashes it in the 3-D view; clicking an object
+ * in the view selects its row.
+ *
+ *   objects — [{ id, name, type, attrs: { name: text } }] from the runtime
+ *   picked  — { id, seq } of the object last clicked in the view, or null
+ *   onHighlight(id)
+ */
+function SceneInspector({ objects, picked, onHighlight }) {
+  const [collapsed, setCollapsed] = useState(false);
+  const [selectedId, setSelectedId] = useState(null);
+  const rowRefs = useRef(new Map());
+
+  /* An object clicked in the viewport becomes the selection */
+  useEffect(() => {
+    if (!picked) return;
+    setSelectedId(picked.id);
+    setCollapsed(false);
+    requestAnimationFrame(() => {
+      rowRefs.current.get(picked.id)?.scrollIntoView({ block: "nearest" });
+    });
+  }, [picked]);
+
+  const select = (id) => {
+    setSelectedId((prev) => (prev === id ? null : id));
+    onHighlight?.(id);
+  };
+
+  return (
+    <div className={`inspector${collapsed ? " inspector--collapsed" : ""}`}>
+      {/* ── Header ── */}
+      <div className="trace-panel-header">
+        <button
+          type="button"
+          className="console-panel-toggle"
+          onClick={() => setCollapsed((c) => !c)}
+          title={collapsed ? "Show scene objects" : "Hide scene objects"}
+          aria-expanded={!collapsed}
+        >
+          <span className="console-panel-chevron">{collapsed ? "▸" : "▾"}</span>
+          <span className="trace-panel-title">Scene</span>
+        </button>
+        <div className="trace-panel-meta">
+          {objects.length > 0 && <span className="bpman-count">{objects.length}</span>}
+        </div>
+      </div>
+
+      {/* ── Object list ── */}
+      {!collapsed && (
+        <div className="inspector-scroll">
+          {objects.length === 0 ? (
+            <div className="console-empty">Run the simulation to list its objects — click one in the 3-D view to select it.</div>
+          ) : (
+            objects.map((obj) => {
+              const selected = obj.id === selectedId;
+              return (
+                <div
+                  key={obj.id}
+                  ref={(el) => { if (el) rowRefs.current.set(obj.id, el); else rowRefs.current.delete(obj.id); }}
+                  className={`inspector-object${selected ? " inspector-object--selected" : ""}`}
+                >
+                  <div
+                    className="inspector-row"
+                    onClick={() => select(obj.id)}
+                    title="Select and flash this object in the 3-D view"
+                  >
+                    <span className="console-panel-chevron">{selected ? "▾" : "▸"}</span>
+                    <span className={`inspector-name${obj.name ? "" : " inspector-name--anon"}`}>
+                      {obj.name || `${obj.type} #${obj.id}`}
+                    </span>
+                    <span className="inspector-type">{obj.type}</span>
+                    {obj.attrs.pos && <span className="inspector-pos">{obj.attrs.pos}</span>}
+                  </div>
+                  {selected && (
+                    <div className="inspector-attrs">
+                      {Object.entries(obj.attrs).map(([name, value]) => (
+                        <React.Fragment key={name}>
+                          <span className="inspector-attr-name">{name}</span>
+                          <span className="inspector-attr-value" title={value}>{value}</span>
+                        </React.Fragment>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              );
+            })
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default SceneInspector;
@@ -1,4 +1,10 @@
 import React, { useEffect, useRef, useState, useCallback } from "react";
+import { exportRecordingCsv } from "../utils/exportUtils";
+import { TRACE_CAPACITIES } from "../utils/traceBuffer";
+import { parseVector, formatComponent, sampleValue, VECTOR_COMPONENTS } from "../utils/traceValues";
+import { TRACE_DRAG_TYPE, seriesLabel } from "../utils/plotData";
+
+const SPARK_POINTS = 112; // longer histories are thinned to this many points
 
 /* ── Truncate long values for display ─────────────────────── */
 function truncate(str, max) {
@@ -7,10 +13,27 @@ function truncate(str, max) {
   return s.length <= max ? s : s.slice(0, max) + "…";
 }
 
+/* ── Live delta display ─────────────────────────────────────── */
+function formatDelta(delta) {
+  const d = parseFloat(delta);
+  if (delta === null || delta === undefined || isNaN(d)) return null;
+  return {
+    text: d > 0 ? `+${d.toFixed(3)}` : d.toFixed(3),
+    className: d > 0 ? "trace-delta trace-delta--pos"
+             : d < 0 ? "trace-delta trace-delta--neg"
+             :          "trace-delta trace-delta--zero",
+  };
+}
+
 /* ── Tiny sparkline SVG ────────────────────────────────────── */
-function Sparkline({ history }) {
-  if (!history || history.length < 2) return <span className="spark-empty" />;
-  const nums = history.map((v) => parseFloat(v)).filter((n) => !isNaN(n));
+/* component — "x" / "y" / "z" / "mag" to plot one part of a vector */
+function Sparkline({ samples, component = null }) {
+  if (!samples || samples.length < 2) return <span className="spark-empty" />;
+  const all = samples.toArray().map((s) => sampleValue(s, component)).filter((n) => !isNaN(n));
+  const stride = Math.ceil(all.length / SPARK_POINTS);
+  const nums = stride > 1
+    ? all.filter((_, i) => (all.length - 1 - i) % stride === 0)
+    : all;
   if (nums.length < 2) return <span className="spark-empty" />;
   const W = 56, H = 16;
   const lo = Math.min(...nums);
@@ -106,13 +129,166 @@ function AlertEditRow({ name, alertConfig, onSave, onDelete, onCancel }) {
   );
 }
 
+/* ── Inline value editor (Debug Mode, while paused) ─────────── */
+function ValueEditor({ name, value, onSubmit, onCancel }) {
+  const [text,  setText]  = useState(value);
+  const [error, setError] = useState("");
+  const [busy,  setBusy]  = useState(false);
+
+  const submit = async () => {
+    if (busy) return;
+    setBusy(true);
+    try {
+      await onSubmit(name, text);
+      onCancel();
+    } catch (err) {
+      setError(err.message || String(err));
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="trace-value-edit">
+      <input
+        className={`trace-value-input${error ? " trace-value-input--error" : ""}`}
+        type="text"
+        value={text}
+        autoFocus
+        spellCheck={false}
+        disabled={busy}
+        onChange={(e) => { setText(e.target.value); setError(""); }}
+        onKeyDown={(e) => {
+          if (e.key === "Enter") submit();
+          if (e.key === "Escape") { e.stopPropagation(); onCancel(); }
+        }}
+        onBlur={() => { if (!error && !busy) onCancel(); }}
+        onClick={(e) => e.stopPropagation()}
+        title="Python value, e.g. 2.5 or vector(0, 5, 0) — Enter to set, Esc to cancel"
+      />
+      {error && <div className="trace-value-error">{error}</div>}
+    </div>
+  );
+}
+
+/* ── Plot menu (right-click a row) ───────────────────────── */
+/* at — { x, y } client position; item — { name, component } */
+function PlotMenu({ at, item, onPlot, onClose }) {
+  const menuRef = useRef(null);
+
+  /* Close on any click outside, Escape, scroll or resize */
+  useEffect(() => {
+    const onDown = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) onClose();
+    };
+    const onKey = (e) => {
+      if (e.key === "Escape") {
+        e.stopPropagation();
+        onClose();
+      }
+    };
+    window.addEventListener("mousedown", onDown, true);
+    window.addEventListener("keydown", onKey, true);
+    window.addEventListener("resize", onClose);
+    window.addEventListener("wheel", onClose, true);
+    return () => {
+      window.removeEventListener("mousedown", onDown, true);
+      window.removeEventListener("keydown", onKey, true);
+      window.removeEventListener("resize", onClose);
+      window.removeEventListener("wheel", onClose, true);
+    };
+  }, [onClose]);
+
+  const label = seriesLabel(item);
+  const items = [
+    [`Add ${label} to plot`, () => onPlot(item.name, item.component, false)],
+    [`Plot against ${label} (x-axis)`, () => onPlot(item.name, item.component, true)],
+  ];
+
+  return (
+    <div
+      ref={menuRef}
+      className="bpmenu"
+      role="menu"
+      style={{
+        left: Math.min(at.x, window.innerWidth - 240),
+        top: Math.min(at.y, window.innerHeight - 80),
+      }}
+      onContextMenu={(e) => e.preventDefault()}
+    >
+      {items.map(([text, fn]) => (
+        <button key={text} type="button" role="menuitem" className="bpmenu-item" onClick={() => { onClose(); fn(); }}>
+          {text}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+/* Drag and right-click props that make a row a plot source */
+function plotSourceProps(onPlotMenu, name, component) {
+  if (!onPlotMenu) return {};
+  return {
+    draggable: true,
+    onDragStart: (e) => {
+      e.dataTransfer.setData(TRACE_DRAG_TYPE, JSON.stringify({ name, component }));
+      e.dataTransfer.effectAllowed = "copy";
+    },
+    onContextMenu: (e) => {
+      e.preventDefault();
+      onPlotMenu({ x: e.clientX, y: e.clientY }, { name, component });
+    },
+  };
+}
+
+/* ── Component sub-row of a vector (x, y, z, |v|) ──────────── */
+function ComponentRow({ name, label, value, stats, samples, component, onPlotMenu }) {
+  const deltaFmt = formatDelta(stats?.delta);
+  return (
+    <tr
+      className="trace-row trace-row--component"
+      title={stats ? `min: ${formatComponent(stats.min)} · max: ${formatComponent(stats.max)}` : undefined}
+      {...plotSourceProps(onPlotMenu, name, component)}
+    >
+      <td className="trace-col trace-col--pin" />
+      <td className="trace-col trace-col--name">
+        <span className="trace-varname trace-varname--component">{label}</span>
+      </td>
+      <td className="trace-col trace-col--value">
+        <div className="trace-value-cell">
+          <span className="trace-value">{formatComponent(value)}</span>
+          {deltaFmt && <span className={deltaFmt.className}>{deltaFmt.text}</span>}
+        </div>
+      </td>
+      <td className="trace-col trace-col--spark">
+        <Sparkline samples={samples} component={component} />
+        {stats && (
+          <div className="trace-minmax">
+            <span>{formatComponent(stats.min).slice(0, 8)}</span>
+            <span className="trace-minmax-sep">–</span>
+            <span>{formatComponent(stats.max).slice(0, 8)}</span>
+          </div>
+        )}
+      </td>
+      <td className="trace-col trace-col--alert" />
+    </tr>
+  );
+}
+
 /* ── Single data row ─────────────────────────────────────── */
 function TraceRow({
   name, entry, pinned, flashKey, onHighlight, onPin,
   snapshotVal, alertConfig, isFiring, isEditing, onAlertEdit, onAlertSave, onAlertDelete,
+  editable, onEditValue, onPlotMenu,
 }) {
   const rowRef  = useRef(null);
   const prevKey = useRef(flashKey);
+  const [editingValue, setEditingValue] = useState(false);
+  const [expanded, setExpanded] = useState(false);
+
+  // Leave edit mode once execution resumes
+  useEffect(() => {
+    if (!editable) setEditingValue(false);
+  }, [editable]);
 
   useEffect(() => {
     if (flashKey !== prevKey.current && rowRef.current) {
@@ -126,22 +302,15 @@ function TraceRow({
     }
   }, [flashKey]);
 
-  const { value, count, blockId, delta, min, max } = entry;
-  const isNumeric = delta !== null && delta !== undefined;
+  const { value, count, blockId, delta, components } = entry;
   const isActive  = count > 0;
+  const isVector  = !!components;
+  // A vector's row shows the range and trend of its magnitude
+  const min = isVector ? components.mag.min : entry.min;
+  const max = isVector ? components.mag.max : entry.max;
 
   // Live delta display
-  let deltaStr = null;
-  let deltaClass = "trace-delta trace-delta--zero";
-  if (isNumeric) {
-    const d = parseFloat(delta);
-    if (!isNaN(d)) {
-      deltaStr   = d > 0 ? `+${d.toFixed(3)}` : d.toFixed(3);
-      deltaClass = d > 0 ? "trace-delta trace-delta--pos"
-                 : d < 0 ? "trace-delta trace-delta--neg"
-                 :          "trace-delta trace-delta--zero";
-    }
-  }
+  const deltaFmt = formatDelta(delta);
 
   // Snapshot diff
   let snapDiffStr   = null;
@@ -163,7 +332,7 @@ function TraceRow({
 
   const minStr  = min !== null && min !== undefined ? String(min).slice(0, 8) : null;
   const maxStr  = max !== null && max !== undefined ? String(max).slice(0, 8) : null;
-  const tooltip = `Updates: ${count}${minStr ? ` · min: ${minStr} · max: ${maxStr}` : ""}`;
+  const tooltip = `Updates: ${count}${minStr ? ` · ${isVector ? "|v| " : ""}min: ${minStr} · max: ${maxStr}` : ""}`;
 
   const rowClass = [
     "trace-row",
@@ -174,7 +343,7 @@ function TraceRow({
 
   return (
     <React.Fragment>
-      <tr ref={rowRef} className={rowClass} title={tooltip}>
+      <tr ref={rowRef} className={rowClass} title={tooltip} {...plotSourceProps(onPlotMenu, name, null)}>
         {/* Pin */}
         <td className="trace-col trace-col--pin">
           <button
@@ -192,20 +361,44 @@ function TraceRow({
           onClick={() => onHighlight?.(blockId)}
           style={{ cursor: "pointer" }}
         >
+          {isVector && (
+            <button
+              type="button"
+              className="trace-expand-btn"
+              onClick={(e) => { e.stopPropagation(); setExpanded((x) => !x); }}
+              title={expanded ? "Hide components" : "Show x, y, z and magnitude"}
+              aria-expanded={expanded}
+            >
+              {expanded ? "▾" : "▸"}
+            </button>
+          )}
           <span className="trace-varname">{name}</span>
         </td>
 
         {/* Value + live delta */}
-        <td className="trace-col trace-col--value" title={value}>
-          <div className="trace-value-cell">
-            <span className="trace-value">{truncate(value, 14)}</span>
-            {deltaStr && <span className={deltaClass}>{deltaStr}</span>}
-          </div>
+        <td
+          className={`trace-col trace-col--value${editable ? " trace-col--editable" : ""}`}
+          title={editable ? `${value} — double-click to change` : value}
+          onDoubleClick={editable ? () => setEditingValue(true) : undefined}
+        >
+          {editingValue ? (
+            <ValueEditor
+              name={name}
+              value={value}
+              onSubmit={onEditValue}
+              onCancel={() => setEditingValue(false)}
+            />
+          ) : (
+            <div className="trace-value-cell">
+              <span className="trace-value">{truncate(value, 14)}</span>
+              {deltaFmt && <span className={deltaFmt.className}>{deltaFmt.text}</span>}
+            </div>
+          )}
         </td>
 
         {/* Sparkline + min/max + snapshot diff */}
         <td className="trace-col trace-col--spark">
-          <Sparkline history={entry.history} />
+          <Sparkline samples={entry.samples} component={isVector ? "mag" : null} />
           {minStr && (
             <div className="trace-minmax">
               <span>{minStr}</span>
@@ -237,6 +430,23 @@ function TraceRow({
         </td>
       </tr>
 
+      {/* Vector components */}
+      {isVector && expanded && (() => {
+        const vec = parseVector(value);
+        return VECTOR_COMPONENTS.map(({ key, label }) => (
+          <ComponentRow
+            key={key}
+            name={name}
+            label={label}
+            value={vec ? vec[key] : null}
+            stats={components[key]}
+            samples={entry.samples}
+            component={key}
+            onPlotMenu={onPlotMenu}
+          />
+        ));
+      })()}
+
       {/* Inline threshold editor */}
       {isEditing && (
         <AlertEditRow
@@ -253,11 +463,12 @@ function TraceRow({
 
 /* ── CSV export ────────────────────────────────────────────── */
 function exportCsv(data) {
-  const header = "variable,value,updates,min,max,delta\n";
-  const rows = Array.from(data.entries()).map(
-    ([name, e]) =>
-      `"${name}","${e.value}",${e.count},${e.min ?? ""},${e.max ?? ""},${e.delta ?? ""}`
-  );
+  const header = "variable,value,updates,min,max,delta,x,y,z,magnitude\n";
+  const rows = Array.from(data.entries()).map(([name, e]) => {
+    const vec = parseVector(e.value);
+    const parts = vec ? [vec.x, vec.y, vec.z, vec.mag].map(formatComponent).join(",") : ",,,";
+    return `"${name}","${e.value}",${e.count},${e.min ?? ""},${e.max ?? ""},${e.delta ?? ""},${parts}`;
+  });
   const blob = new Blob([header + rows.join("\n")], { type: "text/csv" });
   const url  = URL.createObjectURL(blob);
   const a    = document.createElement("a");
@@ -267,21 +478,6 @@ function exportCsv(data) {
   setTimeout(() => URL.revokeObjectURL(url), 1000);
 }
 
-/* ── Recording CSV export ─────────────────────────────────── */
-function exportRecordingCsv(buffer) {
-  const header = "timestamp_ms,variable,value,delta,min,max\n";
-  const rows = buffer.map(
-    (r) => `${r.t},"${r.name}","${r.value}",${r.delta ?? ""},${r.min ?? ""},${r.max ?? ""}`
-  );
-  const blob = new Blob([header + rows.join("\n")], { type: "text/csv" });
-  const url  = URL.createObjectURL(blob);
-  const a    = document.createElement("a");
-  a.href     = url;
-  a.download = "recording_" + Date.now() + ".csv";
-  a.click();
-  setTimeout(() => URL.revokeObjectURL(url), 1000);
-}
-
 /* ── Main trace table ─────────────────────────────────────── */
 function TraceTable({
   data, onHighlight, onClear,
@@ -289,12 +485,21 @@ function TraceTable({
   onStartRecord,
   onStopRecord,
   recordBuffer = [],
+  recordIndex = "sim",  // index column of the recording export (RECORDING_INDEXES)
+  onEditValue = null,   // (name, text) => Promise — set while paused (Debug Mode)
+  capacity = null,      // samples kept per variable, with onCapacityChange(capacity)
+  onCapacityChange,
+  onPlot = null,        // (name, component, asX) — rows can be dragged / right-clicked onto the plot
 }) {
   const [filter,       setFilter]       = useState("");
   const [pinned,       setPinned]       = useState(() => new Set());
   const [snapshot,     setSnapshot]     = useState(null);           // null | Map<name, string>
   const [alerts,       setAlerts]       = useState(() => new Map()); // Map<name, {op, val}>
   const [editingAlert, setEditingAlert] = useState(null);           // string | null
+  const [plotMenu,     setPlotMenu]     = useState(null);           // null | { at, item }
+
+  const openPlotMenu  = useCallback((at, item) => setPlotMenu({ at, item }), []);
+  const closePlotMenu = useCallback(() => setPlotMenu(null), []);
 
   /* Pin handling */
   const handlePin = useCallback((name) => {
@@ -379,6 +584,9 @@ function TraceTable({
           onAlertEdit={setEditingAlert}
           onAlertSave={handleAlertSave}
           onAlertDelete={handleAlertDelete}
+          editable={!!onEditValue}
+          onEditValue={onEditValue}
+          onPlotMenu={onPlot ? openPlotMenu : null}
         />
       );
     });
@@ -432,7 +640,7 @@ function TraceTable({
             <button
               type="button"
               className="trace-icon-btn"
-              onClick={() => exportRecordingCsv(recordBuffer)}
+              onClick={() => exportRecordingCsv(recordBuffer, recordIndex)}
               title={`Export recording (${recordBuffer.length} rows)`}
               disabled={recordBuffer.length === 0}
             >
@@ -440,6 +648,19 @@ function TraceTable({
             </button>
           </>
         )}
+        {/* Samples kept per variable */}
+        {onCapacityChange && (
+          <select
+            className="trace-alert-select trace-capacity-select"
+            value={capacity ?? ""}
+            onChange={(e) => onCapacityChange(parseInt(e.target.value, 10))}
+            title="Samples kept per variable for its trend"
+          >
+            {TRACE_CAPACITIES.map((n) => (
+              <option key={n} value={n}>{n.toLocaleString()} samples</option>
+            ))}
+          </select>
+        )}
         {/* Snapshot toggle */}
         <button
           type="button"
@@ -532,6 +753,10 @@ function TraceTable({
           </tbody>
         </table>
       </div>
+
+      {plotMenu && onPlot && (
+        <PlotMenu at={plotMenu.at} item={plotMenu.item} onPlot={onPlot} onClose={closePlotMenu} />
+      )}
     </div>
   );
 }
@@ -0,0 +1,167 @@
+import React, { useRef, useState } from "react";
+import { translatePythonExpr } from "../utils/pythonExpr";
+
+const HISTORY_LIMIT = 20;
+
+/**
+ * WatchPanel
+ *
+ * Watch expressions for Debug Mode: Python / VPython expressions such as
+ * `mag(ball.velocity)` that the runtime evaluates in the program's scope
+ * every time it pauses, plus an Evaluate box that runs one expression or
+ * assignment (`ball.velocity.y = 0`) in the paused program.
+ *
+ *   expressions — string[]
+ *   results     — [{ ok, value | error } | null] from the runtime, by index
+ *   paused      — values are live only while paused; otherwise they are
+ *                 the ones from the last pause
+ *   onChange(expressions), onEvaluate(text) → Promise<value text>
+ */
+function WatchPanel({ expressions, results, paused, onChange, onEvaluate }) {
+  const [collapsed, setCollapsed] = useState(false);
+  const [draft,     setDraft]     = useState("");
+  const [evalText,  setEvalText]  = useState("");
+  const [history,   setHistory]   = useState([]);  // [{ id, text, value | error }]
+  const historyIdRef = useRef(0);
+  const historyRef = useRef(null);
+
+  const addWatch = () => {
+    const expr = draft.trim();
+    if (!expr) return;
+    onChange?.([...expressions, expr]);
+    setDraft("");
+  };
+
+  const removeWatch = (index) => {
+    onChange?.(expressions.filter((_, i) => i !== index));
+  };
+
+  const runEvaluate = async () => {
+    const text = evalText.trim();
+    if (!text) return;
+    const entry = { id: ++historyIdRef.current, text };
+    try {
+      entry.value = await onEvaluate(text);
+    } catch (err) {
+      entry.error = err.message || String(err);
+    }
+    setHistory((prev) => [...prev, entry].slice(-HISTORY_LIMIT));
+    setEvalText("");
+    requestAnimationFrame(() => {
+      if (historyRef.current) historyRef.current.scrollTop = historyRef.current.scrollHeight;
+    });
+  };
+
+  /* Translation problems are known before the runtime ever sees them */
+  const translateError = (expr) => {
+    try {
+      translatePythonExpr(expr);
+      return null;
+    } catch (err) {
+      return err.message;
+    }
+  };
+
+  return (
+    <div className={`watch-panel${collapsed ? " watch-panel--collapsed" : ""}`}>
+      {/* ── Header ── */}
+      <div className="trace-panel-header">
+        <button
+          type="button"
+          className="console-panel-toggle"
+          onClick={() => setCollapsed((c) => !c)}
+          title={collapsed ? "Show watches" : "Hide watches"}
+          aria-expanded={!collapsed}
+        >
+          <span className="console-panel-chevron">{collapsed ? "▸" : "▾"}</span>
+          <span className="trace-panel-title">Watch</span>
+        </button>
+        <div className="trace-panel-meta">
+          {expressions.length > 0 && !paused && (
+            <span className="watch-stale" title="Values are evaluated each time the simulation pauses">
+              last pause
+            </span>
+          )}
+        </div>
+        {!collapsed && history.length > 0 && (
+          <button type="button" className="trace-clear-btn" onClick={() => setHistory([])} title="Clear evaluate history">
+            Clear
+          </button>
+        )}
+      </div>
+
+      {!collapsed && (
+        <>
+          {/* ── Watch list ── */}
+          <div className="watch-list">
+            {expressions.map((expr, i) => {
+              const problem = translateError(expr);
+              const result = results[i];
+              return (
+                <div key={`${i}:${expr}`} className={`watch-row${paused ? "" : " watch-row--stale"}`}>
+                  <span className="watch-expr" title={expr}>{expr}</span>
+                  <span
+                    className={`watch-value${problem || (result && !result.ok) ? " watch-value--error" : ""}`}
+                    title={problem || (result ? (result.ok ? result.value : result.error) : "")}
+                  >
+                    {problem
+                      ? problem
+                      : result
+                      ? (result.ok ? result.value : result.error)
+                      : "—"}
+                  </span>
+                  <button
+                    type="button"
+                    className="watch-remove"
+                    onClick={() => removeWatch(i)}
+                    title="Remove watch"
+                    aria-label="Remove watch"
+                  >
+                    ✕
+                  </button>
+                </div>
+              );
+            })}
+            <input
+              className="trace-search-input watch-input"
+              type="text"
+              value={draft}
+              placeholder="Add watch, e.g. mag(ball.velocity)"
+              spellCheck={false}
+              autoComplete="off"
+              onChange={(e) => setDraft(e.target.value)}
+              onKeyDown={(e) => { if (e.key === "Enter") addWatch(); }}
+            />
+          </div>
+
+          {/* ── Evaluate ── */}
+          {history.length > 0 && (
+            <div className="watch-history" ref={historyRef}>
+              {history.map((h) => (
+                <div key={h.id} className="watch-history-entry">
+                  <span className="watch-history-input">›› {h.text}</span>
+                  <span className={`watch-history-output${h.error ? " watch-value--error" : ""}`}>
+                    {h.error || h.value}
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
+          <input
+            className="trace-search-input watch-input watch-eval-input"
+            type="text"
+            value={evalText}
+            disabled={!paused}
+            placeholder={paused ? "Evaluate, e.g. ball.velocity.y = 0" : "Pause to evaluate expressions"}
+            spellCheck={false}
+            autoComplete="off"
+            onChange={(e) => setEvalText(e.target.value)}
+            onKeyDown={(e) => { if (e.key === "Enter") runEvaluate(); }}
+          />
+        </>
+      )}
+    </div>
+  );
+}
+
+export default WatchPanel;
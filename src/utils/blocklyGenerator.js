@@ -9,7 +9,7 @@
  *   Objects   – sphere, box, cylinder, arrow, helix, label, local light
  *   Motion    – velocity, position update, acceleration, gravity
  *   State     – set var, set property, increment property, telemetry display
- *   Control   – forever loop, for range, if, if-else, rate, time step, comment
+ *   Control   – forever loop, for range, if, if-else, rate, time step, clock, comment
  *   Advanced  – raw Python code/expression
  */
 
@@ -677,6 +677,19 @@ export function defineCustomBlocksAndGenerator(Blockly) {
       colour: 260,
       tooltip: "Set the simulation time step.",
     },
+    {
+      type: "sim_clock_block",
+      message0: "advance clock  %1 += %2",
+      args0: [
+        { type: "field_variable", name: "VAR", variable: "t" },
+        { type: "input_value", name: "STEP" },
+      ],
+      inputsInline: true,
+      previousStatement: null,
+      nextStatement: null,
+      colour: 260,
+      tooltip: "Advance the simulation time by one step (set t = 0 before the loop). The debugger uses it as the clock for trace samples and recordings.",
+    },
     {
       type: "if_block",
       message0: "if %1",
@@ -1058,11 +1071,12 @@ export function defineCustomBlocksAndGenerator(Blockly) {
   };
 
   // Live-trace: emit a Python assignment to a well-known variable (_phtr_NAME).
-  // After RapydScript compiles, glowRunner.js injects parent.postMessage() calls
+  // After RapydScript compiles, glowRunner.js injects window.__physide_trace() calls
   // alongside these assignments so trace data reaches the React trace table.
-  const tr = (name, expr, blockId) => {
+  // extra — more fields for the registry entry, e.g. { clock: true, step: "dt" }
+  const tr = (name, expr, blockId, extra) => {
     const safeName = name.replace(/[^a-zA-Z0-9_]/g, '_');
-    traceRegistry.push({ safeName, displayName: name, blockId: blockId || '' });
+    traceRegistry.push({ safeName, displayName: name, blockId: blockId || '', ...extra });
     return `_phtr_${safeName} = str(${expr})\n`;
   };
 
@@ -1321,6 +1335,12 @@ export function defineCustomBlocksAndGenerator(Blockly) {
     return `dt = ${dt}\n` + tr("dt", "dt", block.id);
   };
 
+  gen["sim_clock_block"] = function (block) {
+    const v = varName(block, "VAR", "t");
+    const step = val(block, "STEP", "dt");
+    return `${v} = ${v} + ${step}\n` + tr(v, v, block.id, { clock: true, step });
+  };
+
   gen["if_block"] = function (block) {
     const cond = val(block, "COND", "True");
     const body = Python.statementToCode(block, "BODY") || "  pass\n";
@@ -1566,6 +1586,7 @@ export const BLOCK_CATALOGUE = [
   { type: "telemetry_update_block",label: "Live display update",           category: "State", keywords: ["telemetry","display","live","update","show","hud"] },
   // Control
   { type: "time_step_block",       label: "Time step  dt",                 category: "Control", keywords: ["dt","time","step","timestep"] },
+  { type: "sim_clock_block",       label: "Advance clock  t += dt",        category: "Control", keywords: ["clock","time","t","advance","simulation time"] },
   { type: "rate_block",            label: "Rate  (fps)",                   category: "Control", keywords: ["rate","fps","animation","framerate"] },
   { type: "forever_loop_block",    label: "Forever loop",                  category: "Control", keywords: ["loop","forever","while","main","simulation"] },
   { type: "for_range_block",       label: "For loop  (range)",             category: "Control", keywords: ["for","loop","range","repeat","iterate","i"] },
@@ -1605,6 +1626,79 @@ export const BLOCK_CATALOGUE = [
   { type: "scene_camera_block",    label: "Scene / camera  (center, forward…)", category: "3D Math", keywords: ["scene","camera","forward","up","center","range","zoom","view"] },
 ];
 
+/* ================================================================
+   Source map: Python line ↔ generating block
+   ================================================================
+   While generating, Python.STATEMENT_PREFIX makes Blockly emit a marker
+   comment before the code of every statement block — custom and standard
+   (controls_if, procedures, loops …) alike.  The markers are then stripped
+   and each remaining line is attributed to the innermost block whose marker
+   precedes it at a lower-or-equal indent.  Where each marker stood is kept
+   as a statement hook point: the runner can put a hook there that reports
+   the block as it starts to run.                                          */
+const SOURCE_MAP_MARKER = "# __physide_block__ ";
+const MARKER_RE = /^(\s*)# __physide_block__ '(.*)'\s*$/;
+
+/* Map of the code last returned by generatePythonFromWorkspace() */
+let lastSourceMap = { code: "", lineBlocks: [], blockLines: new Map(), hookPoints: [] };
+
+const indentOf = (line) => line.match(/^\s*/)[0].length;
+
+function stripSourceMapMarkers(raw) {
+  const rawLines = raw.split("\n");
+  const lines = [];
+  const lineBlocks = [];          /* output index → blockId | null */
+  const stack = [];               /* [{ indent, blockId, header? }] open statement blocks */
+  const hookPoints = [];          /* [{ line, indent, blockId }] — hook goes before `line` */
+
+  for (let i = 0; i < rawLines.length; i++) {
+    const line = rawLines[i];
+    const marker = line.match(MARKER_RE);
+    if (marker) {
+      const indent = marker[1].length;
+      while (stack.length && stack[stack.length - 1].indent >= indent) stack.pop();
+      /* Some blocks repeat their own marker inside a branch; one hook each */
+      if (!stack.some((s) => s.blockId === marker[2] && !s.header)) {
+        hookPoints.push({ line: lines.length + 1, indent: marker[1], blockId: marker[2] });
+      }
+      stack.push({ indent, blockId: marker[2] });
+      continue;
+    }
+
+    let blockId = null;
+    if (line.trim()) {
+      const indent = indentOf(line);
+      while (stack.length && stack[stack.length - 1].indent > indent) stack.pop();
+      if (stack.length) {
+        blockId = stack[stack.length - 1].blockId;
+      } else {
+        /* A procedure's def line: Blockly puts its marker inside the body,
+           after the header (and any `global` line).                       */
+        for (let j = i + 1; j < rawLines.length; j++) {
+          if (!rawLines[j].trim()) continue;
+          if (indentOf(rawLines[j]) <= indent) break;
+          const inner = rawLines[j].match(MARKER_RE);
+          if (inner) { blockId = inner[2]; break; }
+        }
+        if (blockId) stack.push({ indent, blockId, header: true });
+      }
+    } else if (stack.length) {
+      blockId = stack[stack.length - 1].blockId;
+    }
+    lines.push(line);
+    lineBlocks.push(blockId);
+  }
+
+  const blockLines = new Map();
+  lineBlocks.forEach((blockId, i) => {
+    if (!blockId || !lines[i].trim()) return;
+    if (!blockLines.has(blockId)) blockLines.set(blockId, []);
+    blockLines.get(blockId).push(i + 1);
+  });
+
+  return { code: lines.join("\n"), lineBlocks, blockLines, hookPoints };
+}
+
 /* ================================================================
    generatePythonFromWorkspace
    ================================================================ */
@@ -1617,15 +1711,102 @@ export function generatePythonFromWorkspace(workspace) {
 
   // Clear previous trace registry before generating new code
   clearTraceRegistry();
+  lastSourceMap = { code: "", lineBlocks: [], blockLines: new Map(), hookPoints: [] };
 
+  const previousPrefix = Python.STATEMENT_PREFIX;
+  Python.STATEMENT_PREFIX = SOURCE_MAP_MARKER + "%1\n";
   try {
-    const code = Python.workspaceToCode(workspace);
-    return code && code.trim().length > 0
-      ? code
-      : "# Drag blocks here to build your VPython model\n";
+    const mapped = stripSourceMapMarkers(Python.workspaceToCode(workspace) || "");
+    if (mapped.code.trim().length === 0) {
+      return "# Drag blocks here to build your VPython model\n";
+    }
+    lastSourceMap = mapped;
+    return mapped.code;
   } catch (err) {
     console.error("Code generation error:", err);
     return "# Code generation error -- see console\n";
+  } finally {
+    Python.STATEMENT_PREFIX = previousPrefix;
   }
 }
 
+/**
+ * Block that generated a line (1-based) of `code`, or null.  `code` must be
+ * the string last returned by generatePythonFromWorkspace(); any other code
+ * (hand-written, or generated from an older workspace) has no source map.
+ */
+export function blockIdForLine(code, line) {
+  if (code !== lastSourceMap.code) return null;
+  return lastSourceMap.lineBlocks[line - 1] || null;
+}
+
+/**
+ * Lines (1-based) of `code` generated by a block itself, excluding the
+ * lines of blocks nested inside it.  Empty when `code` has no source map.
+ */
+export function linesForBlock(code, blockId) {
+  if (code !== lastSourceMap.code || !blockId) return [];
+  return lastSourceMap.blockLines.get(blockId) || [];
+}
+
+/**
+ * Where statement hooks go in `code` — one per statement block, standard
+ * blocks included — as [{ line, indent, blockId }]: the hook is inserted
+ * before `line` (1-based) with `indent`.  Empty when `code` has no source
+ * map.
+ */
+export function statementHookPoints(code) {
+  if (code !== lastSourceMap.code) return [];
+  return lastSourceMap.hookPoints;
+}
+
+/**
+ * Short text labels for blocks of a workspace XML, as Map<blockId, label>
+ * (e.g. `ball.velocity = vector(0, 5, 0)`).  Loads the XML into a headless
+ * workspace; IDs not found there are left out.
+ */
+export function blockLabels(xml, ids, maxLength = 48) {
+  const labels = new Map();
+  const Blockly = window.Blockly;
+  if (!Blockly || !xml || ids.length === 0) return labels;
+  defineCustomBlocksAndGenerator(Blockly);
+  const workspace = new Blockly.Workspace();
+  try {
+    Blockly.Xml.domToWorkspace(Blockly.utils.xml.textToDom(xml), workspace);
+    for (const id of ids) {
+      const block = workspace.getBlockById(id);
+      if (block) labels.set(id, block.toString(maxLength));
+    }
+  } catch (err) {
+    console.warn("blockLabels: could not load XML", err);
+  } finally {
+    workspace.dispose();
+  }
+  return labels;
+}
+
+/**
+ * Names of the objects a workspace XML moves with update_position_block or
+ * apply_force_block, in workspace order — the bodies the energy monitor
+ * watches unless the user declares others.
+ */
+export function integratedObjects(xml) {
+  const names = [];
+  const Blockly = window.Blockly;
+  if (!Blockly || !xml) return names;
+  defineCustomBlocksAndGenerator(Blockly);
+  const workspace = new Blockly.Workspace();
+  try {
+    Blockly.Xml.domToWorkspace(Blockly.utils.xml.textToDom(xml), workspace);
+    for (const block of workspace.getAllBlocks(true)) {
+      if (block.type !== "update_position_block" && block.type !== "apply_force_block") continue;
+      const name = block.getField("OBJ")?.getText();
+      if (name && !names.includes(name)) names.push(name);
+    }
+  } catch (err) {
+    console.warn("integratedObjects: could not load XML", err);
+  } finally {
+    workspace.dispose();
+  }
+  return names;
+}
@@ -0,0 +1,167 @@
+/*
+ * breakpoints.js
+ *
+ * Breakpoint records shared by App, DebugMode and glowRunner.  Breakpoints
+ * are kept in a Map keyed by the trace ID they stop at — a block ID in block
+ * projects, "line_N" in code projects — with values
+ *
+ *   { condition, hitCount, logMessage, enabled }
+ *
+ *   condition  — Python expression; only stop when it is true ("" = always)
+ *   hitCount   — only stop from the Nth (matching) hit on (null = every hit)
+ *   logMessage — when set the breakpoint is a logpoint: it writes the
+ *                message to the Console instead of pausing; `{expr}`
+ *                placeholders are replaced by their values
+ *   enabled    — false keeps the breakpoint but never sends it to the runtime
+ *
+ * They are saved with the project (localStorage and exported .xml / .py
+ * files) in the plain form of serializeBreakpoints().
+ */
+
+import { translatePythonExpr, parseLogMessage } from './pythonExpr';
+
+export function createBreakpoint(fields = {}) {
+  const hitCount = parseInt(fields.hitCount, 10);
+  return {
+    condition: String(fields.condition || "").trim(),
+    hitCount: hitCount > 1 ? hitCount : null,
+    logMessage: String(fields.logMessage || ""),
+    enabled: fields.enabled !== false,
+  };
+}
+
+/* "log" | "conditional" | "plain" — decides the marker drawn for it */
+export function breakpointKind(bp) {
+  if (!bp) return "plain";
+  if (bp.logMessage) return "log";
+  if (bp.condition || bp.hitCount) return "conditional";
+  return "plain";
+}
+
+/* One-line summary for tooltips and lists */
+export function describeBreakpoint(bp) {
+  const parts = [];
+  if (bp.condition) parts.push(`when ${bp.condition}`);
+  if (bp.hitCount) parts.push(`from hit ${bp.hitCount}`);
+  if (bp.logMessage) parts.push(`log "${bp.logMessage}"`);
+  return parts.join(", ") || "always";
+}
+
+/**
+ * Problems with a breakpoint's Python, as { condition, logMessage } error
+ * messages (null when valid).
+ */
+export function validateBreakpoint(bp) {
+  const errors = { condition: null, logMessage: null };
+  if (bp.condition) {
+    try { translatePythonExpr(bp.condition); } catch (err) { errors.condition = err.message; }
+  }
+  if (bp.logMessage) {
+    try { parseLogMessage(bp.logMessage); } catch (err) { errors.logMessage = err.message; }
+  }
+  return errors;
+}
+
+/**
+ * Runtime form sent to the runtime frame: [{ id, condition, hitCount, log }]
+ * with the condition and log placeholders translated to JavaScript.  An
+ * entry whose Python does not translate is sent as a plain breakpoint.
+ */
+export function compileBreakpoints(breakpoints) {
+  const compiled = [];
+  for (const [id, bp] of breakpoints) {
+    if (bp.enabled === false) continue;
+    const entry = { id, condition: null, hitCount: bp.hitCount || null, log: null };
+    try {
+      if (bp.condition) entry.condition = translatePythonExpr(bp.condition);
+      if (bp.logMessage) entry.log = parseLogMessage(bp.logMessage);
+    } catch (err) {
+      console.warn(`[PhysicsIDE] Breakpoint ${id}: ${err.message}`);
+    }
+    compiled.push(entry);
+  }
+  return compiled;
+}
+
+/* ── Persistence ──────────────────────────────────────────── */
+
+/* [{ id, condition, hitCount, logMessage, enabled }] — JSON-safe */
+export function serializeBreakpoints(breakpoints) {
+  return Array.from(breakpoints || [], ([id, bp]) => ({ id, ...createBreakpoint(bp) }));
+}
+
+/* Inverse of serializeBreakpoints; skips malformed entries */
+export function restoreBreakpoints(list) {
+  const breakpoints = new Map();
+  if (!Array.isArray(list)) return breakpoints;
+  for (const entry of list) {
+    if (entry && typeof entry.id === "string" && entry.id) {
+      breakpoints.set(entry.id, createBreakpoint(entry));
+    }
+  }
+  return breakpoints;
+}
+
+/* Exported .py files carry their breakpoints on one trailing comment line,
+   which leaves every other line number unchanged. */
+const PY_COMMENT_PREFIX = "# physide-breakpoints: ";
+
+export function appendBreakpointComment(code, breakpoints) {
+  const list = serializeBreakpoints(breakpoints).filter((bp) => /^line_\d+$/.test(bp.id));
+  if (list.length === 0) return code;
+  return code.replace(/\n*$/, "\n") + PY_COMMENT_PREFIX + JSON.stringify(list) + "\n";
+}
+
+/* → { code, breakpoints } with the comment line removed, or null breakpoints */
+export function extractBreakpointComment(code) {
+  const lines = code.split("\n");
+  let last = lines.length - 1;
+  while (last >= 0 && lines[last].trim() === "") last--;
+  if (last < 0 || !lines[last].startsWith(PY_COMMENT_PREFIX)) return { code, breakpoints: null };
+  try {
+    const list = JSON.parse(lines[last].slice(PY_COMMENT_PREFIX.length));
+    return { code: lines.slice(0, last).join("\n") + "\n", breakpoints: restoreBreakpoints(list) };
+  } catch (err) {
+    console.warn("[PhysicsIDE] Ignoring unreadable breakpoint comment:", err.message);
+    return { code, breakpoints: null };
+  }
+}
+
+/* Exported .xml files carry them as a top-level <breakpoints> element, which
+   Blockly ignores when loading the workspace. */
+export function appendBreakpointXml(xmlDom, breakpoints) {
+  const list = serializeBreakpoints(breakpoints);
+  if (list.length === 0) return;
+  const doc = xmlDom.ownerDocument;
+  const container = doc.createElementNS(xmlDom.namespaceURI, "breakpoints");
+  for (const bp of list) {
+    const el = doc.createElementNS(xmlDom.namespaceURI, "breakpoint");
+    el.setAttribute("id", bp.id);
+    if (bp.condition) el.setAttribute("condition", bp.condition);
+    if (bp.hitCount) el.setAttribute("hitcount", String(bp.hitCount));
+    if (bp.logMessage) el.setAttribute("log", bp.logMessage);
+    if (!bp.enabled) el.setAttribute("enabled", "false");
+    container.appendChild(el);
+  }
+  xmlDom.appendChild(container);
+}
+
+/* Breakpoints stored in workspace XML text, or null when it has none */
+export function extractBreakpointXml(xmlText) {
+  let doc;
+  try {
+    doc = new DOMParser().parseFromString(xmlText, "text/xml");
+  } catch (err) {
+    return null;
+  }
+  const container = Array.from(doc.documentElement ? doc.documentElement.children : [])
+    .find((el) => el.localName === "breakpoints");
+  if (!container) return null;
+  return restoreBreakpoints(Array.from(container.children, (el) => ({
+    id: el.getAttribute("id"),
+    condition: el.getAttribute("condition"),
+    hitCount: el.getAttribute("hitcount"),
+    logMessage: el.getAttribute("log"),
+    enabled: el.getAttribute("enabled") !== "false",
+  })));
+}
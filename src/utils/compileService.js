@@ -0,0 +1,164 @@
+/*
+ * compileService.js
+ *
+ * Compiles VPython off the main thread and remembers the result.
+ *
+ * One web worker per compiler version (public/compile-worker.js) loads
+ * RScompiler once and compiles every later Run.  Compiled JS is cached by
+ * source hash and compiler version, so running the same program again —
+ * e.g. after a Stop, or with only runtime state changed — skips
+ * compilation entirely.  When the worker cannot load the compiler the
+ * caller falls back to compiling in the runtime frame.
+ */
+
+import { RUNTIME_SCRIPTS, loadSourceSettings, resolveScriptCandidates } from './runtimeSources';
+
+const CACHE_LIMIT = 32;
+
+/* A compiler that hangs must not block every later Run */
+const WORKER_TIMEOUT_MS = 20000;
+
+/* key → { source, code }, least recently used first */
+const compileCache = new Map();
+
+/* compiler version → Promise<worker handle> */
+const workers = new Map();
+
+/* 32-bit FNV-1a over the UTF-16 code units */
+export function hashSource(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, "0");
+}
+
+function cacheKey(source, compilerVersion) {
+  return compilerVersion + ":" + hashSource(source) + ":" + source.length;
+}
+
+/* Cached compiled JS for the source, or null.  The stored source is
+   compared in full, so a hash collision is a miss, not a wrong program. */
+export function getCachedCompile(source, compilerVersion) {
+  const key = cacheKey(source, compilerVersion);
+  const entry = compileCache.get(key);
+  if (!entry || entry.source !== source) return null;
+  compileCache.delete(key);
+  compileCache.set(key, entry);
+  return entry.code;
+}
+
+export function storeCompiled(source, compilerVersion, code) {
+  const key = cacheKey(source, compilerVersion);
+  compileCache.delete(key);
+  compileCache.set(key, { source, code });
+  while (compileCache.size > CACHE_LIMIT) {
+    compileCache.delete(compileCache.keys().next().value);
+  }
+}
+
+export function clearCompileCache() {
+  compileCache.clear();
+}
+
+function workerUnavailable(message) {
+  const err = new Error(message);
+  err.workerUnavailable = true;
+  return err;
+}
+
+function compilerUrls(compilerVersion) {
+  const script = RUNTIME_SCRIPTS.find((s) => s.key === "compiler");
+  return resolveScriptCandidates(script, compilerVersion, loadSourceSettings())
+    .map(({ url }) => new URL(url, window.location.href).href);
+}
+
+/* Start a worker for one compiler version; resolves once RScompiler is loaded */
+function startWorker(compilerVersion) {
+  if (typeof Worker !== "function") {
+    return Promise.reject(workerUnavailable("Web workers are not available."));
+  }
+
+  const worker = new Worker(
+    new URL((process.env.PUBLIC_URL || "") + "/compile-worker.js", window.location.href).href
+  );
+  const pending = new Map();
+  let nextId = 1;
+  let dead = false;
+  let handle = null;
+
+  /* Worker crashed or hung: reject everything; the next Run starts afresh */
+  const fail = (err) => {
+    if (dead) return;
+    dead = true;
+    worker.terminate();
+    if (workers.get(compilerVersion) === handle) workers.delete(compilerVersion);
+    pending.forEach(({ reject, timer }) => {
+      window.clearTimeout(timer);
+      reject(err);
+    });
+    pending.clear();
+  };
+
+  worker.onmessage = (event) => {
+    const msg = event.data || {};
+    const waiter = pending.get(msg.id);
+    if (!waiter) return;
+    pending.delete(msg.id);
+    window.clearTimeout(waiter.timer);
+    if (msg.ok) {
+      waiter.resolve(msg);
+      return;
+    }
+    const err = new Error((msg.error && msg.error.message) || "Compile failed.");
+    if (msg.error && Number.isFinite(msg.error.line)) err.line = msg.error.line;
+    if (msg.error && Number.isFinite(msg.error.col)) err.col = msg.error.col;
+    waiter.reject(err);
+  };
+  worker.onerror = (event) => {
+    event.preventDefault();
+    fail(workerUnavailable("Compile worker failed: " + (event.message || "script error")));
+  };
+
+  const request = (message) => new Promise((resolve, reject) => {
+    if (dead) {
+      reject(workerUnavailable("Compile worker stopped."));
+      return;
+    }
+    const id = nextId++;
+    const timer = window.setTimeout(() => {
+      fail(workerUnavailable("Compile worker did not answer within " + WORKER_TIMEOUT_MS / 1000 + " s."));
+    }, WORKER_TIMEOUT_MS);
+    pending.set(id, { resolve, reject, timer });
+    worker.postMessage({ ...message, id });
+  });
+
+  handle = request({ type: "init", urls: compilerUrls(compilerVersion) })
+    .then(
+      () => ({ compile: (source) => request({ type: "compile", source, version: compilerVersion }) }),
+      /* The compiler did not load: stay on the fallback for this version
+         until the page is reloaded instead of retrying on every Run.     */
+      (err) => {
+        dead = true;
+        worker.terminate();
+        throw err.workerUnavailable ? err : workerUnavailable(err.message);
+      }
+    );
+  return handle;
+}
+
+/**
+ * Compile `source` for `compilerVersion` in the worker.  Resolves to the
+ * compiled JS.  Rejects with the compiler's error (carrying `line` / `col`
+ * when known), or with an error flagged `workerUnavailable` when the worker
+ * could not compile at all.
+ */
+export async function compileInWorker(source, compilerVersion) {
+  if (!workers.has(compilerVersion)) {
+    workers.set(compilerVersion, startWorker(compilerVersion));
+  }
+  const worker = await workers.get(compilerVersion);
+  const result = await worker.compile(source);
+  return result.code;
+}
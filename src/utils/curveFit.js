@@ -0,0 +1,394 @@
+/*
+ * curveFit.js
+ *
+ * Least-squares fits for the recording analysis view: linear, polynomial,
+ * exponential decay, damped sinusoid and power law.  Linear and polynomial
+ * models are solved directly; the others start from a guess read off the
+ * data and are refined with Levenberg–Marquardt.  Parameter uncertainties
+ * are the standard errors from the covariance matrix s²·(JᵀJ)⁻¹.
+ *
+ * Recorded x values are often large (simulation time late in a run), so
+ * polynomials are solved in x centred and scaled to [−1, 1], and the
+ * exponential and damped models measure x from the first fitted point x₀.
+ */
+import { zeroCrossings } from "./oscillation";
+
+/* Fit models: label for the picker, formula shown above the results */
+export const FIT_MODELS = {
+  linear:     { label: "Linear",            formula: "y = a + b·x" },
+  poly:       { label: "Polynomial",        formula: "y = c₀ + c₁·x + … + cₙ·xⁿ" },
+  expDecay:   { label: "Exponential decay", formula: "y = A·e^(−(x−x₀)/τ) + C" },
+  dampedSine: { label: "Damped sinusoid",   formula: "y = A·e^(−γ·(x−x₀))·cos(ω·(x−x₀) + φ) + C" },
+  powerLaw:   { label: "Power law",         formula: "y = A·xⁿ" },
+};
+
+export const POLY_DEGREES = [2, 3, 4, 5];
+
+const MAX_ITERATIONS = 200;
+const GUESS_POINTS = 2000;   // starting guesses are compared on at most this many points
+
+/* ── Linear algebra (small dense matrices) ── */
+
+/* Solves A·x = b by Gaussian elimination with partial pivoting; null if singular */
+function solve(A, b) {
+  const n = b.length;
+  const M = A.map((row, i) => [...row, b[i]]);
+  for (let c = 0; c < n; c++) {
+    let pivot = c;
+    for (let r = c + 1; r < n; r++) if (Math.abs(M[r][c]) > Math.abs(M[pivot][c])) pivot = r;
+    if (!(Math.abs(M[pivot][c]) > 1e-300)) return null;
+    [M[c], M[pivot]] = [M[pivot], M[c]];
+    for (let r = c + 1; r < n; r++) {
+      const f = M[r][c] / M[c][c];
+      for (let k = c; k <= n; k++) M[r][k] -= f * M[c][k];
+    }
+  }
+  const x = new Array(n).fill(0);
+  for (let r = n - 1; r >= 0; r--) {
+    let s = M[r][n];
+    for (let k = r + 1; k < n; k++) s -= M[r][k] * x[k];
+    x[r] = s / M[r][r];
+  }
+  return x;
+}
+
+function invert(A) {
+  const n = A.length;
+  const columns = [];
+  for (let c = 0; c < n; c++) {
+    const col = solve(A, A.map((_, i) => (i === c ? 1 : 0)));
+    if (!col) return null;
+    columns.push(col);
+  }
+  return A.map((_, r) => columns.map((col) => col[r]));
+}
+
+/* JᵀJ and Jᵀr for a Jacobian given row by row */
+function normalEquations(rows, residuals) {
+  const m = rows[0].length;
+  const JtJ = Array.from({ length: m }, () => new Array(m).fill(0));
+  const Jtr = new Array(m).fill(0);
+  rows.forEach((row, i) => {
+    for (let a = 0; a < m; a++) {
+      Jtr[a] += row[a] * residuals[i];
+      for (let b = a; b < m; b++) JtJ[a][b] += row[a] * row[b];
+    }
+  });
+  for (let a = 0; a < m; a++) for (let b = 0; b < a; b++) JtJ[a][b] = JtJ[b][a];
+  return { JtJ, Jtr };
+}
+
+/* ── Model functions ──
+   expDecay and dampedSine take x − x₀ */
+
+function polyValue(c, x) {
+  let y = 0;
+  for (let k = c.length - 1; k >= 0; k--) y = y * x + c[k];
+  return y;
+}
+
+const MODEL_FNS = {
+  expDecay:   ([A, tau, C], x) => A * Math.exp(-x / tau) + C,
+  dampedSine: ([A, gamma, omega, phi, C], x) => A * Math.exp(-gamma * x) * Math.cos(omega * x + phi) + C,
+  powerLaw:   ([A, n], x) => A * Math.pow(x, n),
+};
+
+function sumSquares(f, p, xs, ys) {
+  let s = 0;
+  for (let i = 0; i < xs.length; i++) {
+    const r = ys[i] - f(p, xs[i]);
+    s += r * r;
+  }
+  return s;
+}
+
+function residualsOf(f, p, xs, ys) {
+  return xs.map((x, i) => ys[i] - f(p, x));
+}
+
+/* JᵀJ with its diagonal scaled up by 1 + λ */
+function damped(JtJ, lambda) {
+  return JtJ.map((row, a) => row.map((v, b) => (a === b ? v + lambda * (v || 1e-12) : v)));
+}
+
+/* Rows of ∂f/∂p by central differences */
+function jacobian(f, p, xs) {
+  const steps = p.map((v) => 1e-6 * (Math.abs(v) || 1));
+  return xs.map((x) => p.map((v, j) => {
+    const hi = p.slice();
+    const lo = p.slice();
+    hi[j] = v + steps[j];
+    lo[j] = v - steps[j];
+    return (f(hi, x) - f(lo, x)) / (2 * steps[j]);
+  }));
+}
+
+/* Levenberg–Marquardt refinement of p0; returns the best parameters found */
+function levenbergMarquardt(f, xs, ys, p0, maxIterations = MAX_ITERATIONS) {
+  let p = p0.slice();
+  let cost = sumSquares(f, p, xs, ys);
+  let lambda = 1e-3;
+  for (let it = 0; it < maxIterations && isFinite(cost); it++) {
+    const { JtJ, Jtr } = normalEquations(jacobian(f, p, xs), residualsOf(f, p, xs, ys));
+    let improved = false;
+    while (lambda < 1e12) {
+      const step = solve(damped(JtJ, lambda), Jtr);
+      const next = step ? p.map((v, j) => v + step[j]) : null;
+      const nextCost = next ? sumSquares(f, next, xs, ys) : Infinity;
+      if (nextCost < cost) {
+        const gain = (cost - nextCost) / (cost || 1);
+        p = next;
+        cost = nextCost;
+        lambda = Math.max(lambda / 10, 1e-12);
+        improved = gain > 1e-12;
+        break;
+      }
+      lambda *= 10;
+    }
+    if (!improved) break;
+  }
+  return p;
+}
+
+/* Every Nth point, so starting guesses are compared quickly */
+function thin(xs, ys) {
+  const stride = Math.max(1, Math.ceil(xs.length / GUESS_POINTS));
+  if (stride === 1) return { xs, ys };
+  return { xs: xs.filter((_, i) => i % stride === 0), ys: ys.filter((_, i) => i % stride === 0) };
+}
+
+/* ── Starting guesses ── */
+
+function guessExpDecay(xs, ys) {
+  const order = xs.map((_, i) => i).sort((a, b) => xs[a] - xs[b]);
+  const first = order[0];
+  const last = order[order.length - 1];
+  const C = ys[last];
+  const A0 = ys[first] - C;
+  /* τ ≈ time for |y − C| to fall to 1/e of its start */
+  const target = Math.abs(A0) / Math.E;
+  const reached = order.find((i) => Math.abs(ys[i] - C) <= target);
+  const span = xs[last] - xs[first];
+  const tau = reached !== undefined && xs[reached] > xs[first] ? xs[reached] - xs[first] : span / 3 || 1;
+  return [[A0, tau, C]];
+}
+
+function guessDampedSine(xs, ys) {
+  const order = xs.map((_, i) => i).sort((a, b) => xs[a] - xs[b]);
+  const C = ys.reduce((s, y) => s + y, 0) / ys.length;
+  /* ω from the spacing of upward crossings of the mean */
+  const spread = Math.sqrt(ys.reduce((s, y) => s + (y - C) * (y - C), 0) / ys.length);
+  const crossings = zeroCrossings(order.map((i) => xs[i]), order.map((i) => ys[i]), C, 0.2 * spread);
+  if (crossings.length < 2) {
+    throw new Error("A damped sinusoid needs at least one full oscillation in the fitted range.");
+  }
+  const period = (crossings[crossings.length - 1] - crossings[0]) / (crossings.length - 1);
+  const omega = (2 * Math.PI) / period;
+  /* γ from how the swing shrinks between the first and last thirds */
+  const third = Math.max(1, Math.floor(order.length / 3));
+  const swing = (idx) => idx.reduce((m, i) => Math.max(m, Math.abs(ys[i] - C)), 0);
+  const early = order.slice(0, third);
+  const late = order.slice(-third);
+  const A = swing(early) || 1;
+  const spanThirds = xs[late[Math.floor(late.length / 2)]] - xs[early[Math.floor(early.length / 2)]];
+  const gamma = spanThirds > 0 ? Math.max(0, Math.log(A / (swing(late) || A)) / spanThirds) : 0;
+  /* The phase is tried at four quarter turns; the best start wins */
+  return [0, 1, 2, 3].map((q) => [A, gamma, omega, q * (Math.PI / 2), C]);
+}
+
+function guessPowerLaw(xs, ys) {
+  if (xs.some((x) => !(x > 0))) {
+    throw new Error("A power law needs x > 0 — narrow the range to leave out x ≤ 0.");
+  }
+  const sign = ys.reduce((s, y) => s + y, 0) < 0 ? -1 : 1;
+  const lx = [];
+  const ly = [];
+  xs.forEach((x, i) => {
+    if (sign * ys[i] > 0) {
+      lx.push(Math.log(x));
+      ly.push(Math.log(sign * ys[i]));
+    }
+  });
+  if (lx.length < 2) return [[sign, 1]];
+  const [lnA, n] = polyCoefficients(lx, ly, 1) || [0, 1];
+  return [[sign * Math.exp(lnA), n]];
+}
+
+/* ── Fitting ── */
+
+/* Centre and half-width of the x values: u = (x − mid) / half lies in [−1, 1] */
+function polyScale(xs) {
+  let lo = Infinity;
+  let hi = -Infinity;
+  xs.forEach((x) => {
+    lo = Math.min(lo, x);
+    hi = Math.max(hi, x);
+  });
+  return { mid: (lo + hi) / 2, half: (hi - lo) / 2 || 1 };
+}
+
+/* Least-squares coefficients d₀…d_degree of a polynomial in us, or null if singular */
+function polySolve(us, ys, degree) {
+  const rows = us.map((u) => Array.from({ length: degree + 1 }, (_, k) => Math.pow(u, k)));
+  const { JtJ, Jtr } = normalEquations(rows, ys);
+  return solve(JtJ, Jtr);
+}
+
+/* Matrix T taking coefficients in u = (x − mid) / half to coefficients in
+   x (c = T·d), from the binomial expansion of ((x − mid) / half)^k */
+function unscaleMatrix(degree, { mid, half }) {
+  const T = Array.from({ length: degree + 1 }, () => new Array(degree + 1).fill(0));
+  for (let k = 0; k <= degree; k++) {
+    let binomial = 1;   // C(k, j)
+    for (let j = 0; j <= k; j++) {
+      T[j][k] = (binomial * Math.pow(-mid, k - j)) / Math.pow(half, k);
+      binomial = (binomial * (k - j)) / (j + 1);
+    }
+  }
+  return T;
+}
+
+const multiply = (A, B) => A.map((row) => B[0].map((_, c) => row.reduce((s, v, k) => s + v * B[k][c], 0)));
+const transpose = (A) => A[0].map((_, c) => A.map((row) => row[c]));
+
+/* Least-squares polynomial coefficients c₀…c_degree in x, or null if singular */
+function polyCoefficients(xs, ys, degree) {
+  const scale = polyScale(xs);
+  const d = polySolve(xs.map((x) => (x - scale.mid) / scale.half), ys, degree);
+  return d && multiply(unscaleMatrix(degree, scale), d.map((v) => [v])).map(([v]) => v);
+}
+
+/* Standard errors of p (and its covariance) for model f */
+function covariance(f, p, xs, ys) {
+  const residuals = residualsOf(f, p, xs, ys);
+  const { JtJ } = normalEquations(jacobian(f, p, xs), residuals);
+  const inverse = invert(JtJ);
+  const dof = xs.length - p.length;
+  const s2 = residuals.reduce((s, r) => s + r * r, 0) / dof;
+  if (!inverse) return null;
+  return inverse.map((row) => row.map((v) => v * s2));
+}
+
+/* Uncertainty of a derived quantity g(p) from the parameter covariance */
+function propagate(g, p, cov) {
+  if (!cov) return NaN;
+  const grad = p.map((v, j) => {
+    const h = 1e-6 * (Math.abs(v) || 1);
+    const hi = p.slice();
+    const lo = p.slice();
+    hi[j] = v + h;
+    lo[j] = v - h;
+    return (g(hi) - g(lo)) / (2 * h);
+  });
+  let variance = 0;
+  grad.forEach((a, i) => grad.forEach((b, j) => { variance += a * cov[i][j] * b; }));
+  return Math.sqrt(Math.max(0, variance));
+}
+
+/* Damped sinusoid with A ≥ 0, ω ≥ 0 and φ in (−π, π] */
+function normalizeDampedSine([A, gamma, omega, phi, C]) {
+  if (omega < 0) {
+    omega = -omega;
+    phi = -phi;
+  }
+  if (A < 0) {
+    A = -A;
+    phi += Math.PI;
+  }
+  phi = Math.atan2(Math.sin(phi), Math.cos(phi));
+  return [A, gamma, omega, phi, C];
+}
+
+/**
+ * Fits `model` (a FIT_MODELS key) to the points (xs[i], ys[i]).
+ * options.degree — polynomial degree (POLY_DEGREES).
+ * Returns { model, label, formula, params: [{ name, value, error }],
+ * derived: [{ name, value, error }], r2, rmse, n, origin, predict(x) }.
+ * origin — x₀ of the exponential and damped models (the first fitted x), else null.
+ * Throws an Error with a message for the user when the data cannot be fitted.
+ */
+export function fitCurve(model, xs, ys, options = {}) {
+  const spec = FIT_MODELS[model];
+  if (!spec) throw new Error(`Unknown fit model "${model}".`);
+  const degree = model === "linear" ? 1 : model === "poly" ? options.degree || 2 : 0;
+
+  /* The model is fitted as f(q, arg(x)); T (polynomials) maps q to the
+     reported coefficients */
+  let f;
+  let names;
+  let q;
+  let arg = (x) => x;
+  let T = null;
+  let origin = null;
+  if (model === "linear" || model === "poly") {
+    f = polyValue;
+    names = model === "linear" ? ["a", "b"] : Array.from({ length: degree + 1 }, (_, k) => `c${k}`);
+    if (xs.length <= names.length) throw new Error(`Need at least ${names.length + 1} points for this fit.`);
+    const scale = polyScale(xs);
+    arg = (x) => (x - scale.mid) / scale.half;
+    q = polySolve(xs.map(arg), ys, degree);
+    if (!q) throw new Error("The x values do not spread enough for this fit.");
+    T = unscaleMatrix(degree, scale);
+  } else {
+    f = MODEL_FNS[model];
+    names = { expDecay: ["A", "τ", "C"], dampedSine: ["A", "γ", "ω", "φ", "C"], powerLaw: ["A", "n"] }[model];
+    if (xs.length <= names.length) throw new Error(`Need at least ${names.length + 1} points for this fit.`);
+    if (model !== "powerLaw") {
+      origin = xs.reduce((m, x) => Math.min(m, x), Infinity);
+      arg = (x) => x - origin;
+    }
+    const us = xs.map(arg);
+    const guesses = model === "expDecay" ? guessExpDecay(us, ys)
+                  : model === "dampedSine" ? guessDampedSine(us, ys)
+                  :                          guessPowerLaw(us, ys);
+    /* Refine every start on a thinned copy, then the best on all points */
+    const few = thin(us, ys);
+    const starts = guesses.map((g) => levenbergMarquardt(f, few.xs, few.ys, g, 60));
+    const costs = starts.map((st) => sumSquares(f, st, few.xs, few.ys));
+    q = levenbergMarquardt(f, us, ys, starts[costs.indexOf(Math.min(...costs))]);
+    if (model === "dampedSine") q = normalizeDampedSine(q);
+  }
+  if (q.some((v) => !isFinite(v))) throw new Error("The fit did not converge — try another model or range.");
+
+  const us = xs.map(arg);
+  const covQ = covariance(f, q, us, ys);
+  const p = T ? multiply(T, q.map((v) => [v])).map(([v]) => v) : q;
+  const cov = T && covQ ? multiply(multiply(T, covQ), transpose(T)) : covQ;
+  const ssr = sumSquares(f, q, us, ys);
+  const mean = ys.reduce((s, y) => s + y, 0) / ys.length;
+  const sst = ys.reduce((s, y) => s + (y - mean) * (y - mean), 0);
+
+  const derived = [];
+  const addDerived = (name, g) => derived.push({ name, value: g(p), error: propagate(g, p, cov) });
+  if (model === "poly" && degree === 2) addDerived("2·c2", (q) => 2 * q[2]);
+  if (model === "expDecay") addDerived("half-life", (q) => q[1] * Math.LN2);
+  if (model === "dampedSine") {
+    addDerived("period T", (q) => (2 * Math.PI) / q[2]);
+    addDerived("frequency f", (q) => q[2] / (2 * Math.PI));
+    addDerived("damping ratio ζ", (q) => q[1] / Math.hypot(q[1], q[2]));
+  }
+
+  return {
+    model,
+    label: model === "poly" ? `${spec.label} (degree ${degree})` : spec.label,
+    formula: spec.formula,
+    params: names.map((name, i) => ({ name, value: p[i], error: cov ? Math.sqrt(Math.max(0, cov[i][i])) : NaN })),
+    derived,
+    r2: sst > 0 ? 1 - ssr / sst : 1,
+    rmse: Math.sqrt(ssr / xs.length),
+    n: xs.length,
+    origin,
+    predict: (x) => f(q, arg(x)),
+  };
+}
+
+/* "1.234 ± 0.012": the value rounded to the uncertainty's second significant digit */
+export function formatMeasurement(value, error) {
+  if (!isFinite(value)) return String(value);
+  if (!(error > 0) || !isFinite(error)) return String(parseFloat(value.toPrecision(6)));
+  const digits = Math.max(0, 1 - Math.floor(Math.log10(error)));
+  if (digits > 12 || Math.abs(value) >= 1e6 || Math.abs(value) < 1e-4) {
+    return `${value.toExponential(3)} ± ${error.toExponential(1)}`;
+  }
+  return `${value.toFixed(digits)} ± ${error.toFixed(digits)}`;
+}
@@ -0,0 +1,73 @@
+/*
+ * energy.js
+ *
+ * Energy monitor samples and drift.  The runtime reports the kinetic and
+ * potential energy of the monitored bodies once per frame (see the energy
+ * monitor in public/runtime-agent.js); here they are kept per run and the
+ * drift of the total from its first value is measured.
+ */
+
+export const ENERGY_CAPACITY = 20000;   // samples kept per run
+
+/* Relative drift that raises the warning */
+export const DRIFT_THRESHOLDS = [0.001, 0.01, 0.05, 0.1];
+export const DEFAULT_DRIFT_THRESHOLD = 0.01;
+
+/* Monitor settings (Python): bodies null = the detected ones; g read
+   from the program's `g`, no extra potential energy */
+export const DEFAULT_ENERGY_SETTINGS = { bodies: null, gravity: "g", potential: "" };
+
+/* A body the monitor watches when nothing else is declared: an object
+   moved by update_position_block / apply_force_block, with unit mass */
+export function defaultBody(name) {
+  return { name, mass: "1", pos: `${name}.pos`, velocity: `${name}.velocity` };
+}
+
+/**
+ * `samples` with an "energy" batch ([[frame, simTime, ke, pe]]) appended,
+ * as [{ frame, simTime, kinetic, potential, total }].  Samples from the
+ * batch's first frame on are replaced, since the frame counter only goes
+ * back when a frame is restored.  At most ENERGY_CAPACITY are kept.
+ */
+export function appendEnergy(samples, batch) {
+  if (batch.length === 0) return samples;
+  const first = batch[0][0];
+  let keep = samples.length;
+  while (keep > 0 && samples[keep - 1].frame >= first) keep--;
+  const next = samples.slice(0, keep);
+  batch.forEach(([frame, simTime, kinetic, potential]) => {
+    next.push({ frame, simTime, kinetic, potential, total: kinetic + potential });
+  });
+  return next.length > ENERGY_CAPACITY ? next.slice(next.length - ENERGY_CAPACITY) : next;
+}
+
+/**
+ * Drift of the total energy from the first sample, relative to |E₀| — or,
+ * when E₀ is (nearly) zero, to the largest KE + |PE| seen.
+ * Returns null without samples, else {
+ *   scale, drifts: [relative drift per sample],
+ *   current, worst — the latest and the largest |drift| (signed),
+ *   exceeded — index of the first sample beyond `threshold`, or −1
+ * }
+ */
+export function energyDrift(samples, threshold = DEFAULT_DRIFT_THRESHOLD) {
+  if (samples.length === 0) return null;
+  const e0 = samples[0].total;
+  const magnitude = samples.reduce((m, s) => Math.max(m, s.kinetic + Math.abs(s.potential)), 0);
+  const scale = Math.abs(e0) > 1e-9 * magnitude ? Math.abs(e0) : magnitude;
+  const drifts = samples.map((s) => (scale > 0 ? (s.total - e0) / scale : 0));
+  let worst = 0;
+  let exceeded = -1;
+  drifts.forEach((d, i) => {
+    if (Math.abs(d) > Math.abs(worst)) worst = d;
+    if (exceeded < 0 && Math.abs(d) > threshold) exceeded = i;
+  });
+  return { scale, drifts, current: drifts[drifts.length - 1], worst, exceeded };
+}
+
+/* Drift as a signed percentage, e.g. "+2.31 %" */
+export function formatDrift(d) {
+  const pct = d * 100;
+  const digits = Math.abs(pct) >= 10 ? 1 : Math.abs(pct) >= 0.1 ? 2 : 3;
+  return `${pct >= 0 ? "+" : "−"}${Math.abs(pct).toFixed(digits)} %`;
+}
@@ -1,4 +1,6 @@
 import { generatePythonFromWorkspace } from "./blocklyGenerator";
+import { appendBreakpointComment, appendBreakpointXml } from "./breakpoints";
+import { parseVector, formatComponent } from "./traceValues";
 
 function downloadFile(content, fileName, mimeType) {
   const blob = new Blob([content], { type: mimeType });
@@ -12,17 +14,213 @@ function downloadFile(content, fileName, mimeType) {
   URL.revokeObjectURL(url);
 }
 
-export function exportPython(mode, pythonCode, workspace, fileName) {
-  const content = mode === "text" ? pythonCode : generatePythonFromWorkspace(workspace);
+/* header — e.g. "GlowScript 3.2 VPython"; prepended when the code has none so
+   the exported file records the project's VPython version.  Line
+   breakpoints of hand-written code are kept on a trailing comment.          */
+export function exportPython(mode, pythonCode, workspace, fileName, header, breakpoints) {
+  const code = mode === "text" ? pythonCode : generatePythonFromWorkspace(workspace);
+  const hasHeader = /^(GlowScript|Web\s+VPython)\s/i.test(code.trimStart());
+  let content = header && !hasHeader ? `${header}\n${code}` : code;
+  if (mode === "text" && breakpoints) {
+    /* A prepended header moves every line down by one */
+    const shift = content === code ? 0 : 1;
+    const moved = new Map(Array.from(breakpoints, ([id, bp]) => [
+      id.replace(/^line_(\d+)$/, (m, n) => `line_${parseInt(n, 10) + shift}`),
+      bp,
+    ]));
+    content = appendBreakpointComment(content, moved);
+  }
   downloadFile(content, `${fileName || "model"}.py`, "text/x-python;charset=utf-8");
 }
 
-export function exportBlocks(workspace, fileName) {
+export function exportBlocks(workspace, fileName, breakpoints) {
   if (!workspace || !window.Blockly) {
     window.alert("No Blockly workspace to export.");
     return;
   }
   const xmlDom = window.Blockly.Xml.workspaceToDom(workspace);
+  if (breakpoints) appendBreakpointXml(xmlDom, breakpoints);
   const xmlText = window.Blockly.Xml.domToText(xmlDom);
   downloadFile(xmlText, `${fileName || "workspace"}.xml`, "application/xml;charset=utf-8");
 }
+
+/* Index columns a trace recording can be exported against */
+export const RECORDING_INDEXES = {
+  sim:   { label: "Simulation time", column: "sim_time", key: "simTime" },
+  frame: { label: "Frame",           column: "frame",    key: "frame" },
+  wall:  { label: "Wall clock",      column: "timestamp_ms", key: "t" },
+};
+
+/* Trace recording rows ({ t, simTime, frame, name, value }, one per sample,
+   oldest first) as CSV with one column per variable, indexed by sim time,
+   frame or wall clock.  Consecutive samples with the same index share a
+   row unless a variable repeats (then the index repeats too, so no sample
+   is dropped); a variable not updated in a row is left empty.  A vector
+   variable gets x, y, z and magnitude columns instead of its text.  t is
+   the runtime's wall clock when the sample was taken. */
+export function exportRecordingCsv(rows, index = "sim") {
+  const { column, key } = RECORDING_INDEXES[index] || RECORDING_INDEXES.sim;
+  const names = [];
+  const vectors = new Set();   // names whose first sample is a vector
+  rows.forEach((r) => {
+    if (names.includes(r.name)) return;
+    names.push(r.name);
+    if (parseVector(r.value)) vectors.add(r.name);
+  });
+
+  const cellsFor = (name, value) => {
+    if (!vectors.has(name)) return [value === undefined ? "" : `"${value}"`];
+    const vec = value === undefined ? null : parseVector(value);
+    return vec ? [vec.x, vec.y, vec.z, vec.mag].map(formatComponent) : ["", "", "", ""];
+  };
+
+  const lines = [];
+  let current = null;   // { at, values: Map<name, value> }
+  const emit = () => {
+    if (!current) return;
+    const cells = names.flatMap((name) => cellsFor(name, current.values.get(name)));
+    lines.push(`${current.at ?? ""},${cells.join(",")}`);
+  };
+  rows.forEach((r) => {
+    const at = r[key];
+    if (!current || current.at !== at || current.values.has(r.name)) {
+      emit();
+      current = { at, values: new Map() };
+    }
+    current.values.set(r.name, r.value);
+  });
+  emit();
+
+  const header = [column, ...names.flatMap((name) => (vectors.has(name)
+    ? [`"${name}.x"`, `"${name}.y"`, `"${name}.z"`, `"|${name}|"`]
+    : [`"${name}"`]))].join(",");
+  downloadFile(`${header}\n${lines.join("\n")}`, `recording_${Date.now()}.csv`, "text/csv");
+}
+
+/* Fitted points as CSV: x, y, the fit and the residual per point, then the
+   model, its parameters with uncertainties and R² under a blank line.
+   fit — a fitCurve() result; xLabel / yLabel — column headers. */
+export function exportFitCsv(xs, ys, fit, xLabel = "x", yLabel = "y") {
+  const lines = [`"${xLabel}","${yLabel}","fit","residual"`];
+  xs.forEach((x, i) => {
+    const f = fit.predict(x);
+    lines.push([x, ys[i], f, ys[i] - f].map(formatComponent).join(","));
+  });
+  lines.push("", `"model","${fit.label}: ${fit.formula}"`, "parameter,value,uncertainty");
+  [...fit.params, ...fit.derived].forEach((p) => {
+    lines.push(`"${p.name}",${p.value},${isNaN(p.error) ? "" : p.error}`);
+  });
+  if (fit.origin !== null) lines.push(`"x₀",${fit.origin},`);
+  lines.push(`"R²",${fit.r2},`, `"RMSE",${fit.rmse},`, `"points",${fit.n},`);
+  downloadFile(lines.join("\n"), `fit_${fit.model}_${Date.now()}.csv`, "text/csv;charset=utf-8");
+}
+
+/* Oscillation analysis as CSV: the resampled signal, the power spectrum
+   and the results, as three tables separated by blank lines.
+   osc — an analyzeOscillation() result; label — the variable's name. */
+export function exportOscillationCsv(osc, label = "y") {
+  const lines = [`"sim_time","${label}"`];
+  osc.grid.ts.forEach((t, i) => lines.push(`${formatComponent(t)},${formatComponent(osc.grid.ys[i])}`));
+  lines.push("", "frequency,relative_power");
+  osc.spectrum.freqs.forEach((f, i) => lines.push(`${formatComponent(f)},${formatComponent(osc.spectrum.power[i])}`));
+  lines.push("", "quantity,value,uncertainty");
+  const quantity = (name, m) => {
+    if (m) lines.push(`"${name}",${m.value},${isNaN(m.error) ? "" : m.error}`);
+  };
+  quantity("period", osc.period);
+  quantity("frequency", osc.frequency);
+  quantity("angular frequency", osc.omega);
+  quantity("spectrum peak", { value: osc.spectrum.peak, error: NaN });
+  quantity("decay rate", osc.decayRate);
+  quantity("log decrement", osc.logDecrement);
+  quantity("damping ratio", osc.dampingRatio);
+  lines.push(`"mean",${osc.level},`, `"grid step",${osc.grid.dt},`);
+  lines.push("", "peak_time,peak_value");
+  osc.peaks.forEach((p) => lines.push(`${p.t},${p.y}`));
+  downloadFile(lines.join("\n"), `oscillation_${Date.now()}.csv`, "text/csv;charset=utf-8");
+}
+
+/* Recordings compared as CSV: one row per reference sample with each run's
+   aligned value and its difference from the reference (empty where a run
+   does not reach), then mean, RMS and largest difference per run.
+   comparison — a compareRecordings() result; names — the runs' names. */
+export function exportComparisonCsv(comparison, names, reference, xLabel = "x", yLabel = "y") {
+  const others = names.map((_, k) => k).filter((k) => k !== reference);
+  const cell = (v) => (isFinite(v) ? formatComponent(v) : "");
+  const lines = [[
+    `"${xLabel}"`,
+    ...names.map((name) => `"${yLabel} (${name})"`),
+    ...others.map((k) => `"Δ ${names[k]} − ${names[reference]}"`),
+  ].join(",")];
+  comparison.xs.forEach((x, i) => {
+    lines.push([
+      formatComponent(x),
+      ...comparison.values.map((ys) => cell(ys[i])),
+      ...others.map((k) => cell(comparison.diffs[k][i])),
+    ].join(","));
+  });
+  lines.push("", "run,points,mean_difference,rms_difference,max_abs_difference,rms_over_range");
+  others.forEach((k) => {
+    const st = comparison.stats[k];
+    lines.push([`"${names[k]}"`, st.n, cell(st.mean), cell(st.rms), cell(st.maxAbs), cell(st.relative)].join(","));
+  });
+  downloadFile(lines.join("\n"), `comparison_${Date.now()}.csv`, "text/csv;charset=utf-8");
+}
+
+/* Energy monitor samples as CSV: frame, sim time, kinetic, potential and
+   total energy, and the drift of the total relative to the start.
+   samples — see appendEnergy(); drifts — energyDrift().drifts. */
+export function exportEnergyCsv(samples, drifts) {
+  const lines = ["frame,sim_time,kinetic,potential,total,relative_drift"];
+  samples.forEach((s, i) => {
+    lines.push([s.frame, s.simTime ?? "", ...[s.kinetic, s.potential, s.total, drifts[i]].map(formatComponent)].join(","));
+  });
+  downloadFile(lines.join("\n"), `energy_${Date.now()}.csv`, "text/csv");
+}
+
+/* An on-screen SVG as standalone markup: CSS variables (theme colours)
+   are replaced by their current values and a background is added, so the
+   file looks the same outside the app. */
+function standaloneSvg(svg, background) {
+  const style = window.getComputedStyle(svg);
+  const clone = svg.cloneNode(true);
+  clone.setAttribute("xmlns", "http://www.w3.org/2000/svg");
+  const bg = document.createElementNS("http://www.w3.org/2000/svg", "rect");
+  bg.setAttribute("width", "100%");
+  bg.setAttribute("height", "100%");
+  bg.setAttribute("fill", background);
+  clone.insertBefore(bg, clone.firstChild);
+  const text = new XMLSerializer().serializeToString(clone);
+  return text.replace(/var\((--[\w-]+)(?:,\s*([^)]+))?\)/g, (m, name, fallback) => (
+    style.getPropertyValue(name).trim() || (fallback || "").trim() || "currentColor"
+  ));
+}
+
+function chartBackground(svg) {
+  return window.getComputedStyle(svg).getPropertyValue("--bg-panel").trim() || "#ffffff";
+}
+
+export function exportChartSvg(svg, fileName = "plot") {
+  downloadFile(standaloneSvg(svg, chartBackground(svg)), `${fileName}.svg`, "image/svg+xml;charset=utf-8");
+}
+
+/* PNG at twice the on-screen size */
+export function exportChartPng(svg, fileName = "plot") {
+  const { width, height } = svg.getBoundingClientRect();
+  const url = URL.createObjectURL(new Blob([standaloneSvg(svg, chartBackground(svg))], { type: "image/svg+xml" }));
+  const image = new Image();
+  image.onload = () => {
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.round(width * 2);
+    canvas.height = Math.round(height * 2);
+    const ctx = canvas.getContext("2d");
+    ctx.scale(2, 2);
+    ctx.drawImage(image, 0, 0, width, height);
+    URL.revokeObjectURL(url);
+    canvas.toBlob((blob) => {
+      if (blob) downloadFile(blob, `${fileName}.png`, "image/png");
+    }, "image/png");
+  };
+  image.onerror = () => URL.revokeObjectURL(url);
+  image.src = url;
+}
@@ -1,227 +1,88 @@
 /*
  * GlowScript / VPython runner
  *
- * Runs each simulation inside an isolated iframe runtime so compiler/runtime
- * globals never leak across runs.
+ * Runs each simulation inside a fresh, sandboxed iframe so compiler/runtime
+ * globals never leak across runs and the program cannot reach the IDE.  The
+ * frame has an opaque origin; public/runtime-agent.js inside it loads the
+ * runtime, compiles and runs the program and talks to this module over the
+ * message protocol in runtimeProtocol.js.  Every message is tagged with the
+ * run token, so output of a superseded run is dropped.
  */
 
-import { traceRegistry } from './blocklyGenerator';
+import { traceRegistry, statementHookPoints } from './blocklyGenerator';
+import { RUNTIME_SCRIPTS, loadSourceSettings, resolveScriptCandidates } from './runtimeSources';
+import { resolveRuntimeVersion, checkVersionFeatures } from './runtimeVersions';
+import { loadDebuggerSettings } from './storage';
+import {
+  createLineMapper,
+  findCompileErrorLine,
+  findRuntimeErrorLine,
+  locatedError,
+} from './sourceLocations';
+import { instrumentPythonForDebug } from './pythonInstrumenter';
+import { injectLoopGuards } from './loopGuards';
+import { compileInWorker, getCachedCompile, storeCompiled } from './compileService';
+import { compileBreakpoints } from './breakpoints';
+import { translatePythonExpr, translatePythonStatement, valueInputToPython } from './pythonExpr';
+import { PROTOCOL, PROTOCOL_VERSION, createMessage, parseRuntimeMessage } from './runtimeProtocol';
 
 let activeRunToken = 0;
-let activeFrameWindow = null;
+let activeSession = null;
 
-/* ── Code-project trace entries (populated by instrumentPythonForDebug) ── */
-let codeTraceEntries = [];
-
-/**
- * Scan a VPython source string and inject _phtr_ trace assignments inside the
- * first while-loop body.  Returns the instrumented source and the corresponding
- * trace-registry entries so the compiled-JS injection can add postMessage calls
- * and pause checks automatically.
- *
- * Each injected variable gets a unique safeName  "varName_lineN" so that every
- * assignment site has its own blockId ("line_N"), enabling per-line breakpoints.
- */
-export function instrumentPythonForDebug(pythonSource) {
-  /* VPython 3D-object constructors — skip variables whose RHS starts with one */
-  const SKIP_CONSTRUCTORS = [
-    'sphere(', 'box(', 'cylinder(', 'arrow(', 'helix(', 'ring(',
-    'curve(', 'points(', 'graph(', 'gcurve(', 'gdots(', 'gvbars(',
-    'label(', 'wtext(', 'text(',
-  ];
-
-  /* Known builtins / VPython names to exclude from tracing */
-  const BUILTINS = new Set([
-    'sphere', 'box', 'cylinder', 'arrow', 'helix', 'ring', 'curve', 'points',
-    'canvas', 'scene', 'vector', 'vec', 'color', 'textures',
-    'rate', 'sleep', 'mag', 'norm', 'hat', 'cross', 'dot', 'diff_angle',
-    'sqrt', 'abs', 'sin', 'cos', 'tan', 'asin', 'acos', 'atan', 'atan2',
-    'radians', 'degrees', 'pow', 'log', 'exp', 'pi',
-    'min', 'max', 'sum', 'round', 'floor', 'ceil',
-    'True', 'False', 'None', 'print', 'str', 'int', 'float', 'bool',
-    'range', 'len', 'list', 'dict', 'set', 'tuple', 'type',
-    'GlowScript', 'WebVPython',
-    'graph', 'gcurve', 'gdots', 'bar', 'gvbars', 'label', 'wtext',
-    'attach_trail', 'make_trail',
-  ]);
-
-  /*
-   * Assignment regex: leading spaces + identifier + optional compound-op + '='
-   * NOT followed by another '=' (avoids matching == comparisons).
-   * Examples matched: "    t = 0", "  x += dt", "  KE *= 0.5"
-   * Not matched: "  if x == 0:", "  obj.attr = v" (stops at the dot)
-   */
-  const ASSIGN_RE = /^(\s*)([a-zA-Z_]\w*)\s*(?:[+\-*/%&|^]|\*\*|\/\/)?=(?!=)/;
-
-  const lines   = pythonSource.split('\n');
-  const output  = [];
-  const entries = [];  /* {safeName, displayName, blockId} */
-
-  let inLoop        = false;
-  let loopBaseIndent = -1;
-
-  for (let i = 0; i < lines.length; i++) {
-    const line    = lines[i];
-    const stripped = line.trimStart();
-    output.push(line);
-
-    if (!stripped || stripped.startsWith('#')) continue;
-
-    /* Detect while-loop entry */
-    const loopMatch = line.match(/^(\s*)while\s+/);
-    if (loopMatch) {
-      /* Only track the FIRST (outermost) while loop */
-      if (!inLoop) {
-        inLoop = true;
-        loopBaseIndent = loopMatch[1].length;
-      }
-      continue;
-    }
-
-    /* Detect leaving the loop (non-blank non-comment at indent <= loopBase) */
-    if (inLoop) {
-      const indentLen = (line.match(/^(\s*)/) || ['', ''])[1].length;
-      if (stripped && indentLen <= loopBaseIndent) {
-        if (!stripped.match(/^(?:else|elif|except|finally)\b/)) {
-          inLoop = false;
-          loopBaseIndent = -1;
-          /* Check if this line is ANOTHER while loop */
-          const newLoop = line.match(/^(\s*)while\s+/);
-          if (newLoop) { inLoop = true; loopBaseIndent = newLoop[1].length; }
-        }
-        if (!inLoop) continue;
-      }
-    }
-
-    if (!inLoop) continue;
+/* Breakpoints in runtime form (compileBreakpoints) — sent with each run
+   and on every change */
+let runtimeBreakpoints = [];
 
-    const am = line.match(ASSIGN_RE);
-    if (!am) continue;
+/* Watch expressions as JavaScript (null where the Python did not
+   translate); `capture` asks every hook for its scope — same lifecycle */
+let runtimeWatches = { expressions: [], capture: false };
 
-    const indent  = am[1];
-    const varName = am[2];
+/* Scene inspector: on / off and the candidate object variable names */
+let runtimeInspect = { enabled: false, names: [] };
 
-    /* Must be inside loop body */
-    if (indent.length <= loopBaseIndent) continue;
-    if (BUILTINS.has(varName)) continue;
-    if (varName.startsWith('_')) continue;
+/* Energy monitor: bodies and potential energy as JavaScript (no bodies = off) */
+let runtimeEnergy = { bodies: [], gravity: null, potential: null };
 
-    /* Skip VPython object constructor assignments */
-    const eqIdx  = line.search(/(?:[+\-*/%&|^]|\*\*|\/\/)?=(?!=)/);
-    const rhsTrim = eqIdx >= 0 ? line.slice(eqIdx + 1).trim() : '';
-    if (SKIP_CONSTRUCTORS.some(c => rhsTrim.startsWith(c))) continue;
-
-    const lineNum  = i + 1;                       /* 1-based */
-    const safeName = `${varName}_line${lineNum}`;  /* unique per site */
-    const blockId  = `line_${lineNum}`;            /* breakpoint key */
-
-    entries.push({ safeName, displayName: varName, blockId });
-    /* Inject trace assignment on the very next line */
-    output.push(`${indent}_phtr_${safeName} = str(${varName})`);
-  }
+/* ── Code-project trace entries (populated by instrumentPythonForDebug) ── */
+let codeTraceEntries = [];
 
-  return { source: output.join('\n'), entries };
-}
+/* Result of the most recent runtime load — read by the Runtime diagnostics panel */
+let lastRuntimeReport = null;
 
-const GLOWSCRIPT_SCRIPTS = {
-  jquery: "https://cdn.jsdelivr.net/npm/jquery@2.1.4/dist/jquery.min.js",
-  jqueryTextChange:
-    "https://www.glowscript.org/lib/jquery/IDE/jquery.textchange.custom.js",
-  jqueryUi:
-    "https://www.glowscript.org/lib/jquery/IDE/jquery-ui.custom.min.js",
-  glow: "https://www.glowscript.org/package/glow.3.2.min.js",
-  compiler: "https://www.glowscript.org/package/RScompiler.3.2.min.js",
-  run: "https://www.glowscript.org/package/RSrun.3.2.min.js",
-};
+/* How long the frame may take to boot the agent before the run fails */
+const AGENT_READY_TIMEOUT_MS = 15000;
 
-function normalizeScriptUrl(url) {
-  return String(url || "").split("#")[0].split("?")[0];
+function absoluteUrl(url) {
+  return new URL(url, window.location.href).href;
 }
 
-function hasScriptLoaded(doc, src) {
-  const target = normalizeScriptUrl(src);
-  const scripts = Array.from(doc.getElementsByTagName("script"));
-  return scripts.some((s) => normalizeScriptUrl(s.src) === target);
+function agentUrl() {
+  return absoluteUrl((process.env.PUBLIC_URL || "") + "/runtime-agent.js");
 }
 
-function loadScriptInFrame(frameWindow, src) {
-  const doc = frameWindow.document;
-
-  return new Promise((resolve, reject) => {
-    if (hasScriptLoaded(doc, src)) {
-      resolve();
-      return;
-    }
-
-    const script = doc.createElement("script");
-    script.src = src;
-    script.async = false;
-    script.onload = () => resolve();
-    script.onerror = () => reject(new Error("Failed to load script: " + src));
-    doc.head.appendChild(script);
-  });
+/* Shared with the compile worker (compileWithFallbacks) */
+function compileAttemptsUrl() {
+  return absoluteUrl((process.env.PUBLIC_URL || "") + "/compile-attempts.js");
 }
 
-function buildGlowScriptDiag(frameWindow) {
+/**
+ * Snapshot of the last runtime load: which source served each script, the
+ * attempts that failed before it, and the runtime frame's diagnostic flags.
+ * Returns null before the first Run.
+ */
+export function getRuntimeDiagnostics() {
+  if (!lastRuntimeReport) return null;
   return {
-    jQuery: !!frameWindow.jQuery,
-    jQueryUiResizable:
-      !!(
-        frameWindow.jQuery &&
-        frameWindow.jQuery.fn &&
-        frameWindow.jQuery.fn.resizable
-      ),
-    GlowScript: !!frameWindow.GlowScript,
-    glowscript_compile: typeof frameWindow.glowscript_compile,
-    call_acorn_parse: typeof frameWindow.call_acorn_parse,
-    acorn_parse:
-      frameWindow.acorn && typeof frameWindow.acorn.parse !== "undefined"
-        ? typeof frameWindow.acorn.parse
-        : "missing",
+    ...lastRuntimeReport,
+    scripts: lastRuntimeReport.scripts.map((s) => ({ ...s, attempts: [...s.attempts] })),
   };
 }
 
-async function ensureGlowScriptLoaded(frameWindow) {
-  await loadScriptInFrame(frameWindow, GLOWSCRIPT_SCRIPTS.jquery);
-  await loadScriptInFrame(frameWindow, GLOWSCRIPT_SCRIPTS.jqueryTextChange);
-  await loadScriptInFrame(frameWindow, GLOWSCRIPT_SCRIPTS.jqueryUi);
-  await loadScriptInFrame(frameWindow, GLOWSCRIPT_SCRIPTS.glow);
-  await loadScriptInFrame(frameWindow, GLOWSCRIPT_SCRIPTS.compiler);
-  await loadScriptInFrame(frameWindow, GLOWSCRIPT_SCRIPTS.run);
-
-  if (
-    !frameWindow.jQuery ||
-    !frameWindow.jQuery.fn ||
-    typeof frameWindow.jQuery.fn.resizable !== "function"
-  ) {
-    throw new Error(
-      "GlowScript runtime dependency missing: jQuery UI resizable() not loaded. Diagnostics: " +
-        JSON.stringify(buildGlowScriptDiag(frameWindow))
-    );
-  }
-
-  if (typeof frameWindow.glowscript_compile !== "function") {
-    throw new Error(
-      "GlowScript compiler did not load (RScompiler). Diagnostics: " +
-        JSON.stringify(buildGlowScriptDiag(frameWindow))
-    );
-  }
-
-  if (typeof frameWindow.call_acorn_parse !== "function") {
-    if (frameWindow.acorn && typeof frameWindow.acorn.parse === "function") {
-      frameWindow.call_acorn_parse = frameWindow.acorn.parse.bind(
-        frameWindow.acorn
-      );
-    } else {
-      throw new Error(
-        "GlowScript parser did not initialize correctly (call_acorn_parse missing). Diagnostics: " +
-          JSON.stringify(buildGlowScriptDiag(frameWindow))
-      );
-    }
-  }
-}
-
-function createRuntimeFrame(host) {
+/* ── Runtime frame ────────────────────────────────────────────
+   sandbox="allow-scripts" without allow-same-origin gives the frame an
+   opaque origin: no access to the IDE's DOM, storage or globals.  The
+   agent's settings are written into the document ahead of the agent.     */
+function createRuntimeFrame(host, runToken) {
   const currentTheme =
     document.documentElement.getAttribute("data-theme") ||
     document.body.getAttribute("data-theme") ||
@@ -232,20 +93,23 @@ function createRuntimeFrame(host) {
   const viewportTextColor = isLight ? "#111827"  : "#dde4f8";
   const linkColor         = isLight ? "#1d4ed8"  : "#7db5ff";
 
+  const config = JSON.stringify({
+    protocol: PROTOCOL,
+    version: PROTOCOL_VERSION,
+    run: runToken,
+    parentOrigin: window.location.origin,
+  }).replace(/</g, "\\u003c");
+
   const iframe = document.createElement("iframe");
   iframe.title = "GlowScript Runtime";
   iframe.setAttribute("aria-label", "GlowScript Runtime");
+  iframe.setAttribute("sandbox", "allow-scripts");
   iframe.style.width   = "100%";
   iframe.style.height  = "100%";
   iframe.style.border  = "0";
   iframe.style.display = "block";
 
-  host.innerHTML = "";
-  host.appendChild(iframe);
-
-  const frameDoc = iframe.contentDocument;
-  frameDoc.open();
-  frameDoc.write(`<!doctype html>
+  iframe.srcdoc = `<!doctype html>
 <html>
   <head>
     <meta charset="utf-8" />
@@ -288,33 +152,178 @@ function createRuntimeFrame(host) {
         font-size: 12px !important;
       }
     </style>
+    <script>window.__PHYSIDE_RUNTIME__ = ${config};</script>
+    <script src="${compileAttemptsUrl()}"></script>
+    <script src="${agentUrl()}"></script>
   </head>
   <body>
     <div id="glowscript-root"></div>
   </body>
-</html>`);
-  frameDoc.close();
+</html>`;
+
+  host.innerHTML = "";
+  host.appendChild(iframe);
 
   return iframe;
 }
 
-function getCompileFn(frameWindow) {
+/* ── Runtime session ──────────────────────────────────────────
+   One per run: owns the frame's message traffic.  send() issues a command
+   and resolves with the agent's reply; incoming messages are accepted only
+   from this frame, with the opaque origin, this protocol version and this
+   run's token.                                                           */
+function remoteError(error) {
+  const err = new Error(error.message);
+  err.name = error.name || "Error";
+  if (error.stack) err.stack = error.stack;
+  if (Number.isFinite(error.line)) err.line = error.line;
+  if (Number.isFinite(error.col)) err.col = error.col;
+  if (Number.isFinite(error.sourceLine)) err.sourceLine = error.sourceLine;
+  err.scripts = error.scripts || null;
+  err.diag = error.diag || null;
+  return err;
+}
+
+function isFromSession(event, session) {
   return (
-    frameWindow.glowscript_compile ||
-    (frameWindow.GlowScript && frameWindow.GlowScript.compile)
+    !!session &&
+    event.source === session.frameWindow &&
+    event.origin === "null"
   );
 }
 
-function buildSource(codeString) {
+function createSession(iframe, runToken, { onRuntimeError }) {
+  const session = {
+    token: runToken,
+    frameWindow: iframe.contentWindow,
+    pending: new Map(),
+    nextId: 1,
+    disposed: false,
+  };
+
+  let readyTimer = null;
+  let resolveReady = null;
+  let rejectReady = null;
+  session.ready = new Promise((resolve, reject) => {
+    resolveReady = resolve;
+    rejectReady = reject;
+  });
+  readyTimer = window.setTimeout(() => {
+    rejectReady(new Error("Runtime frame did not start: " + agentUrl() + " did not report ready."));
+  }, AGENT_READY_TIMEOUT_MS);
+
+  const handleMessage = (event) => {
+    if (!isFromSession(event, session)) return;
+    const msg = parseRuntimeMessage(event.data);
+    if (!msg || msg.run !== session.token) return;
+
+    if (msg.kind === "lifecycle" && msg.phase === "ready") {
+      window.clearTimeout(readyTimer);
+      resolveReady();
+    } else if (msg.kind === "reply") {
+      const waiter = session.pending.get(msg.id);
+      if (!waiter) return;
+      session.pending.delete(msg.id);
+      if (msg.ok) waiter.resolve(msg.result);
+      else waiter.reject(remoteError(msg.error || {}));
+    } else if (msg.kind === "error") {
+      onRuntimeError(remoteError(msg));
+    }
+  };
+  window.addEventListener("message", handleMessage);
+
+  /* The frame's origin is opaque, so commands can only target "*"; the
+     sandbox keeps it from navigating to another origin to receive them. */
+  const post = (name, fields, id) => {
+    session.frameWindow.postMessage(
+      createMessage(session.token, "command", { ...fields, name, id }),
+      "*"
+    );
+  };
+
+  session.send = (name, fields = {}) => {
+    if (session.disposed) return Promise.reject(new Error("Runtime session closed."));
+    const id = session.nextId++;
+    return new Promise((resolve, reject) => {
+      session.pending.set(id, { resolve, reject });
+      post(name, fields, id);
+    });
+  };
+
+  /* Fire-and-forget command (pause / step / breakpoints) */
+  session.notify = (name, fields = {}) => {
+    if (!session.disposed) post(name, fields, null);
+  };
+
+  session.dispose = () => {
+    if (session.disposed) return;
+    session.disposed = true;
+    window.clearTimeout(readyTimer);
+    window.removeEventListener("message", handleMessage);
+    const closed = new Error("Runtime session closed.");
+    rejectReady(closed);
+    session.pending.forEach(({ reject }) => reject(closed));
+    session.pending.clear();
+  };
+
+  return session;
+}
+
+/**
+ * The runtime message carried by a window "message" event, or null unless
+ * it comes from the current run's frame, speaks this protocol version and
+ * carries the current run token.  Use this for every listener that reads
+ * trace, log or state messages.
+ */
+export function readRuntimeMessage(event) {
+  if (!isFromSession(event, activeSession)) return null;
+  const msg = parseRuntimeMessage(event.data);
+  if (!msg || msg.run !== activeRunToken || msg.run !== activeSession.token) return null;
+  return msg;
+}
+
+/* Load the runtime scripts in the frame, recording the report */
+async function loadRuntime(session, version) {
+  const settings = loadSourceSettings();
+  const report = { startedAt: Date.now(), version: version.label, scripts: [], diag: null, error: null };
+  lastRuntimeReport = report;
+
+  const scripts = RUNTIME_SCRIPTS.map((script) => ({
+    key: script.key,
+    label: script.label,
+    check: script.check || null,
+    candidates: resolveScriptCandidates(script, version.compilerVersion, settings)
+      .map(({ source, url }) => ({ source, url: absoluteUrl(url) })),
+  }));
+
+  try {
+    const result = await session.send("load", { scripts });
+    report.scripts = result.scripts;
+    report.diag = result.diag;
+  } catch (err) {
+    report.scripts = err.scripts || [];
+    report.diag = err.diag || null;
+    report.error = err.message || String(err);
+    throw err;
+  }
+}
+
+/**
+ * Prepare editor code for the compiler.  Returns { source, leadingLines,
+ * prefixLines } — the trimmed blank lines and prepended header lines are
+ * needed to map compiler line numbers back to the editor.
+ */
+function buildSource(codeString, version) {
   const sanitized = String(codeString || "")
     .replace(/^\s*;+\s*$/gm, "")
     .replace(/(;+)\s*$/gm, "");
 
   const trimmed = sanitized.trimStart();
+  const leadingLines = (sanitized.slice(0, sanitized.length - trimmed.length).match(/\n/g) || []).length;
   const firstLine = trimmed.split(/\r?\n/, 1)[0] || "";
   const hasHeader = /^(GlowScript|Web\s+VPython)\s/i.test(firstLine);
 
-  const source = hasHeader ? trimmed : "GlowScript 3.2 VPython\n" + trimmed;
+  const source = hasHeader ? trimmed : version.header + "\n" + trimmed;
 
   if (!source || source.length === 0) {
     throw new Error("Compile error: VPython source is empty.");
@@ -326,188 +335,140 @@ function buildSource(codeString) {
     source.slice(0, 4000) + (source.length > 4000 ? "\n…(truncated)" : "")
   );
 
-  return source;
+  return { source, leadingLines, prefixLines: hasHeader ? 0 : 1 };
 }
 
-function compileSource(compile, source) {
-  const normalized = source.replace(/\r\n?/g, "\n");
-  const compileAttempts = [
-    {
-      src: normalized,
-      opts: { lang: "vpython", version: "3.2", run: true, nodictionary: false },
-    },
-    {
-      src: normalized + "\n",
-      opts: { lang: "vpython", version: "3.2", run: true, nodictionary: false },
-    },
-    { src: normalized, opts: { lang: "vpython", version: "3.2" } },
-    { src: normalized + "\n", opts: { lang: "vpython", version: "3.2" } },
-  ];
-
-  let compiled = null;
-  let lastCompileError = null;
-
-  for (const attempt of compileAttempts) {
-    try {
-      compiled = compile(attempt.src, attempt.opts);
-      lastCompileError = null;
-      break;
-    } catch (err) {
-      lastCompileError = err;
-    }
-  }
-
-  if (lastCompileError) {
-    const srcPreview = source.slice(0, 120).replace(/\s+/g, " ");
-    throw new Error(
-      "Compile error: " +
-        (lastCompileError.message || lastCompileError) +
-        " | src: " +
-        srcPreview
-    );
+/* "Compile error: …" located on the editor line when the compiler named one */
+function compileError(err, source, toEditorLine) {
+  const message = String(err.message || err);
+  const pos = findCompileErrorLine(err);
+  const line = pos && toEditorLine(pos.line);
+  if (line) {
+    return locatedError("Compile error: " + message, { line, column: pos.column, phase: "compile" });
   }
-
-  return compiled;
+  const srcPreview = source.slice(0, 120).replace(/\s+/g, " ");
+  return new Error("Compile error: " + message + " | src: " + srcPreview);
 }
 
-function extractCompiledCode(compiled) {
-  const compiledCode =
-    typeof compiled === "string"
-      ? compiled
-      : typeof compiled?.program === "string"
-      ? compiled.program
-      : typeof compiled?.code === "string"
-      ? compiled.code
-      : "";
-
-  if (!compiledCode || !compiledCode.trim()) {
-    throw new Error("GlowScript compile produced empty output.");
+/* Compiled JS from the cache, else from the compile worker.  Resolves to
+   { code, compiledBy, ms }, or to null when the worker cannot compile and
+   the runtime frame has to.  Compiler errors that name a line reject; any
+   other failure (e.g. RScompiler reaching for the DOM, which a worker has
+   not got) is left to the frame, so it is never shown as the program's
+   syntax error.                                                          */
+async function compileOffThread(source, compilerVersion) {
+  const cached = getCachedCompile(source, compilerVersion);
+  if (cached) return { code: cached, compiledBy: "cache", ms: 0 };
+
+  const startedAt = performance.now();
+  try {
+    const code = await compileInWorker(source, compilerVersion);
+    return { code, compiledBy: "worker", ms: performance.now() - startedAt };
+  } catch (err) {
+    if (!err.workerUnavailable && findCompileErrorLine(err)) throw err;
+    console.warn("[PhysicsIDE] Compiling in the runtime frame: " + err.message);
+    return null;
   }
-
-  return compiledCode;
 }
 
-async function executeCompiled(frameWindow, compiledCode, traceEntries) {
-  activeFrameWindow = frameWindow;
-  frameWindow.__physide_paused = false;
-  frameWindow.__physide_steps = 0;
-  frameWindow.__physide_breakpoints = new Set();
-  const mount = frameWindow.document.createElement("div");
-  mount.id = "glowscript";
-  mount.style.width = "100%";
-  mount.style.height = "100%";
-
-  const root = frameWindow.document.getElementById("glowscript-root");
-  if (!root) {
-    throw new Error("GlowScript runtime mount root not found.");
-  }
-
-  root.innerHTML = "";
-  root.appendChild(mount);
+async function compileInFrame(session, source, compilerVersion) {
+  const startedAt = performance.now();
+  const result = await session.send("compile", { source, compilerVersion });
+  return { code: result.code, compiledBy: "runtime", ms: performance.now() - startedAt };
+}
 
-  const jqContainer =
-    typeof frameWindow.jQuery === "function"
-      ? frameWindow.jQuery(mount)
-      : mount;
+/* Inject live-trace by modifying compiled JS.
+   During Python generation, tr() emits  _phtr_SAFENAME = str(EXPR)  for each
+   traced variable.  After RapydScript compiles, we regex-find those assignments
+   in the JS and append a window.__physide_trace(...) call; the runtime agent
+   streams it in "traces" batches to the React TraceTable.  Loop-body hooks
+   (kind "loop", no trace value) only get the frame check.  Nothing here adds
+   newlines, so line numbers in the compiled code stay valid.             */
+const SCOPE_CLOSURE = "function(__phx){return eval(__phx)}";
+
+/* Variables the runtime keeps simulation time from: `t` and `dt`, unless a
+   clock block names its own time variable (and step, when that is a name) */
+function simulationClock(traceEntries) {
+  const clockEntry = traceEntries.find((entry) => entry.clock);
+  if (!clockEntry) return { time: "t", step: "dt" };
+  const step = /^[A-Za-z_]\w*$/.test(clockEntry.step) ? clockEntry.step : "dt";
+  return { time: clockEntry.displayName, step };
+}
 
-  frameWindow.__context = { glowscript_container: jqContainer };
-  frameWindow.glowscript_container = jqContainer;
+function injectTraceHooks(compiledCode, traceEntries) {
+  if (traceEntries.length === 0) return compiledCode;
+  /* With statement hooks the hook in front of each block is where
+     execution stops; trace points then only report values.             */
+  const statementHooks = traceEntries.some((entry) => entry.kind === "statement");
 
-  if (frameWindow.GlowScript) {
-    frameWindow.GlowScript.context = {
-      glowscript_container: frameWindow.document.getElementById("glowscript"),
-    };
+  // Build safe-name → display-name lookup
+  const nameMap = {};
+  for (const entry of traceEntries) {
+    nameMap[entry.safeName] = entry;
   }
-
-  /* Inject live-trace by modifying compiled JS.
-     During Python generation, tr() emits  _phtr_SAFENAME = str(EXPR)  for each
-     traced variable.  After RapydScript compiles, we regex-find those assignments
-     in the JS and append parent.postMessage(...) so trace data flows to the
-     React TraceTable via window.__physide_trace_cb.  */
-  let traceInjected = compiledCode;
-  if (traceEntries.length > 0) {
-    // Build safe-name → display-name lookup
-    const nameMap = {};
-    for (const entry of traceEntries) {
-      nameMap[entry.safeName] = entry;
-    }
-    // Single regex pass over compiled JS
-    traceInjected = traceInjected.replace(
-      /((?:var\s+)?_phtr_(\w+)\s*=\s*)([^;\n]+)(;?)/g,
-      function (match, prefix, safeName, value, semi) {
-        const entry = nameMap[safeName];
-        if (!entry) return match;
-        const dn = entry.displayName.replace(/'/g, "\\'");
-        const bid = (entry.blockId || '').replace(/'/g, "\\'");
-        return (
-          prefix + value + semi +
-          "try{parent.postMessage({type:'__phtr',n:'" + dn +
-          "',v:String(_phtr_" + safeName +
-          "),b:'" + bid + "'},'*');" +
-          "if(window.__physide_breakpoints&&window.__physide_breakpoints.has('" + bid + "')){" +
-          "window.__physide_paused=true;window.__physide_steps=0;}" +
-          "if(window.__physide_paused){" +
-          "if(window.__physide_steps>0){window.__physide_steps--;}" +
-          "else{await new Promise(function(r){" +
-          "var _pi=setInterval(function(){" +
-          "if(!window.__physide_paused||window.__physide_steps>0){" +
-          "clearInterval(_pi);" +
-          "if(window.__physide_steps>0)window.__physide_steps--;" +
-          "r();}},30);})}" +
-          "}}catch(_e){}"
-        );
+  // Single regex pass over compiled JS
+  return compiledCode.replace(
+    /((?:var\s+)?_phtr_(\w+)\s*=\s*)([^;\n]+)(;?)/g,
+    function (match, prefix, safeName, value, semi) {
+      const entry = nameMap[safeName];
+      if (!entry) return match;
+      /* Hooks hand the runtime a closure that evaluates expressions in
+         the program's own scope (breakpoint conditions, logpoints,
+         watches) — built only when the runtime asks for it.            */
+      if (entry.kind === "loop") {
+        return prefix + value + semi +
+          "if(window.__physide_frame('loop',window.__physide_scoped['']&&" + SCOPE_CLOSURE + "))" +
+          "await window.__physide_wait();";
       }
-    );
-  }
-
-  try {
-    frameWindow.eval(traceInjected);
-  } catch (runtimeErr) {
-    /* ── DEBUG: show the compiled JS around the problem ── */
-    console.error(
-      "[PhysicsIDE] eval() failed:", runtimeErr.message,
-      "\nCompiled JS preview (first 1000 chars):\n",
-      traceInjected.slice(0, 1000)
-    );
-    throw new Error("Runtime error: " + (runtimeErr.message || runtimeErr));
-  }
-
-  if (typeof frameWindow.__main__ === "function") {
-    try {
-      const maybePromise = frameWindow.__main__();
-      if (maybePromise && typeof maybePromise.then === "function") {
-        maybePromise.catch((runtimeErr) => {
-          console.error("GlowScript runtime async error:", runtimeErr);
-        });
+      const dn = entry.displayName.replace(/'/g, "\\'");
+      const bid = (entry.blockId || '').replace(/'/g, "\\'");
+      const scope = "window.__physide_scoped['" + bid + "']&&" + SCOPE_CLOSURE;
+      if (entry.kind === "statement") {
+        const stmt = "window.__physide_stmt('" + bid + "'," + scope + ")";
+        return prefix + value + semi +
+          (entry.canPause === false ? stmt + ";" : "if(" + stmt + ")await window.__physide_wait();");
       }
-    } catch (runtimeErr) {
-      throw new Error("Runtime error: " + (runtimeErr.message || runtimeErr));
-    }
-  }
-
-  const fallbackEntrypoints = [
-    frameWindow.__context && frameWindow.__context.__main__,
-    frameWindow.__context && frameWindow.__context.glowscript_main,
-    frameWindow.glowscript_main,
-    frameWindow.main,
-  ].filter((fn) => typeof fn === "function");
-
-  if (
-    !frameWindow.document.querySelector("canvas") &&
-    fallbackEntrypoints.length > 0
-  ) {
-    for (const entrypoint of fallbackEntrypoints) {
-      const result = entrypoint();
-      if (result && typeof result.then === "function") {
-        result.catch((runtimeErr) => {
-          console.error("GlowScript fallback async error:", runtimeErr);
-        });
+      if (statementHooks) {
+        return prefix + value + semi +
+          "try{window.__physide_trace('" + dn + "',_phtr_" + safeName + ",'" + bid + "');}catch(_e){}";
       }
+      const hit = "window.__physide_hit('" + bid + "','" + dn + "',_phtr_" + safeName + "," + scope + ")";
+      return (
+        prefix + value + semi +
+        "try{window.__physide_trace('" + dn + "',_phtr_" + safeName + ",'" + bid + "');" +
+        /* Entries inside functions may not be in an async scope; they
+           only request the pause, which the next loop-level hook honours. */
+        (entry.canPause === false
+          ? hit + ";"
+          : "if(" + hit + ")await window.__physide_wait();") +
+        "}catch(_e){}"
+      );
     }
-  }
+  );
 }
 
-export async function runPython(codeString, hostId = "glowscript-host") {
+/**
+ * Compile and run a VPython program in a fresh runtime iframe.
+ *
+ * options.version        — the project's runtime version ID
+ *                          (runtimeVersions.js); a header line in the
+ *                          source overrides it.
+ * options.onRuntimeError — called with errors raised after the program has
+ *                          started (inside the async __main__).
+ *
+ * Compile and runtime errors carry `location` ({ line, column, phase }) in
+ * editor line numbers when the failing line could be determined.
+ *
+ * Resolves to { version, warnings, timing } where warnings lists features
+ * the program uses that the chosen version does not provide and timing is
+ * { load, compile, run } in ms plus compiledBy ("cache" | "worker" |
+ * "runtime"); resolves to undefined when the run was superseded by
+ * stopPython() or another run.
+ *
+ * Compilation runs in a worker in parallel with the runtime load, and an
+ * unchanged program is not compiled again (compileService.js).
+ */
+export async function runPython(codeString, hostId = "glowscript-host", options = {}) {
   activeRunToken += 1;
   const thisRunToken = activeRunToken;
 
@@ -523,75 +484,165 @@ export async function runPython(codeString, hostId = "glowscript-host") {
     throw new Error("GlowScript host container (#" + hostId + ") not found in DOM.");
   }
 
-  const runtimeFrame = createRuntimeFrame(host);
-  const frameWindow = runtimeFrame.contentWindow;
-
-  try {
-    await ensureGlowScriptLoaded(frameWindow);
-
-    if (thisRunToken !== activeRunToken) {
-      return;
-    }
-
-    const compile = getCompileFn(frameWindow);
-    if (typeof compile !== "function") {
-      throw new Error("GlowScript compiler did not load. Check runtime scripts.");
-    }
+  const { version } = resolveRuntimeVersion(codeString, options.version);
+  const warnings = checkVersionFeatures(codeString, version);
+
+  /* Set once the program is compiled; runtime errors before that cannot
+     be located.                                                         */
+  let runtimeError = (err) => locatedError("Runtime error: " + (err && err.message ? err.message : err), null);
+  /* An error raised before the run command is answered (e.g. a loop the
+     watchdog stopped during start-up) fails runPython itself.            */
+  let started = false;
+  let earlyError = null;
+
+  if (activeSession) activeSession.dispose();
+  const runtimeFrame = createRuntimeFrame(host, thisRunToken);
+  const session = createSession(runtimeFrame, thisRunToken, {
+    onRuntimeError: (err) => {
+      if (thisRunToken !== activeRunToken) return;
+      if (!started) {
+        earlyError = earlyError || err;
+        return;
+      }
+      console.error("GlowScript runtime async error:", err);
+      if (typeof options.onRuntimeError === "function") {
+        options.onRuntimeError(runtimeError(err));
+      }
+    },
+  });
+  activeSession = session;
 
-    if (!frameWindow.RapydScript && frameWindow.RS && frameWindow.RS.RapydScript) {
-      frameWindow.RapydScript = frameWindow.RS.RapydScript;
-    }
+  const timing = { load: 0, compile: 0, run: 0, compiledBy: null };
 
-    const source = buildSource(codeString);
+  try {
+    const { source, leadingLines, prefixLines } = buildSource(codeString, version);
 
     /* For code-only projects (no block trace declarations), auto-instrument
-       the source so that pause/step/trace work exactly like block projects. */
-    let compilableSource = source;
-    let traceEntries = traceRegistry;
-    if (traceRegistry.length === 0) {
-      const result = instrumentPythonForDebug(source);
-      compilableSource = result.source;
+       the source so that pause/step/trace work exactly like block projects.
+       Block projects already carry their trace lines and only get the
+       loop-body frame hooks.                                              */
+    const isBlockProject = traceRegistry.length > 0;
+    const result = instrumentPythonForDebug(source, {
+      editorLine: createLineMapper({ leadingLines, prefixLines }),
+      trace: !isBlockProject,
+      statementHooks: isBlockProject && loadDebuggerSettings().statementHooks
+        ? statementHookPoints(codeString)
+        : [],
+    });
+    const compilableSource = result.source;
+    const instrumentLineMap = result.lineMap;
+    let traceEntries = result.entries;
+    if (isBlockProject) {
+      traceEntries = traceRegistry.concat(result.entries);
+    } else {
       codeTraceEntries = result.entries;
-      traceEntries = codeTraceEntries;
       if (codeTraceEntries.length > 0) {
         console.log(
-          "[PhysicsIDE] Code instrumentation: " + codeTraceEntries.length + " trace vars injected"
+          "[PhysicsIDE] Code instrumentation: " +
+            codeTraceEntries.filter((e) => e.kind !== "loop").length + " trace vars injected"
         );
       }
     }
 
-    const compiled = compileSource(compile, compilableSource);
-    const compiledCode = extractCompiledCode(compiled);
+    const toEditorLine = createLineMapper({ leadingLines, prefixLines, instrumentLineMap });
+    const normalized = compilableSource.replace(/\r\n?/g, "\n");
+
+    /* Compile in the worker while the frame loads the runtime */
+    const offThread = compileOffThread(normalized, version.compilerVersion)
+      .then((compiled) => ({ compiled }), (error) => ({ error }));
+
+    const loadStartedAt = performance.now();
+    await session.ready;
+    await loadRuntime(session, version);
+    timing.load = performance.now() - loadStartedAt;
+
+    let { compiled, error } = await offThread;
+    if (error) throw compileError(error, compilableSource, toEditorLine);
+    if (!compiled) {
+      try {
+        compiled = await compileInFrame(session, normalized, version.compilerVersion);
+      } catch (err) {
+        if (session.disposed) throw err;
+        throw compileError(err, compilableSource, toEditorLine);
+      }
+    }
 
-    await executeCompiled(frameWindow, compiledCode, traceEntries);
+    const compiledCode = compiled.code;
+    if (!compiledCode || !compiledCode.trim()) {
+      throw new Error("GlowScript compile produced empty output.");
+    }
+    if (compiled.compiledBy !== "cache") {
+      storeCompiled(normalized, version.compilerVersion, compiledCode);
+    }
+    timing.compile = compiled.ms;
+    timing.compiledBy = compiled.compiledBy;
+
+    runtimeError = (err) => {
+      /* Watchdog errors name the loop's line; others are found from the stack */
+      const pos = Number.isFinite(err.sourceLine) && err.sourceLine > 0
+        ? { line: err.sourceLine }
+        : findRuntimeErrorLine(err, compiledCode);
+      const line = pos && toEditorLine(pos.line);
+      return locatedError(
+        "Runtime error: " + (err && err.message ? err.message : err),
+        line ? { line, column: null, phase: "runtime" } : null
+      );
+    };
 
-    if (thisRunToken !== activeRunToken) {
-      return;
+    let runResult;
+    const runStartedAt = performance.now();
+    try {
+      runResult = await session.send("run", {
+        code: injectLoopGuards(injectTraceHooks(compiledCode, traceEntries)),
+        breakpoints: runtimeBreakpoints,
+        watches: runtimeWatches,
+        inspect: runtimeInspect,
+        energy: runtimeEnergy,
+        clock: simulationClock(traceEntries),
+        loopTimeoutMs: loadDebuggerSettings().loopTimeout * 1000,
+      });
+    } catch (runtimeErr) {
+      if (session.disposed) throw runtimeErr;
+      /* ── DEBUG: show the compiled JS around the problem ── */
+      console.error(
+        "[PhysicsIDE] eval() failed:", runtimeErr.message,
+        "\nCompiled JS preview (first 1000 chars):\n",
+        compiledCode.slice(0, 1000)
+      );
+      throw runtimeError(runtimeErr);
     }
 
-    await new Promise((resolve) => window.setTimeout(resolve, 120));
+    timing.run = performance.now() - runStartedAt;
+    started = true;
+    if (earlyError) {
+      throw runtimeError(earlyError);
+    }
 
-    const renderedCanvas = frameWindow.document.querySelector("canvas");
-    if (!renderedCanvas) {
+    if (!runResult.canvas) {
       const preview = compiledCode.slice(0, 300).replace(/\s+/g, " ");
       throw new Error(
         "GlowScript executed but no canvas was rendered. __main__: " +
-          typeof frameWindow.__main__ +
+          runResult.main +
           ". Preview: " +
           preview
       );
     }
+
+    return { version, warnings, timing };
   } catch (err) {
-    if (host.contains(runtimeFrame) && thisRunToken !== activeRunToken) {
+    if (thisRunToken !== activeRunToken) {
       return;
     }
-    throw new Error("Execution error: " + (err.message || err));
+    throw locatedError("Execution error: " + (err.message || err), err.location);
   }
 }
 
 export function stopPython(hostId = "glowscript-host") {
   activeRunToken += 1;
-  activeFrameWindow = null;
+  if (activeSession) {
+    activeSession.dispose();
+    activeSession = null;
+  }
 
   const host = document.getElementById(hostId);
   if (host) {
@@ -599,29 +650,128 @@ export function stopPython(hostId = "glowscript-host") {
   }
 }
 
+function sendControl(action, fields = {}) {
+  if (activeSession) activeSession.notify("control", { ...fields, action });
+}
+
 export function pausePython() {
-  if (activeFrameWindow) {
-    activeFrameWindow.__physide_paused = true;
-    activeFrameWindow.__physide_steps = 0;
-  }
+  sendControl("pause");
 }
 
 export function resumePython() {
-  if (activeFrameWindow) {
-    activeFrameWindow.__physide_paused = false;
-    activeFrameWindow.__physide_steps = 0;
-  }
+  sendControl("resume");
 }
 
+/* Run to the next trace point or frame, then pause */
 export function stepPython() {
-  if (activeFrameWindow) {
-    activeFrameWindow.__physide_paused = true;
-    activeFrameWindow.__physide_steps = (activeFrameWindow.__physide_steps || 0) + 1;
-  }
+  sendControl("step");
+}
+
+/* Run `count` frames (rate() calls, or loop iterations without rate()), then pause */
+export function stepFrames(count = 1) {
+  sendControl("stepFrames", { count });
+}
+
+/* Resume until the traced variable `name` reaches `value` or more, then pause */
+export function runUntil(name, value) {
+  sendControl("runUntil", { name, value });
+}
+
+/* Show the scene and trace values of an earlier frame from the frame
+   history while paused; null goes back to the live state */
+export function showFrame(frame) {
+  sendControl("showFrame", { frame });
 }
 
-export function setBreakpoints(bpSet) {
-  if (activeFrameWindow) {
-    activeFrameWindow.__physide_breakpoints = bpSet instanceof Set ? bpSet : new Set(bpSet);
+/* Make an earlier frame the live state — objects and traced variables are
+   put back and later history is dropped — so the run continues from it */
+export function restoreFrame(frame) {
+  sendControl("restoreFrame", { frame });
+}
+
+/* Tell the runtime a "traces" batch has been processed, so it may send
+   more (see the trace stream in public/runtime-agent.js) */
+export function acknowledgeTraces() {
+  sendControl("ackTraces");
+}
+
+/* Breakpoints (Map id → breakpoint, see breakpoints.js) apply to the
+   current run and to every later one */
+export function setBreakpoints(breakpoints) {
+  runtimeBreakpoints = compileBreakpoints(breakpoints || new Map());
+  sendControl("setBreakpoints", { breakpoints: runtimeBreakpoints });
+}
+
+/* Watch expressions (Python) are evaluated by the runtime each time it
+   pauses and reported as "watch" messages.  `capture` — the debugger is
+   open, so every hook keeps its scope for watches and evaluatePython(). */
+export function setWatches(expressions, capture) {
+  runtimeWatches = {
+    expressions: (expressions || []).map((expr) => {
+      try {
+        return translatePythonExpr(expr);
+      } catch (err) {
+        return null;
+      }
+    }),
+    capture: !!capture,
+  };
+  sendControl("setWatches", { watches: runtimeWatches });
+}
+
+/* Scene inspector: while enabled the runtime reports the scene's objects as
+   "scene" messages.  `names` are variable names that may hold objects
+   (findObjectNames) and label them.  Same lifecycle as the watches. */
+export function setInspector(enabled, names = []) {
+  runtimeInspect = { enabled: !!enabled, names };
+  sendControl("setInspector", { inspect: runtimeInspect });
+}
+
+/* Energy monitor: the runtime reports the kinetic and potential energy of
+   `bodies` ([{ name, mass, pos, velocity }], Python expressions) every frame
+   as "energy" messages.  `gravity` (g, a vector or a number pointing down)
+   and `potential` (any extra potential energy) may be empty.  Null, or an
+   expression that does not translate, turns the monitor off.  Same
+   lifecycle as the watches. */
+export function setEnergyMonitor(settings) {
+  const translate = (expr) => (String(expr || "").trim() ? translatePythonExpr(expr) : null);
+  try {
+    runtimeEnergy = {
+      bodies: ((settings && settings.bodies) || []).map((body) => ({
+        name: body.name,
+        mass: translatePythonExpr(body.mass),
+        pos: translatePythonExpr(body.pos),
+        velocity: translatePythonExpr(body.velocity),
+      })),
+      gravity: translate(settings && settings.gravity),
+      potential: translate(settings && settings.potential),
+    };
+  } catch (err) {
+    runtimeEnergy = { bodies: [], gravity: null, potential: null };
   }
+  sendControl("setEnergy", { energy: runtimeEnergy });
+}
+
+/* Flash a scene object (ID from a "scene" message) in the 3-D view */
+export function highlightObject(id) {
+  sendControl("highlightObject", { id });
+}
+
+/**
+ * Evaluate a Python expression or assignment in the paused program.
+ * Resolves to the value as text; rejects with a user-facing Error.
+ * options.trace — { name, blockId }: also report the value as a trace
+ * update of that variable.
+ */
+export async function evaluatePython(text, options = {}) {
+  const code = translatePythonStatement(text);
+  if (!activeSession) throw new Error("No simulation is running.");
+  const result = await activeSession.send("evaluate", { code, trace: options.trace || null });
+  return result.value;
+}
+
+/* Assign a traced variable / attribute while paused; `valueText` is Python
+   or a displayed vector "<x, y, z>".  Resolves to the new value as text. */
+export function setTracedVariable(name, valueText, blockId = "") {
+  return evaluatePython(`${name} = ${valueInputToPython(valueText)}`, { trace: { name, blockId } });
 }
@@ -0,0 +1,143 @@
+/*
+ * loopGuards.js
+ *
+ * Inserts the infinite-loop watchdog hook into compiled GlowScript JS.
+ * Every `while (…) {` / `for (…) {` body gets
+ *
+ *     window.__physide_tick(N);
+ *
+ * as its first statement, where N is the source line of the loop taken from
+ * the nearest preceding "N"; line marker the compiler emits (0 when there
+ * is none).  The runtime agent (public/runtime-agent.js) counts the ticks
+ * and stops a loop that holds the thread past the timeout.
+ *
+ * The scan skips strings, template literals, comments and regex literals so
+ * a "while (" inside them is left alone.  Nothing adds newlines, so line
+ * numbers in the compiled code stay valid.
+ */
+
+const MARKER_RE = /[ \t]*["'](\d+)["'];?[ \t]*(?=\n|$)/y;
+const LOOP_RE = /(?:while|for)\s*\(/y;
+const IDENT_CHAR = /[\w$]/;
+
+/* A "/" starts a regex literal when the previous significant character
+   cannot end an expression. */
+const REGEX_PRECEDERS = "(,=:[!&|?{};+-*%<>~^";
+
+/* Index just past the string / template literal starting at i */
+function skipString(code, i) {
+  const quote = code[i];
+  let j = i + 1;
+  while (j < code.length) {
+    const c = code[j];
+    if (c === "\\") { j += 2; continue; }
+    if (c === quote) return j + 1;
+    if (c === "\n" && quote !== "`") return j;
+    j++;
+  }
+  return j;
+}
+
+/* Index just past the regex literal starting at i */
+function skipRegex(code, i) {
+  let j = i + 1;
+  let inClass = false;
+  while (j < code.length) {
+    const c = code[j];
+    if (c === "\\") { j += 2; continue; }
+    if (c === "\n") return j;
+    if (c === "[") inClass = true;
+    else if (c === "]") inClass = false;
+    else if (c === "/" && !inClass) break;
+    j++;
+  }
+  j++;
+  while (j < code.length && IDENT_CHAR.test(code[j])) j++;   // flags
+  return j;
+}
+
+/* Index of the ")" matching the "(" at i, or -1 */
+function matchParen(code, i) {
+  let depth = 0;
+  let j = i;
+  while (j < code.length) {
+    const c = code[j];
+    if (c === '"' || c === "'" || c === "`") { j = skipString(code, j); continue; }
+    if (c === "(") depth++;
+    else if (c === ")" && --depth === 0) return j;
+    j++;
+  }
+  return -1;
+}
+
+export function injectLoopGuards(compiledCode) {
+  const code = compiledCode;
+  const n = code.length;
+  let out = "";
+  let copied = 0;
+  let line = 0;
+  let prev = "";   // previous significant character
+
+  const readMarker = (pos) => {
+    MARKER_RE.lastIndex = pos;
+    const m = MARKER_RE.exec(code);
+    if (m) line = parseInt(m[1], 10);
+  };
+
+  readMarker(0);
+  let i = 0;
+  while (i < n) {
+    const c = code[i];
+
+    if (c === "\n") {
+      i++;
+      readMarker(i);
+      continue;
+    }
+    if (c === " " || c === "\t" || c === "\r") { i++; continue; }
+    if (c === '"' || c === "'" || c === "`") {
+      i = skipString(code, i);
+      prev = c;
+      continue;
+    }
+    if (c === "/" && code[i + 1] === "/") {
+      const end = code.indexOf("\n", i);
+      i = end < 0 ? n : end;
+      continue;
+    }
+    if (c === "/" && code[i + 1] === "*") {
+      const end = code.indexOf("*/", i + 2);
+      i = end < 0 ? n : end + 2;
+      continue;
+    }
+    if (c === "/" && (prev === "" || REGEX_PRECEDERS.includes(prev))) {
+      i = skipRegex(code, i);
+      prev = "/";
+      continue;
+    }
+
+    if (IDENT_CHAR.test(c)) {
+      let end = i;
+      while (end < n && IDENT_CHAR.test(code[end])) end++;
+      const isWordStart = i === 0 || !/[\w$.]/.test(code[i - 1]);
+      LOOP_RE.lastIndex = i;
+      if (isWordStart && LOOP_RE.test(code)) {
+        const close = matchParen(code, LOOP_RE.lastIndex - 1);
+        let body = close + 1;
+        while (close >= 0 && body < n && /\s/.test(code[body])) body++;
+        if (close >= 0 && code[body] === "{") {
+          out += code.slice(copied, body + 1) + "window.__physide_tick(" + line + ");";
+          copied = body + 1;
+        }
+      }
+      prev = code[end - 1];
+      i = end;
+      continue;
+    }
+
+    prev = c;
+    i++;
+  }
+
+  return out + code.slice(copied);
+}
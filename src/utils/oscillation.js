@@ -0,0 +1,264 @@
+/*
+ * oscillation.js
+ *
+ * Period, frequency and damping of an oscillating trace recording.  Trace
+ * samples arrive whenever the program assigns a variable, so they are first
+ * resampled onto a uniform simulation-time grid; zero crossings, peaks and
+ * an FFT power spectrum are all taken from that grid.
+ */
+
+const MAX_GRID = 65536;   // longest resampled series (a power of two)
+
+/* ── Resampling ── */
+
+/**
+ * Linear interpolation of (ts[i], ys[i]) onto a uniform grid.  Samples
+ * are sorted by time and samples sharing a time are averaged.  The step is
+ * the median spacing of the samples, widened if the grid would be longer
+ * than MAX_GRID.  Returns { ts, ys, dt }.
+ */
+export function resampleUniform(ts, ys) {
+  const order = ts.map((_, i) => i).sort((a, b) => ts[a] - ts[b]);
+  const xs = [];
+  const vs = [];
+  const counts = [];
+  order.forEach((i) => {
+    const last = xs.length - 1;
+    if (last >= 0 && ts[i] === xs[last]) {
+      vs[last] += ys[i];
+      counts[last]++;
+    } else {
+      xs.push(ts[i]);
+      vs.push(ys[i]);
+      counts.push(1);
+    }
+  });
+  const values = vs.map((v, i) => v / counts[i]);
+  if (xs.length < 2) throw new Error("Need samples at two or more different times.");
+
+  const gaps = xs.slice(1).map((x, i) => x - xs[i]).sort((a, b) => a - b);
+  const span = xs[xs.length - 1] - xs[0];
+  const dt = Math.max(gaps[Math.floor(gaps.length / 2)], span / (MAX_GRID - 1));
+  const count = Math.floor(span / dt) + 1;
+  const gridT = new Array(count);
+  const gridY = new Array(count);
+  let j = 0;
+  for (let k = 0; k < count; k++) {
+    const t = xs[0] + k * dt;
+    while (j < xs.length - 2 && xs[j + 1] < t) j++;
+    const f = (t - xs[j]) / (xs[j + 1] - xs[j]);
+    gridT[k] = t;
+    gridY[k] = values[j] + (values[j + 1] - values[j]) * Math.min(1, Math.max(0, f));
+  }
+  return { ts: gridT, ys: gridY, dt };
+}
+
+/* ── Crossings and peaks ── */
+
+/**
+ * Upward crossings of `level` in time-ordered samples, interpolated between
+ * samples.  After a crossing, y must fall below level − hysteresis before
+ * the next one counts, so noise near the level adds none.
+ */
+export function zeroCrossings(ts, ys, level, hysteresis) {
+  const crossings = [];
+  let armed = false;
+  for (let k = 1; k < ts.length; k++) {
+    const a = ys[k - 1] - level;
+    const b = ys[k] - level;
+    if (a < -hysteresis) armed = true;
+    if (armed && a < 0 && b >= 0) {
+      crossings.push(ts[k - 1] + (ts[k] - ts[k - 1]) * (a / (a - b)));
+      armed = false;
+    }
+  }
+  return crossings;
+}
+
+/* Highest sample between times t0 and t1 of a uniform grid, refined by a
+   parabola through it and its neighbours: { t, y }, or null if none */
+function gridMaximum(ts, ys, t0, t1) {
+  const step = ts[1] - ts[0];
+  let best = -1;
+  for (let k = Math.max(0, Math.ceil((t0 - ts[0]) / step)); k < ts.length && ts[k] <= t1; k++) {
+    if (best < 0 || ys[k] > ys[best]) best = k;
+  }
+  if (best < 0) return null;
+  if (best === 0 || best === ts.length - 1) return { t: ts[best], y: ys[best] };
+  const [a, b, c] = [ys[best - 1], ys[best], ys[best + 1]];
+  const denom = a - 2 * b + c;
+  const shift = denom !== 0 ? Math.max(-0.5, Math.min(0.5, (0.5 * (a - c)) / denom)) : 0;
+  return { t: ts[best] + shift * step, y: b - 0.25 * (a - c) * shift };
+}
+
+/* Maxima of a uniform grid between consecutive upward crossings: [{ t, y }] */
+export function findPeaks(ts, ys, crossings) {
+  const peaks = [];
+  for (let i = 1; i < crossings.length; i++) {
+    const peak = gridMaximum(ts, ys, crossings[i - 1], crossings[i]);
+    if (peak) peaks.push(peak);
+  }
+  return peaks;
+}
+
+/* ── Spectrum ── */
+
+/* In-place radix-2 FFT of (re, im); length must be a power of two */
+function fft(re, im) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let len = 2; len <= n; len <<= 1) {
+    const angle = (-2 * Math.PI) / len;
+    for (let i = 0; i < n; i += len) {
+      for (let k = 0; k < len / 2; k++) {
+        const wr = Math.cos(angle * k);
+        const wi = Math.sin(angle * k);
+        const ar = re[i + k + len / 2];
+        const ai = im[i + k + len / 2];
+        const tr = ar * wr - ai * wi;
+        const ti = ar * wi + ai * wr;
+        re[i + k + len / 2] = re[i + k] - tr;
+        im[i + k + len / 2] = im[i + k] - ti;
+        re[i + k] += tr;
+        im[i + k] += ti;
+      }
+    }
+  }
+}
+
+/**
+ * Power spectrum of a uniformly sampled series (mean removed, Hann
+ * window, zero-padded to a power of two).  Returns { freqs, power } up to
+ * the Nyquist frequency, power normalised to a peak of 1, and `peak`: the
+ * strongest non-zero frequency, interpolated between bins.
+ */
+export function powerSpectrum(ys, dt) {
+  const mean = ys.reduce((s, y) => s + y, 0) / ys.length;
+  let n = 1;
+  while (n < ys.length) n <<= 1;
+  n = Math.min(n << 1, MAX_GRID * 2);   // pad ×2 for finer bins
+  const re = new Array(n).fill(0);
+  const im = new Array(n).fill(0);
+  const last = ys.length - 1;
+  ys.forEach((y, i) => {
+    const hann = last > 0 ? 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / last) : 1;
+    re[i] = (y - mean) * hann;
+  });
+  fft(re, im);
+
+  const bins = n / 2 + 1;
+  const df = 1 / (n * dt);
+  const freqs = new Array(bins);
+  const power = new Array(bins);
+  let top = 0;
+  for (let k = 0; k < bins; k++) {
+    freqs[k] = k * df;
+    power[k] = re[k] * re[k] + im[k] * im[k];
+    if (k > 0 && power[k] > power[top]) top = k;
+  }
+  const max = power[top] || 1;
+  for (let k = 0; k < bins; k++) power[k] /= max;
+
+  let peak = top > 0 ? freqs[top] : NaN;
+  if (top > 0 && top < bins - 1) {
+    const [a, b, c] = [power[top - 1], power[top], power[top + 1]];
+    const denom = a - 2 * b + c;
+    if (denom !== 0) peak += ((0.5 * (a - c)) / denom) * df;
+  }
+  return { freqs, power, peak };
+}
+
+/* ── Analysis ── */
+
+/* Mean and standard error of the mean */
+function meanAndError(values) {
+  const m = values.reduce((s, v) => s + v, 0) / values.length;
+  if (values.length < 2) return { value: m, error: NaN };
+  const variance = values.reduce((s, v) => s + (v - m) * (v - m), 0) / (values.length - 1);
+  return { value: m, error: Math.sqrt(variance / values.length) };
+}
+
+/**
+ * Oscillation analysis of y against simulation time.
+ * Returns {
+ *   grid: { ts, ys, dt }, samples, level — the resampled series and its mean,
+ *   crossings: [t], peaks: [{ t, y }],
+ *   period, frequency, omega: { value, error } from the crossings,
+ *   amplitudes: [{ t, a }] peak heights above the mean,
+ *   decayRate (γ, amplitude ∝ e^(−γt)), logDecrement (δ = γT), dampingRatio (ζ):
+ *     { value, error } or null with fewer than two peaks,
+ *   spectrum: { freqs, power, peak }
+ * }
+ * Throws an Error with a message for the user when there is no oscillation.
+ */
+export function analyzeOscillation(ts, ys) {
+  const grid = resampleUniform(ts, ys);
+  const level = grid.ys.reduce((s, y) => s + y, 0) / grid.ys.length;
+  const spread = Math.sqrt(grid.ys.reduce((s, y) => s + (y - level) * (y - level), 0) / grid.ys.length);
+  if (!(spread > 0)) throw new Error("The variable does not change in this range.");
+
+  const crossings = zeroCrossings(grid.ts, grid.ys, level, 0.2 * spread);
+  if (crossings.length < 2) {
+    throw new Error("Need at least one full oscillation in the range — record for longer or widen it.");
+  }
+  const intervals = crossings.slice(1).map((t, i) => t - crossings[i]);
+  const period = meanAndError(intervals);
+  const scale = (f) => ({ value: f(period.value), error: Math.abs(f(period.value) / period.value) * period.error });
+  const frequency = scale((T) => 1 / T);
+  const omega = scale((T) => (2 * Math.PI) / T);
+
+  const peaks = findPeaks(grid.ts, grid.ys, crossings);
+  const amplitudes = peaks.map(({ t, y }) => ({ t, a: y - level })).filter(({ a }) => a > 0);
+
+  /* γ from a straight-line fit of ln(amplitude) against time */
+  let decayRate = null;
+  let logDecrement = null;
+  let dampingRatio = null;
+  if (amplitudes.length >= 2) {
+    const n = amplitudes.length;
+    const xs = amplitudes.map(({ t }) => t);
+    const ls = amplitudes.map(({ a }) => Math.log(a));
+    const mx = xs.reduce((s, x) => s + x, 0) / n;
+    const ml = ls.reduce((s, l) => s + l, 0) / n;
+    const sxx = xs.reduce((s, x) => s + (x - mx) * (x - mx), 0);
+    const slope = xs.reduce((s, x, i) => s + (x - mx) * (ls[i] - ml), 0) / sxx;
+    const residual = ls.reduce((s, l, i) => s + (l - (ml + slope * (xs[i] - mx))) ** 2, 0);
+    const slopeError = n > 2 ? Math.sqrt(residual / (n - 2) / sxx) : NaN;
+    decayRate = { value: -slope, error: slopeError };
+    const delta = -slope * period.value;
+    logDecrement = {
+      value: delta,
+      error: Math.hypot(slopeError * period.value, slope * period.error),
+    };
+    const zeta = (d) => d / Math.sqrt(4 * Math.PI * Math.PI + d * d);
+    const h = 1e-6 * (Math.abs(delta) || 1);
+    dampingRatio = {
+      value: zeta(delta),
+      error: Math.abs((zeta(delta + h) - zeta(delta - h)) / (2 * h)) * logDecrement.error,
+    };
+  }
+
+  return {
+    grid,
+    samples: ts.length,
+    level,
+    crossings,
+    peaks,
+    period,
+    frequency,
+    omega,
+    amplitudes,
+    decayRate,
+    logDecrement,
+    dampingRatio,
+    spectrum: powerSpectrum(grid.ys, grid.dt),
+  };
+}
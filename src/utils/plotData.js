@@ -0,0 +1,211 @@
+/*
+ * plotData.js
+ *
+ * Data side of the Debug Mode plot panel: turning the per-variable trace
+ * sample buffers (see traceBuffer.js) into point arrays — against time,
+ * or against another variable for XY / phase-space plots — plus axis
+ * ticks, decimation and nearest-point lookups.  Nothing here touches
+ * React or the DOM.
+ */
+import { parseVector, sampleValue } from "./traceValues";
+
+export const SERIES_COLORS = ["#3b82f6", "#ef4444", "#10b981", "#f59e0b", "#8b5cf6", "#ec4899", "#14b8a6", "#64748b"];
+
+/* Time axes of a time-series plot */
+export const TIME_AXES = {
+  sim:   { label: "Simulation time", unit: "t" },
+  frame: { label: "Frame",           unit: "frame" },
+  wall:  { label: "Wall clock",      unit: "s" },
+};
+
+/* Drag-and-drop payload type of a traced variable (TraceTable → plot) */
+export const TRACE_DRAG_TYPE = "application/x-physide-trace";
+
+/* A plotted quantity: a traced variable, or one component of a vector */
+export function seriesKey({ name, component }) {
+  return component ? `${name}.${component}` : name;
+}
+
+export function seriesLabel({ name, component }) {
+  if (!component) return name;
+  return component === "mag" ? `|${name}|` : `${name}.${component}`;
+}
+
+/**
+ * Points of one quantity against time.
+ * samples — ring buffer contents, oldest first; axis — key of TIME_AXES.
+ * Returns { xs, ys } with samples lacking a value or a time left out;
+ * wall-clock time is in seconds from `t0` (ms).
+ */
+export function timeSeries(samples, component, axis, t0) {
+  const xs = [];
+  const ys = [];
+  for (const s of samples) {
+    const y = sampleValue(s, component);
+    const x = axis === "frame" ? s.frame
+            : axis === "wall"  ? (s.t - t0) / 1000
+            :                    s.simTime;
+    if (isNaN(y) || x === null || x === undefined) continue;
+    xs.push(x);
+    ys.push(y);
+  }
+  return { xs, ys };
+}
+
+/**
+ * Points of one quantity against another (e.g. v against x).  Each
+ * y sample is paired with the latest x sample that arrived before it, so
+ * both variables need not be traced at the same point.
+ */
+export function xySeries(xSamples, xComponent, ySamples, yComponent) {
+  const xs = [];
+  const ys = [];
+  let i = 0;
+  let x = NaN;
+  for (const s of ySamples) {
+    while (i < xSamples.length && xSamples[i].seq <= s.seq) {
+      x = sampleValue(xSamples[i], xComponent);
+      i++;
+    }
+    const y = sampleValue(s, yComponent);
+    if (isNaN(x) || isNaN(y)) continue;
+    xs.push(x);
+    ys.push(y);
+  }
+  return { xs, ys };
+}
+
+/* Traced variables of a trace recording ({ t, simTime, frame, name, value }
+   rows), first seen first, with whether each holds a vector */
+export function recordingVariables(rows) {
+  const found = new Map();
+  rows.forEach((r) => {
+    if (!found.has(r.name)) found.set(r.name, !!parseVector(r.value));
+  });
+  return Array.from(found, ([name, vector]) => ({ name, vector }));
+}
+
+/**
+ * Points of a recording for analysis.  ySource — { name, component };
+ * xSource — { axis } (a key of TIME_AXES) or { name, component }.  A y
+ * sample is paired with the x variable's latest sample before it, as in
+ * xySeries; wall-clock time is in seconds from the first row.
+ */
+export function recordingPoints(rows, xSource, ySource) {
+  const valueOf = (r, component) => sampleValue({ value: r.value, vector: component ? parseVector(r.value) : null }, component);
+  const t0 = rows.length > 0 ? rows[0].t : 0;
+  const xs = [];
+  const ys = [];
+  let latest = NaN;
+  for (const r of rows) {
+    if (!xSource.axis && r.name === xSource.name) latest = valueOf(r, xSource.component);
+    if (r.name !== ySource.name) continue;
+    const x = xSource.axis === "frame" ? r.frame
+            : xSource.axis === "wall"  ? (r.t - t0) / 1000
+            : xSource.axis             ? r.simTime
+            :                            latest;
+    const y = valueOf(r, ySource.component);
+    if (isNaN(y) || x === null || x === undefined || isNaN(x)) continue;
+    xs.push(x);
+    ys.push(y);
+  }
+  return { xs, ys };
+}
+
+/* [min, max] of the finite values in `values` between indexes lo and hi,
+   or null when there are none */
+export function extent(values, lo = 0, hi = values.length) {
+  let min = Infinity;
+  let max = -Infinity;
+  for (let i = lo; i < hi; i++) {
+    const v = values[i];
+    if (v < min) min = v;
+    if (v > max) max = v;
+  }
+  return min <= max ? [min, max] : null;
+}
+
+/* A range that is safe to scale by: padded, and never zero-width */
+export function padRange([min, max], fraction = 0.05) {
+  if (min === max) {
+    const d = Math.abs(min) * 0.1 || 1;
+    return [min - d, max + d];
+  }
+  const pad = (max - min) * fraction;
+  return [min - pad, max + pad];
+}
+
+/* First index whose x is ≥ x, in ascending xs (binary search) */
+export function lowerBound(xs, x) {
+  let lo = 0;
+  let hi = xs.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (xs[mid] < x) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+/* Index of the point whose x is closest to x, in ascending xs, or -1 */
+export function nearestIndex(xs, x) {
+  if (xs.length === 0) return -1;
+  const i = lowerBound(xs, x);
+  if (i === 0) return 0;
+  if (i >= xs.length) return xs.length - 1;
+  return x - xs[i - 1] <= xs[i] - x ? i - 1 : i;
+}
+
+/**
+ * Indexes of the points to draw between lo and hi: every point when there
+ * are at most `buckets` × 2, otherwise the first, minimum and maximum of
+ * each bucket, so spikes survive.
+ */
+export function decimate(ys, lo, hi, buckets) {
+  const count = hi - lo;
+  if (count <= buckets * 2) {
+    const all = [];
+    for (let i = lo; i < hi; i++) all.push(i);
+    return all;
+  }
+  const out = [];
+  const size = count / buckets;
+  for (let b = 0; b < buckets; b++) {
+    const start = lo + Math.floor(b * size);
+    const end = Math.min(hi, lo + Math.floor((b + 1) * size));
+    if (start >= end) continue;
+    let iMin = start;
+    let iMax = start;
+    for (let i = start; i < end; i++) {
+      if (ys[i] < ys[iMin]) iMin = i;
+      if (ys[i] > ys[iMax]) iMax = i;
+    }
+    const keep = [start, iMin, iMax].sort((a, b) => a - b);
+    keep.forEach((i, k) => { if (k === 0 || i !== keep[k - 1]) out.push(i); });
+  }
+  if (out[out.length - 1] !== hi - 1) out.push(hi - 1);
+  return out;
+}
+
+/* About `count` round tick values covering [min, max] */
+export function niceTicks(min, max, count = 5) {
+  const span = max - min;
+  if (!(span > 0) || !isFinite(span)) return [min];
+  const raw = span / count;
+  const mag = Math.pow(10, Math.floor(Math.log10(raw)));
+  const norm = raw / mag;
+  const step = (norm < 1.5 ? 1 : norm < 3 ? 2 : norm < 7 ? 5 : 10) * mag;
+  const ticks = [];
+  for (let v = Math.ceil(min / step) * step; v <= max + step * 1e-9; v += step) {
+    ticks.push(Math.abs(v) < step * 1e-9 ? 0 : v);
+  }
+  return ticks;
+}
+
+/* Tick and readout text: at most 4 significant digits */
+export function formatTick(v) {
+  if (v === 0) return "0";
+  const a = Math.abs(v);
+  if (a >= 1e5 || a < 1e-3) return v.toExponential(1);
+  return String(parseFloat(v.toPrecision(4)));
+}
@@ -0,0 +1,256 @@
+/*
+ * pythonExpr.js
+ *
+ * Translates the small Python expressions users type into the debugger —
+ * breakpoint conditions, logpoint placeholders, watch expressions and the
+ * paused-state evaluate box — into JavaScript that the runtime frame
+ * evaluates in the scope of the running program.  RapydScript
+ * keeps Python names, so `ball.pos.y < 0 and not done` only needs its
+ * operators and constants rewritten.
+ *
+ * Deliberately not a compiler: comprehensions, `in`, `//`, conditional
+ * expressions and chained comparisons are rejected here with a message
+ * saying what to write instead.  Operand types are not known until the
+ * expression runs, so vector arithmetic (`a + b` on vectors) is refused by
+ * the runtime frame when it is evaluated (see evaluate() in
+ * public/runtime-agent.js).
+ */
+
+const TOKEN_RE = /\s+|(\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)|([A-Za-z_]\w*)|("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')|(\*\*|\/\/|==|!=|<=|>=|[-+*/%]=|[-+*/%<>()[\],.:!=])/y;
+
+const KEYWORDS = {
+  and: "&&",
+  or: "||",
+  True: "true",
+  False: "false",
+  None: "null",
+};
+
+const UNSUPPORTED = {
+  in: "`in` is not supported — compare values directly",
+  if: "conditional expressions are not supported",
+  else: "conditional expressions are not supported",
+  for: "comprehensions are not supported",
+  lambda: "lambda is not supported",
+};
+
+/* Builtins that have no global of the same name in the runtime frame */
+const BUILTINS = {
+  abs: "Math.abs",
+  min: "Math.min",
+  max: "Math.max",
+  round: "Math.round",
+};
+
+const COMPARISONS = new Set(["<", ">", "<=", ">=", "==", "!=", "is"]);
+
+const ASSIGN_OPS = new Set(["=", "+=", "-=", "*=", "/=", "%="]);
+
+function tokenize(expr) {
+  const tokens = [];
+  TOKEN_RE.lastIndex = 0;
+  while (TOKEN_RE.lastIndex < expr.length) {
+    const start = TOKEN_RE.lastIndex;
+    const m = TOKEN_RE.exec(expr);
+    if (!m) {
+      throw new Error(`Unexpected character "${expr[start]}" at column ${start + 1}`);
+    }
+    if (m[1]) tokens.push({ type: "num", text: m[1] });
+    else if (m[2]) tokens.push({ type: "name", text: m[2] });
+    else if (m[3]) tokens.push({ type: "str", text: m[3] });
+    else if (m[4]) tokens.push({ type: "op", text: m[4] });
+  }
+  return tokens;
+}
+
+/**
+ * JavaScript source for a Python expression.  Throws an Error with a
+ * user-facing message when the expression uses unsupported syntax.
+ */
+export function translatePythonExpr(expr) {
+  const source = String(expr || "").trim();
+  if (!source) throw new Error("Expression is empty");
+  const tokens = tokenize(source);
+
+  const out = [];
+  /* Comparisons seen per bracket depth since the last and/or/comma */
+  const comparisons = [0];
+  let depth = 0;
+  /* `not` binds looser than comparisons: `not a == b` is `!(a == b)`.
+     Each entry is the depth of an open "!(" still to be closed.        */
+  const openNots = [];
+  const closeNots = (atDepth) => {
+    while (openNots.length > 0 && openNots[openNots.length - 1] === atDepth) {
+      openNots.pop();
+      out.push(")");
+    }
+  };
+
+  for (let i = 0; i < tokens.length; i++) {
+    const tok = tokens[i];
+    const prev = tokens[i - 1];
+    const next = tokens[i + 1];
+    const afterDot = prev && prev.type === "op" && prev.text === ".";
+
+    if (tok.type === "name" && !afterDot) {
+      if (UNSUPPORTED[tok.text]) throw new Error(UNSUPPORTED[tok.text]);
+      if (tok.text === "is") {
+        const negated = next && next.type === "name" && next.text === "not";
+        if (negated) i++;
+        out.push(negated ? "!==" : "===");
+        if (++comparisons[depth] > 1) throw chainedComparison();
+        continue;
+      }
+      if (tok.text === "and" || tok.text === "or") {
+        closeNots(depth);
+        comparisons[depth] = 0;
+      }
+      if (tok.text === "not") {
+        out.push("!(");
+        openNots.push(depth);
+        continue;
+      }
+      if (KEYWORDS[tok.text]) {
+        out.push(KEYWORDS[tok.text]);
+        continue;
+      }
+      const isCall = next && next.type === "op" && next.text === "(";
+      out.push(isCall && BUILTINS[tok.text] ? BUILTINS[tok.text] : tok.text);
+      continue;
+    }
+
+    if (tok.type === "op") {
+      if (tok.text === "//") throw new Error("`//` is not supported — use int(a / b)");
+      if (tok.text === ":") throw new Error("slices and format specs are not supported here");
+      if (ASSIGN_OPS.has(tok.text)) {
+        throw new Error("Assignment is not allowed here — use the Evaluate box to change a value");
+      }
+      if (tok.text === "(" || tok.text === "[") {
+        depth++;
+        comparisons[depth] = 0;
+      } else if (tok.text === ")" || tok.text === "]") {
+        if (depth === 0) throw new Error(`Unbalanced "${tok.text}"`);
+        closeNots(depth);
+        depth--;
+      } else if (tok.text === ",") {
+        closeNots(depth);
+        comparisons[depth] = 0;
+      } else if (COMPARISONS.has(tok.text) && ++comparisons[depth] > 1) {
+        throw chainedComparison();
+      }
+    }
+
+    out.push(tok.text);
+  }
+
+  if (depth !== 0) throw new Error("Unbalanced brackets");
+  closeNots(0);
+  return out.join(" ");
+}
+
+/* `target op= value` runs as `target = AUGMENTED_JS(op, target, value)`:
+   plain JavaScript would concatenate vectors for += and give NaN for *=.
+   Numbers (and += on strings) behave as in Python, vectors go through
+   their methods (a.add(b), a.multiply(k)); anything else throws.  A string
+   because it runs in the runtime frame.                                   */
+const AUGMENTED_JS = `(function (op, a, b) {
+  var kind = function (v) {
+    if (v !== null && typeof v === "object" && typeof v.add === "function" && "x" in v) return "vector";
+    return v === null ? "None" : typeof v;
+  };
+  var ka = kind(a), kb = kind(b);
+  if (ka === "number" && kb === "number") {
+    return op === "+=" ? a + b : op === "-=" ? a - b : op === "*=" ? a * b : op === "/=" ? a / b : a % b;
+  }
+  if (op === "+=" && ka === "string" && kb === "string") return a + b;
+  if (ka === "vector" && kb === "vector" && op === "+=") return a.add(b);
+  if (ka === "vector" && kb === "vector" && op === "-=") return a.sub(b);
+  if (ka === "vector" && kb === "number" && op === "*=") return a.multiply(b);
+  if (ka === "vector" && kb === "number" && op === "/=") return a.divide(b);
+  throw new Error(op + " is not supported for a " + ka + " and a " + kb);
+})`;
+
+const TARGET_RE = /^[A-Za-z_]\w*(?:\s*(?:\.\s*[A-Za-z_]\w*|\[[^\]]+\]))*$/;
+
+/**
+ * JavaScript for a line typed into the evaluate box: an expression, or an
+ * assignment `target = expr` / `target += expr` to a name, attribute or
+ * item (`ball.velocity.y = 0`).  `ball.pos += vector(1, 0, 0)` adds the
+ * vectors; an augmented assignment between other types throws when it
+ * runs.  Throws like translatePythonExpr.
+ */
+export function translatePythonStatement(text) {
+  const source = String(text || "").trim();
+  const tokens = tokenize(source);
+  let depth = 0;
+  for (let i = 0; i < tokens.length; i++) {
+    const tok = tokens[i];
+    if (tok.type !== "op") continue;
+    if (tok.text === "(" || tok.text === "[") depth++;
+    else if (tok.text === ")" || tok.text === "]") depth--;
+    else if (depth === 0 && ASSIGN_OPS.has(tok.text)) {
+      const target = tokens.slice(0, i).map((t) => t.text).join("");
+      if (!TARGET_RE.test(target) || /^(?:True|False|None)$/.test(target)) {
+        throw new Error("Can only assign to a variable, attribute or item (e.g. ball.velocity.y = 0)");
+      }
+      const value = translatePythonExpr(tokens.slice(i + 1).map((t) => t.text).join(" "));
+      const js = translatePythonExpr(target);
+      if (tok.text === "=") return `${js} = ${value}`;
+      return `${js} = ${AUGMENTED_JS}(${JSON.stringify(tok.text)}, ${js}, (${value}))`;
+    }
+  }
+  return translatePythonExpr(source);
+}
+
+/* A value typed into the trace table.  Vectors are displayed as
+   "<1, 2, 3>", so that form is accepted as vector(1, 2, 3). */
+export function valueInputToPython(text) {
+  const source = String(text || "").trim();
+  const m = source.match(/^<\s*([^<>,]+),\s*([^<>,]+),\s*([^<>,]+)>$/);
+  return m ? `vector(${m[1].trim()}, ${m[2].trim()}, ${m[3].trim()})` : source;
+}
+
+function chainedComparison() {
+  return new Error("Chained comparisons are not supported — write `a < b and b < c`");
+}
+
+/**
+ * Split a logpoint message into literal text and `{expression}` parts.
+ * `{{` / `}}` are literal braces; `{expr:.3f}` rounds to 3 decimals.
+ * Returns [{ text } | { expr, digits }] with expressions translated to JS.
+ */
+export function parseLogMessage(message) {
+  const parts = [];
+  const text = String(message || "");
+  let literal = "";
+  let i = 0;
+  while (i < text.length) {
+    const c = text[i];
+    if ((c === "{" || c === "}") && text[i + 1] === c) {
+      literal += c;
+      i += 2;
+      continue;
+    }
+    if (c === "}") throw new Error('Unmatched "}" — write "}}" for a literal brace');
+    if (c !== "{") {
+      literal += c;
+      i++;
+      continue;
+    }
+    const end = text.indexOf("}", i + 1);
+    if (end < 0) throw new Error('Unmatched "{" — write "{{" for a literal brace');
+    let expr = text.slice(i + 1, end);
+    let digits = null;
+    const spec = expr.match(/:\.(\d+)f\s*$/);
+    if (spec) {
+      digits = parseInt(spec[1], 10);
+      expr = expr.slice(0, spec.index);
+    }
+    if (literal) parts.push({ text: literal });
+    literal = "";
+    parts.push({ expr: translatePythonExpr(expr), digits });
+    i = end + 1;
+  }
+  if (literal) parts.push({ text: literal });
+  return parts;
+}
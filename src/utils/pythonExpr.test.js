@@ -0,0 +1,78 @@
+import { translatePythonExpr, translatePythonStatement } from "./pythonExpr";
+
+/* Stand-in for GlowScript's vec with the methods the debugger relies on */
+class Vec {
+  constructor(x, y, z) {
+    Object.assign(this, { x, y, z });
+  }
+  add(b) { return new Vec(this.x + b.x, this.y + b.y, this.z + b.z); }
+  sub(b) { return new Vec(this.x - b.x, this.y - b.y, this.z - b.z); }
+  multiply(k) { return new Vec(this.x * k, this.y * k, this.z * k); }
+  divide(k) { return new Vec(this.x / k, this.y / k, this.z / k); }
+}
+
+/* Runs a translated statement the way the runtime frame does, with the
+   program's variables in scope */
+function run(statement, scope) {
+  const names = Object.keys(scope);
+  const js = translatePythonStatement(statement);
+  // eslint-disable-next-line no-new-func
+  return new Function(...names, "vector", `${js}; return [${names.join(", ")}];`)(
+    ...names.map((n) => scope[n]),
+    (x, y, z) => new Vec(x, y, z)
+  );
+}
+
+describe("translatePythonExpr", () => {
+  test("rewrites Python operators and constants", () => {
+    expect(translatePythonExpr("ball.pos.y < 0 and not done")).toBe("ball . pos . y < 0 && !( done )");
+    expect(translatePythonExpr("x is None")).toBe("x === null");
+  });
+
+  test("rejects unsupported syntax with a message", () => {
+    expect(() => translatePythonExpr("a // b")).toThrow("int(a / b)");
+    expect(() => translatePythonExpr("0 < x < 1")).toThrow("Chained comparisons");
+    expect(() => translatePythonExpr("k = 2")).toThrow("Assignment is not allowed");
+  });
+});
+
+describe("translatePythonStatement", () => {
+  test("assigns to attributes", () => {
+    const ball = { velocity: new Vec(1, 2, 3) };
+    run("ball.velocity.y = 0", { ball });
+    expect(ball.velocity).toEqual(new Vec(1, 0, 3));
+  });
+
+  test("adds to a vector target through its methods", () => {
+    const ball = { pos: new Vec(1, 2, 3) };
+    run("ball.pos += vector(1, 0, 0)", { ball });
+    expect(ball.pos).toEqual(new Vec(2, 2, 3));
+    run("ball.pos -= vector(0, 2, 0)", { ball });
+    expect(ball.pos).toEqual(new Vec(2, 0, 3));
+  });
+
+  test("scales a vector by a number", () => {
+    const [v] = run("v *= 2", { v: new Vec(1, -1, 0.5) });
+    expect(v).toEqual(new Vec(2, -2, 1));
+    const [w] = run("w /= 4", { w: new Vec(4, 8, 0) });
+    expect(w).toEqual(new Vec(1, 2, 0));
+  });
+
+  test("keeps numeric and string augmented assignments", () => {
+    expect(run("k *= 2", { k: 3 })).toEqual([6]);
+    expect(run("n %= 4", { n: 10 })).toEqual([2]);
+    expect(run("s += 'b'", { s: "a" })).toEqual(["ab"]);
+  });
+
+  test("refuses augmented assignments between a vector and another type", () => {
+    const ball = { pos: new Vec(1, 2, 3) };
+    expect(() => run("ball.pos += 1", { ball })).toThrow("+= is not supported for a vector and a number");
+    expect(() => run("ball.pos *= vector(1, 1, 1)", { ball })).toThrow("*= is not supported for a vector and a vector");
+    expect(() => run("k += vector(1, 0, 0)", { k: 1 })).toThrow("+= is not supported for a number and a vector");
+    expect(ball.pos).toEqual(new Vec(1, 2, 3));
+  });
+
+  test("only assigns to names, attributes and items", () => {
+    expect(() => translatePythonStatement("f(x) = 1")).toThrow("Can only assign");
+  });
+});
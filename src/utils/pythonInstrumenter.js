@@ -0,0 +1,392 @@
+/*
+ * pythonInstrumenter.js
+ *
+ * Debug instrumentation for code projects.  A small indentation-aware
+ * tokenizer splits the VPython source into logical lines (joining bracketed
+ * and backslash-continued lines, skipping string literals and comments),
+ * tracks the enclosing loops / functions / classes, and inserts a
+ *   _phtr_NAME = str(TARGET)
+ * line after every assignment inside a loop or function body, and at the top
+ * of every for-loop body for its loop variables.  Loop bodies also get a
+ * frame hook.  glowRunner turns those assignments into trace messages and
+ * pause checks after compilation.  The same tokenizer also finds the
+ * variables holding 3-D objects for the scene inspector (findObjectNames).
+ */
+
+/* VPython 3D-object constructors — skip assignments whose RHS starts with one */
+const SKIP_CONSTRUCTORS = [
+  'sphere(', 'box(', 'cylinder(', 'arrow(', 'helix(', 'ring(',
+  'curve(', 'points(', 'graph(', 'gcurve(', 'gdots(', 'gvbars(',
+  'label(', 'wtext(', 'text(',
+];
+
+/* Known builtins / VPython names to exclude from tracing */
+const BUILTINS = new Set([
+  'sphere', 'box', 'cylinder', 'arrow', 'helix', 'ring', 'curve', 'points',
+  'canvas', 'scene', 'vector', 'vec', 'color', 'textures',
+  'rate', 'sleep', 'mag', 'norm', 'hat', 'cross', 'dot', 'diff_angle',
+  'sqrt', 'abs', 'sin', 'cos', 'tan', 'asin', 'acos', 'atan', 'atan2',
+  'radians', 'degrees', 'pow', 'log', 'exp', 'pi',
+  'min', 'max', 'sum', 'round', 'floor', 'ceil',
+  'True', 'False', 'None', 'print', 'str', 'int', 'float', 'bool',
+  'range', 'len', 'list', 'dict', 'set', 'tuple', 'type',
+  'GlowScript', 'WebVPython',
+  'graph', 'gcurve', 'gdots', 'bar', 'gvbars', 'label', 'wtext',
+  'attach_trail', 'make_trail',
+]);
+
+const COMPOUND_KEYWORDS = new Set([
+  'if', 'elif', 'else', 'while', 'for', 'def', 'class',
+  'try', 'except', 'finally', 'with',
+]);
+
+const IDENT_RE  = /^[A-Za-z_]\w*$/;
+const DOTTED_RE = /^[A-Za-z_]\w*(?:\s*\.\s*[A-Za-z_]\w*)+$/;
+
+/* ── Tokenizer: physical lines → logical lines ───────────────
+   Each logical line keeps its raw text and a "masked" copy of the same
+   length in which string contents and comments are blanked out, so that
+   operators, brackets and colons can be found by position.                */
+function splitLogicalLines(source) {
+  const lines   = source.split('\n');
+  const logical = [];
+  let cur   = null;   /* { start, end, indent, raw, masked } */
+  let depth = 0;      /* open ( [ { */
+  let str   = null;   /* { quote, raw } while inside a string literal */
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    let continued = false;
+
+    if (!cur) {
+      const body = line.trim();
+      if (!body || body.startsWith('#')) continue;
+      cur = { start: i + 1, end: i + 1, indent: line.match(/^[ \t]*/)[0], raw: '', masked: '' };
+    } else {
+      cur.raw += '\n';
+      cur.masked += '\n';
+    }
+
+    let masked = '';
+    for (let j = 0; j < line.length; j++) {
+      const ch = line[j];
+
+      if (str) {
+        if (ch === '\\' && !str.raw) {
+          masked += j + 1 < line.length ? '__' : '_';
+          j++;
+          if (j >= line.length) continued = true;
+          continue;
+        }
+        if (line.startsWith(str.quote, j)) {
+          masked += str.quote;
+          j += str.quote.length - 1;
+          str = null;
+          continue;
+        }
+        masked += '_';
+        continue;
+      }
+
+      if (ch === '#') {
+        masked += ' '.repeat(line.length - j);
+        break;
+      }
+      if (ch === '"' || ch === "'") {
+        const triple = line.startsWith(ch.repeat(3), j);
+        const quote  = triple ? ch.repeat(3) : ch;
+        const prefix = (line.slice(0, j).match(/[A-Za-z]{1,2}$/) || [''])[0];
+        str = { quote, raw: /r/i.test(prefix) };
+        masked += quote;
+        j += quote.length - 1;
+        continue;
+      }
+      if (ch === '(' || ch === '[' || ch === '{') depth++;
+      else if (ch === ')' || ch === ']' || ch === '}') depth = Math.max(0, depth - 1);
+      else if (ch === '\\' && j === line.length - 1) continued = true;
+      masked += ch;
+    }
+
+    /* An unterminated single-quoted string ends with its line */
+    if (str && str.quote.length === 1 && !continued) str = null;
+
+    cur.raw    += line;
+    cur.masked += masked;
+    cur.end     = i + 1;
+
+    if (!str && depth === 0 && !continued) {
+      logical.push(cur);
+      cur = null;
+    }
+  }
+  if (cur) logical.push(cur);
+  return logical;
+}
+
+/* Split masked text at depth-0 occurrences of a separator character.
+   Returns [start, end) index pairs into the text.                       */
+function splitTopLevel(masked, sep, from = 0, to = masked.length) {
+  const parts = [];
+  let depth = 0;
+  let begin = from;
+  for (let i = from; i < to; i++) {
+    const ch = masked[i];
+    if (ch === '(' || ch === '[' || ch === '{') depth++;
+    else if (ch === ')' || ch === ']' || ch === '}') depth--;
+    else if (ch === sep && depth === 0) {
+      parts.push([begin, i]);
+      begin = i + 1;
+    }
+  }
+  parts.push([begin, to]);
+  return parts;
+}
+
+/* Index of the colon ending a compound-statement header, or -1 */
+function headerColon(masked, from, to) {
+  let depth = 0;
+  for (let i = from; i < to; i++) {
+    const ch = masked[i];
+    if (ch === '(' || ch === '[' || ch === '{') depth++;
+    else if (ch === ')' || ch === ']' || ch === '}') depth--;
+    else if (ch === ':' && depth === 0 && masked[i + 1] !== '=') return i;
+  }
+  return -1;
+}
+
+/* Positions of depth-0 assignment operators (=, +=, **=, …) as
+   { opStart, eq } pairs — eq is the index of the '=' itself.       */
+function assignmentOperators(masked, from, to) {
+  const ops = [];
+  let depth = 0;
+  for (let i = from; i < to; i++) {
+    const ch = masked[i];
+    if (ch === '(' || ch === '[' || ch === '{') depth++;
+    else if (ch === ')' || ch === ']' || ch === '}') depth--;
+    else if (ch === '=' && depth === 0) {
+      const prev = masked[i - 1];
+      const next = masked[i + 1];
+      if (next === '=') { i++; continue; }                   /* == */
+      if (prev === '!' || prev === '<' || prev === '>' || prev === '=' || prev === ':') {
+        /* !=  <=  >=  :=  — but keep <<= and >>= */
+        if (!((prev === '<' || prev === '>') && masked[i - 2] === prev)) continue;
+      }
+      let opStart = i;
+      while (opStart > from && /[+\-*/%&|^@<>]/.test(masked[opStart - 1])) opStart--;
+      ops.push({ opStart, eq: i });
+    }
+  }
+  return ops;
+}
+
+/* Traceable names in an assignment / for target: plain identifiers and
+   dotted attributes; tuple and list targets are unpacked, subscripts are
+   skipped.                                                                */
+function targetNames(text) {
+  let t = text.trim();
+  const elements = splitTopLevel(t, ',').map(([x, y]) => t.slice(x, y).trim()).filter(Boolean);
+  if (elements.length > 1) return elements.flatMap(targetNames);
+
+  t = (elements[0] || '').replace(/^\*\s*/, '');
+  /* Annotated assignment  x: float = … */
+  const annotated = t.match(/^([A-Za-z_][\w.\s]*?)\s*:/);
+  if (annotated) t = annotated[1].trim();
+
+  if ((t.startsWith('(') && t.endsWith(')')) || (t.startsWith('[') && t.endsWith(']'))) {
+    return targetNames(t.slice(1, -1));
+  }
+  if (IDENT_RE.test(t) || DOTTED_RE.test(t)) return [t.replace(/\s+/g, '')];
+  return [];
+}
+
+function isTraceable(name) {
+  const base = name.split('.')[0];
+  if (base.startsWith('_')) return false;
+  if (!name.includes('.') && BUILTINS.has(name)) return false;
+  return true;
+}
+
+/**
+ * Instrument a VPython source for live trace, pause and breakpoints.
+ *
+ *   options.editorLine — maps a source line (1-based) to the editor line
+ *                        used in breakpoint IDs; defaults to identity.
+ *   options.trace      — false to only add loop-body hooks (block projects,
+ *                        whose generator already emits trace lines).
+ *   options.statementHooks — [{ line, indent, blockId }] in editor lines
+ *                        (blocklyGenerator statementHookPoints): a hook
+ *                        (_phtr___stmt_K = 0, entry kind "statement") is put
+ *                        before the statement starting at or after `line`.
+ *
+ * Every loop outside a function also gets a hook at the top of its body
+ * (_phtr___loop_lineN = 0, entry kind "loop") so programs can be paused
+ * per loop iteration even when nothing in the loop is traced.
+ *
+ * Returns { source, entries, lineMap }:
+ *   entries  — [{ safeName, displayName, blockId, canPause, kind? }];
+ *              blockId is "line_N" for the statement's first editor line.
+ *              canPause is false inside function bodies, which may compile
+ *              to plain (non-async) JS functions that cannot await.
+ *   lineMap  — lineMap[i] is the source line output line i+1 came from;
+ *              injected trace lines map to the statement they follow.
+ */
+export function instrumentPythonForDebug(pythonSource, options = {}) {
+  const editorLine = options.editorLine || ((n) => n);
+  const trace      = options.trace !== false;
+  const physical   = pythonSource.split('\n');
+  const logical    = splitLogicalLines(pythonSource);
+  const insertAfter = new Map();   /* physical line → [{ text, from }] */
+  const entries = [];
+  const usedNames = new Set();
+  const stack = [];                /* [{ kind: loop|def|class|other, indent }] */
+
+  /* Statement hooks, by source line, in order */
+  const sourceLineOf = new Map();
+  physical.forEach((_, i) => {
+    const line = editorLine(i + 1);
+    if (line && !sourceLineOf.has(line)) sourceLineOf.set(line, i + 1);
+  });
+  const hooks = (options.statementHooks || [])
+    .map((hook) => ({ ...hook, sourceLine: sourceLineOf.get(hook.line) }))
+    .filter((hook) => hook.sourceLine)
+    .sort((a, b) => a.sourceLine - b.sourceLine);
+  let nextHook = 0;
+
+  const addTrace = (afterLine, indent, name, statementLine, canPause) => {
+    const lineNum  = editorLine(statementLine);
+    const safeName = `${name.replace(/\W/g, '_')}_line${lineNum}`;
+    if (usedNames.has(safeName)) return;
+    usedNames.add(safeName);
+    entries.push({ safeName, displayName: name, blockId: `line_${lineNum}`, canPause });
+    if (!insertAfter.has(afterLine)) insertAfter.set(afterLine, []);
+    insertAfter.get(afterLine).push({ text: `${indent}_phtr_${safeName} = str(${name})`, from: statementLine });
+  };
+
+  for (let k = 0; k < logical.length; k++) {
+    const ll = logical[k];
+    const indentLen = ll.indent.length;
+    const start = ll.indent.length;
+    const end = ll.masked.trimEnd().length;
+
+    while (stack.length && stack[stack.length - 1].indent >= indentLen) stack.pop();
+
+    /* Innermost loop / def / class decides whether this body is traced */
+    const owner = [...stack].reverse().find((s) => s.kind !== 'other');
+    const traced = !!owner && owner.kind !== 'class';
+    const canPause = !stack.some((s) => s.kind === 'def');
+
+    while (nextHook < hooks.length && hooks[nextHook].sourceLine <= ll.start) {
+      const hook = hooks[nextHook];
+      const safeName = `__stmt_${nextHook++}`;
+      entries.push({ safeName, displayName: '', blockId: hook.blockId, canPause, kind: 'statement' });
+      if (!insertAfter.has(ll.start - 1)) insertAfter.set(ll.start - 1, []);
+      insertAfter.get(ll.start - 1).push({ text: `${hook.indent}_phtr_${safeName} = 0`, from: ll.start });
+    }
+
+    const firstWord = (ll.masked.slice(start).match(/^(?:async\s+)?([A-Za-z_]\w*)/) || [])[1];
+    if (firstWord && COMPOUND_KEYWORDS.has(firstWord)) {
+      const colon = headerColon(ll.masked, start, end);
+      const hasBlockBody = colon >= 0 && colon === end - 1;
+      if (!hasBlockBody) continue;   /* one-line compound statement: left as is */
+
+      const kind = firstWord === 'while' || firstWord === 'for' ? 'loop'
+        : firstWord === 'def' ? 'def'
+        : firstWord === 'class' ? 'class'
+        : 'other';
+      stack.push({ kind, indent: indentLen });
+
+      const body = logical[k + 1];
+      const hasBody = !!body && body.indent.length > indentLen;
+
+      /* Loop-body hook for frame-level pause (async scope only) */
+      if (kind === 'loop' && hasBody && canPause) {
+        const lineNum  = editorLine(ll.start);
+        const safeName = `__loop_line${lineNum}`;
+        entries.push({ safeName, displayName: '', blockId: `line_${lineNum}`, canPause: true, kind: 'loop' });
+        if (!insertAfter.has(ll.end)) insertAfter.set(ll.end, []);
+        insertAfter.get(ll.end).push({ text: `${body.indent}_phtr_${safeName} = 0`, from: ll.start });
+      }
+
+      /* for-loop variables: trace at the top of the body */
+      if (firstWord === 'for' && trace) {
+        const inAt = ll.masked.slice(start, colon).search(/\sin\s/);
+        if (inAt >= 0 && hasBody) {
+          const header = ll.raw.slice(start, start + inAt).replace(/^(?:async\s+)?for\s+/, '');
+          for (const name of targetNames(header)) {
+            if (isTraceable(name)) {
+              addTrace(ll.end, body.indent, name, ll.start, !stack.some((s) => s.kind === 'def'));
+            }
+          }
+        }
+      }
+      continue;
+    }
+
+    if (!traced || !trace) continue;
+
+    /* Simple statements, possibly separated by ';' */
+    for (const [a, b] of splitTopLevel(ll.masked, ';', start, end)) {
+      const ops = assignmentOperators(ll.masked, a, b);
+      if (ops.length === 0) continue;
+
+      const last = ops[ops.length - 1];
+      const rhs  = ll.raw.slice(last.eq + 1, b).trim();
+      if (SKIP_CONSTRUCTORS.some((c) => rhs.startsWith(c)) || /^lambda\b/.test(rhs)) continue;
+
+      let targetStart = a;
+      for (const op of ops) {
+        for (const name of targetNames(ll.raw.slice(targetStart, op.opStart))) {
+          if (isTraceable(name)) addTrace(ll.end, ll.indent, name, ll.start, canPause);
+        }
+        targetStart = op.eq + 1;
+      }
+    }
+  }
+
+  const output  = [];
+  const lineMap = [];
+  for (const ins of insertAfter.get(0) || []) {
+    output.push(ins.text);
+    lineMap.push(ins.from);
+  }
+  for (let i = 0; i < physical.length; i++) {
+    output.push(physical[i]);
+    lineMap.push(i + 1);
+    for (const ins of insertAfter.get(i + 1) || []) {
+      output.push(ins.text);
+      lineMap.push(ins.from);
+    }
+  }
+
+  return { source: output.join('\n'), entries, lineMap };
+}
+
+/* 3-D objects whose variables the scene inspector can name */
+const SCENE_OBJECT_RE = /^(?:sphere|simple_sphere|ellipsoid|box|cylinder|cone|pyramid|arrow|helix|ring|curve|points|label|text|extrusion|compound|local_light|distant_light)\s*\(/;
+
+/**
+ * Names and attributes assigned a VPython 3-D object anywhere in the source
+ * (`ball = sphere(...)`, `ball.arrow = arrow(...)`), in order of appearance.
+ * The scene inspector uses them to label the objects it lists.
+ */
+export function findObjectNames(pythonSource) {
+  const names = [];
+  for (const ll of splitLogicalLines(pythonSource)) {
+    const start = ll.indent.length;
+    const end = ll.masked.trimEnd().length;
+    for (const [a, b] of splitTopLevel(ll.masked, ';', start, end)) {
+      const ops = assignmentOperators(ll.masked, a, b);
+      if (ops.length === 0) continue;
+      const rhs = ll.raw.slice(ops[ops.length - 1].eq + 1, b).trim();
+      if (!SCENE_OBJECT_RE.test(rhs)) continue;
+      let targetStart = a;
+      for (const op of ops) {
+        for (const name of targetNames(ll.raw.slice(targetStart, op.opStart))) {
+          if (!names.includes(name)) names.push(name);
+        }
+        targetStart = op.eq + 1;
+      }
+    }
+  }
+  return names;
+}
@@ -0,0 +1,114 @@
+/*
+ * recordings.js
+ *
+ * Saved trace recordings and their comparison.  Every Record … Stop Rec
+ * keeps its rows ({ t, simTime, frame, name, value }, as in the recording
+ * buffer) as a named recording of the project; the comparison overlays one
+ * variable from several recordings, aligned on the reference recording's
+ * sample positions.
+ */
+
+import { recordingPoints, lowerBound } from "./plotData";
+
+export const MAX_RECORDINGS = 20;   // per project; the oldest go first
+
+/* Latest recorded value of the time step `dt`, or null */
+export function recordedStep(rows) {
+  for (let i = rows.length - 1; i >= 0; i--) {
+    if (rows[i].name !== "dt") continue;
+    const dt = parseFloat(rows[i].value);
+    if (isFinite(dt)) return dt;
+  }
+  return null;
+}
+
+/**
+ * A recording of `rows`, named "Run N" (one more than the highest N in
+ * `existing`), with " · dt = …" when the program traced dt.
+ * Returns { id, name, createdAt, rows }.
+ */
+export function createRecording(rows, existing) {
+  const numbers = existing.map((r) => /^Run (\d+)/.exec(r.name)).filter(Boolean).map((m) => parseInt(m[1], 10));
+  const n = numbers.length > 0 ? Math.max(...numbers) + 1 : 1;
+  const dt = recordedStep(rows);
+  const createdAt = Date.now();
+  return {
+    id: `${createdAt.toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+    name: dt === null ? `Run ${n}` : `Run ${n} · dt = ${dt}`,
+    createdAt,
+    rows,
+  };
+}
+
+/* Points sorted by x; points sharing an x are averaged */
+function sortedPoints({ xs, ys }) {
+  const order = xs.map((_, i) => i).filter((i) => isFinite(xs[i]) && isFinite(ys[i])).sort((a, b) => xs[a] - xs[b]);
+  const outX = [];
+  const outY = [];
+  const counts = [];
+  order.forEach((i) => {
+    const last = outX.length - 1;
+    if (last >= 0 && xs[i] === outX[last]) {
+      outY[last] += ys[i];
+      counts[last]++;
+    } else {
+      outX.push(xs[i]);
+      outY.push(ys[i]);
+      counts.push(1);
+    }
+  });
+  return { xs: outX, ys: outY.map((y, i) => y / counts[i]) };
+}
+
+/* Linear interpolation of sorted points at x; NaN outside their range */
+function interpolate(points, x) {
+  const { xs, ys } = points;
+  if (xs.length === 0 || x < xs[0] || x > xs[xs.length - 1]) return NaN;
+  const i = lowerBound(xs, x);
+  if (xs[i] === x) return ys[i];
+  const f = (x - xs[i - 1]) / (xs[i] - xs[i - 1]);
+  return ys[i - 1] + (ys[i] - ys[i - 1]) * f;
+}
+
+/**
+ * One variable (ySource { name, component }) of several recordings against
+ * a time axis ("sim" or "frame"), aligned on the x values of recording
+ * `reference`.  Other recordings are interpolated linearly there; outside
+ * their range their value is NaN and the point does not count.
+ * Returns {
+ *   series: [{ xs, ys }] per recording (sorted, for drawing),
+ *   xs — the reference's x values,
+ *   values: [[y at xs]] per recording,
+ *   diffs: [[y − reference y]] per recording,
+ *   stats: [{ n, mean, rms, maxAbs, relative } | null] per recording — the
+ *     aligned points, mean and RMS difference, largest |difference| and the
+ *     RMS as a fraction of the reference's range; null for the reference
+ * }
+ */
+export function compareRecordings(recordings, ySource, axis = "sim", reference = 0) {
+  const series = recordings.map((r) => sortedPoints(recordingPoints(r.rows, { axis }, ySource)));
+  const xs = series[reference].xs;
+  const refYs = series[reference].ys;
+  const values = series.map((s, k) => (k === reference ? refYs : xs.map((x) => interpolate(s, x))));
+  const diffs = values.map((ys) => ys.map((y, i) => y - refYs[i]));
+  const range = refYs.reduce((m, y) => Math.max(m, y), -Infinity) - refYs.reduce((m, y) => Math.min(m, y), Infinity);
+
+  const stats = diffs.map((ds, k) => {
+    if (k === reference) return null;
+    let n = 0;
+    let sum = 0;
+    let squares = 0;
+    let maxAbs = 0;
+    ds.forEach((d) => {
+      if (!isFinite(d)) return;
+      n++;
+      sum += d;
+      squares += d * d;
+      maxAbs = Math.max(maxAbs, Math.abs(d));
+    });
+    if (n === 0) return { n, mean: NaN, rms: NaN, maxAbs: NaN, relative: NaN };
+    const rms = Math.sqrt(squares / n);
+    return { n, mean: sum / n, rms, maxAbs, relative: range > 0 ? rms / range : NaN };
+  });
+  return { series, xs, values, diffs, stats };
+}
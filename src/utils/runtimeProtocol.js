@@ -0,0 +1,74 @@
+/*
+ * runtimeProtocol.js
+ *
+ * Message protocol between the IDE and the sandboxed runtime iframe
+ * (public/runtime-agent.js).  Every message is a plain object
+ *
+ *   { protocol: "physide-runtime", version, run, kind, ...fields }
+ *
+ * where `run` is the run token handed out by runPython().  The agent has no
+ * copy of these constants: glowRunner writes protocol, version and run
+ * token into the frame, and the agent echoes them back.
+ *
+ * Runtime → IDE kinds
+ *   lifecycle  { phase: "ready" | "loaded" | "started" | "finished" }
+ *   traces     { samples: [[name, value, blockId, frame, simTime, t]] }
+ *                                               — every traced variable update
+ *                                                 since the last batch, oldest
+ *                                                 first; simTime as in state,
+ *                                                 t is Date.now() in the
+ *                                                 runtime.  Each batch
+ *                                                 is acknowledged with the
+ *                                                 "ackTraces" control
+ *   log        { level, text, t }              — print() / console / uncaught
+ *   error      { phase: "runtime", name, message, stack, sourceLine? }
+ *   state      { paused, frame, simTime, reason } — pause-state changes;
+ *                                                 simTime is the simulation
+ *                                                 clock, or null
+ *   watch      { results: [{ ok, value | error } | null] } — watch values,
+ *                                                 sent on every pause
+ *   history    { first, last, viewing, trace? } — frame history range on
+ *                                                 every pause; trace holds
+ *                                                 { name: { value, blockId } }
+ *                                                 when the frame shown changed
+ *   statements { current, counts, held }        — latest statement block and
+ *                                                 run counts by block ID (with
+ *                                                 statement hooks), throttled
+ *   scene      { objects: [{ id, name, type, attrs }], picked }
+ *                                               — scene objects while the
+ *                                                 inspector is on; picked is
+ *                                                 the ID clicked in the view
+ *   energy     { samples: [[frame, simTime, ke, pe]], error }
+ *                                               — per-frame kinetic and
+ *                                                 potential energy while the
+ *                                                 energy monitor is on; error
+ *                                                 is the latest failing
+ *                                                 expression's message, or null
+ *   reply      { id, ok, result | error }      — answer to a command
+ *
+ * IDE → runtime kind
+ *   command    { id?, name: "load" | "compile" | "run" | "control" | "evaluate", ... }
+ *
+ * Bump PROTOCOL_VERSION whenever a message changes shape.
+ */
+
+export const PROTOCOL = "physide-runtime";
+export const PROTOCOL_VERSION = 8;
+
+export const MESSAGE_KINDS = ["lifecycle", "traces", "log", "error", "state", "watch", "history", "statements", "scene", "energy", "reply"];
+
+export function createMessage(run, kind, fields) {
+  return { protocol: PROTOCOL, version: PROTOCOL_VERSION, run, kind, ...fields };
+}
+
+/**
+ * The message carried by a runtime → IDE event, or null when it is not a
+ * well-formed message of this protocol version.  Checking where it came
+ * from and which run it belongs to is up to the caller.
+ */
+export function parseRuntimeMessage(data) {
+  if (!data || typeof data !== "object") return null;
+  if (data.protocol !== PROTOCOL || data.version !== PROTOCOL_VERSION) return null;
+  if (!Number.isInteger(data.run) || !MESSAGE_KINDS.includes(data.kind)) return null;
+  return data;
+}
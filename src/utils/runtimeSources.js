@@ -0,0 +1,160 @@
+/*
+ * runtimeSources.js
+ *
+ * Registry of the places the GlowScript runtime scripts (jQuery, glow,
+ * RScompiler, RSrun) can be loaded from.  glowRunner walks the enabled
+ * sources in order and falls back to the next one when a script fails, so
+ * lab machines behind a firewall can run entirely from the bundled copy in
+ * public/glowscript/ or from a school mirror.
+ */
+
+const SETTINGS_KEY = "physics-ide-runtime-sources";
+
+/* ── Scripts required by the runtime, in load order ──────────
+   `check` confirms the script actually defined what we need: a dev server
+   that answers unknown paths with index.html still fires onload, and the
+   sandboxed frame cannot see the parse error that raises, so every script
+   needs one.  It lists global paths inside the runtime frame, at least one
+   of which must be a function.  It is data rather than a callback because
+   the check runs in the sandboxed frame (public/runtime-agent.js).
+   "{version}" in `file` / `cdn` is replaced by the project's compiler
+   version (see runtimeVersions.js).                                        */
+export const RUNTIME_SCRIPTS = [
+  {
+    key: "jquery",
+    label: "jQuery",
+    file: "jquery.min.js",
+    cdn: "https://cdn.jsdelivr.net/npm/jquery@2.1.4/dist/jquery.min.js",
+    check: ["jQuery"],
+  },
+  {
+    key: "jqueryTextChange",
+    label: "jQuery textchange",
+    file: "jquery.textchange.custom.js",
+    cdn: "https://www.glowscript.org/lib/jquery/IDE/jquery.textchange.custom.js",
+    check: ["jQuery.event.special.textchange.setup"],
+  },
+  {
+    key: "jqueryUi",
+    label: "jQuery UI",
+    file: "jquery-ui.custom.min.js",
+    cdn: "https://www.glowscript.org/lib/jquery/IDE/jquery-ui.custom.min.js",
+    check: ["jQuery.fn.resizable"],
+  },
+  {
+    key: "glow",
+    label: "glow",
+    file: "glow.{version}.min.js",
+    cdn: "https://www.glowscript.org/package/glow.{version}.min.js",
+    check: ["vec", "canvas"],
+  },
+  {
+    key: "compiler",
+    label: "RScompiler",
+    file: "RScompiler.{version}.min.js",
+    cdn: "https://www.glowscript.org/package/RScompiler.{version}.min.js",
+    check: ["glowscript_compile", "GlowScript.compile"],
+  },
+  {
+    key: "run",
+    label: "RSrun",
+    file: "RSrun.{version}.min.js",
+    cdn: "https://www.glowscript.org/package/RSrun.{version}.min.js",
+    check: ["ρσ_range", "ρσ_list_decorate"],   /* RapydScript runtime helpers */
+  },
+];
+
+function joinUrl(base, file) {
+  return String(base).replace(/\/+$/, "") + "/" + file;
+}
+
+function withVersion(template, version) {
+  return String(template).replace(/\{version\}/g, version);
+}
+
+/* ── Source definitions ──────────────────────────────────────
+   resolve(script, settings, version) → URL string, or null when the source
+   cannot serve that script (e.g. no mirror configured).                   */
+export const RUNTIME_SOURCES = {
+  local: {
+    id: "local",
+    label: "Bundled (offline)",
+    description: "Copy in public/glowscript/, downloaded when the IDE is built",
+    resolve: (script, settings, version) =>
+      joinUrl((process.env.PUBLIC_URL || "") + "/glowscript", withVersion(script.file, version)),
+  },
+  mirror: {
+    id: "mirror",
+    label: "Mirror",
+    description: "A school or lab server hosting the same files",
+    resolve: (script, settings, version) =>
+      settings.mirrorUrl && settings.mirrorUrl.trim()
+        ? joinUrl(settings.mirrorUrl.trim(), withVersion(script.file, version))
+        : null,
+  },
+  cdn: {
+    id: "cdn",
+    label: "Public CDN",
+    description: "jsdelivr.net and glowscript.org",
+    resolve: (script, settings, version) => withVersion(script.cdn, version),
+  },
+};
+
+export const DEFAULT_SOURCE_SETTINGS = {
+  order: ["local", "mirror", "cdn"],
+  disabled: [],
+  mirrorUrl: "",
+};
+
+/* Merge stored settings over the defaults, dropping unknown source IDs and
+   appending any sources added since the settings were saved.             */
+function normalizeSettings(raw) {
+  const settings = { ...DEFAULT_SOURCE_SETTINGS, ...(raw || {}) };
+  const known = Object.keys(RUNTIME_SOURCES);
+  const order = (Array.isArray(settings.order) ? settings.order : [])
+    .filter((id, i, arr) => known.includes(id) && arr.indexOf(id) === i);
+  for (const id of known) {
+    if (!order.includes(id)) order.push(id);
+  }
+  return {
+    order,
+    disabled: (Array.isArray(settings.disabled) ? settings.disabled : []).filter((id) => known.includes(id)),
+    mirrorUrl: typeof settings.mirrorUrl === "string" ? settings.mirrorUrl : "",
+  };
+}
+
+export function loadSourceSettings() {
+  try {
+    const raw = window.localStorage.getItem(SETTINGS_KEY);
+    return normalizeSettings(raw ? JSON.parse(raw) : null);
+  } catch (error) {
+    console.warn("Failed to load runtime source settings:", error);
+    return normalizeSettings(null);
+  }
+}
+
+export function saveSourceSettings(settings) {
+  const normalized = normalizeSettings(settings);
+  try {
+    window.localStorage.setItem(SETTINGS_KEY, JSON.stringify(normalized));
+  } catch (error) {
+    console.warn("Failed to save runtime source settings:", error);
+  }
+  return normalized;
+}
+
+/**
+ * Candidate URLs for one script at a compiler version, in fallback order.
+ * Returns [{ source, url }] skipping disabled sources and sources that
+ * cannot serve the script.
+ */
+export function resolveScriptCandidates(script, version, settings = loadSourceSettings()) {
+  const candidates = [];
+  for (const id of settings.order) {
+    if (settings.disabled.includes(id)) continue;
+    const source = RUNTIME_SOURCES[id];
+    const url = source && source.resolve(script, settings, version);
+    if (url) candidates.push({ source: id, url });
+  }
+  return candidates;
+}
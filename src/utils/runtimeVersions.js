@@ -0,0 +1,95 @@
+/*
+ * runtimeVersions.js
+ *
+ * VPython / GlowScript language versions a project can target.  The version
+ * decides the header line prepended to the source, the `version` passed to
+ * the compiler and which glow / RScompiler / RSrun bundles are loaded.
+ */
+
+export const DEFAULT_RUNTIME_VERSION = "3.2";
+
+/* ── Selectable versions (status-bar dropdown) ─────────────── */
+export const RUNTIME_VERSIONS = [
+  { id: "3.2",     label: "GlowScript 3.2",  header: "GlowScript 3.2 VPython", compilerVersion: "3.2" },
+  { id: "web-3.2", label: "Web VPython 3.2", header: "Web VPython 3.2",        compilerVersion: "3.2" },
+  { id: "3.1",     label: "GlowScript 3.1",  header: "GlowScript 3.1 VPython", compilerVersion: "3.1" },
+  { id: "3.0",     label: "GlowScript 3.0",  header: "GlowScript 3.0 VPython", compilerVersion: "3.0" },
+  { id: "2.9",     label: "GlowScript 2.9",  header: "GlowScript 2.9 VPython", compilerVersion: "2.9" },
+];
+
+/* ── Features that need a minimum compiler/runtime version ───
+   `since` is the first GlowScript release that ships the API.            */
+const VERSION_FEATURES = [
+  { name: "scene.capture()",         pattern: /\.\s*capture\s*\(/,      since: "3.0" },
+  { name: "input()",                 pattern: /(^|[^.\w])input\s*\(/m,  since: "3.0" },
+  { name: "attach_light()",          pattern: /\battach_light\s*\(/,    since: "3.1" },
+  { name: "Web VPython header",      pattern: /^\s*Web\s+VPython\b/i,   since: "3.2" },
+];
+
+const HEADER_RE = /^(GlowScript|Web\s+VPython)\s+(\d+(?:\.\d+)*)\b/i;
+
+function compareVersions(a, b) {
+  const pa = String(a).split(".").map(Number);
+  const pb = String(b).split(".").map(Number);
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    const d = (pa[i] || 0) - (pb[i] || 0);
+    if (d !== 0) return d;
+  }
+  return 0;
+}
+
+export function getRuntimeVersion(id) {
+  return (
+    RUNTIME_VERSIONS.find((v) => v.id === id) ||
+    RUNTIME_VERSIONS.find((v) => v.id === DEFAULT_RUNTIME_VERSION)
+  );
+}
+
+/**
+ * Parse a "GlowScript 3.2 VPython" / "Web VPython 3.2" header line.
+ * Returns a version descriptor (a known one when possible, otherwise one
+ * built from the header so any published bundle can still be loaded), or
+ * null when the line is not a header.
+ */
+export function parseVersionHeader(line) {
+  const m = String(line || "").trim().match(HEADER_RE);
+  if (!m) return null;
+  const isWeb = /^web/i.test(m[1]);
+  const number = m[2];
+  const id = isWeb ? `web-${number}` : number;
+  const known = RUNTIME_VERSIONS.find((v) => v.id === id);
+  if (known) return known;
+  return {
+    id,
+    label: `${isWeb ? "Web VPython" : "GlowScript"} ${number}`,
+    header: String(line).trim(),
+    compilerVersion: number,
+  };
+}
+
+/**
+ * Decide the version a run uses: the header line wins when present,
+ * otherwise the project's selected version.
+ * Returns { version, fromHeader }.
+ */
+export function resolveRuntimeVersion(source, projectVersionId) {
+  const firstLine = String(source || "").trimStart().split(/\r?\n/, 1)[0] || "";
+  const fromHeader = parseVersionHeader(firstLine);
+  if (fromHeader) return { version: fromHeader, fromHeader: true };
+  return { version: getRuntimeVersion(projectVersionId), fromHeader: false };
+}
+
+/**
+ * Warnings for features the source uses that the chosen version lacks.
+ * Returns an array of human-readable strings (empty when compatible).
+ */
+export function checkVersionFeatures(source, version) {
+  const warnings = [];
+  for (const feature of VERSION_FEATURES) {
+    if (compareVersions(version.compilerVersion, feature.since) >= 0) continue;
+    if (feature.pattern.test(source)) {
+      warnings.push(`${feature.name} needs VPython ${feature.since}+ (project uses ${version.label})`);
+    }
+  }
+  return warnings;
+}
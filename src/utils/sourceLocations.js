@@ -0,0 +1,87 @@
+/*
+ * sourceLocations.js
+ *
+ * Maps compile and runtime errors back to a line of the program the user
+ * wrote.  The source handed to the GlowScript compiler differs from the
+ * editor contents: leading blank lines are trimmed, a version header may be
+ * prepended and instrumentPythonForDebug() inserts _phtr_ trace lines.  A
+ * line mapper undoes those shifts.
+ */
+
+/**
+ * Build a mapper from compiled-source line numbers (1-based, as seen by the
+ * compiler) to editor line numbers.
+ *
+ *   leadingLines      — blank lines trimmed from the top of the editor code
+ *   prefixLines       — lines prepended before the user code (header)
+ *   instrumentLineMap — optional array: instrumented line index → line in
+ *                       the un-instrumented source (1-based)
+ *
+ * Returns (line) => editor line, or null for lines the user did not write.
+ */
+export function createLineMapper({ leadingLines = 0, prefixLines = 0, instrumentLineMap = null }) {
+  return (line) => {
+    if (!Number.isFinite(line) || line < 1) return null;
+    let sourceLine = line;
+    if (instrumentLineMap) {
+      sourceLine = instrumentLineMap[line - 1];
+      if (!sourceLine) return null;
+    }
+    const userLine = sourceLine - prefixLines;
+    if (userLine < 1) return null;
+    return userLine + leadingLines;
+  };
+}
+
+/**
+ * Line (and column) reported by the compiler, in compiled-source numbering.
+ * RapydScript parse errors carry `line` / `col`; wrapped GlowScript errors
+ * only mention the line in their message.
+ */
+export function findCompileErrorLine(err) {
+  if (!err) return null;
+  if (Number.isFinite(err.line)) {
+    return { line: err.line, column: Number.isFinite(err.col) ? err.col + 1 : null };
+  }
+  const m = String(err.message || err).match(/\bline\s*:?\s*(\d+)/i);
+  return m ? { line: parseInt(m[1], 10), column: null } : null;
+}
+
+/* Position inside eval()'d code from a stack trace (Chrome / Firefox). */
+function evalPositionFromStack(stack) {
+  const s = String(stack || "");
+  const m = s.match(/<anonymous>:(\d+):(\d+)/) || s.match(/> eval:(\d+):(\d+)/);
+  return m ? parseInt(m[1], 10) : null;
+}
+
+/**
+ * Source line of a runtime error, in compiled-source numbering.
+ *
+ * GlowScript prefixes each compiled statement with a string expression
+ * holding the source line ("12";).  The eval position from the stack trace
+ * is walked back to the nearest such marker.  Falls back to a "line N"
+ * mention in the message.
+ */
+export function findRuntimeErrorLine(err, compiledCode) {
+  if (!err) return null;
+  const jsLine = evalPositionFromStack(err.stack);
+  if (jsLine && compiledCode) {
+    const jsLines = compiledCode.split("\n");
+    for (let i = Math.min(jsLine, jsLines.length) - 1; i >= 0; i--) {
+      const m = jsLines[i].match(/^\s*["'](\d+)["'];?\s*$/);
+      if (m) return { line: parseInt(m[1], 10), column: null };
+    }
+  }
+  const m = String(err.message || err).match(/\bline\s*:?\s*(\d+)/i);
+  return m ? { line: parseInt(m[1], 10), column: null } : null;
+}
+
+/**
+ * Error carrying a `location` ({ line, column, phase }) in editor line
+ * numbers, or location null when the line could not be determined.
+ */
+export function locatedError(message, location) {
+  const err = new Error(message);
+  err.location = location || null;
+  return err;
+}
@@ -17,3 +17,83 @@ export function loadState() {
     return null;
   }
 }
+
+/* Saved trace recordings, by project key: { [project]: { savedAt, recordings } }.
+   Only the RECORDING_PROJECTS most recently saved projects are kept. */
+const RECORDINGS_KEY = "physics-lab-recordings-v1";
+const RECORDING_PROJECTS = 8;
+
+function loadRecordingStore() {
+  try {
+    const raw = window.localStorage.getItem(RECORDINGS_KEY);
+    const store = raw ? JSON.parse(raw) : null;
+    return store && typeof store === "object" ? store : {};
+  } catch (error) {
+    console.warn("Failed to load recordings:", error);
+    return {};
+  }
+}
+
+/* Returns false when the recordings could not be stored (usually too large) */
+export function saveRecordings(project, recordings) {
+  const store = loadRecordingStore();
+  if (recordings.length > 0) store[project] = { savedAt: Date.now(), recordings };
+  else delete store[project];
+  const keep = Object.keys(store)
+    .sort((a, b) => store[b].savedAt - store[a].savedAt)
+    .slice(0, RECORDING_PROJECTS);
+  try {
+    window.localStorage.setItem(RECORDINGS_KEY, JSON.stringify(Object.fromEntries(keep.map((k) => [k, store[k]]))));
+    return true;
+  } catch (error) {
+    console.warn("Failed to save recordings:", error);
+    return false;
+  }
+}
+
+export function loadRecordings(project) {
+  const entry = loadRecordingStore()[project];
+  return entry && Array.isArray(entry.recordings) ? entry.recordings : [];
+}
+
+/* Debugger and loop watchdog settings, changed under Runtime and used from
+   the next Run on.  Kept apart from the runtime sources (runtimeSources.js),
+   which only say where GlowScript is loaded from. */
+const DEBUGGER_SETTINGS_KEY = "physics-lab-debugger-v1";
+
+export const DEFAULT_DEBUGGER_SETTINGS = {
+  loopTimeout: 3,          /* seconds a loop may run without yielding (watchdog) */
+  statementHooks: true,    /* hook every statement block (debugger highlight / count / break) */
+};
+
+export const LOOP_TIMEOUT_RANGE = { min: 1, max: 60 };
+
+function normalizeDebuggerSettings(raw) {
+  const settings = { ...DEFAULT_DEBUGGER_SETTINGS, ...(raw || {}) };
+  return {
+    loopTimeout: Number.isFinite(Number(settings.loopTimeout))
+      ? Math.min(LOOP_TIMEOUT_RANGE.max, Math.max(LOOP_TIMEOUT_RANGE.min, Number(settings.loopTimeout)))
+      : DEFAULT_DEBUGGER_SETTINGS.loopTimeout,
+    statementHooks: settings.statementHooks !== false,
+  };
+}
+
+export function loadDebuggerSettings() {
+  try {
+    const raw = window.localStorage.getItem(DEBUGGER_SETTINGS_KEY);
+    return normalizeDebuggerSettings(raw ? JSON.parse(raw) : null);
+  } catch (error) {
+    console.warn("Failed to load debugger settings:", error);
+    return normalizeDebuggerSettings(null);
+  }
+}
+
+export function saveDebuggerSettings(settings) {
+  const normalized = normalizeDebuggerSettings(settings);
+  try {
+    window.localStorage.setItem(DEBUGGER_SETTINGS_KEY, JSON.stringify(normalized));
+  } catch (error) {
+    console.warn("Failed to save debugger settings:", error);
+  }
+  return normalized;
+}
@@ -0,0 +1,67 @@
+/*
+ * traceBuffer.js
+ *
+ * Per-variable sample history for the trace table.  Each traced variable
+ * keeps its most recent samples in a fixed-size ring buffer, so a fast
+ * loop costs the same memory whether it has run for a second or an hour.
+ * The buffer is mutated in place; the trace table entry that owns it gets
+ * a new flashKey whenever samples are added.
+ */
+
+/* Choices offered for the number of samples kept per variable */
+export const TRACE_CAPACITIES = [60, 600, 6000, 60000];
+export const DEFAULT_TRACE_CAPACITY = 600;
+
+export function normalizeTraceCapacity(value) {
+  return TRACE_CAPACITIES.includes(value) ? value : DEFAULT_TRACE_CAPACITY;
+}
+
+/**
+ * A ring buffer holding the last `capacity` items pushed.
+ *   push(item), toArray() → oldest first, last() → newest or undefined,
+ *   resize(capacity) keeps the newest items, clear(), length, capacity
+ */
+export function createRingBuffer(capacity) {
+  let items = new Array(capacity);
+  let start = 0;   // index of the oldest item
+  let size = 0;
+
+  const buffer = {
+    get length() {
+      return size;
+    },
+    get capacity() {
+      return items.length;
+    },
+    push(item) {
+      if (size < items.length) {
+        items[(start + size) % items.length] = item;
+        size++;
+      } else {
+        items[start] = item;
+        start = (start + 1) % items.length;
+      }
+    },
+    last() {
+      return size > 0 ? items[(start + size - 1) % items.length] : undefined;
+    },
+    toArray() {
+      const out = new Array(size);
+      for (let i = 0; i < size; i++) out[i] = items[(start + i) % items.length];
+      return out;
+    },
+    resize(nextCapacity) {
+      const kept = buffer.toArray().slice(-nextCapacity);
+      items = new Array(nextCapacity);
+      kept.forEach((item, i) => { items[i] = item; });
+      start = 0;
+      size = kept.length;
+    },
+    clear() {
+      items = new Array(items.length);
+      start = 0;
+      size = 0;
+    },
+  };
+  return buffer;
+}
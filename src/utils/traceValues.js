@@ -0,0 +1,58 @@
+/*
+ * traceValues.js
+ *
+ * Traced values arrive as the text of str(expr), so a vector is
+ * "<1.2, 3.4, 0>".  These helpers turn that text back into numbers —
+ * x, y, z and magnitude for vectors — so the trace table, its sparklines
+ * and the CSV exports can treat each component like a scalar.
+ */
+
+const NUMBER = "[-+]?(?:\\d+\\.?\\d*|\\.\\d+)(?:[eE][-+]?\\d+)?";
+const VECTOR_RE = new RegExp(`^<\\s*(${NUMBER})\\s*,\\s*(${NUMBER})\\s*,\\s*(${NUMBER})\\s*>$`);
+
+/* Components of a vector value, in display order */
+export const VECTOR_COMPONENTS = [
+  { key: "x",   label: "x" },
+  { key: "y",   label: "y" },
+  { key: "z",   label: "z" },
+  { key: "mag", label: "|v|" },
+];
+
+/* { x, y, z, mag } for a vector's text, otherwise null */
+export function parseVector(text) {
+  const m = VECTOR_RE.exec(String(text ?? "").trim());
+  if (!m) return null;
+  const x = parseFloat(m[1]);
+  const y = parseFloat(m[2]);
+  const z = parseFloat(m[3]);
+  return { x, y, z, mag: Math.sqrt(x * x + y * y + z * z) };
+}
+
+/* Numeric value of a trace sample ({ value, vector }) — one component
+   ("x" / "y" / "z" / "mag") of a vector, or the value itself.  NaN when it
+   has none. */
+export function sampleValue(sample, component = null) {
+  if (component) return sample.vector ? sample.vector[component] : NaN;
+  return parseFloat(sample.value);
+}
+
+/**
+ * Running statistics of one numeric series, updated with `num`.
+ * prev — the previous result, or null/undefined for the first value.
+ * Returns { last, delta, min, max }; delta is null for the first value.
+ */
+export function nextStats(prev, num) {
+  if (!prev) return { last: num, delta: null, min: num, max: num };
+  return {
+    last: num,
+    delta: parseFloat((num - prev.last).toFixed(6)),
+    min: Math.min(prev.min, num),
+    max: Math.max(prev.max, num),
+  };
+}
+
+/* Compact number for table cells and CSV component columns */
+export function formatComponent(num) {
+  if (num === null || num === undefined || isNaN(num)) return "";
+  return String(parseFloat(num.toPrecision(6)));
+}